@@ -0,0 +1,91 @@
+// Netlify function to read and save a workspace's alert rules.
+//
+// GET  -> { rules, channels: [{ id, label, configured }], destinations }
+// PUT  { providers: [{ provider, name, limit, billingLimit, pricingModel, alerts }], prices,
+//        destinations: { webhookUrl, slackWebhookUrl } }
+//
+// `alerts` is { usage: [50, 80, 100], spend: [80, 100], channels: ['smtp', 'slack'], projected: true }.
+// Email goes to the workspace owners' verified addresses; the webhook and
+// Slack URLs are the workspace's own (leave `destinations` out to keep them).
+//
+// Rules belong to the workspace from the X-Workspace-Id header (default:
+// personal). Reading needs a login session or an access token with the
+// read-usage scope; saving needs the manage-providers scope and editor rights.
+// The webhook URLs are credentials, so only editors get them back.
+
+import { getSession } from '../lib/authStore.js';
+import { missingScope } from '../lib/accessTokens.js';
+import { resolveWorkspace, hasRole } from '../lib/workspaces.js';
+import { loadAlertRules, saveAlertRules, loadAlertDestinations, validateAlertRules } from '../lib/alerts/index.js';
+import { listChannels } from '../lib/alerts/channels/index.js';
+
+const getCorsHeaders = (origin) => ({
+  'Access-Control-Allow-Origin': origin || '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Workspace-Id',
+  'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+  'Access-Control-Allow-Credentials': 'true',
+  'Content-Type': 'application/json',
+});
+
+export const handler = async (event) => {
+  const origin = event.headers.origin || event.headers.Origin || '*';
+  const headers = getCorsHeaders(origin);
+  const respond = (statusCode, data) => ({ statusCode, headers, body: JSON.stringify(data) });
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers, body: '' };
+  }
+
+  try {
+    const session = await getSession(event);
+    if (!session) return respond(401, { error: 'Unauthorized' });
+    const workspace = await resolveWorkspace(event, session);
+    if (!workspace) return respond(403, { error: 'Not a member of this workspace' });
+
+    if (event.httpMethod === 'GET') {
+      const scopeError = missingScope(session, 'read-usage');
+      if (scopeError) return respond(403, { error: scopeError });
+
+      const { destinations: saved, ...rules } = await loadAlertRules(workspace.id);
+      const destinations = await loadAlertDestinations(workspace.id, { destinations: saved });
+      const channels = listChannels().map(channel => ({
+        id: channel.id,
+        label: channel.label,
+        configured: channel.isConfigured(destinations),
+      }));
+      return respond(200, {
+        rules,
+        channels,
+        destinations: hasRole(workspace.role, 'editor') ? destinations : null,
+      });
+    }
+
+    if (event.httpMethod === 'PUT') {
+      const scopeError = missingScope(session, 'manage-providers');
+      if (scopeError) return respond(403, { error: scopeError });
+      if (!hasRole(workspace.role, 'editor')) return respond(403, { error: 'Viewers cannot change alert rules' });
+
+      let body;
+      try {
+        body = JSON.parse(event.body);
+      } catch (e) {
+        return respond(400, { error: 'Invalid JSON' });
+      }
+
+      const problem = validateAlertRules(body || {});
+      if (problem) return respond(400, { error: problem });
+
+      await saveAlertRules(workspace.id, {
+        providers: body.providers,
+        prices: body.prices || null,
+        destinations: body.destinations,
+      });
+      return respond(200, { success: true });
+    }
+
+    return respond(405, { error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Alert rules error:', error);
+    return respond(500, { error: 'Failed to update alert rules' });
+  }
+};
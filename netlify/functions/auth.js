@@ -1,14 +1,145 @@
 import bcrypt from 'bcryptjs';
 import cookie from 'cookie';
+import QRCode from 'qrcode';
 import { randomUUID } from 'crypto';
+import {
+  findUserById,
+  findUserByEmail,
+  normalizeEmail,
+  isValidEmail,
+  saveUser,
+  updateUser,
+  deleteUser,
+  createSession,
+  deleteSession,
+  deleteUserSessions,
+  getSession as getSessionFromEvent,
+  listUserSessions,
+  revokeSessionByHandle,
+  sessionHandle,
+  createResetToken,
+  findResetToken,
+  consumeResetToken,
+  createVerifyToken,
+  consumeVerifyToken,
+  createLoginChallenge,
+  findLoginChallenge,
+  deleteLoginChallenge,
+  cleanupExpired,
+} from '../lib/authStore.js';
+import { sendTemplate, siteUrl } from '../lib/mailer/index.js';
+import { deleteAllKeys } from '../lib/vault.js';
+import { deleteProviderConfig } from '../lib/providerConfigs.js';
+import { deleteIngestedUsage } from '../lib/ingestion.js';
+import { deleteHistory } from '../lib/history.js';
+import { deleteMetering } from '../lib/metering.js';
+import { deleteAlertRules } from '../lib/alerts/index.js';
+import { updateMemberProfiles, soleOwnedWorkspaces, leaveAllWorkspaces } from '../lib/workspaces.js';
+import { checkThrottle, recordFailure, clearFailures, ipKey, accountKey, resetKey } from '../lib/loginThrottle.js';
+import { checkPassword } from '../lib/passwordPolicy.js';
+import { isTokenSession, deleteUserAccessTokens } from '../lib/accessTokens.js';
+import { generateSecret, verifyTotp, otpauthUri, generateRecoveryCodes, findRecoveryCode } from '../lib/totp.js';
+
+const SESSION_MS = 30 * 24 * 60 * 60 * 1000;
+const RESET_TOKEN_MS = 60 * 60 * 1000;
+const VERIFY_TOKEN_MS = 24 * 60 * 60 * 1000;
+// Time between a correct password and the 2FA code
+const LOGIN_CHALLENGE_MS = 5 * 60 * 1000;
+const TOTP_ISSUER = () => process.env.TOTP_ISSUER || process.env.MAIL_APP_NAME || 'API Usage Tracker';
+// SPA routes that email links open (see AuthContext)
+const RESET_PATH = '/reset-password';
+const VERIFY_PATH = '/verify-email';
+
+const publicUser = ({ password: _, twoFactor, twoFactorPending, ...user }) => ({
+  ...user,
+  twoFactorEnabled: Boolean(twoFactor),
+  ...(twoFactor && { recoveryCodesLeft: twoFactor.recoveryCodes.length }),
+});
 
-// NOTE: In-memory storage is ephemeral in serverless functions.
-// Data will be lost when the function instance is recycled (cold starts).
-// For production, use a database (Supabase, MongoDB, etc.).
-// This is a scaffold for demonstration purposes.
-const users = [];
-const sessions = new Map();
-const resetTokens = new Map();
+// Checks a TOTP code, or failing that a recovery code. Returns the user's
+// twoFactor record with the code used up, or null if it matched neither.
+function redeemSecondFactor(twoFactor, code) {
+  const counter = verifyTotp(twoFactor.secret, code, { lastCounter: twoFactor.lastCounter });
+  if (counter !== null) return { ...twoFactor, lastCounter: counter };
+  const index = findRecoveryCode(twoFactor.recoveryCodes, code);
+  if (index === -1) return null;
+  return { ...twoFactor, recoveryCodes: twoFactor.recoveryCodes.filter((_, i) => i !== index) };
+}
+
+// Spends `code` as the user's second factor. The stored record is checked
+// and updated in one store update, so two requests racing with the same code
+// can't both get through. `change(twoFactor)` is what to keep afterwards
+// (null turns 2FA off). Returns the updated user, or null when the code is
+// wrong or already used.
+async function spendSecondFactor(userId, code, change = (twoFactor) => twoFactor) {
+  let spent = false;
+  const user = await updateUser(userId, (current) => {
+    const twoFactor = current?.twoFactor && redeemSecondFactor(current.twoFactor, code);
+    if (!twoFactor) return current;
+    spent = true;
+    const { twoFactor: _, ...rest } = current;
+    const next = change(twoFactor);
+    return next ? { ...rest, twoFactor: next } : rest;
+  });
+  return spent ? user : null;
+}
+
+// Emails a fresh verification link for the user's current address; returns
+// whether it could be sent
+async function sendVerification(user) {
+  try {
+    const base = siteUrl();
+    const token = await createVerifyToken(user.id, user.email, VERIFY_TOKEN_MS);
+    await sendTemplate(user.email, 'verify-email', {
+      name: user.displayName,
+      email: user.email,
+      link: `${base}${VERIFY_PATH}?token=${encodeURIComponent(token)}`,
+      expiresIn: '24 hours',
+    });
+    return true;
+  } catch (error) {
+    console.error('[Auth] Failed to send verification email:', error.message);
+    return false;
+  }
+}
+
+// "Chrome on macOS" from a user agent, good enough to tell sessions apart
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const browser = [
+    [/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari'], [/curl\//, 'curl'], [/okhttp|Dalvik/, 'Android app'],
+  ].find(([pattern]) => pattern.test(userAgent))?.[1];
+  const os = [
+    [/iPhone|iPad|iPod/, 'iOS'], [/Android/, 'Android'], [/Mac OS X|Macintosh/, 'macOS'],
+    [/Windows/, 'Windows'], [/CrOS/, 'ChromeOS'], [/Linux/, 'Linux'],
+  ].find(([pattern]) => pattern.test(userAgent))?.[1];
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || userAgent.slice(0, 60);
+}
+
+const publicSession = (session, currentId) => ({
+  id: sessionHandle(session.id),
+  device: describeDevice(session.userAgent),
+  userAgent: session.userAgent || null,
+  ip: session.ip || null,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt || session.createdAt,
+  expiresAt: session.expiresAt,
+  current: session.id === currentId,
+});
+
+const expiredSessionCookie = () => cookie.serialize('session_id', '', {
+  httpOnly: true,
+  path: '/',
+  maxAge: -1,
+  secure: true,
+});
+
+// The scheduled cleanup-auth function does the real sweeping; this just
+// keeps a busy instance tidy between runs.
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+let lastCleanup = 0;
 
 // Helper to build CORS headers
 const getCorsHeaders = (origin) => ({
@@ -23,6 +154,11 @@ export const handler = async (event, context) => {
   const origin = event.headers.origin || event.headers.Origin || '*';
   const headers = getCorsHeaders(origin);
 
+  if (Date.now() - lastCleanup > CLEANUP_INTERVAL_MS) {
+    lastCleanup = Date.now();
+    cleanupExpired().catch(err => console.error('[Auth] Cleanup failed', err));
+  }
+
   // Handle preflight requests
   if (event.httpMethod === 'OPTIONS') {
     return { statusCode: 204, headers, body: '' };
@@ -39,40 +175,62 @@ export const handler = async (event, context) => {
     console.error('Failed to parse body', e);
   }
 
-  // Helper to get session from cookie OR Authorization header (for mobile)
-  const getSession = () => {
-    // Try Authorization header first (for mobile apps)
-    const authHeader = event.headers.authorization || event.headers.Authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.substring(7);
-      const session = sessions.get(token);
-      if (session && session.expiresAt > new Date()) {
-        return session;
-      }
-    }
-
-    // Fall back to cookies (for web)
-    const cookies = cookie.parse(event.headers.cookie || '');
-    const sessionId = cookies.session_id;
-    if (!sessionId) return null;
-    const session = sessions.get(sessionId);
-    if (!session || session.expiresAt < new Date()) return null;
-    return session;
+  // Helper to get session from cookie OR Authorization header (for mobile),
+  // looked up once per request. Access tokens can read /me but never manage
+  // the account.
+  let sessionLookup = null;
+  const getSession = () => (sessionLookup ||= getSessionFromEvent(event)
+    .then(session => (isTokenSession(session) && action !== 'me' ? null : session)));
+
+  // Logged-in user for the account endpoints, or null
+  const getUser = async () => {
+    const session = await getSession();
+    return session ? findUserById(session.userId) : null;
   };
 
-  // Helper to create session and return appropriate auth mechanism
-  const createSessionResponse = (user, headers) => {
-    const sessionId = randomUUID();
-    const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
-    sessions.set(sessionId, { userId: user.id, expiresAt });
+  const errorResponse = (statusCode, message) => ({ statusCode, headers, body: JSON.stringify({ error: message }) });
+
+  // 400 with messages per form field, e.g. { password: ['Use at least 10 characters'] },
+  // so the form can show each one under its input
+  const invalidFields = (fields) => ({
+    statusCode: 400,
+    headers,
+    body: JSON.stringify({ error: Object.values(fields).flat()[0], fields }),
+  });
 
-    const { password: _, ...safeUser } = user;
+  const tooManyAttempts = ({ retryAfterMs, locked }) => {
+    const seconds = Math.ceil(retryAfterMs / 1000);
+    const minutes = Math.ceil(seconds / 60);
+    const wait = seconds < 60 ? `${seconds} second${seconds === 1 ? '' : 's'}` : `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    return {
+      statusCode: 429,
+      headers: { ...headers, 'Retry-After': String(seconds) },
+      body: JSON.stringify({
+        error: locked ? `Too many failed attempts. Try again in ${wait}.` : `Too many attempts. Wait ${wait} and try again.`,
+        retryAfter: seconds,
+      }),
+    };
+  };
+
+  // Runs `attempt` unless `keys` are throttled; counts it as a failure when
+  // it returns `failed: true`
+  const throttled = async (keys, attempt) => {
+    const wait = await checkThrottle(keys);
+    if (wait) return tooManyAttempts(wait);
+    const { failed, response } = await attempt();
+    if (failed) await recordFailure(keys);
+    return response;
+  };
+
+  // Helper to create session and return appropriate auth mechanism
+  const createSessionResponse = async (user, headers) => {
+    const { id: sessionId } = await createSession(user.id, SESSION_MS, event);
 
     // Set cookie for web browsers
     const cookieHeader = cookie.serialize('session_id', sessionId, {
       httpOnly: true,
       path: '/',
-      maxAge: 30 * 24 * 60 * 60,
+      maxAge: SESSION_MS / 1000,
       sameSite: 'lax',
       secure: true, // Required for HTTPS on Netlify
     });
@@ -81,7 +239,7 @@ export const handler = async (event, context) => {
       statusCode: 200,
       headers: { ...headers, 'Set-Cookie': cookieHeader },
       body: JSON.stringify({ 
-        user: safeUser,
+        user: publicUser(user),
         token: sessionId, // Also return token for mobile apps
       }),
     };
@@ -92,15 +250,26 @@ export const handler = async (event, context) => {
 
     // POST /signup
     if (action === 'signup' && event.httpMethod === 'POST') {
-      const { email, password, displayName } = body;
+      const { password, displayName } = body;
+      const email = normalizeEmail(body.email);
       if (!email || !password) {
         return { statusCode: 400, headers, body: JSON.stringify({ error: 'Email and password required' }) };
       }
-
-      if (users.find(u => u.email === email)) {
-        return { statusCode: 400, headers, body: JSON.stringify({ error: 'Email already exists' }) };
+      if (!isValidEmail(email)) {
+        return invalidFields({ email: ['Enter a valid email address'] });
+      }
+      const passwordProblems = checkPassword(password, { email });
+      if (passwordProblems.length > 0) {
+        return invalidFields({ password: passwordProblems });
       }
 
+      // Probing for registered emails counts against the IP
+      const existing = await throttled([ipKey(event)], async () => {
+        if (!await findUserByEmail(email)) return { failed: false };
+        return { failed: true, response: invalidFields({ email: ['Email already exists'] }) };
+      });
+      if (existing) return existing;
+
       const hashedPassword = await bcrypt.hash(password, 10);
       const user = {
         id: randomUUID(),
@@ -108,26 +277,59 @@ export const handler = async (event, context) => {
         password: hashedPassword,
         displayName: displayName || email.split('@')[0],
         username: email,
+        emailVerified: false,
         createdAt: new Date().toISOString(),
       };
-      users.push(user);
+      await saveUser(user);
+      await sendVerification(user);
 
-      return createSessionResponse(user, headers);
+      return await createSessionResponse(user, headers);
     }
 
     // POST /login
     if (action === 'login' && event.httpMethod === 'POST') {
-      const { email, password } = body;
+      const { password } = body;
+      const email = normalizeEmail(body.email);
       if (!email || !password) {
         return { statusCode: 400, headers, body: JSON.stringify({ error: 'Email and password required' }) };
       }
 
-      const user = users.find(u => u.email === email);
-      if (!user || !(await bcrypt.compare(password, user.password))) {
-        return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid credentials' }) };
+      return throttled([ipKey(event), accountKey(email)], async () => {
+        const user = await findUserByEmail(email);
+        if (!user || !(await bcrypt.compare(password, user.password))) {
+          return { failed: true, response: { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid credentials' }) } };
+        }
+
+        // Password checks out, but the session waits for the second step
+        if (user.twoFactor) {
+          const challenge = await createLoginChallenge(user.id, LOGIN_CHALLENGE_MS);
+          return { failed: false, response: { statusCode: 200, headers, body: JSON.stringify({ twoFactorRequired: true, challenge }) } };
+        }
+
+        await clearFailures([accountKey(email)]);
+        return { failed: false, response: await createSessionResponse(user, headers) };
+      });
+    }
+
+    // POST /login-2fa - second login step: the challenge from /login plus a
+    // TOTP or recovery code
+    if (action === 'login-2fa' && event.httpMethod === 'POST') {
+      const pending = await findLoginChallenge(body.challenge);
+      const user = pending && await findUserById(pending.userId);
+      if (!user?.twoFactor) {
+        return errorResponse(400, 'Sign-in expired. Please enter your password again.');
       }
 
-      return createSessionResponse(user, headers);
+      return throttled([ipKey(event), accountKey(user.email)], async () => {
+        const signedIn = await spendSecondFactor(user.id, body.code);
+        if (!signedIn) {
+          return { failed: true, response: invalidFields({ code: ['Invalid code'] }) };
+        }
+
+        await deleteLoginChallenge(pending.token);
+        await clearFailures([accountKey(user.email)]);
+        return { failed: false, response: await createSessionResponse(signedIn, headers) };
+      });
     }
 
     // POST /logout
@@ -135,53 +337,96 @@ export const handler = async (event, context) => {
       // Clear session from both cookie and header
       const authHeader = event.headers.authorization || event.headers.Authorization;
       if (authHeader && authHeader.startsWith('Bearer ')) {
-        sessions.delete(authHeader.substring(7));
+        await deleteSession(authHeader.substring(7));
       }
       const cookies = cookie.parse(event.headers.cookie || '');
       if (cookies.session_id) {
-        sessions.delete(cookies.session_id);
+        await deleteSession(cookies.session_id);
       }
 
-      const cookieHeader = cookie.serialize('session_id', '', {
-        httpOnly: true,
-        path: '/',
-        maxAge: -1,
-        secure: true,
-      });
-
       return {
         statusCode: 200,
-        headers: { ...headers, 'Set-Cookie': cookieHeader },
+        headers: { ...headers, 'Set-Cookie': expiredSessionCookie() },
         body: JSON.stringify({ success: true }),
       };
     }
 
     // GET /me
     if (action === 'me' && event.httpMethod === 'GET') {
-      const session = getSession();
+      const session = await getSession();
       if (!session) {
         return { statusCode: 401, headers, body: JSON.stringify({ error: 'Unauthorized' }) };
       }
 
-      const user = users.find(u => u.id === session.userId);
+      const user = await findUserById(session.userId);
       if (!user) {
         return { statusCode: 401, headers, body: JSON.stringify({ error: 'User not found' }) };
       }
 
-      const { password: _, ...safeUser } = user;
-      return { statusCode: 200, headers, body: JSON.stringify({ user: safeUser }) };
+      return { statusCode: 200, headers, body: JSON.stringify({ user: publicUser(user) }) };
+    }
+
+    // GET /sessions - where the user is signed in
+    if (action === 'sessions' && event.httpMethod === 'GET') {
+      const session = await getSession();
+      if (!session) return errorResponse(401, 'Unauthorized');
+
+      const sessions = (await listUserSessions(session.userId)).map(s => publicSession(s, session.id));
+      return { statusCode: 200, headers, body: JSON.stringify({ sessions }) };
+    }
+
+    // POST /revoke-session - signs one session out, by the id from /sessions
+    if (action === 'revoke-session' && event.httpMethod === 'POST') {
+      const session = await getSession();
+      if (!session) return errorResponse(401, 'Unauthorized');
+
+      const revoked = body.id ? await revokeSessionByHandle(session.userId, body.id) : null;
+      if (!revoked) return errorResponse(404, 'Session not found');
+
+      const current = revoked.id === session.id;
+      return {
+        statusCode: 200,
+        headers: current ? { ...headers, 'Set-Cookie': expiredSessionCookie() } : headers,
+        body: JSON.stringify({ success: true, current }),
+      };
+    }
+
+    // POST /logout-everywhere - every session of the user, this one included
+    if (action === 'logout-everywhere' && event.httpMethod === 'POST') {
+      const session = await getSession();
+      if (!session) return errorResponse(401, 'Unauthorized');
+
+      const count = await deleteUserSessions(session.userId);
+      return {
+        statusCode: 200,
+        headers: { ...headers, 'Set-Cookie': expiredSessionCookie() },
+        body: JSON.stringify({ success: true, revoked: count }),
+      };
     }
 
     // POST /request-password-reset
     if (action === 'request-password-reset' && event.httpMethod === 'POST') {
-      const { email } = body;
-      const user = users.find(u => u.email === email);
+      const email = normalizeEmail(body.email);
+      // Every request counts, so nobody can flood an inbox with reset emails
+      const wait = await checkThrottle([ipKey(event), resetKey(email)]);
+      if (wait) return tooManyAttempts(wait);
+      await recordFailure([ipKey(event), resetKey(email)]);
+
+      const user = await findUserByEmail(email);
 
       if (user) {
-        const token = randomUUID();
-        resetTokens.set(token, { userId: user.id, expiresAt: new Date(Date.now() + 3600000) });
-        console.log(`[Auth] Reset token for ${email}: ${token}`);
-        // TODO: Send email with reset link
+        try {
+          const base = siteUrl();
+          const token = await createResetToken(user.id, RESET_TOKEN_MS);
+          await sendTemplate(user.email, 'password-reset', {
+            name: user.displayName,
+            link: `${base}${RESET_PATH}?token=${encodeURIComponent(token)}`,
+            expiresIn: '1 hour',
+          });
+        } catch (error) {
+          // Same response either way, so a mail outage doesn't reveal which emails exist
+          console.error('[Auth] Failed to send reset email:', error.message);
+        }
       }
 
       // Always return success to prevent email enumeration
@@ -195,18 +440,237 @@ export const handler = async (event, context) => {
         return { statusCode: 400, headers, body: JSON.stringify({ error: 'Token and password required' }) };
       }
 
-      const resetData = resetTokens.get(token);
-      if (!resetData || resetData.expiresAt < new Date()) {
-        return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid or expired token' }) };
+      return throttled([ipKey(event)], async () => {
+        // Check the new password before using up the token
+        const pending = await findResetToken(token);
+        if (!pending) {
+          return { failed: true, response: errorResponse(400, 'Invalid or expired token') };
+        }
+        const user = await findUserById(pending.userId);
+        const passwordProblems = checkPassword(password, { email: user?.email });
+        if (passwordProblems.length > 0) {
+          return { failed: false, response: invalidFields({ password: passwordProblems }) };
+        }
+
+        if (!await consumeResetToken(token)) {
+          return { failed: true, response: errorResponse(400, 'Invalid or expired token') };
+        }
+        if (user) {
+          user.password = await bcrypt.hash(password, 10);
+          await saveUser(user);
+          await clearFailures([accountKey(user.email)]);
+          // Whoever knew the old password is signed out everywhere
+          await deleteUserSessions(user.id);
+        }
+
+        return { failed: false, response: { statusCode: 200, headers, body: JSON.stringify({ success: true }) } };
+      });
+    }
+
+    // POST /verify-email - opened from the emailed link, so no session needed
+    if (action === 'verify-email' && event.httpMethod === 'POST') {
+      return throttled([ipKey(event)], async () => {
+        const record = body.token ? await consumeVerifyToken(body.token) : null;
+        const user = record && await findUserById(record.userId);
+        // A link sent to an address the account has since moved away from
+        if (!user || user.email !== record.email) {
+          return { failed: true, response: errorResponse(400, 'Invalid or expired verification link') };
+        }
+
+        user.emailVerified = true;
+        await saveUser(user);
+        return { failed: false, response: { statusCode: 200, headers, body: JSON.stringify({ success: true, email: user.email }) } };
+      });
+    }
+
+    // POST /resend-verification
+    if (action === 'resend-verification' && event.httpMethod === 'POST') {
+      const user = await getUser();
+      if (!user) return errorResponse(401, 'Unauthorized');
+      if (user.emailVerified) return errorResponse(400, 'Email is already verified');
+
+      if (!await sendVerification(user)) {
+        return errorResponse(502, 'Could not send the verification email');
       }
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true }) };
+    }
 
-      const user = users.find(u => u.id === resetData.userId);
-      if (user) {
-        user.password = await bcrypt.hash(password, 10);
-        resetTokens.delete(token);
+    // POST /update-profile - display name and/or email; a new email has to
+    // be verified again
+    if (action === 'update-profile' && event.httpMethod === 'POST') {
+      const user = await getUser();
+      if (!user) return errorResponse(401, 'Unauthorized');
+
+      if (body.displayName !== undefined) {
+        const displayName = String(body.displayName).trim();
+        if (!displayName) return errorResponse(400, 'Display name cannot be empty');
+        user.displayName = displayName;
       }
 
-      return { statusCode: 200, headers, body: JSON.stringify({ success: true }) };
+      const email = normalizeEmail(body.email);
+      const emailChanged = !!email && email !== user.email;
+      if (emailChanged) {
+        if (!isValidEmail(email)) return invalidFields({ email: ['Enter a valid email address'] });
+        const existing = await findUserByEmail(email);
+        if (existing && existing.id !== user.id) return invalidFields({ email: ['Email already exists'] });
+        user.email = email;
+        user.username = email;
+        user.emailVerified = false;
+      }
+
+      await saveUser(user);
+      await updateMemberProfiles(user);
+      if (emailChanged) await sendVerification(user);
+
+      return { statusCode: 200, headers, body: JSON.stringify({ user: publicUser(user) }) };
+    }
+
+    // POST /change-password
+    if (action === 'change-password' && event.httpMethod === 'POST') {
+      const user = await getUser();
+      if (!user) return errorResponse(401, 'Unauthorized');
+
+      const { currentPassword, newPassword } = body;
+      if (!currentPassword || !newPassword) {
+        return errorResponse(400, 'Current and new password required');
+      }
+      const passwordProblems = checkPassword(newPassword, { email: user.email });
+      if (passwordProblems.length > 0) {
+        return invalidFields({ newPassword: passwordProblems });
+      }
+
+      return throttled([ipKey(event), accountKey(user.email)], async () => {
+        if (!(await bcrypt.compare(currentPassword, user.password))) {
+          return { failed: true, response: invalidFields({ currentPassword: ['Current password is incorrect'] }) };
+        }
+
+        user.password = await bcrypt.hash(newPassword, 10);
+        await saveUser(user);
+        // Keep this device signed in, sign out the rest
+        const { id: currentId } = await getSession();
+        await deleteUserSessions(user.id, { exceptId: currentId });
+        return { failed: false, response: { statusCode: 200, headers, body: JSON.stringify({ success: true }) } };
+      });
+    }
+
+    // POST /2fa-setup - starts enrollment with a new secret; nothing changes
+    // until /2fa-enable confirms a code from it
+    if (action === '2fa-setup' && event.httpMethod === 'POST') {
+      const user = await getUser();
+      if (!user) return errorResponse(401, 'Unauthorized');
+      if (user.twoFactor) return errorResponse(400, 'Two-factor authentication is already on');
+
+      const secret = generateSecret();
+      user.twoFactorPending = { secret, createdAt: new Date().toISOString() };
+      await saveUser(user);
+
+      const uri = otpauthUri(secret, user.email, TOTP_ISSUER());
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ secret, otpauthUri: uri, qrCode: await QRCode.toDataURL(uri) }),
+      };
+    }
+
+    // POST /2fa-enable - turns 2FA on once a code from the new secret checks
+    // out, and hands out recovery codes (shown this once only)
+    if (action === '2fa-enable' && event.httpMethod === 'POST') {
+      const user = await getUser();
+      if (!user) return errorResponse(401, 'Unauthorized');
+      if (!user.twoFactorPending) return errorResponse(400, 'Start two-factor setup first');
+
+      return throttled([ipKey(event), accountKey(user.email)], async () => {
+        const counter = verifyTotp(user.twoFactorPending.secret, body.code);
+        if (counter === null) {
+          return { failed: true, response: invalidFields({ code: ['Invalid code'] }) };
+        }
+
+        const recovery = generateRecoveryCodes();
+        user.twoFactor = {
+          secret: user.twoFactorPending.secret,
+          lastCounter: counter,
+          recoveryCodes: recovery.hashes,
+          enabledAt: new Date().toISOString(),
+        };
+        delete user.twoFactorPending;
+        await saveUser(user);
+        return { failed: false, response: { statusCode: 200, headers, body: JSON.stringify({ user: publicUser(user), recoveryCodes: recovery.codes }) } };
+      });
+    }
+
+    // POST /2fa-disable - needs the password and a current code
+    if (action === '2fa-disable' && event.httpMethod === 'POST') {
+      const user = await getUser();
+      if (!user) return errorResponse(401, 'Unauthorized');
+      if (!user.twoFactor) return errorResponse(400, 'Two-factor authentication is off');
+
+      return throttled([ipKey(event), accountKey(user.email)], async () => {
+        if (!body.password || !(await bcrypt.compare(body.password, user.password))) {
+          return { failed: true, response: invalidFields({ password: ['Password is incorrect'] }) };
+        }
+        const updated = await spendSecondFactor(user.id, body.code, () => null);
+        if (!updated) {
+          return { failed: true, response: invalidFields({ code: ['Invalid code'] }) };
+        }
+        return { failed: false, response: { statusCode: 200, headers, body: JSON.stringify({ user: publicUser(updated) }) } };
+      });
+    }
+
+    // POST /2fa-recovery-codes - replaces all recovery codes, given a current code
+    if (action === '2fa-recovery-codes' && event.httpMethod === 'POST') {
+      const user = await getUser();
+      if (!user) return errorResponse(401, 'Unauthorized');
+      if (!user.twoFactor) return errorResponse(400, 'Two-factor authentication is off');
+
+      return throttled([ipKey(event), accountKey(user.email)], async () => {
+        const recovery = generateRecoveryCodes();
+        const updated = await spendSecondFactor(user.id, body.code, (twoFactor) => ({ ...twoFactor, recoveryCodes: recovery.hashes }));
+        if (!updated) {
+          return { failed: true, response: invalidFields({ code: ['Invalid code'] }) };
+        }
+        return { failed: false, response: { statusCode: 200, headers, body: JSON.stringify({ user: publicUser(updated), recoveryCodes: recovery.codes }) } };
+      });
+    }
+
+    // POST /delete-account - removes the user, their sessions, their personal
+    // workspace's keys, providers and reported usage, and any team workspace they were the
+    // last member of
+    if (action === 'delete-account' && event.httpMethod === 'POST') {
+      const user = await getUser();
+      if (!user) return errorResponse(401, 'Unauthorized');
+
+      const wrongPassword = await throttled([ipKey(event), accountKey(user.email)], async () => {
+        if (body.password && await bcrypt.compare(body.password, user.password)) return { failed: false };
+        return { failed: true, response: invalidFields({ password: ['Password is incorrect'] }) };
+      });
+      if (wrongPassword) return wrongPassword;
+
+      const blocking = await soleOwnedWorkspaces(user.id);
+      if (blocking.length > 0) {
+        const names = blocking.map(w => w.name).join(', ');
+        return errorResponse(409, `Make another member an owner of ${names} (or remove everyone else) first`);
+      }
+
+      const emptied = await leaveAllWorkspaces(user.id);
+      let deletedKeys = 0;
+      for (const workspaceId of [user.id, ...emptied]) {
+        deletedKeys += await deleteAllKeys(workspaceId);
+        await deleteProviderConfig(workspaceId);
+        await deleteIngestedUsage(workspaceId);
+        await deleteHistory(workspaceId);
+        await deleteMetering(workspaceId);
+        await deleteAlertRules(workspaceId);
+      }
+      await deleteUserSessions(user.id);
+      await deleteUserAccessTokens(user.id);
+      await deleteUser(user.id);
+      console.log(`[Auth] Deleted account ${user.id} with ${deletedKeys} stored keys`);
+
+      return {
+        statusCode: 200,
+        headers: { ...headers, 'Set-Cookie': expiredSessionCookie() },
+        body: JSON.stringify({ success: true }),
+      };
     }
 
     return { statusCode: 404, headers, body: JSON.stringify({ error: `Not found: ${action}` }) };
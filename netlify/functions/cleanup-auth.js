@@ -0,0 +1,17 @@
+// Scheduled function (see netlify.toml) that deletes expired sessions,
+// password reset and email verification tokens, 2FA login challenges,
+// workspace invitations and stale failed-login counters from storage.
+
+import { cleanupExpired } from '../lib/authStore.js';
+import { cleanupExpiredInvites } from '../lib/workspaces.js';
+import { cleanupStaleAttempts } from '../lib/loginThrottle.js';
+
+export const handler = async () => {
+  const removed = {
+    ...await cleanupExpired(),
+    invites: await cleanupExpiredInvites(),
+    loginAttempts: await cleanupStaleAttempts(),
+  };
+  console.log(`[Auth] Cleanup removed ${removed.sessions} sessions, ${removed.resetTokens} reset tokens, ${removed.verifyTokens} verification tokens, ${removed.loginChallenges} login challenges, ${removed.invites} invitations and ${removed.loginAttempts} login attempt records`);
+  return { statusCode: 200, body: JSON.stringify(removed) };
+};
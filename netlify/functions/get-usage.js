@@ -1,41 +1,113 @@
-const fetch = require('node-fetch');
-
-exports.handler = async function(event, context) {
-  const providers = [
-    { id: 'openai', key: process.env.OPENAI_API_KEY, url: 'https://api.openai.com/v1/usage' }, // Example endpoint
-    { id: 'anthropic', key: process.env.ANTHROPIC_API_KEY },
-    { id: 'perplexity', key: process.env.PERPLEXITY_API_KEY },
-    { id: 'gemini', key: process.env.GEMINI_API_KEY },
-    { id: 'huggingface', key: process.env.VITE_HUGGINGFACE_API_KEY || process.env.HUGGINGFACE_API_KEY },
-  ];
-
-  const usageData = {};
-
-  // Mocking the fetch logic because real usage endpoints vary wildly or don't exist in this simple form
-  // In a real implementation, you would have specific logic for each provider
-  
-  for (const provider of providers) {
-    if (provider.key) {
-      // Simulate fetching data
-      // const response = await fetch(provider.url, { headers: { Authorization: `Bearer ${provider.key}` } });
-      // const data = await response.json();
-      
-      // For now, return a mock value to prove we accessed the key
-      usageData[provider.id] = Math.floor(Math.random() * 1000); 
-      console.log(`Fetched usage for ${provider.id}`);
-    } else {
-      usageData[provider.id] = 0;
-      console.log(`No key found for ${provider.id}`);
+// Netlify function that collects current-period usage.
+//
+// GET  -> every provider with a key in the environment, as of the scheduled
+//         job's last run (see lib/usageJob.js) - nothing is collected with
+//         the environment keys here, so page views can't run up the
+//         providers' rate limits or the history. For logged-in users and
+//         read-usage access tokens, every key their workspace (X-Workspace-Id
+//         header, default personal) keeps in the vault is collected live, each
+//         for the reset window set on its card in their synced provider
+//         settings. A card's named keys report under `${cardId}:${keyId}` (see
+//         src/lib/providerKeys.js), and cards with a custom collector are
+//         collected through it. Cards nothing could be collected for fall back
+//         to usage the workspace's services reported (see lib/ingestion.js).
+//         Those figures are recorded into the workspace's history and checked
+//         against its alert rules.
+// POST { keys: [{ providerId, provider, apiKey, period?, collector? }] } -> usage for keys the
+//         browser keeps locally. Like test-api-key, this proxies the calls so
+//         the browser doesn't hit CORS; keys are used once and not stored.
+//         Keys with a collector need a login session.
+//         For workspace editors, results for the workspace's cards are
+//         recorded and checked against its alert rules too.
+
+import { collectKeyUsage, collectWorkspaceUsage, recordWorkspaceUsage, formatUsage } from '../lib/usage.js';
+import { getLatestUsage } from '../lib/usageJob.js';
+import { getSession } from '../lib/authStore.js';
+import { missingScope } from '../lib/accessTokens.js';
+import { getProviderConfig } from '../lib/providerConfigs.js';
+import { resolveWorkspace, hasRole } from '../lib/workspaces.js';
+import { providerKeys, usageIdFor } from '../../src/lib/providerKeys.js';
+import { validateCollector } from '../../src/lib/collectors.js';
+
+const MAX_KEYS_PER_REQUEST = 25;
+
+const toResponse = (results, collectedAt, headers) => ({
+  statusCode: 200,
+  headers,
+  body: JSON.stringify(formatUsage(results, collectedAt)),
+});
+
+export const handler = async (event) => {
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'POST') {
+    let body;
+    try {
+      body = JSON.parse(event.body);
+    } catch (e) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid JSON' }) };
+    }
+
+    const keys = Array.isArray(body?.keys) ? body.keys.filter(k => k && k.providerId && k.apiKey) : [];
+    if (keys.length === 0 || keys.length > MAX_KEYS_PER_REQUEST) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `Between 1 and ${MAX_KEYS_PER_REQUEST} keys with providerId and apiKey required` }),
+      };
     }
+
+    // Collectors call arbitrary endpoints, so only signed-in users may run them
+    const session = await getSession(event);
+    if (keys.some(k => k.collector)) {
+      if (!session) return { statusCode: 401, headers, body: JSON.stringify({ error: 'Login required to run a collector' }) };
+      const scopeError = missingScope(session, 'read-usage');
+      if (scopeError) return { statusCode: 403, headers, body: JSON.stringify({ error: scopeError }) };
+      const problem = keys.map(k => k.collector && validateCollector(k.collector)).find(Boolean);
+      if (problem) return { statusCode: 400, headers, body: JSON.stringify({ error: problem }) };
+    }
+
+    const collectedAt = new Date();
+    const results = await collectKeyUsage(keys);
+    const workspace = session && !missingScope(session, 'write-usage') && await resolveWorkspace(event, session);
+    if (workspace && hasRole(workspace.role, 'editor')) {
+      try {
+        const { providers } = await getProviderConfig(workspace.id);
+        const usageIds = new Set(providers.flatMap(p => providerKeys(p).map(key => usageIdFor(p, key))));
+        await recordWorkspaceUsage(
+          workspace.id,
+          providers,
+          Object.fromEntries(Object.entries(results).filter(([id]) => usageIds.has(id))),
+          collectedAt
+        );
+      } catch (error) {
+        console.error('Failed to record usage for local keys:', error.message);
+      }
+    }
+    return toResponse(results, collectedAt, headers);
+  }
+
+  const session = await getSession(event);
+  const scopeError = missingScope(session, 'read-usage');
+  if (scopeError) {
+    return { statusCode: 403, headers, body: JSON.stringify({ error: scopeError }) };
   }
 
-  usageData.last_updated = new Date().toISOString();
+  const latest = await getLatestUsage();
+  const results = { ...(latest?.results || {}) };
+  let collectedAt = latest?.collectedAt || null;
 
-  return {
-    statusCode: 200,
-    body: JSON.stringify(usageData),
-    headers: {
-      'Content-Type': 'application/json'
+  const workspace = session && await resolveWorkspace(event, session);
+  if (workspace) {
+    collectedAt = new Date();
+    try {
+      Object.assign(results, await collectWorkspaceUsage(workspace.id, collectedAt, latest?.results));
+    } catch (error) {
+      console.error('Failed to collect usage for stored keys:', error.message);
     }
-  };
+  }
+
+  return toResponse(results, collectedAt, headers);
 };
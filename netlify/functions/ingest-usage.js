@@ -0,0 +1,75 @@
+// Netlify function your own services push usage to (see lib/ingestion.js).
+// Requires a login session or an access token with the write-usage scope,
+// and editor rights in the workspace from the X-Workspace-Id header
+// (default: personal).
+//
+// POST /api/usage/events { events: [event] } (or a single event object)
+//   event: { provider, id?, count?, inputTokens?, outputTokens?, cachedTokens?,
+//            tokens?, cost?, currency?, model?, timestamp? }
+//   -> { accepted, duplicates, rejected: [{ index, error }] }
+//
+// Invalid events are rejected one by one and the rest are still counted;
+// the request only fails when none of its events are valid.
+
+import { getSession } from '../lib/authStore.js';
+import { missingScope } from '../lib/accessTokens.js';
+import { resolveWorkspace, hasRole } from '../lib/workspaces.js';
+import { MAX_EVENTS_PER_REQUEST, normalizeEvent, ingestEvents } from '../lib/ingestion.js';
+
+const getCorsHeaders = (origin) => ({
+  'Access-Control-Allow-Origin': origin || '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Workspace-Id',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Credentials': 'true',
+  'Content-Type': 'application/json',
+});
+
+export const handler = async (event) => {
+  const origin = event.headers.origin || event.headers.Origin || '*';
+  const headers = getCorsHeaders(origin);
+  const respond = (statusCode, data) => ({ statusCode, headers, body: JSON.stringify(data) });
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers, body: '' };
+  }
+  if (event.httpMethod !== 'POST') return respond(405, { error: 'Method not allowed' });
+
+  const session = await getSession(event);
+  if (!session) return respond(401, { error: 'Unauthorized' });
+  const scopeError = missingScope(session, 'write-usage');
+  if (scopeError) return respond(403, { error: scopeError });
+
+  const workspace = await resolveWorkspace(event, session);
+  if (!workspace) return respond(403, { error: 'Not a member of this workspace' });
+  if (!hasRole(workspace.role, 'editor')) return respond(403, { error: 'Viewers cannot report usage' });
+
+  let body;
+  try {
+    body = JSON.parse(event.body);
+  } catch (e) {
+    return respond(400, { error: 'Invalid JSON' });
+  }
+
+  const events = Array.isArray(body?.events) ? body.events : (body && !Array.isArray(body) ? [body] : []);
+  if (events.length === 0 || events.length > MAX_EVENTS_PER_REQUEST) {
+    return respond(400, { error: `Between 1 and ${MAX_EVENTS_PER_REQUEST} events required` });
+  }
+
+  const now = new Date();
+  const valid = [];
+  const rejected = [];
+  events.forEach((raw, index) => {
+    const normalized = normalizeEvent(raw, now);
+    if (normalized.error) rejected.push({ index, error: normalized.error });
+    else valid.push(normalized);
+  });
+  if (valid.length === 0) return respond(400, { error: rejected[0].error, accepted: 0, duplicates: 0, rejected });
+
+  try {
+    const { accepted, duplicates } = await ingestEvents(workspace.id, valid, now);
+    return respond(200, { accepted, duplicates, rejected });
+  } catch (error) {
+    console.error('Usage ingestion error:', error);
+    return respond(500, { error: 'Server error' });
+  }
+};
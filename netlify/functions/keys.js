@@ -0,0 +1,117 @@
+// Netlify function for a workspace's API key vault. Requires a login session
+// or an access token (read-usage to list, manage-providers to change keys);
+// the workspace comes from the X-Workspace-Id header (default: personal).
+// Any member can list the masked keys; only owners can change them.
+//
+// GET    /api/keys              -> { keys: [masked entries] }
+// POST   /api/keys              { providerId, provider, label, apiKey } -> { key }
+//        (all strings, trimmed; label is cut to 100 characters)
+// POST   /api/keys/:id/rotate   { apiKey } -> { key }
+// DELETE /api/keys/:id          -> { success }
+
+import { getSession } from '../lib/authStore.js';
+import { missingScope } from '../lib/accessTokens.js';
+import { listKeys, saveKey, rotateKey, deleteKey } from '../lib/vault.js';
+import { resolveWorkspace, hasRole } from '../lib/workspaces.js';
+
+const getCorsHeaders = (origin) => ({
+  'Access-Control-Allow-Origin': origin || '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Workspace-Id',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Credentials': 'true',
+  'Content-Type': 'application/json',
+});
+
+const MAX_LABEL_LENGTH = 100;
+
+// Trimmed text, or null when the value isn't a string with something in it
+const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+const optionalText = (value) => value === undefined || value === null || typeof value === 'string';
+
+export const handler = async (event) => {
+  const origin = event.headers.origin || event.headers.Origin || '*';
+  const headers = getCorsHeaders(origin);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers, body: '' };
+  }
+
+  const session = await getSession(event);
+  if (!session) {
+    return { statusCode: 401, headers, body: JSON.stringify({ error: 'Unauthorized' }) };
+  }
+
+  const scopeError = missingScope(session, event.httpMethod === 'GET' ? 'read-usage' : 'manage-providers');
+  if (scopeError) {
+    return { statusCode: 403, headers, body: JSON.stringify({ error: scopeError }) };
+  }
+
+  const workspace = await resolveWorkspace(event, session);
+  if (!workspace) {
+    return { statusCode: 403, headers, body: JSON.stringify({ error: 'Not a member of this workspace' }) };
+  }
+  if (event.httpMethod !== 'GET' && !hasRole(workspace.role, 'owner')) {
+    return { statusCode: 403, headers, body: JSON.stringify({ error: 'Only workspace owners can manage keys' }) };
+  }
+
+  // Everything after ".../keys" in the path: [] | [id] | [id, 'rotate']
+  const segments = event.path.split('/').filter(Boolean);
+  const [keyId, action] = segments.slice(segments.lastIndexOf('keys') + 1);
+
+  let body = {};
+  try {
+    if (event.body) body = JSON.parse(event.body) || {};
+  } catch (e) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid JSON' }) };
+  }
+
+  try {
+    if (!keyId && event.httpMethod === 'GET') {
+      const keys = await listKeys(workspace.id);
+      return { statusCode: 200, headers, body: JSON.stringify({ keys }) };
+    }
+
+    if (!keyId && event.httpMethod === 'POST') {
+      const providerId = text(body.providerId);
+      const apiKey = text(body.apiKey);
+      if (!providerId || !apiKey) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'providerId and apiKey required' }) };
+      }
+      if (!optionalText(body.provider) || !optionalText(body.label)) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'provider and label must be strings' }) };
+      }
+      const label = (body.label || '').trim().slice(0, MAX_LABEL_LENGTH);
+      const provider = text(body.provider) || providerId;
+      const key = await saveKey(workspace.id, { providerId, provider, label, apiKey, userId: session.userId });
+      return { statusCode: 201, headers, body: JSON.stringify({ key }) };
+    }
+
+    if (keyId && action === 'rotate' && event.httpMethod === 'POST') {
+      const apiKey = text(body.apiKey);
+      if (!apiKey) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'apiKey required' }) };
+      }
+      const key = await rotateKey(workspace.id, keyId, apiKey);
+      if (!key) {
+        return { statusCode: 404, headers, body: JSON.stringify({ error: 'Key not found' }) };
+      }
+      return { statusCode: 200, headers, body: JSON.stringify({ key }) };
+    }
+
+    if (keyId && !action && event.httpMethod === 'DELETE') {
+      const deleted = await deleteKey(workspace.id, keyId);
+      if (!deleted) {
+        return { statusCode: 404, headers, body: JSON.stringify({ error: 'Key not found' }) };
+      }
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true }) };
+    }
+
+    return { statusCode: 404, headers, body: JSON.stringify({ error: 'Not found' }) };
+  } catch (error) {
+    if (error.code === 'VAULT_UNCONFIGURED') {
+      return { statusCode: 503, headers, body: JSON.stringify({ error: 'Key vault is not configured on the server' }) };
+    }
+    console.error('Key vault error:', error);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: 'Server error' }) };
+  }
+};
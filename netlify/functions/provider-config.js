@@ -0,0 +1,100 @@
+// Netlify function that stores a workspace's provider list so it follows its
+// members across devices. The workspace comes from the X-Workspace-Id header
+// (default: the caller's personal one); viewers can read but not save, and
+// only owners may point a card's collector somewhere new, since it is sent
+// the card's stored keys. Access tokens need read-usage to read and
+// manage-providers to save.
+//
+// GET /api/providers  -> { providers, version, updatedAt }
+// PUT /api/providers  { providers, baseVersion } -> { providers, version, updatedAt }
+//   409 { error, providers, version, updatedAt } when baseVersion is stale
+
+import { getSession } from '../lib/authStore.js';
+import { missingScope } from '../lib/accessTokens.js';
+import { getProviderConfig, saveProviderConfig } from '../lib/providerConfigs.js';
+import { resolveWorkspace, hasRole } from '../lib/workspaces.js';
+import { changesCollectorTarget } from '../../src/lib/collectors.js';
+
+const getCorsHeaders = (origin) => ({
+  'Access-Control-Allow-Origin': origin || '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Workspace-Id',
+  'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+  'Access-Control-Allow-Credentials': 'true',
+  'Content-Type': 'application/json',
+});
+
+const toBody = ({ providers, version, updatedAt }) => ({ providers, version, updatedAt });
+
+// Whether `next` adds a collector or changes where one sends keys
+const changesCollectors = (current, next) => next.some(provider =>
+  changesCollectorTarget(current.find(p => p.id === provider?.id)?.collector || null, provider?.collector || null));
+
+export const handler = async (event) => {
+  const origin = event.headers.origin || event.headers.Origin || '*';
+  const headers = getCorsHeaders(origin);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers, body: '' };
+  }
+
+  const session = await getSession(event);
+  if (!session) {
+    return { statusCode: 401, headers, body: JSON.stringify({ error: 'Unauthorized' }) };
+  }
+
+  const scopeError = missingScope(session, event.httpMethod === 'GET' ? 'read-usage' : 'manage-providers');
+  if (scopeError) {
+    return { statusCode: 403, headers, body: JSON.stringify({ error: scopeError }) };
+  }
+
+  const workspace = await resolveWorkspace(event, session);
+  if (!workspace) {
+    return { statusCode: 403, headers, body: JSON.stringify({ error: 'Not a member of this workspace' }) };
+  }
+
+  try {
+    if (event.httpMethod === 'GET') {
+      const config = await getProviderConfig(workspace.id);
+      return { statusCode: 200, headers, body: JSON.stringify(toBody(config)) };
+    }
+
+    if (event.httpMethod === 'PUT') {
+      let body;
+      try {
+        body = JSON.parse(event.body);
+      } catch (e) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid JSON' }) };
+      }
+
+      if (!Array.isArray(body.providers) || typeof body.baseVersion !== 'number') {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'providers and baseVersion required' }) };
+      }
+
+      if (!hasRole(workspace.role, 'editor')) {
+        return { statusCode: 403, headers, body: JSON.stringify({ error: 'Viewers cannot change providers' }) };
+      }
+
+      if (!hasRole(workspace.role, 'owner')) {
+        const { providers: saved } = await getProviderConfig(workspace.id);
+        if (changesCollectors(saved, body.providers)) {
+          return { statusCode: 403, headers, body: JSON.stringify({ error: 'Only workspace owners can change where a collector sends keys' }) };
+        }
+      }
+
+      const { conflict, current } = await saveProviderConfig(workspace.id, body.providers, body.baseVersion);
+      if (conflict) {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: 'Provider list was changed on another device', ...toBody(current) }),
+        };
+      }
+      return { statusCode: 200, headers, body: JSON.stringify(toBody(current)) };
+    }
+
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  } catch (error) {
+    console.error('Provider config error:', error);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: 'Server error' }) };
+  }
+};
@@ -0,0 +1,117 @@
+// Netlify function: metering proxy for real LLM traffic.
+//
+// Point an app's base URL at /api/proxy/<provider> instead of the provider's
+// own, e.g. https://<site>/api/proxy/openai/v1/chat/completions. The request
+// is forwarded unchanged (the app's own API key included) and the response is
+// passed back, while the request, its token usage and the provider's
+// rate-limit headers are recorded for the dashboard (see lib/metering.js).
+//
+// Every call needs an `X-Tracker-Token` header: either METERING_PROXY_TOKEN,
+// which meters the call for the environment keys, or an access token with
+// the write-usage scope, which meters it for the token's workspace
+// (X-Workspace-Id header, default personal; editor rights needed). Without
+// METERING_PROXY_TOKEN set, only access tokens are accepted. Netlify buffers
+// function responses, so streamed completions arrive in one piece at the end.
+
+import { getProvider } from '../lib/providers/index.js';
+import { resolveBaseUrl, readRateLimits } from '../lib/providers/http.js';
+import { extractUsage, recordCall, ENV_SCOPE } from '../lib/metering.js';
+import { TOKEN_PREFIX, sessionForAccessToken, missingScope } from '../lib/accessTokens.js';
+import { resolveWorkspace, hasRole } from '../lib/workspaces.js';
+
+// Request headers that describe the hop to us rather than the call itself
+const DROPPED_REQUEST_HEADERS = new Set([
+  'host', 'connection', 'content-length', 'accept-encoding', 'cookie',
+  'origin', 'referer', 'via', 'client-ip', 'x-tracker-token', 'x-workspace-id',
+]);
+const DROPPED_RESPONSE_HEADERS = new Set([
+  'connection', 'content-length', 'content-encoding', 'transfer-encoding', 'set-cookie',
+]);
+
+const isForwardedHeader = (name) =>
+  !DROPPED_REQUEST_HEADERS.has(name) && !name.startsWith('x-forwarded-') && !name.startsWith('x-nf-');
+
+const isTextBody = (contentType) => /json|text|event-stream|xml/.test(contentType);
+
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+// The meter scope a request's X-Tracker-Token allows, or an error response
+async function authorize(headers) {
+  const token = headers['x-tracker-token'];
+  const requiredToken = process.env.METERING_PROXY_TOKEN;
+  if (token && token.startsWith(TOKEN_PREFIX)) {
+    const session = await sessionForAccessToken(token);
+    if (!session) return { error: jsonResponse(401, { error: 'Invalid or expired access token' }) };
+    const scopeError = missingScope(session, 'write-usage');
+    if (scopeError) return { error: jsonResponse(403, { error: scopeError }) };
+    const workspace = await resolveWorkspace({ headers }, session);
+    if (!workspace) return { error: jsonResponse(403, { error: 'Not a member of this workspace' }) };
+    if (!hasRole(workspace.role, 'editor')) return { error: jsonResponse(403, { error: 'Viewers cannot report usage' }) };
+    return { scope: workspace.id };
+  }
+  if (requiredToken && token === requiredToken) return { scope: ENV_SCOPE };
+  return { error: jsonResponse(401, { error: 'Invalid or missing X-Tracker-Token' }) };
+}
+
+const queryString = (event) => {
+  if (event.rawQuery) return `?${event.rawQuery}`;
+  const params = new URLSearchParams(event.queryStringParameters || {}).toString();
+  return params ? `?${params}` : '';
+};
+
+export const handler = async (event) => {
+  const headers = Object.fromEntries(
+    Object.entries(event.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  const { scope, error } = await authorize(headers);
+  if (error) return error;
+
+  // Everything after ".../proxy": [provider, ...path]
+  const segments = event.path.split('/').filter(Boolean);
+  const [providerName, ...pathSegments] = segments.slice(segments.indexOf('proxy') + 1);
+  const adapter = getProvider(providerName);
+  if (!adapter) {
+    return jsonResponse(404, { error: `Unknown provider: ${providerName || '(none)'}` });
+  }
+
+  const url = `${resolveBaseUrl(adapter).replace(/\/$/, '')}/${pathSegments.join('/')}${queryString(event)}`;
+  const hasBody = event.body && !['GET', 'HEAD'].includes(event.httpMethod);
+
+  let res;
+  try {
+    res = await fetch(url, {
+      method: event.httpMethod,
+      headers: Object.fromEntries(Object.entries(headers).filter(([name]) => isForwardedHeader(name))),
+      body: hasBody ? Buffer.from(event.body, event.isBase64Encoded ? 'base64' : 'utf8') : undefined,
+    });
+  } catch (error) {
+    console.error(`Proxy request to ${adapter.id} failed:`, error.message);
+    return jsonResponse(502, { error: `Could not reach ${adapter.name}` });
+  }
+
+  const contentType = res.headers.get('content-type') || '';
+  const buffer = Buffer.from(await res.arrayBuffer());
+  const text = isTextBody(contentType) ? buffer.toString('utf8') : null;
+
+  // Failed calls still count against rate limits, so every call is recorded;
+  // metering problems must never break the app's own request.
+  try {
+    const usage = res.ok && text !== null ? extractUsage(text, contentType) : {};
+    await recordCall(scope, adapter.id, { ...usage, rateLimit: readRateLimits(adapter, res) });
+  } catch (error) {
+    console.error(`Failed to record proxied call for ${adapter.id}:`, error.message);
+  }
+
+  const responseHeaders = {};
+  res.headers.forEach((value, name) => {
+    if (!DROPPED_RESPONSE_HEADERS.has(name)) responseHeaders[name] = value;
+  });
+
+  return text !== null
+    ? { statusCode: res.status, headers: responseHeaders, body: text }
+    : { statusCode: res.status, headers: responseHeaders, body: buffer.toString('base64'), isBase64Encoded: true };
+};
@@ -0,0 +1,10 @@
+// Scheduled function (see netlify.toml) that refreshes usage for every
+// provider with a key in the environment and records the run.
+
+import { runUsageJob } from '../lib/usageJob.js';
+
+export const handler = async () => {
+  const { run } = await runUsageJob('schedule');
+  console.log(`[Usage] Scheduled refresh finished with status ${run.status}`);
+  return { statusCode: 200, body: JSON.stringify(run) };
+};
@@ -1,11 +1,43 @@
 // Netlify function to test API keys and fetch usage/limits
 // This proxies requests to avoid CORS issues in the browser
+//
+// Body: { provider, apiKey } or, for logged-in users (and read-usage access
+// tokens), { provider, keyRef }
+// where keyRef is the id of a key stored in the current workspace's vault. An optional `period`
+// ({ resetPeriod, anchorDay, timeZone }) sets the window usage is reported for.
+//
+// A provider's named keys are tested in one call with
+// { provider, keys: [{ id, apiKey | keyRef }], period } -> { results: { [id]: result } };
+// each key is validated on its own, so one bad key doesn't fail the rest.
+//
+// With `collector` (a card's custom HTTP collector, see src/lib/collectors.js)
+// the key is tested by running it - a dry run whose result also carries
+// `dryRun: { httpStatus, raw, extracted }` so the settings can show what the
+// endpoint sent back and what the paths picked out. Running a collector
+// needs a login session. A draft collector only runs with keys sent as-is:
+// a stored key only ever goes to the collector saved on its card, and only
+// when a workspace owner asks, since the collector decides where it is sent.
+
+import { getProvider } from '../lib/providers/index.js';
+import { testCollector } from '../lib/providers/custom.js';
+import { currentPeriod } from '../lib/providers/result.js';
+import { getSession } from '../lib/authStore.js';
+import { missingScope } from '../lib/accessTokens.js';
+import { resolveKey } from '../lib/vault.js';
+import { resolveWorkspace, hasRole } from '../lib/workspaces.js';
+import { getProviderConfig } from '../lib/providerConfigs.js';
+import { validateCollector } from '../../src/lib/collectors.js';
+import { cardIdOf } from '../../src/lib/providerKeys.js';
+
+const MAX_KEYS_PER_REQUEST = 25;
 
 export const handler = async (event) => {
+  const origin = event.headers?.origin || event.headers?.Origin || '*';
   const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Workspace-Id',
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Credentials': 'true',
     'Content-Type': 'application/json',
   };
 
@@ -24,283 +56,109 @@ export const handler = async (event) => {
     return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid JSON' }) };
   }
 
-  const { provider, apiKey } = body;
-
-  if (!provider || !apiKey) {
-    return { statusCode: 400, headers, body: JSON.stringify({ error: 'Provider and apiKey required' }) };
+  const { provider, period, collector } = body;
+  if (!provider) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: 'Provider required' }) };
   }
 
-  try {
-    const result = await testProvider(provider.toLowerCase(), apiKey);
-    return { statusCode: 200, headers, body: JSON.stringify(result) };
-  } catch (error) {
-    console.error(`Error testing ${provider}:`, error);
-    return { 
-      statusCode: 200, 
-      headers, 
-      body: JSON.stringify({ 
-        valid: false, 
-        error: error.message || 'Failed to validate key'
-      }) 
+  const usesStoredKey = Boolean(body.keyRef || body.keys?.some(k => k?.keyRef));
+  if (collector && usesStoredKey) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'A stored key only runs the collector saved on its card; save it first or enter the key' }),
     };
   }
-};
-
-async function testProvider(provider, apiKey) {
-  switch (provider) {
-    case 'openai':
-      return await testOpenAI(apiKey);
-    case 'anthropic':
-      return await testAnthropic(apiKey);
-    case 'gemini':
-    case 'google':
-      return await testGemini(apiKey);
-    case 'huggingface':
-      return await testHuggingFace(apiKey);
-    case 'perplexity':
-      return await testPerplexity(apiKey);
-    case 'groq':
-      return await testGroq(apiKey);
-    case 'cohere':
-      return await testCohere(apiKey);
-    default:
-      return { 
-        valid: null, 
-        message: 'Unknown provider - cannot auto-detect limits. Please enter manually.',
-        manualOnly: true
-      };
-  }
-}
 
-// OpenAI - Check models endpoint and usage
-async function testOpenAI(apiKey) {
-  // First validate the key works
-  const modelsRes = await fetch('https://api.openai.com/v1/models', {
-    headers: { 'Authorization': `Bearer ${apiKey}` }
-  });
-
-  if (!modelsRes.ok) {
-    const err = await modelsRes.json().catch(() => ({}));
-    throw new Error(err.error?.message || 'Invalid API key');
+  const session = (usesStoredKey || collector) ? await getSession(event) : null;
+  if (collector) {
+    if (!session) return { statusCode: 401, headers, body: JSON.stringify({ error: 'Login required to run a collector' }) };
+    const scopeError = missingScope(session, 'read-usage');
+    if (scopeError) return { statusCode: 403, headers, body: JSON.stringify({ error: scopeError }) };
+    const problem = validateCollector(collector);
+    if (problem) return { statusCode: 400, headers, body: JSON.stringify({ error: problem }) };
   }
-
-  // Try to get usage (requires org-level permissions)
-  // Note: This endpoint may not work for all keys
-  const now = new Date();
-  const startDate = new Date(now.getFullYear(), now.getMonth(), 1).toISOString().split('T')[0];
-  const endDate = now.toISOString().split('T')[0];
-  
-  let usage = null;
-  try {
-    const usageRes = await fetch(
-      `https://api.openai.com/v1/usage?start_date=${startDate}&end_date=${endDate}`,
-      { headers: { 'Authorization': `Bearer ${apiKey}` } }
-    );
-    if (usageRes.ok) {
-      const usageData = await usageRes.json();
-      // Sum up total tokens
-      usage = usageData.data?.reduce((sum, day) => sum + (day.n_requests || 0), 0) || 0;
+  const workspace = session && await resolveWorkspace(event, session);
+
+  if (Array.isArray(body.keys)) {
+    const keys = body.keys.filter(k => k && k.id && (k.apiKey || k.keyRef));
+    if (keys.length === 0 || keys.length > MAX_KEYS_PER_REQUEST) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `Between 1 and ${MAX_KEYS_PER_REQUEST} keys with id and apiKey (or keyRef) required` }),
+      };
     }
-  } catch (e) {
-    // Usage endpoint may not be available
-  }
-
-  return {
-    valid: true,
-    provider: 'OpenAI',
-    usage: usage,
-    limit: null, // OpenAI doesn't expose hard limits via API
-    resetPeriod: 'monthly',
-    resetInfo: `Resets on the 1st of each month`,
-    message: usage !== null 
-      ? `Key valid. ${usage} requests this month.`
-      : 'Key valid. Usage tracking available in dashboard.',
-    dashboardUrl: 'https://platform.openai.com/usage',
-  };
-}
-
-// Anthropic - Make a minimal request to check headers
-async function testAnthropic(apiKey) {
-  const res = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'x-api-key': apiKey,
-      'anthropic-version': '2023-06-01',
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model: 'claude-3-haiku-20240307',
-      max_tokens: 1,
-      messages: [{ role: 'user', content: 'Hi' }]
-    })
-  });
-
-  // Even if rate limited, we can read headers
-  const rateLimitLimit = res.headers.get('x-ratelimit-limit-requests') || 
-                         res.headers.get('anthropic-ratelimit-requests-limit');
-  const rateLimitRemaining = res.headers.get('x-ratelimit-remaining-requests') ||
-                             res.headers.get('anthropic-ratelimit-requests-remaining');
-  const rateLimitReset = res.headers.get('x-ratelimit-reset-requests') ||
-                         res.headers.get('anthropic-ratelimit-requests-reset');
-
-  if (!res.ok && res.status === 401) {
-    throw new Error('Invalid API key');
+    const results = await Promise.all(keys.map(async (key) => {
+      const resolved = await resolveApiKey(key, session, workspace);
+      if (resolved.error) return { valid: false, error: resolved.error };
+      return testKey(provider, resolved.apiKey, period, key.keyRef ? resolved.collector : collector);
+    }));
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ results: Object.fromEntries(keys.map((key, i) => [key.id, results[i]])) }),
+    };
   }
 
-  const limit = rateLimitLimit ? parseInt(rateLimitLimit) : null;
-  const remaining = rateLimitRemaining ? parseInt(rateLimitRemaining) : null;
-  const usage = (limit && remaining !== null) ? limit - remaining : null;
-
-  return {
-    valid: true,
-    provider: 'Anthropic',
-    usage: usage,
-    limit: limit,
-    resetPeriod: 'per-minute',
-    resetInfo: rateLimitReset ? `Resets at ${rateLimitReset}` : 'Resets every minute',
-    message: limit 
-      ? `Key valid. ${remaining}/${limit} requests remaining this period.`
-      : 'Key valid. Rate limit info not available in response.',
-  };
-}
-
-// Google Gemini
-async function testGemini(apiKey) {
-  const res = await fetch(
-    `https://generativelanguage.googleapis.com/v1/models?key=${apiKey}`
-  );
-
-  if (!res.ok) {
-    const err = await res.json().catch(() => ({}));
-    throw new Error(err.error?.message || 'Invalid API key');
+  if (!body.apiKey && !body.keyRef) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: 'Provider and apiKey (or keyRef) required' }) };
   }
 
-  return {
-    valid: true,
-    provider: 'Google Gemini',
-    usage: null,
-    limit: null,
-    resetPeriod: 'per-minute',
-    resetInfo: 'Rate limits vary by model and tier',
-    message: 'Key valid. Usage tracking available in Google Cloud Console.',
-    dashboardUrl: 'https://console.cloud.google.com/apis/dashboard',
-  };
-}
-
-// HuggingFace
-async function testHuggingFace(apiKey) {
-  const res = await fetch('https://huggingface.co/api/whoami-v2', {
-    headers: { 'Authorization': `Bearer ${apiKey}` }
-  });
-
-  if (!res.ok) {
-    throw new Error('Invalid API key');
+  const resolved = await resolveApiKey(body, session, workspace);
+  if (resolved.error) {
+    return { statusCode: resolved.statusCode, headers, body: JSON.stringify({ error: resolved.error }) };
   }
+  const testWith = body.keyRef ? resolved.collector : collector;
+  return { statusCode: 200, headers, body: JSON.stringify(await testKey(provider, resolved.apiKey, period, testWith)) };
+};
 
-  const data = await res.json();
-  
-  return {
-    valid: true,
-    provider: 'HuggingFace',
-    usage: null,
-    limit: null,
-    resetPeriod: 'hourly',
-    resetInfo: 'Rate limits vary by endpoint and account tier',
-    message: `Key valid. Authenticated as ${data.name || 'user'}. Usage available in dashboard.`,
-    dashboardUrl: 'https://huggingface.co/settings/billing',
-    accountType: data.type,
-  };
+// The collector saved on the card a stored key belongs to, if any
+async function storedCollector(workspaceId, entry) {
+  const { providers } = await getProviderConfig(workspaceId);
+  return providers.find(p => p.id === cardIdOf(entry.providerId))?.collector || null;
 }
 
-// Perplexity
-async function testPerplexity(apiKey) {
-  const res = await fetch('https://api.perplexity.ai/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model: 'llama-3.1-sonar-small-128k-online',
-      messages: [{ role: 'user', content: 'Hi' }],
-      max_tokens: 1
-    })
-  });
-
-  if (!res.ok && res.status === 401) {
-    throw new Error('Invalid API key');
+// A key sent as-is, or one looked up in the vault by reference along with
+// its card's saved collector
+async function resolveApiKey({ apiKey, keyRef }, session, workspace) {
+  if (apiKey && !keyRef) return { apiKey };
+  if (!session) return { error: 'Login required to use a stored key', statusCode: 401 };
+  const scopeError = missingScope(session, 'read-usage');
+  if (scopeError) return { error: scopeError, statusCode: 403 };
+  if (!workspace) return { error: 'Not a member of this workspace', statusCode: 403 };
+  try {
+    const stored = await resolveKey(workspace.id, keyRef);
+    if (!stored) return { error: 'Stored key not found', statusCode: 404 };
+    const collector = await storedCollector(workspace.id, stored.entry);
+    if (collector && !hasRole(workspace.role, 'owner')) {
+      return { error: "Only workspace owners can run a card's collector with a stored key", statusCode: 403 };
+    }
+    return { apiKey: stored.apiKey, collector };
+  } catch (error) {
+    console.error('Failed to resolve stored key:', error.message);
+    return { error: 'Key vault is not available', statusCode: 503 };
   }
-
-  // Check for rate limit headers
-  const rateLimitLimit = res.headers.get('x-ratelimit-limit-requests');
-  const rateLimitRemaining = res.headers.get('x-ratelimit-remaining-requests');
-
-  return {
-    valid: true,
-    provider: 'Perplexity',
-    usage: null,
-    limit: rateLimitLimit ? parseInt(rateLimitLimit) : null,
-    resetPeriod: 'monthly',
-    resetInfo: 'Check dashboard for detailed usage',
-    message: 'Key valid. Detailed usage available in dashboard.',
-    dashboardUrl: 'https://www.perplexity.ai/settings/api',
-  };
 }
 
-// Groq
-async function testGroq(apiKey) {
-  const res = await fetch('https://api.groq.com/openai/v1/models', {
-    headers: { 'Authorization': `Bearer ${apiKey}` }
-  });
-
-  if (!res.ok) {
-    throw new Error('Invalid API key');
+async function testKey(provider, apiKey, period, collector) {
+  try {
+    if (collector) return await testCollector(collector, apiKey, { period: currentPeriod(period) });
+    return await testProvider(provider.toLowerCase(), apiKey, period);
+  } catch (error) {
+    console.error(`Error testing ${provider}:`, error);
+    return { valid: false, error: error.message || 'Failed to validate key' };
   }
-
-  const rateLimitLimit = res.headers.get('x-ratelimit-limit-requests');
-  const rateLimitRemaining = res.headers.get('x-ratelimit-remaining-requests');
-  const rateLimitReset = res.headers.get('x-ratelimit-reset-requests');
-
-  const limit = rateLimitLimit ? parseInt(rateLimitLimit) : null;
-  const remaining = rateLimitRemaining ? parseInt(rateLimitRemaining) : null;
-
-  return {
-    valid: true,
-    provider: 'Groq',
-    usage: (limit && remaining !== null) ? limit - remaining : null,
-    limit: limit,
-    resetPeriod: 'per-minute',
-    resetInfo: rateLimitReset || 'Resets every minute',
-    message: limit 
-      ? `Key valid. ${remaining}/${limit} requests remaining.`
-      : 'Key valid.',
-  };
 }
 
-// Cohere
-async function testCohere(apiKey) {
-  const res = await fetch('https://api.cohere.ai/v1/check-api-key', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-    }
-  });
-
-  if (!res.ok) {
-    throw new Error('Invalid API key');
+async function testProvider(provider, apiKey, periodSettings) {
+  const adapter = getProvider(provider);
+  if (!adapter) {
+    return {
+      valid: null,
+      message: 'Unknown provider - cannot auto-detect limits. Please enter manually, and report usage to /api/usage/events to track it.',
+      manualOnly: true
+    };
   }
-
-  const data = await res.json();
-
-  return {
-    valid: data.valid === true,
-    provider: 'Cohere',
-    usage: null,
-    limit: null,
-    resetPeriod: 'per-minute',
-    resetInfo: 'Rate limits vary by tier',
-    message: data.valid ? 'Key valid. Usage available in dashboard.' : 'Invalid key.',
-    dashboardUrl: data.valid ? 'https://dashboard.cohere.com/api-keys' : null,
-  };
+  return await adapter.validate(apiKey, { periodSettings });
 }
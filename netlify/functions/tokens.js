@@ -0,0 +1,97 @@
+// Netlify function for the caller's personal access tokens (see
+// lib/accessTokens.js). Requires a login session - a token can't mint or
+// revoke tokens.
+//
+// GET    /api/tokens                                     -> { tokens, scopes }
+// POST   /api/tokens      { label, scopes, expiresInDays? } -> { token, record } (token shown once)
+// PATCH  /api/tokens/:id  { label }                      -> { record }
+// DELETE /api/tokens/:id                                 -> { success }
+
+import { getSession } from '../lib/authStore.js';
+import {
+  SCOPES,
+  isTokenSession,
+  listAccessTokens,
+  createAccessToken,
+  renameAccessToken,
+  revokeAccessToken,
+} from '../lib/accessTokens.js';
+
+const MAX_LABEL_LENGTH = 100;
+const MAX_EXPIRY_DAYS = 3650;
+
+const getCorsHeaders = (origin) => ({
+  'Access-Control-Allow-Origin': origin || '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Credentials': 'true',
+  'Content-Type': 'application/json',
+});
+
+const cleanLabel = (label) => String(label || '').trim().slice(0, MAX_LABEL_LENGTH);
+
+export const handler = async (event) => {
+  const origin = event.headers.origin || event.headers.Origin || '*';
+  const headers = getCorsHeaders(origin);
+  const respond = (statusCode, data) => ({ statusCode, headers, body: JSON.stringify(data) });
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers, body: '' };
+  }
+
+  const session = await getSession(event);
+  if (!session) return respond(401, { error: 'Unauthorized' });
+  if (isTokenSession(session)) return respond(403, { error: 'Sign in to manage access tokens' });
+
+  // Everything after ".../tokens" in the path: [] | [id]
+  const segments = event.path.split('/').filter(Boolean);
+  const [tokenId] = segments.slice(segments.lastIndexOf('tokens') + 1);
+
+  let body = {};
+  try {
+    if (event.body) body = JSON.parse(event.body);
+  } catch (e) {
+    return respond(400, { error: 'Invalid JSON' });
+  }
+
+  try {
+    if (!tokenId && event.httpMethod === 'GET') {
+      return respond(200, { tokens: await listAccessTokens(session.userId), scopes: SCOPES });
+    }
+
+    if (!tokenId && event.httpMethod === 'POST') {
+      const label = cleanLabel(body.label);
+      if (!label) return respond(400, { error: 'Label required' });
+
+      const scopes = Array.isArray(body.scopes) ? [...new Set(body.scopes)] : [];
+      if (scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+        return respond(400, { error: `Scopes must be one or more of: ${SCOPES.join(', ')}` });
+      }
+
+      const expiresInDays = body.expiresInDays == null ? null : Number(body.expiresInDays);
+      if (expiresInDays !== null && !(Number.isInteger(expiresInDays) && expiresInDays > 0 && expiresInDays <= MAX_EXPIRY_DAYS)) {
+        return respond(400, { error: `expiresInDays must be a whole number from 1 to ${MAX_EXPIRY_DAYS}, or omitted` });
+      }
+
+      return respond(201, await createAccessToken(session.userId, { label, scopes, expiresInDays }));
+    }
+
+    if (tokenId && event.httpMethod === 'PATCH') {
+      const label = cleanLabel(body.label);
+      if (!label) return respond(400, { error: 'Label required' });
+      const record = await renameAccessToken(session.userId, tokenId, label);
+      if (!record) return respond(404, { error: 'Token not found' });
+      return respond(200, { record });
+    }
+
+    if (tokenId && event.httpMethod === 'DELETE') {
+      if (!await revokeAccessToken(session.userId, tokenId)) return respond(404, { error: 'Token not found' });
+      return respond(200, { success: true });
+    }
+
+    return respond(404, { error: 'Not found' });
+  } catch (error) {
+    console.error('Access token error:', error);
+    return respond(500, { error: 'Server error' });
+  }
+};
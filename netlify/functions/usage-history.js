@@ -0,0 +1,72 @@
+// Netlify function returning recorded usage history for a date range.
+//
+// GET /.netlify/functions/usage-history?from=2026-01-01&to=2026-01-31[&provider=openai]
+// `from` defaults to 30 days before `to`, and `to` defaults to now.
+//
+// Requires a login session or an access token with the read-usage scope.
+// Returns the environment keys' history plus that of the workspace from the
+// X-Workspace-Id header (default: personal), keyed by adapter id and usage id
+// respectively (see src/lib/providerKeys.js); where both have an id, the
+// workspace's history wins.
+
+import { getSession } from '../lib/authStore.js';
+import { missingScope } from '../lib/accessTokens.js';
+import { resolveWorkspace } from '../lib/workspaces.js';
+import { readHistory } from '../lib/history.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getCorsHeaders = (origin) => ({
+  'Access-Control-Allow-Origin': origin || '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Workspace-Id',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Credentials': 'true',
+  'Content-Type': 'application/json',
+});
+
+const byProvider = (records) => {
+  const history = {};
+  for (const { provider, workspace, ...point } of records) {
+    (history[provider] = history[provider] || []).push(point);
+  }
+  return history;
+};
+
+export const handler = async (event) => {
+  const origin = event.headers.origin || event.headers.Origin || '*';
+  const headers = getCorsHeaders(origin);
+  const respond = (statusCode, data) => ({ statusCode, headers, body: JSON.stringify(data) });
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') return respond(405, { error: 'Method not allowed' });
+
+  const session = await getSession(event);
+  if (!session) return respond(401, { error: 'Unauthorized' });
+  const scopeError = missingScope(session, 'read-usage');
+  if (scopeError) return respond(403, { error: scopeError });
+
+  const workspace = await resolveWorkspace(event, session);
+  if (!workspace) return respond(403, { error: 'Not a member of this workspace' });
+
+  const params = event.queryStringParameters || {};
+  const to = params.to ? new Date(params.to) : new Date();
+  const from = params.from ? new Date(params.from) : new Date(to.getTime() - 30 * DAY_MS);
+
+  if (isNaN(to) || isNaN(from)) return respond(400, { error: 'Invalid from/to date' });
+
+  try {
+    const [envRecords, workspaceRecords] = await Promise.all([
+      readHistory({ provider: params.provider, from, to }),
+      readHistory({ provider: params.provider, workspace: workspace.id, from, to }),
+    ]);
+    const history = { ...byProvider(envRecords), ...byProvider(workspaceRecords) };
+
+    return respond(200, { from: from.toISOString(), to: to.toISOString(), history });
+  } catch (error) {
+    console.error('Failed to read usage history:', error);
+    return respond(500, { error: 'Failed to read usage history' });
+  }
+};
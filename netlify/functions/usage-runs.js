@@ -0,0 +1,51 @@
+// Netlify function reporting on the scheduled usage refresh.
+//
+// GET /.netlify/functions/usage-runs[?limit=10]
+//   -> { lastRunAt, lastStatus, lastSuccessAt, runs: [run log entries], latest }
+// `latest` is the last stored snapshot in the same shape get-usage returns.
+// Requires a login session or an access token with the read-usage scope.
+
+import { getSession } from '../lib/authStore.js';
+import { missingScope } from '../lib/accessTokens.js';
+import { getJobStatus } from '../lib/usageJob.js';
+
+const MAX_LIMIT = 50;
+
+const getCorsHeaders = (origin) => ({
+  'Access-Control-Allow-Origin': origin || '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Workspace-Id',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Credentials': 'true',
+  'Content-Type': 'application/json',
+});
+
+export const handler = async (event) => {
+  const origin = event.headers.origin || event.headers.Origin || '*';
+  const headers = getCorsHeaders(origin);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  const session = await getSession(event);
+  if (!session) {
+    return { statusCode: 401, headers, body: JSON.stringify({ error: 'Unauthorized' }) };
+  }
+  const scopeError = missingScope(session, 'read-usage');
+  if (scopeError) {
+    return { statusCode: 403, headers, body: JSON.stringify({ error: scopeError }) };
+  }
+
+  const limit = Math.min(parseInt(event.queryStringParameters?.limit) || 10, MAX_LIMIT);
+
+  try {
+    return { statusCode: 200, headers, body: JSON.stringify(await getJobStatus(limit)) };
+  } catch (error) {
+    console.error('Failed to read usage job status:', error);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: 'Failed to read usage job status' }) };
+  }
+};
@@ -0,0 +1,169 @@
+// Netlify function for team workspaces. Requires a login session; access
+// tokens can only list workspaces.
+//
+// GET    /api/workspaces                           -> { workspaces: [{ id, name, role, personal }] }
+// POST   /api/workspaces                { name }   -> { workspace }
+// POST   /api/workspaces/accept         { token }  -> { workspace }
+// GET    /api/workspaces/:id/members               -> { members, invites } (invites for owners only)
+// POST   /api/workspaces/:id/invites    { email, role } -> { invite }
+// DELETE /api/workspaces/:id/invites/:token        -> { success }
+// PATCH  /api/workspaces/:id/members/:userId { role } -> { members }
+// DELETE /api/workspaces/:id/members/:userId       -> { members } (owners, or a member leaving)
+//
+// Managing members and invitations needs the owner role.
+
+import { findUserById, getSession, normalizeEmail, isValidEmail } from '../lib/authStore.js';
+import { isTokenSession } from '../lib/accessTokens.js';
+import { sendTemplate, siteUrl } from '../lib/mailer/index.js';
+import {
+  ROLES,
+  hasRole,
+  getRole,
+  listWorkspaces,
+  createWorkspace,
+  listMembers,
+  updateMember,
+  createInvite,
+  listInvites,
+  revokeInvite,
+  acceptInvite,
+  getWorkspace,
+} from '../lib/workspaces.js';
+
+const INVITE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const getCorsHeaders = (origin) => ({
+  'Access-Control-Allow-Origin': origin || '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Workspace-Id',
+  'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Credentials': 'true',
+  'Content-Type': 'application/json',
+});
+
+const inviteLink = (base, token) => `${base}/?invite=${encodeURIComponent(token)}`;
+
+export const handler = async (event) => {
+  const origin = event.headers.origin || event.headers.Origin || '*';
+  const headers = getCorsHeaders(origin);
+  const respond = (statusCode, data) => ({ statusCode, headers, body: JSON.stringify(data) });
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers, body: '' };
+  }
+
+  const session = await getSession(event);
+  if (!session) return respond(401, { error: 'Unauthorized' });
+
+  // Everything after ".../workspaces" in the path: [] | ['accept'] | [id, 'members' | 'invites', target?]
+  const segments = event.path.split('/').filter(Boolean);
+  const [workspaceId, resource, target] = segments.slice(segments.lastIndexOf('workspaces') + 1);
+
+  // Access tokens can see which workspaces there are, nothing more
+  if (isTokenSession(session) && (workspaceId || event.httpMethod !== 'GET')) {
+    return respond(403, { error: 'Sign in to manage workspaces' });
+  }
+
+  let body = {};
+  try {
+    if (event.body) body = JSON.parse(event.body);
+  } catch (e) {
+    return respond(400, { error: 'Invalid JSON' });
+  }
+
+  try {
+    if (!workspaceId && event.httpMethod === 'GET') {
+      return respond(200, { workspaces: await listWorkspaces(session.userId) });
+    }
+
+    if (!workspaceId && event.httpMethod === 'POST') {
+      const name = String(body.name || '').trim();
+      if (!name) return respond(400, { error: 'Workspace name required' });
+      const user = await findUserById(session.userId);
+      return respond(201, { workspace: await createWorkspace(user, name) });
+    }
+
+    if (workspaceId === 'accept' && !resource && event.httpMethod === 'POST') {
+      if (!body.token) return respond(400, { error: 'Invitation token required' });
+      const user = await findUserById(session.userId);
+      const { workspace, error } = await acceptInvite(body.token, user);
+      if (error) return respond(400, { error });
+      return respond(200, { workspace });
+    }
+
+    const role = workspaceId && await getRole(workspaceId, session.userId);
+    if (!role) return respond(404, { error: 'Workspace not found' });
+    if (workspaceId === session.userId) {
+      return respond(400, { error: 'Your personal workspace has no members - create a team workspace to invite people' });
+    }
+    const isOwner = hasRole(role, 'owner');
+
+    if (resource === 'members' && !target && event.httpMethod === 'GET') {
+      return respond(200, {
+        members: await listMembers(workspaceId),
+        invites: isOwner ? await listInvites(workspaceId) : [],
+      });
+    }
+
+    if (resource === 'invites' && !target && event.httpMethod === 'POST') {
+      if (!isOwner) return respond(403, { error: 'Only workspace owners can invite members' });
+      const email = normalizeEmail(body.email);
+      if (!isValidEmail(email)) return respond(400, { error: 'A valid email is required' });
+      if (!ROLES.includes(body.role)) return respond(400, { error: `Role must be one of: ${ROLES.join(', ')}` });
+
+      let base;
+      try {
+        base = siteUrl();
+      } catch (error) {
+        console.error('[Workspaces] Cannot build invitation links:', error.message);
+        return respond(500, { error: 'Invitations need the site URL to be configured' });
+      }
+
+      const invite = await createInvite(workspaceId, { email, role: body.role, invitedBy: session.userId }, INVITE_MS);
+      const link = inviteLink(base, invite.token);
+      // The owner gets the link back too, so a failed email isn't a dead end
+      let emailed = true;
+      try {
+        const [inviter, workspace] = await Promise.all([findUserById(session.userId), getWorkspace(workspaceId)]);
+        await sendTemplate(email, 'workspace-invite', {
+          inviter: inviter?.displayName || inviter?.email || 'A teammate',
+          workspace: workspace.name,
+          role: body.role,
+          link,
+          expiresIn: '7 days',
+        });
+      } catch (error) {
+        console.error('[Workspaces] Failed to send invitation email:', error.message);
+        emailed = false;
+      }
+      return respond(201, { invite: { ...invite, link, emailed } });
+    }
+
+    if (resource === 'invites' && target && event.httpMethod === 'DELETE') {
+      if (!isOwner) return respond(403, { error: 'Only workspace owners can revoke invitations' });
+      if (!await revokeInvite(workspaceId, target)) return respond(404, { error: 'Invitation not found' });
+      return respond(200, { success: true });
+    }
+
+    if (resource === 'members' && target && event.httpMethod === 'PATCH') {
+      if (!isOwner) return respond(403, { error: 'Only workspace owners can change roles' });
+      if (!ROLES.includes(body.role)) return respond(400, { error: `Role must be one of: ${ROLES.join(', ')}` });
+      const { members, error } = await updateMember(workspaceId, target, body.role);
+      if (error) return respond(400, { error });
+      return respond(200, { members });
+    }
+
+    if (resource === 'members' && target && event.httpMethod === 'DELETE') {
+      if (!isOwner && target !== session.userId) {
+        return respond(403, { error: 'Only workspace owners can remove members' });
+      }
+      const { members, error } = await updateMember(workspaceId, target, null);
+      if (error) return respond(400, { error });
+      return respond(200, { members });
+    }
+
+    return respond(404, { error: 'Not found' });
+  } catch (error) {
+    console.error('Workspace error:', error);
+    return respond(500, { error: 'Server error' });
+  }
+};
@@ -0,0 +1,93 @@
+// Personal access tokens: long-lived bearer tokens for scripts and CI that
+// act as the user who created them, limited to a set of scopes:
+//   read-usage        usage, provider lists and masked keys
+//   write-usage       push usage events
+//   manage-providers  change provider lists and vault keys
+//
+// Only a SHA-256 hash of each token is stored; the token itself is shown
+// once, when it's created. Tokens start with `apt_` so getSession (see
+// authStore.js) can tell them from login sessions. Sessions made from a
+// token carry `tokenId` and `scopes`; login sessions have neither and may
+// do anything.
+
+import { createHash, randomBytes, randomUUID } from 'crypto';
+import { getStore } from './storage/index.js';
+
+const ACCESS_TOKENS = 'access_tokens';
+
+export const TOKEN_PREFIX = 'apt_';
+export const SCOPES = ['read-usage', 'write-usage', 'manage-providers'];
+
+const LAST_USED_INTERVAL_MS = 5 * 60 * 1000;
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+const isExpired = (record, now = new Date()) => Boolean(record.expiresAt) && new Date(record.expiresAt) <= now;
+
+const toPublic = ({ hash, userId, ...record }) => ({ ...record, expired: isExpired(record) });
+
+export async function listAccessTokens(userId) {
+  return (await getStore().list(ACCESS_TOKENS))
+    .filter(record => record.userId === userId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(toPublic);
+}
+
+// Returns { token, record }; `token` is the only copy of the secret
+export async function createAccessToken(userId, { label, scopes, expiresInDays }) {
+  const token = `${TOKEN_PREFIX}${randomBytes(32).toString('base64url')}`;
+  const record = {
+    id: randomUUID(),
+    userId,
+    label,
+    scopes,
+    hash: hashToken(token),
+    // Enough to recognise the token in a list or a config file
+    hint: `${token.slice(0, TOKEN_PREFIX.length + 4)}…${token.slice(-4)}`,
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+    lastUsedAt: null,
+  };
+  await getStore().put(ACCESS_TOKENS, record.id, record);
+  return { token, record: toPublic(record) };
+}
+
+export async function renameAccessToken(userId, id, label) {
+  const record = await getStore().get(ACCESS_TOKENS, id);
+  if (!record || record.userId !== userId) return null;
+  const updated = await getStore().update(ACCESS_TOKENS, id, (current) => (current ? { ...current, label } : null));
+  return updated && toPublic(updated);
+}
+
+export async function revokeAccessToken(userId, id) {
+  const record = await getStore().get(ACCESS_TOKENS, id);
+  if (!record || record.userId !== userId) return false;
+  return getStore().delete(ACCESS_TOKENS, id);
+}
+
+export async function deleteUserAccessTokens(userId) {
+  const records = (await getStore().list(ACCESS_TOKENS)).filter(record => record.userId === userId);
+  for (const record of records) await getStore().delete(ACCESS_TOKENS, record.id);
+  return records.length;
+}
+
+// Session-shaped { id, userId, tokenId, scopes } for a live token, or null
+export async function sessionForAccessToken(token) {
+  const hash = hashToken(token);
+  const record = (await getStore().list(ACCESS_TOKENS)).find(r => r.hash === hash);
+  if (!record || isExpired(record)) return null;
+
+  if (!record.lastUsedAt || Date.now() - new Date(record.lastUsedAt).getTime() >= LAST_USED_INTERVAL_MS) {
+    const lastUsedAt = new Date().toISOString();
+    await getStore().update(ACCESS_TOKENS, record.id, (current) => (current ? { ...current, lastUsedAt } : null));
+  }
+  return { id: `token:${record.id}`, userId: record.userId, tokenId: record.id, scopes: record.scopes };
+}
+
+export const isTokenSession = (session) => Boolean(session?.tokenId);
+
+// Error message when `session` may not act with `scope`, else null
+export function missingScope(session, scope) {
+  if (!isTokenSession(session) || session.scopes.includes(scope)) return null;
+  return `This access token needs the ${scope} scope`;
+}
@@ -0,0 +1,15 @@
+// Alert notification channels. Each channel exposes `id`, `label`,
+// `isConfigured(destinations)` and `send(alert, destinations)`, where
+// `destinations` is the workspace's { emails, webhookUrl, slackWebhookUrl }
+// (see loadAlertDestinations). Where alerts go is always the workspace's own
+// choice; env vars only configure the mail server.
+
+import smtp from './smtp.js';
+import webhook from './webhook.js';
+import slack from './slack.js';
+
+const channels = [smtp, webhook, slack];
+
+export const listChannels = () => channels;
+
+export const getChannel = (id) => channels.find(channel => channel.id === id) || null;
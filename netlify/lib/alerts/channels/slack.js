@@ -0,0 +1,30 @@
+// Slack-compatible incoming webhook (also accepted by Mattermost, Rocket.Chat
+// and Discord's /slack endpoint), set per workspace in its alert settings.
+
+import { publicRequest } from '../../publicHttp.js';
+
+export default {
+  id: 'slack',
+  label: 'Slack',
+
+  isConfigured(destinations) {
+    return Boolean(destinations?.slackWebhookUrl);
+  },
+
+  async send(alert, destinations) {
+    const { status } = await publicRequest(new URL(destinations.slackWebhookUrl), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        text: `:warning: ${alert.message}`,
+        blocks: [
+          {
+            type: 'section',
+            text: { type: 'mrkdwn', text: `:warning: *${alert.providerName}* ${alert.summary}` },
+          },
+        ],
+      }),
+    });
+    if (status < 200 || status >= 300) throw new Error(`Slack webhook responded with HTTP ${status}`);
+  },
+};
@@ -0,0 +1,39 @@
+// Email via any SMTP server, to the workspace owners' verified addresses.
+// ALERT_SMTP_* take precedence; the older EMAIL_SENDER / EMAIL_PASSWORD
+// secrets still work and default to Gmail as before.
+
+import nodemailer from 'nodemailer';
+
+const config = () => {
+  const user = process.env.ALERT_SMTP_USER || process.env.EMAIL_SENDER;
+  const port = parseInt(process.env.ALERT_SMTP_PORT || '465');
+  return {
+    host: process.env.ALERT_SMTP_HOST || 'smtp.gmail.com',
+    port,
+    secure: process.env.ALERT_SMTP_SECURE ? process.env.ALERT_SMTP_SECURE === 'true' : port === 465,
+    user,
+    password: process.env.ALERT_SMTP_PASSWORD || process.env.EMAIL_PASSWORD,
+    from: process.env.ALERT_EMAIL_FROM || user,
+  };
+};
+
+export default {
+  id: 'smtp',
+  label: 'Email',
+
+  isConfigured(destinations) {
+    const { user, password } = config();
+    return Boolean(user && password && destinations?.emails?.length);
+  },
+
+  async send(alert, destinations) {
+    const { host, port, secure, user, password, from } = config();
+    const transport = nodemailer.createTransport({ host, port, secure, auth: { user, pass: password } });
+    await transport.sendMail({
+      from,
+      to: destinations.emails,
+      subject: `API usage alert: ${alert.providerName}`,
+      text: alert.message,
+    });
+  },
+};
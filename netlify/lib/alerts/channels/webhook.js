@@ -0,0 +1,22 @@
+// Generic webhook: POSTs the alert object as JSON to the workspace's webhook
+// URL. The URL comes from user settings, so it goes through publicRequest.
+
+import { publicRequest } from '../../publicHttp.js';
+
+export default {
+  id: 'webhook',
+  label: 'Webhook',
+
+  isConfigured(destinations) {
+    return Boolean(destinations?.webhookUrl);
+  },
+
+  async send(alert, destinations) {
+    const { status } = await publicRequest(new URL(destinations.webhookUrl), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type: 'usage_alert', ...alert }),
+    });
+    if (status < 200 || status >= 300) throw new Error(`Webhook responded with HTTP ${status}`);
+  },
+};
@@ -0,0 +1,161 @@
+// Threshold alert evaluation.
+// Rules come from provider settings: percentages of the usage limits (any
+// dimension with a limit set - requests, tokens, per-model limits - shares
+// the `usage` thresholds) and/or of `billingLimit` (spend). Each threshold fires at most
+// once per reset period: `state` maps "<provider>:<metric>:<threshold>" to the
+// periodStart it last fired in. If several thresholds are crossed at once
+// only the highest is sent, and the lower ones are marked as fired too.
+//
+// With `alerts.projected` on, a provider also gets one alert per period and
+// dimension when the forecast (src/lib/forecast.js, fed with the card's
+// usage history) says it will go over the limit before the reset - while
+// there is still time to act on it.
+
+import { getProvider } from '../providers/index.js';
+import { getSpend, formatUsd } from '../../../src/lib/pricing.js';
+import { METRICS as USAGE_METRICS, getMetric, metricValue, limitFor, modelLimitsFor, formatCount } from '../../../src/lib/metrics.js';
+import { getWindow } from '../../../src/lib/periods.js';
+import { forecastPeriod, formatDay } from '../../../src/lib/forecast.js';
+
+// One check per usage dimension plus spend. Request alerts keep the plain
+// 'usage' key so state recorded before token limits existed still applies.
+const usageChecks = USAGE_METRICS.map(({ id, label, unit }) => ({
+  metric: id === 'requests' ? 'usage' : `usage-${id}`,
+  rule: 'usage',
+  label: id === 'requests' ? 'usage limit' : `${label.toLowerCase()} limit`,
+  value: (result) => metricValue(result, id),
+  limit: (config) => limitFor(config, id),
+  format: (n) => `${formatCount(n)} ${unit}`,
+}));
+
+const CHECKS = [
+  ...usageChecks,
+  {
+    metric: 'spend',
+    rule: 'spend',
+    label: 'billing limit',
+    value: (result, config, prices) => getSpend(result, config.pricingModel, prices)?.amount ?? null,
+    limit: (config) => parseFloat(config.billingLimit) || 0,
+    format: formatUsd,
+  },
+];
+
+// Per-model limits, checked against the result's per-model breakdown
+function modelChecks(config, result) {
+  const checks = [];
+  for (const [model, figures] of Object.entries(result.models || {})) {
+    for (const { metric: metricId, limit } of modelLimitsFor(config, model)) {
+      const { label, unit } = getMetric(metricId);
+      checks.push({
+        metric: `model:${model}:${metricId}`,
+        rule: 'usage',
+        label: `${model} ${label.toLowerCase()} limit`,
+        value: () => metricValue(figures, metricId),
+        limit: () => limit,
+        format: (n) => `${formatCount(n)} ${unit}`,
+      });
+    }
+  }
+  return checks;
+}
+
+// The projected-breach alert for one check, or null when the forecast stays
+// under the limit (or the limit is already reached - the threshold alerts
+// cover that)
+function projectedAlert(config, definition, result, prices, points, now) {
+  const limit = definition.limit(config);
+  const value = definition.value(result, config, prices);
+  if (!limit || value == null || value >= limit) return null;
+
+  const forecast = forecastPeriod({
+    points,
+    current: value,
+    limit,
+    window: getWindow(config, now),
+    now,
+    valueOf: (point) => definition.value({ ...point, status: 'ok' }, config, prices),
+  });
+  if (!forecast?.exceedsAt) return null;
+
+  const percentage = (forecast.projected / limit) * 100;
+  const summary = `is projected to use ${Math.round(percentage)}% of its ${definition.label} by the reset ` +
+    `(${definition.format(forecast.projected)} of ${definition.format(limit)}), going over around ${formatDay(forecast.exceedsAt)}.`;
+  return {
+    provider: config.provider,
+    providerName: config.name || config.provider,
+    metric: definition.metric,
+    threshold: 100,
+    projected: true,
+    value,
+    projectedValue: forecast.projected,
+    exceedsAt: forecast.exceedsAt.toISOString(),
+    limit,
+    percentage,
+    periodStart: result.periodStart,
+    channels: config.alerts?.channels || [],
+    summary,
+    message: `${config.name || config.provider} ${summary}`,
+  };
+}
+
+// `history` maps card ids (or, for cards reporting an environment key's
+// usage, adapter ids) to usage history records (oldest first); only needed
+// for projected alerts.
+export function evaluateAlerts(results, rules, state = {}, history = {}, now = new Date()) {
+  const nextState = { ...state };
+  const alerts = [];
+  // Rules saved without a price table use the default one
+  const prices = rules.prices || undefined;
+
+  for (const config of rules.providers || []) {
+    const providerId = getProvider(config.provider)?.id || config.provider;
+    const result = results[config.provider] || results[providerId];
+    if (!result || result.status !== 'ok') continue;
+
+    for (const definition of [...CHECKS, ...modelChecks(config, result)]) {
+      const { metric } = definition;
+      const thresholds = [...(config.alerts?.[definition.rule] || [])].sort((a, b) => a - b);
+      const limit = definition.limit(config);
+      const value = definition.value(result, config, prices);
+      if (thresholds.length === 0 || !limit || value == null) continue;
+
+      const percentage = (value / limit) * 100;
+      const crossed = thresholds.filter(threshold => percentage >= threshold);
+      const key = (threshold) => `${config.provider}:${metric}:${threshold}`;
+      const fresh = crossed.filter(threshold => nextState[key(threshold)] !== result.periodStart);
+      if (fresh.length === 0) continue;
+
+      crossed.forEach(threshold => { nextState[key(threshold)] = result.periodStart; });
+
+      const threshold = fresh[fresh.length - 1];
+      const summary = `has used ${Math.round(percentage)}% of its ${definition.label} ` +
+        `(${definition.format(value)} of ${definition.format(limit)}), crossing the ${threshold}% alert.`;
+      alerts.push({
+        provider: config.provider,
+        providerName: config.name || config.provider,
+        metric,
+        threshold,
+        value,
+        limit,
+        percentage,
+        periodStart: result.periodStart,
+        channels: config.alerts?.channels || [],
+        summary,
+        message: `${config.name || config.provider} ${summary}`,
+      });
+    }
+
+    if (!config.alerts?.projected) continue;
+    for (const definition of CHECKS) {
+      const key = `${config.provider}:${definition.metric}:projected`;
+      if (nextState[key] === result.periodStart) continue;
+      const points = history[config.provider] || history[providerId] || [];
+      const alert = projectedAlert(config, definition, result, prices, points, now);
+      if (!alert) continue;
+      nextState[key] = result.periodStart;
+      alerts.push(alert);
+    }
+  }
+
+  return { alerts, state: nextState };
+}
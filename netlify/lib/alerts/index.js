@@ -0,0 +1,216 @@
+// Runs after every collection: evaluates a workspace's saved alert rules
+// against the fresh results and delivers anything new to the rule's
+// channels. Rules, where to send alerts and the record of what already fired
+// are kept per workspace. Usage history is only read when some provider has
+// projected alerts on.
+//
+// Alerts only ever go to the workspace's own destinations: email to its
+// owners' verified addresses, and the webhook and Slack URLs saved with its
+// rules. A workspace with none of those gets no alerts at all.
+
+import { getStore } from '../storage/index.js';
+import { evaluateAlerts } from './engine.js';
+import { getChannel, listChannels } from './channels/index.js';
+import { readHistory } from '../history.js';
+import { findUserById } from '../authStore.js';
+import { getWorkspace } from '../workspaces.js';
+import { assertPublicHost } from '../publicHttp.js';
+import { combineHistory } from '../../../src/lib/providerKeys.js';
+
+const ALERTS = 'alerts';
+// Enough for the forecast's four weeks of daily increments plus a seed sample
+const HISTORY_DAYS = 35;
+
+const MAX_URL_LENGTH = 2000;
+const URL_FIELDS = ['webhookUrl', 'slackWebhookUrl'];
+const EMPTY_DESTINATIONS = { webhookUrl: '', slackWebhookUrl: '' };
+
+const rulesId = (workspaceId) => `rules:${workspaceId}`;
+const stateId = (workspaceId) => `state:${workspaceId}`;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// A threshold list, channel list and projected flag the engine can use as-is
+function validateAlerts(alerts) {
+  if (alerts == null) return null;
+  if (!isPlainObject(alerts)) return 'alerts must be an object';
+  for (const rule of ['usage', 'spend']) {
+    const thresholds = alerts[rule];
+    if (thresholds === undefined) continue;
+    if (!Array.isArray(thresholds) || !thresholds.every(n => typeof n === 'number' && Number.isFinite(n) && n > 0)) {
+      return `alerts.${rule} must be a list of positive percentages`;
+    }
+  }
+  if (alerts.channels !== undefined && !(Array.isArray(alerts.channels) && alerts.channels.every(getChannel))) {
+    return `alerts.channels may only list ${listChannels().map(channel => channel.id).join(', ')}`;
+  }
+  if (alerts.projected !== undefined && typeof alerts.projected !== 'boolean') return 'alerts.projected must be true or false';
+  return null;
+}
+
+function validateProvider(config) {
+  if (!isPlainObject(config)) return 'Each provider must be an object';
+  if (typeof config.provider !== 'string' || !config.provider) return 'Each provider needs a provider id';
+  if (config.name != null && typeof config.name !== 'string') return `${config.provider}: name must be a string`;
+  if (config.limits != null && !isPlainObject(config.limits)) return `${config.provider}: limits must be an object`;
+  if (config.modelLimits != null && !(Array.isArray(config.modelLimits) &&
+    config.modelLimits.every(entry => isPlainObject(entry) && typeof entry.model === 'string' && typeof entry.metric === 'string'))) {
+    return `${config.provider}: modelLimits must be a list of { model, metric, limit }`;
+  }
+  const problem = validateAlerts(config.alerts);
+  return problem ? `${config.provider}: ${problem}` : null;
+}
+
+// Webhook and Slack URLs: empty, or a public http(s) URL
+function validateDestinations(destinations) {
+  if (!isPlainObject(destinations)) return 'destinations must be an object';
+  for (const field of URL_FIELDS) {
+    const value = destinations[field];
+    if (value == null || value === '') continue;
+    if (typeof value !== 'string' || value.length > MAX_URL_LENGTH) return `${field} must be a URL`;
+    let url;
+    try {
+      url = new URL(value.trim());
+    } catch (e) {
+      return `${field} must be a URL`;
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return `${field} must be an http(s) URL`;
+    try {
+      assertPublicHost(url);
+    } catch (e) {
+      return `${field} must not point to a private address`;
+    }
+  }
+  return null;
+}
+
+// Checks the body of an alert-rules PUT; returns an error message or null.
+// `destinations` may be left out to keep the saved ones.
+export function validateAlertRules({ providers, prices, destinations }) {
+  if (!Array.isArray(providers)) return 'providers array required';
+  for (const config of providers) {
+    const problem = validateProvider(config);
+    if (problem) return problem;
+  }
+  if (prices != null && !isPlainObject(prices)) return 'prices must be an object';
+  return destinations === undefined ? null : validateDestinations(destinations);
+}
+
+const cleanDestinations = (destinations) => Object.fromEntries(
+  URL_FIELDS.map(field => [field, typeof destinations[field] === 'string' ? destinations[field].trim() : ''])
+);
+
+export const loadAlertRules = async (workspaceId) =>
+  (await getStore().get(ALERTS, rulesId(workspaceId))) || { providers: [], prices: null, destinations: EMPTY_DESTINATIONS };
+
+export const saveAlertRules = (workspaceId, { providers, prices, destinations }) =>
+  getStore().update(ALERTS, rulesId(workspaceId), (current) => ({
+    workspaceId,
+    providers,
+    prices,
+    destinations: destinations === undefined
+      ? current?.destinations || EMPTY_DESTINATIONS
+      : cleanDestinations(destinations),
+  }));
+
+// Verified addresses of the workspace's owners (for a personal workspace,
+// the user whose id it is)
+async function ownerEmails(workspaceId) {
+  const workspace = await getWorkspace(workspaceId);
+  const ownerIds = workspace
+    ? workspace.members.filter(member => member.role === 'owner').map(member => member.userId)
+    : [workspaceId];
+  const owners = await Promise.all(ownerIds.map(findUserById));
+  return owners.filter(user => user?.emailVerified && user.email).map(user => user.email);
+}
+
+// Where a workspace's alerts can go: { emails, webhookUrl, slackWebhookUrl }
+export async function loadAlertDestinations(workspaceId, rules = null) {
+  const { destinations } = rules || await loadAlertRules(workspaceId);
+  return { emails: await ownerEmails(workspaceId), ...EMPTY_DESTINATIONS, ...destinations };
+}
+
+export const hasDestination = (destinations) =>
+  destinations.emails.length > 0 || URL_FIELDS.some(field => destinations[field]);
+
+export async function deleteAlertRules(workspaceId) {
+  await getStore().delete(ALERTS, rulesId(workspaceId));
+  await getStore().delete(ALERTS, stateId(workspaceId));
+}
+
+// Workspaces with at least one provider in their alert rules and somewhere
+// to send alerts
+export async function listAlertWorkspaces() {
+  const docs = await getStore().list(ALERTS);
+  const workspaceIds = [];
+  for (const doc of docs) {
+    if (!doc.workspaceId || !(doc.providers?.length > 0)) continue;
+    if (hasDestination(await loadAlertDestinations(doc.workspaceId, doc))) workspaceIds.push(doc.workspaceId);
+  }
+  return workspaceIds;
+}
+
+// Each card's history, its keys added up (see combineHistory), falling back
+// to the environment key's for cards that have none of their own - the same
+// series the dashboard forecasts from
+async function loadCardHistory(workspaceId, cards) {
+  const from = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+  const group = (records) => {
+    const grouped = {};
+    for (const record of records) (grouped[record.provider] ||= []).push(record);
+    return grouped;
+  };
+  const [envHistory, workspaceHistory] = await Promise.all([
+    readHistory({ from }).then(group),
+    readHistory({ from, workspace: workspaceId }).then(group),
+  ]);
+
+  const history = { ...envHistory };
+  for (const card of cards) {
+    const points = combineHistory(card, workspaceHistory);
+    if (points.length > 0) history[card.id] = points;
+  }
+  return history;
+}
+
+// `results` maps card ids (and, for cards without a result of their own,
+// adapter ids) to usage results; `cards` is the workspace's provider list
+export async function runAlerts(workspaceId, results, cards = []) {
+  const rules = await loadAlertRules(workspaceId);
+  if (!(rules.providers || []).length) return [];
+  const destinations = await loadAlertDestinations(workspaceId, rules);
+  if (!hasDestination(destinations)) {
+    console.log(`[Alerts] Workspace ${workspaceId} has nowhere to send alerts; skipping`);
+    return [];
+  }
+  const state = (await getStore().get(ALERTS, stateId(workspaceId))) || {};
+  let history = {};
+  if (rules.providers.some(config => config.alerts?.projected)) {
+    try {
+      history = await loadCardHistory(workspaceId, cards);
+    } catch (error) {
+      // Forecasts fall back to the current period's run rate
+      console.error('Failed to read usage history for alerts:', error.message);
+    }
+  }
+  const { alerts, state: nextState } = evaluateAlerts(results, rules, state, history);
+
+  for (const alert of alerts) {
+    const channels = alert.channels.map(getChannel).filter(channel => channel?.isConfigured(destinations));
+    if (channels.length === 0) {
+      console.log(`[Alerts] No configured channel for ${alert.provider}: ${alert.message}`);
+      continue;
+    }
+    for (const channel of channels) {
+      try {
+        await channel.send(alert, destinations);
+        console.log(`[Alerts] Sent ${alert.provider} ${alert.metric} ${alert.projected ? 'projected' : `${alert.threshold}%`} via ${channel.id}`);
+      } catch (error) {
+        console.error(`[Alerts] ${channel.id} delivery failed:`, error.message);
+      }
+    }
+  }
+
+  await getStore().put(ALERTS, stateId(workspaceId), nextState);
+  return alerts;
+}
@@ -0,0 +1,224 @@
+// Users, sessions, reset/verification tokens and 2FA login challenges shared by auth.js and every other function
+// that needs to know who is calling. Backed by the storage layer, so logins
+// survive cold starts and are visible to every function.
+
+import cookie from 'cookie';
+import { createHash, randomUUID } from 'crypto';
+import { getStore, findOne } from './storage/index.js';
+import { TOKEN_PREFIX, sessionForAccessToken } from './accessTokens.js';
+
+const USERS = 'users';
+const SESSIONS = 'sessions';
+const RESET_TOKENS = 'reset_tokens';
+const VERIFY_TOKENS = 'verify_tokens';
+const LOGIN_CHALLENGES = 'login_challenges';
+
+const isExpired = (record, now = new Date()) => new Date(record.expiresAt) <= now;
+
+// Sessions note when they were last used at most this often, so every
+// request doesn't turn into a write
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+// Caller's IP as Netlify (or a proxy in front of `netlify dev`) reports it
+export const clientIp = (event) => {
+  const forwarded = event.headers['x-forwarded-for'] || event.headers['X-Forwarded-For'];
+  return event.headers['x-nf-client-connection-ip'] || forwarded?.split(',')[0].trim() || null;
+};
+
+const userAgentOf = (event) => event.headers['user-agent'] || event.headers['User-Agent'] || null;
+
+// --- Users ---
+
+export const findUserById = (id) => getStore().get(USERS, id);
+
+// Addresses are stored trimmed and lower-cased; lookups normalize both sides
+// so accounts saved before that still match
+export const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+export const isValidEmail = (email) => typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+export async function findUserByEmail(email) {
+  const wanted = normalizeEmail(email);
+  return wanted ? findOne(USERS, u => normalizeEmail(u.email) === wanted) : null;
+}
+
+export const saveUser = (user) => getStore().put(USERS, user.id, user);
+
+// Read-modify-write of one user that can't interleave with other writes;
+// `fn(current)` returns the user to store
+export const updateUser = (id, fn) => getStore().update(USERS, id, fn);
+
+export const deleteUser = (id) => getStore().delete(USERS, id);
+
+// --- Sessions ---
+//
+// A session's id is its bearer token / cookie value, so it never leaves the
+// server again after login. Session lists identify each one by a hash of
+// the id instead (its "handle").
+
+export async function createSession(userId, ttlMs, event = null) {
+  const now = new Date().toISOString();
+  const session = {
+    id: randomUUID(),
+    userId,
+    userAgent: event ? userAgentOf(event) : null,
+    ip: event ? clientIp(event) : null,
+    createdAt: now,
+    lastSeenAt: now,
+    expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+  };
+  await getStore().put(SESSIONS, session.id, session);
+  return session;
+}
+
+export const deleteSession = (id) => getStore().delete(SESSIONS, id);
+
+export const sessionHandle = (id) => createHash('sha256').update(id).digest('hex').slice(0, 24);
+
+// Live sessions of a user, most recently used first
+export async function listUserSessions(userId) {
+  return (await getStore().list(SESSIONS))
+    .filter(session => session.userId === userId && !isExpired(session))
+    .sort((a, b) => new Date(b.lastSeenAt || b.createdAt) - new Date(a.lastSeenAt || a.createdAt));
+}
+
+// Deletes the user's session with this handle; returns the session or null
+export async function revokeSessionByHandle(userId, handle) {
+  const session = (await listUserSessions(userId)).find(s => sessionHandle(s.id) === handle);
+  if (!session) return null;
+  await getStore().delete(SESSIONS, session.id);
+  return session;
+}
+
+// Logs the user out everywhere, or everywhere but the session `exceptId`
+export async function deleteUserSessions(userId, { exceptId = null } = {}) {
+  const sessions = (await getStore().list(SESSIONS))
+    .filter(session => session.userId === userId && session.id !== exceptId);
+  for (const session of sessions) await getStore().delete(SESSIONS, session.id);
+  return sessions.length;
+}
+
+async function getLiveSession(id) {
+  if (!id) return null;
+  const session = await getStore().get(SESSIONS, id);
+  if (!session || isExpired(session)) return null;
+  return session;
+}
+
+async function touchSession(session, event) {
+  if (Date.now() - new Date(session.lastSeenAt || session.createdAt).getTime() < LAST_SEEN_INTERVAL_MS) return session;
+  const seen = { lastSeenAt: new Date().toISOString(), ip: clientIp(event) || session.ip || null };
+  await getStore().update(SESSIONS, session.id, (current) => (current ? { ...current, ...seen } : current));
+  return { ...session, ...seen };
+}
+
+// Session from cookie OR Authorization header (for mobile apps and personal
+// access tokens, see accessTokens.js)
+export async function getSession(event) {
+  // Try Authorization header first (for mobile apps)
+  const authHeader = event.headers.authorization || event.headers.Authorization;
+  if (authHeader && authHeader.startsWith(`Bearer ${TOKEN_PREFIX}`)) {
+    return sessionForAccessToken(authHeader.substring(7));
+  }
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    const session = await getLiveSession(authHeader.substring(7));
+    if (session) return touchSession(session, event);
+  }
+
+  // Fall back to cookies (for web)
+  const cookies = cookie.parse(event.headers.cookie || '');
+  const session = await getLiveSession(cookies.session_id);
+  return session && touchSession(session, event);
+}
+
+// --- Password reset tokens ---
+
+export async function createResetToken(userId, ttlMs) {
+  const token = randomUUID();
+  await getStore().put(RESET_TOKENS, token, {
+    token,
+    userId,
+    expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+  });
+  return token;
+}
+
+// Looks a token up without using it, or null if missing/expired
+export async function findResetToken(token) {
+  const record = await getStore().get(RESET_TOKENS, token);
+  return record && !isExpired(record) ? record : null;
+}
+
+// Returns the token record and deletes it, or null if missing/expired
+export async function consumeResetToken(token) {
+  const record = await getStore().get(RESET_TOKENS, token);
+  if (!record) return null;
+  await getStore().delete(RESET_TOKENS, token);
+  return isExpired(record) ? null : record;
+}
+
+// --- Email verification tokens ---
+
+// The token is tied to the address it was sent to, so changing the email
+// again before clicking an older link doesn't verify the new one
+export async function createVerifyToken(userId, email, ttlMs) {
+  const token = randomUUID();
+  await getStore().put(VERIFY_TOKENS, token, {
+    token,
+    userId,
+    email,
+    expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+  });
+  return token;
+}
+
+export async function consumeVerifyToken(token) {
+  const record = await getStore().get(VERIFY_TOKENS, token);
+  if (!record) return null;
+  await getStore().delete(VERIFY_TOKENS, token);
+  return isExpired(record) ? null : record;
+}
+
+// --- Two-factor login challenges ---
+
+// Issued when the password was right but a TOTP/recovery code is still
+// needed; the second step trades it (plus the code) for a session
+export async function createLoginChallenge(userId, ttlMs) {
+  const token = randomUUID();
+  await getStore().put(LOGIN_CHALLENGES, token, {
+    token,
+    userId,
+    expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+  });
+  return token;
+}
+
+// Stays usable after a wrong code, until it expires or is deleted
+export async function findLoginChallenge(token) {
+  const record = token ? await getStore().get(LOGIN_CHALLENGES, token) : null;
+  return record && !isExpired(record) ? record : null;
+}
+
+export const deleteLoginChallenge = (token) => getStore().delete(LOGIN_CHALLENGES, token);
+
+// --- Cleanup ---
+
+export async function cleanupExpired(now = new Date()) {
+  const store = getStore();
+  const removed = { sessions: 0, resetTokens: 0, verifyTokens: 0, loginChallenges: 0 };
+
+  for (const session of await store.list(SESSIONS)) {
+    if (isExpired(session, now) && await store.delete(SESSIONS, session.id)) removed.sessions++;
+  }
+  for (const record of await store.list(RESET_TOKENS)) {
+    if (isExpired(record, now) && await store.delete(RESET_TOKENS, record.token)) removed.resetTokens++;
+  }
+  for (const record of await store.list(VERIFY_TOKENS)) {
+    if (isExpired(record, now) && await store.delete(VERIFY_TOKENS, record.token)) removed.verifyTokens++;
+  }
+  for (const record of await store.list(LOGIN_CHALLENGES)) {
+    if (isExpired(record, now) && await store.delete(LOGIN_CHALLENGES, record.token)) removed.loginChallenges++;
+  }
+
+  return removed;
+}
@@ -0,0 +1,32 @@
+// Where server-side state lives on disk.
+// Defaults to .data/ in the project root for local dev; on Netlify set
+// DATA_DIR to a writable location (e.g. /tmp/apitracker) or a mounted volume.
+
+import { mkdir, readFile, writeFile, rename } from 'fs/promises';
+import path from 'path';
+
+export const dataDir = () => process.env.DATA_DIR || path.join(process.cwd(), '.data');
+
+// `fileName` may include a subdirectory (e.g. "store/users.json")
+export async function dataPath(fileName) {
+  const target = path.join(dataDir(), fileName);
+  await mkdir(path.dirname(target), { recursive: true });
+  return target;
+}
+
+export async function readJsonFile(fileName, fallback) {
+  try {
+    return JSON.parse(await readFile(await dataPath(fileName), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+// Write to a temp file and rename so a crash never leaves half a JSON file
+export async function writeJsonFile(fileName, data) {
+  const target = await dataPath(fileName);
+  const temp = `${target}.${process.pid}.tmp`;
+  await writeFile(temp, JSON.stringify(data, null, 2));
+  await rename(temp, target);
+}
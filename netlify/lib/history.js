@@ -0,0 +1,159 @@
+// Usage history store
+// Every collection run appends one JSON line per provider, so the dashboard
+// can chart usage over time instead of only showing the latest number.
+// Environment keys are recorded by adapter id; a workspace's keys by usage id
+// (see src/lib/providerKeys.js) with the workspace they belong to, so one
+// workspace never sees another's history.
+//
+// Records are kept in one file per workspace (or the environment keys) and
+// calendar month (UTC) - usage-history/env/2026-03.jsonl,
+// usage-history/workspaces/<id>/2026-03.jsonl - so a query only reads the
+// months it covers, and months older than HISTORY_RETENTION_MONTHS (default
+// 13) are deleted as new ones are written.
+
+import { appendFile, readFile, readdir, rm, rename } from 'fs/promises';
+import path from 'path';
+import { dataDir, dataPath } from './dataDir.js';
+
+const HISTORY_DIR = 'usage-history';
+const LEGACY_FILE = 'usage-history.jsonl';
+const DEFAULT_RETENTION_MONTHS = 13;
+
+const retentionMonths = () => {
+  const months = parseInt(process.env.HISTORY_RETENTION_MONTHS, 10);
+  return months > 0 ? months : DEFAULT_RETENTION_MONTHS;
+};
+
+const scopeDir = (workspaceId) => (workspaceId
+  ? path.join(HISTORY_DIR, 'workspaces', encodeURIComponent(workspaceId))
+  : path.join(HISTORY_DIR, 'env'));
+
+// "2026-03" for any time in March 2026 (UTC)
+const monthOf = (time) => new Date(time).toISOString().slice(0, 7);
+
+const monthFile = (workspaceId, month) => path.join(scopeDir(workspaceId), `${month}.jsonl`);
+
+// The months a scope has files for, oldest first
+async function listMonths(workspaceId) {
+  try {
+    const names = await readdir(path.join(dataDir(), scopeDir(workspaceId)));
+    return names.filter(name => /^\d{4}-\d{2}\.jsonl$/.test(name)).map(name => name.slice(0, 7)).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+async function pruneMonths(workspaceId, now) {
+  const cutoff = new Date(now);
+  cutoff.setUTCDate(1);
+  cutoff.setUTCMonth(cutoff.getUTCMonth() - retentionMonths() + 1);
+  const oldest = monthOf(cutoff);
+  for (const month of await listMonths(workspaceId)) {
+    if (month >= oldest) break;
+    await rm(await dataPath(monthFile(workspaceId, month)), { force: true });
+  }
+}
+
+const parseLines = (contents) => {
+  const records = [];
+  for (const line of contents.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (e) {
+      // Skip a partially written line rather than failing the read
+    }
+  }
+  return records;
+};
+
+// Splits the single file earlier versions appended to into the per-month
+// files, once per process
+let migration = null;
+function migrateLegacyFile() {
+  migration ||= (async () => {
+    const legacy = await dataPath(LEGACY_FILE);
+    let contents;
+    try {
+      contents = await readFile(legacy, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    const files = new Map();
+    for (const record of parseLines(contents)) {
+      if (isNaN(new Date(record.timestamp))) continue;
+      const file = monthFile(record.workspace || null, monthOf(record.timestamp));
+      files.set(file, (files.get(file) || '') + JSON.stringify(record) + '\n');
+    }
+    for (const [file, lines] of files) await appendFile(await dataPath(file), lines);
+    await rename(legacy, `${legacy}.migrated`);
+  })().catch((error) => {
+    migration = null;
+    throw error;
+  });
+  return migration;
+}
+
+// `results` is { [id]: result }; only successful results carry figures
+// worth charting
+export async function appendHistory(results, timestamp = new Date(), workspaceId = null) {
+  const lines = Object.entries(results)
+    .filter(([, result]) => result && result.status === 'ok')
+    .map(([id, result]) => JSON.stringify({
+      provider: id,
+      ...(workspaceId ? { workspace: workspaceId } : {}),
+      timestamp: timestamp.toISOString(),
+      periodStart: result.periodStart,
+      requests: result.requests,
+      inputTokens: result.inputTokens,
+      outputTokens: result.outputTokens,
+      cachedTokens: result.cachedTokens,
+      models: result.models,
+      cost: result.cost,
+    }));
+
+  if (lines.length === 0) return;
+  await migrateLegacyFile();
+  await appendFile(await dataPath(monthFile(workspaceId, monthOf(timestamp))), lines.join('\n') + '\n');
+  await pruneMonths(workspaceId, timestamp);
+}
+
+// Returns records between `from` and `to` (inclusive), oldest first, for
+// one workspace (or, without one, the environment keys), optionally limited
+// to one provider.
+export async function readHistory({ provider, workspace = null, from, to } = {}) {
+  await migrateLegacyFile();
+
+  const fromTime = from ? new Date(from).getTime() : -Infinity;
+  const toTime = to ? new Date(to).getTime() : Infinity;
+  const months = (await listMonths(workspace)).filter(month =>
+    (!from || month >= monthOf(fromTime)) && (!to || month <= monthOf(toTime)));
+
+  const records = [];
+  for (const month of months) {
+    let contents;
+    try {
+      contents = await readFile(await dataPath(monthFile(workspace, month)), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') continue; // Pruned since it was listed
+      throw error;
+    }
+    for (const record of parseLines(contents)) {
+      const time = new Date(record.timestamp).getTime();
+      if ((record.workspace || null) !== workspace) continue;
+      if (provider && record.provider !== provider) continue;
+      if (time < fromTime || time > toTime) continue;
+      records.push(record);
+    }
+  }
+
+  return records.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// Removes all of a workspace's history, e.g. when its last member's account
+// is deleted
+export async function deleteHistory(workspaceId) {
+  await rm(path.join(dataDir(), scopeDir(workspaceId)), { recursive: true, force: true });
+}
@@ -0,0 +1,195 @@
+// Usage reported by the caller's own services, for APIs no collector knows
+// (internal services, niche vendors). Events are POSTed to /api/usage/events
+// and counted per workspace and usage id - a card's id, or
+// `${cardId}:${keyId}` for one of its named keys (see src/lib/providerKeys.js)
+// - so get-usage can report them on the same cards as built-in providers.
+//
+// Like the metering proxy, figures go into UTC hour buckets (kept ~3 months)
+// and minute buckets (kept an hour) so they can be summed for any reset
+// window. Events carrying an `id` are counted once: ids are remembered for a
+// week per usage id, and a retried event with a known id is skipped.
+
+import { getStore } from './storage/index.js';
+import { usageResult } from './providers/result.js';
+
+const INGESTED = 'ingested_usage';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const KEEP_HOURS_MS = 100 * 24 * HOUR_MS;
+const KEEP_IDS_MS = 7 * 24 * HOUR_MS;
+const MAX_CLOCK_SKEW_MS = 5 * MINUTE_MS;
+
+export const MAX_EVENTS_PER_REQUEST = 500;
+
+const USAGE_ID = /^[\w.-]{1,64}(:[\w.-]{1,64})?$/;
+const MAX_ID_LENGTH = 200;
+const MAX_MODEL_LENGTH = 200;
+
+const FIGURES = ['requests', 'inputTokens', 'outputTokens', 'cachedTokens', 'cost'];
+
+const docId = (workspaceId, usageId) => `${workspaceId}:${usageId}`;
+
+const bucketKey = (time, size) => new Date(Math.floor(time / size) * size).toISOString();
+
+const addFigures = (totals = {}, figures) =>
+  Object.fromEntries(FIGURES.map(field => [field, (totals[field] || 0) + (figures[field] || 0)]));
+
+const addToBucket = (bucket = { models: {} }, figures, model) => {
+  const next = { ...bucket, ...addFigures(bucket, figures) };
+  if (model) next.models = { ...bucket.models, [model]: addFigures(bucket.models?.[model], figures) };
+  return next;
+};
+
+const pruneBuckets = (buckets, oldest) =>
+  Object.fromEntries(Object.entries(buckets).filter(([key]) => new Date(key).getTime() >= oldest));
+
+const pruneIds = (seen, oldest) =>
+  Object.fromEntries(Object.entries(seen).filter(([, at]) => new Date(at).getTime() >= oldest));
+
+// A figure from an event: absent is 0, anything else must be a finite
+// non-negative number
+const readFigure = (event, field) => {
+  const value = event[field];
+  if (value == null) return 0;
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) && number >= 0 ? number : NaN;
+};
+
+// Checks one event and turns it into
+// { id, usageId, time, model, currency, figures }, or { error }.
+//
+// `count` is the number of requests (default 1). `tokens` is a total for
+// services that don't split input and output; it is counted as input so it
+// still shows up against total-token limits. `timestamp` is an ISO string or
+// epoch milliseconds and defaults to now.
+export function normalizeEvent(event, now = new Date()) {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) return { error: 'Event must be an object' };
+
+  const usageId = String(event.provider ?? '').trim();
+  if (!USAGE_ID.test(usageId)) return { error: 'provider must be a card id, or cardId:keyId for a named key' };
+
+  const id = event.id == null ? null : String(event.id);
+  if (id !== null && (!id || id.length > MAX_ID_LENGTH)) return { error: `id must be 1 to ${MAX_ID_LENGTH} characters` };
+
+  const model = event.model == null ? null : String(event.model).trim().slice(0, MAX_MODEL_LENGTH) || null;
+
+  const figures = {
+    requests: event.count == null ? 1 : readFigure(event, 'count'),
+    inputTokens: readFigure(event, 'inputTokens'),
+    outputTokens: readFigure(event, 'outputTokens'),
+    cachedTokens: readFigure(event, 'cachedTokens'),
+    cost: readFigure(event, 'cost'),
+  };
+  const tokens = readFigure(event, 'tokens');
+  for (const [field, value] of Object.entries({ ...figures, tokens })) {
+    if (Number.isNaN(value)) return { error: `${field === 'requests' ? 'count' : field} must be a non-negative number` };
+  }
+  if (tokens && event.inputTokens == null && event.outputTokens == null) figures.inputTokens = tokens;
+  if (figures.cachedTokens > figures.inputTokens) return { error: 'cachedTokens cannot exceed inputTokens' };
+
+  const time = event.timestamp == null ? now.getTime() : new Date(event.timestamp).getTime();
+  if (Number.isNaN(time)) return { error: 'timestamp must be an ISO date or epoch milliseconds' };
+  if (time > now.getTime() + MAX_CLOCK_SKEW_MS) return { error: 'timestamp is in the future' };
+  if (time < now.getTime() - KEEP_HOURS_MS) return { error: 'timestamp is older than the 100 days usage is kept' };
+
+  const currency = event.currency == null ? 'usd' : String(event.currency).trim().toLowerCase();
+  if (!/^[a-z]{3}$/.test(currency)) return { error: 'currency must be a three-letter code' };
+
+  return { id, usageId, time, model, currency, figures };
+}
+
+// Adds normalized events for one workspace. Returns the number counted and
+// skipped as duplicates; events for one usage id are applied in a single
+// update, so a batch either lands for that id or doesn't.
+export async function ingestEvents(workspaceId, events, now = new Date()) {
+  const byUsageId = new Map();
+  for (const event of events) {
+    byUsageId.set(event.usageId, [...(byUsageId.get(event.usageId) || []), event]);
+  }
+
+  let accepted = 0;
+  let duplicates = 0;
+  for (const [usageId, batch] of byUsageId) {
+    await getStore().update(INGESTED, docId(workspaceId, usageId), (current) => {
+      const doc = current || { workspaceId, providerId: usageId, hours: {}, minutes: {}, seen: {}, currency: null };
+      const time = now.getTime();
+      doc.hours = pruneBuckets(doc.hours, time - KEEP_HOURS_MS);
+      doc.minutes = pruneBuckets(doc.minutes, time - HOUR_MS);
+      doc.seen = pruneIds(doc.seen, time - KEEP_IDS_MS);
+
+      for (const event of batch) {
+        if (event.id !== null && doc.seen[event.id]) {
+          duplicates++;
+          continue;
+        }
+        if (event.id !== null) doc.seen[event.id] = now.toISOString();
+
+        doc.hours[bucketKey(event.time, HOUR_MS)] = addToBucket(doc.hours[bucketKey(event.time, HOUR_MS)], event.figures, event.model);
+        if (event.time >= time - HOUR_MS) {
+          doc.minutes[bucketKey(event.time, MINUTE_MS)] = addToBucket(doc.minutes[bucketKey(event.time, MINUTE_MS)], event.figures, event.model);
+        }
+        if (event.figures.cost) doc.currency = event.currency;
+        accepted++;
+      }
+      doc.updatedAt = now.toISOString();
+      return doc;
+    });
+  }
+  return { accepted, duplicates };
+}
+
+// Totals for buckets starting within `period` ({ start, end } as from
+// currentPeriod), or null when nothing was ever reported for this usage id
+export async function getIngested(workspaceId, usageId, period) {
+  const doc = await getStore().get(INGESTED, docId(workspaceId, usageId));
+  if (!doc) return null;
+
+  const from = period.start.getTime();
+  const to = period.end.getTime();
+  const buckets = to - from <= HOUR_MS ? doc.minutes : doc.hours;
+  let totals = {};
+  const models = {};
+
+  for (const [key, bucket] of Object.entries(buckets)) {
+    const time = new Date(key).getTime();
+    if (time < from || time > to) continue;
+    totals = addFigures(totals, bucket);
+    for (const [model, figures] of Object.entries(bucket.models || {})) {
+      models[model] = addFigures(models[model], figures);
+    }
+  }
+  return {
+    ...addFigures(totals, {}),
+    models: Object.keys(models).length > 0 ? models : null,
+    currency: doc.currency,
+    updatedAt: doc.updatedAt,
+  };
+}
+
+// Reported figures as a usage result for a card (or named key) no collector
+// or proxy produced a result for. Cost is only set when some event had one.
+export async function withIngested(workspaceId, usageId, result, period) {
+  if (result?.status === 'ok') return result;
+  let ingested;
+  try {
+    ingested = await getIngested(workspaceId, usageId, period);
+  } catch (error) {
+    console.error(`Failed to read reported usage for ${usageId}:`, error.message);
+    return result;
+  }
+  if (!ingested) return result;
+
+  const { cost, currency, updatedAt, ...figures } = ingested;
+  return {
+    ...usageResult(usageId, period, { ...figures, cost: ingested.currency ? cost : null, currency }),
+    source: 'ingested',
+    reportedAt: updatedAt,
+  };
+}
+
+export async function deleteIngestedUsage(workspaceId) {
+  const docs = (await getStore().list(INGESTED)).filter(doc => doc.workspaceId === workspaceId);
+  for (const doc of docs) await getStore().delete(INGESTED, docId(workspaceId, doc.providerId));
+  return docs.length;
+}
@@ -0,0 +1,95 @@
+// Brute-force protection for the auth endpoints. Failed attempts are
+// counted per client IP and per account (email); once a key has used up its
+// free attempts every further one has to wait twice as long as the last,
+// and at the lockout threshold the key is locked out for a while. Quiet
+// keys are forgotten after a day. Password reset emails are counted per
+// address under their own key, so requesting resets for someone's email
+// can't lock them out of signing in.
+//
+// IPs get more room than accounts since offices and mobile carriers put
+// many people behind one address. Tune with AUTH_ACCOUNT_FREE_ATTEMPTS,
+// AUTH_ACCOUNT_LOCKOUT_ATTEMPTS, AUTH_IP_FREE_ATTEMPTS,
+// AUTH_IP_LOCKOUT_ATTEMPTS and AUTH_LOCKOUT_MINUTES.
+
+import { getStore } from './storage/index.js';
+import { clientIp } from './authStore.js';
+
+const ATTEMPTS = 'login_attempts';
+
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+const FORGET_MS = 24 * 60 * 60 * 1000;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const limitsFor = (key) => (key.startsWith('ip:')
+  ? { free: envInt('AUTH_IP_FREE_ATTEMPTS', 20), lockoutAt: envInt('AUTH_IP_LOCKOUT_ATTEMPTS', 50) }
+  : { free: envInt('AUTH_ACCOUNT_FREE_ATTEMPTS', 5), lockoutAt: envInt('AUTH_ACCOUNT_LOCKOUT_ATTEMPTS', 10) });
+
+const lockoutMs = () => envInt('AUTH_LOCKOUT_MINUTES', 15) * 60 * 1000;
+
+export const ipKey = (event) => `ip:${clientIp(event) || 'unknown'}`;
+
+export const accountKey = (email) => `account:${String(email || '').trim().toLowerCase()}`;
+
+export const resetKey = (email) => `reset:${String(email || '').trim().toLowerCase()}`;
+
+const isStale = (record, now) => now - new Date(record.lastFailureAt).getTime() > FORGET_MS;
+
+// Milliseconds until `record` may try again (0 when it may now)
+function waitFor(key, record, now) {
+  if (!record || isStale(record, now)) return 0;
+  if (record.lockedUntil) return Math.max(0, new Date(record.lockedUntil).getTime() - now);
+
+  const { free } = limitsFor(key);
+  if (record.failures < free) return 0;
+  const delay = Math.min(BASE_DELAY_MS * 2 ** (record.failures - free), MAX_DELAY_MS);
+  return Math.max(0, new Date(record.lastFailureAt).getTime() + delay - now);
+}
+
+// Longest wait over `keys`, as { retryAfterMs, locked } - or null when the
+// attempt may go ahead
+export async function checkThrottle(keys, now = Date.now()) {
+  let result = null;
+  for (const key of keys) {
+    const record = await getStore().get(ATTEMPTS, key);
+    const retryAfterMs = waitFor(key, record, now);
+    if (retryAfterMs > (result?.retryAfterMs || 0)) {
+      result = { retryAfterMs, locked: Boolean(record.lockedUntil) };
+    }
+  }
+  return result;
+}
+
+export async function recordFailure(keys, now = Date.now()) {
+  for (const key of keys) {
+    await getStore().update(ATTEMPTS, key, (current) => {
+      const previous = current && !isStale(current, now) && !(current.lockedUntil && new Date(current.lockedUntil) <= now)
+        ? current
+        : { key, failures: 0 };
+      const failures = previous.failures + 1;
+      return {
+        key,
+        failures,
+        lastFailureAt: new Date(now).toISOString(),
+        lockedUntil: failures >= limitsFor(key).lockoutAt ? new Date(now + lockoutMs()).toISOString() : null,
+      };
+    });
+  }
+}
+
+export async function clearFailures(keys) {
+  for (const key of keys) await getStore().delete(ATTEMPTS, key);
+}
+
+export async function cleanupStaleAttempts(now = Date.now()) {
+  let removed = 0;
+  for (const record of await getStore().list(ATTEMPTS)) {
+    const lockOver = !record.lockedUntil || new Date(record.lockedUntil).getTime() <= now;
+    if (lockOver && isStale(record, now) && await getStore().delete(ATTEMPTS, record.key)) removed++;
+  }
+  return removed;
+}
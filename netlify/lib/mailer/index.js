@@ -0,0 +1,46 @@
+// Outgoing email for account flows (password resets, invitations...).
+//
+// A transport is an object with `id`, `isConfigured()`, `defaultFrom()` and
+// `send({ from, to, subject, text, html })`. MAIL_TRANSPORT picks one:
+//   smtp     real delivery (see transports/smtp.js)
+//   file     JSON files in DATA_DIR/mail/, for local testing
+//   console  the function log
+// Unset, SMTP is used when it is configured and the console otherwise.
+// MAIL_FROM sets the sender address, and SITE_URL (or Netlify's URL) the
+// base of links in emails.
+
+import smtp from './transports/smtp.js';
+import file from './transports/file.js';
+import consoleTransport from './transports/console.js';
+import { renderTemplate } from './templates.js';
+
+const transports = [smtp, file, consoleTransport];
+
+export function getTransport() {
+  const name = process.env.MAIL_TRANSPORT;
+  if (name) {
+    const transport = transports.find(t => t.id === name);
+    if (!transport) throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+    return transport;
+  }
+  return smtp.isConfigured() ? smtp : consoleTransport;
+}
+
+export async function sendMail({ to, subject, text, html }) {
+  const transport = getTransport();
+  const from = process.env.MAIL_FROM || transport.defaultFrom();
+  await transport.send({ from, to, subject, text, html });
+}
+
+// Renders a template from templates.js and sends it to `to`
+export const sendTemplate = (to, template, vars) => sendMail({ to, ...renderTemplate(template, vars) });
+
+// Base URL for links in emails: SITE_URL, else the site's URL on Netlify.
+// Never taken from the request - a forged Origin would point reset and
+// invitation links (and their tokens) at someone else's host - so this
+// throws when neither is set.
+export function siteUrl() {
+  const base = process.env.SITE_URL || process.env.URL;
+  if (!base || !/^https?:\/\//.test(base)) throw new Error('SITE_URL is not configured');
+  return base.replace(/\/$/, '');
+}
@@ -0,0 +1,79 @@
+// Email templates. `{{name}}` placeholders are filled from the variables
+// passed to renderTemplate; values are HTML-escaped in the html part.
+// Every template also gets `appName`.
+
+const TEMPLATES = {
+  'password-reset': {
+    subject: 'Reset your {{appName}} password',
+    text: [
+      'Hi {{name}},',
+      '',
+      'Someone asked to reset the password for your {{appName}} account.',
+      'Choose a new one here (the link works once and expires in {{expiresIn}}):',
+      '',
+      '{{link}}',
+      '',
+      "If it wasn't you, ignore this email - your password stays the same.",
+    ].join('\n'),
+    html: `<p>Hi {{name}},</p>
+<p>Someone asked to reset the password for your {{appName}} account.</p>
+<p><a href="{{link}}">Choose a new password</a></p>
+<p style="color:#6b7280">The link works once and expires in {{expiresIn}}. If it wasn't you, ignore this email - your password stays the same.</p>`,
+  },
+
+  'verify-email': {
+    subject: 'Confirm your email for {{appName}}',
+    text: [
+      'Hi {{name}},',
+      '',
+      'Please confirm that {{email}} is your address for {{appName}}',
+      '(the link expires in {{expiresIn}}):',
+      '',
+      '{{link}}',
+      '',
+      "If you didn't sign up, you can ignore this email.",
+    ].join('\n'),
+    html: `<p>Hi {{name}},</p>
+<p>Please confirm that {{email}} is your address for {{appName}}.</p>
+<p><a href="{{link}}">Confirm my email</a></p>
+<p style="color:#6b7280">The link expires in {{expiresIn}}. If you didn't sign up, you can ignore this email.</p>`,
+  },
+
+  'workspace-invite': {
+    subject: '{{inviter}} invited you to {{workspace}} on {{appName}}',
+    text: [
+      'Hi,',
+      '',
+      '{{inviter}} invited you to the {{workspace}} workspace on {{appName}} as {{role}}.',
+      'Accept the invitation here (it expires in {{expiresIn}}):',
+      '',
+      '{{link}}',
+      '',
+      'Sign in or sign up with this email address to accept it.',
+    ].join('\n'),
+    html: `<p>Hi,</p>
+<p>{{inviter}} invited you to the <strong>{{workspace}}</strong> workspace on {{appName}} as {{role}}.</p>
+<p><a href="{{link}}">Accept the invitation</a></p>
+<p style="color:#6b7280">It expires in {{expiresIn}}. Sign in or sign up with this email address to accept it.</p>`,
+  },
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const fill = (template, vars, escape = (value) => value) =>
+  template.replace(/\{\{(\w+)\}\}/g, (_, key) => escape(vars[key] ?? ''));
+
+export function renderTemplate(name, vars) {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+  const all = { appName: process.env.MAIL_APP_NAME || 'API Usage Tracker', ...vars };
+  return {
+    subject: fill(template.subject, all),
+    text: fill(template.text, all),
+    html: fill(template.html, all, escapeHtml),
+  };
+}
@@ -0,0 +1,14 @@
+// Logs each message instead of sending it - the fallback when nothing else is
+// configured, so links still show up in the function logs.
+
+export default {
+  id: 'console',
+
+  isConfigured: () => true,
+
+  defaultFrom: () => 'apitracker@localhost',
+
+  async send(message) {
+    console.log(`[Mail] To: ${message.to}\n[Mail] Subject: ${message.subject}\n${message.text}`);
+  },
+};
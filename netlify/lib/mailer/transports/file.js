@@ -0,0 +1,18 @@
+// Writes each message as JSON to DATA_DIR/mail/ instead of sending it, for
+// local testing and previews. Open the file to follow the links in it.
+
+import { writeJsonFile } from '../../dataDir.js';
+
+export default {
+  id: 'file',
+
+  isConfigured: () => true,
+
+  defaultFrom: () => 'apitracker@localhost',
+
+  async send(message) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const recipient = String(message.to).replace(/[^a-z0-9@.-]/gi, '_');
+    await writeJsonFile(`mail/${stamp}-${recipient}.json`, { ...message, sentAt: new Date().toISOString() });
+  },
+};
@@ -0,0 +1,37 @@
+// Delivery through any SMTP server.
+// MAIL_SMTP_* configure it; without them the alert email settings
+// (ALERT_SMTP_* / EMAIL_SENDER / EMAIL_PASSWORD) are reused, so one mailbox
+// can send both.
+
+import nodemailer from 'nodemailer';
+
+const config = () => {
+  const env = process.env;
+  const user = env.MAIL_SMTP_USER || env.ALERT_SMTP_USER || env.EMAIL_SENDER;
+  const port = parseInt(env.MAIL_SMTP_PORT || env.ALERT_SMTP_PORT || '465');
+  const secure = env.MAIL_SMTP_SECURE || env.ALERT_SMTP_SECURE;
+  return {
+    host: env.MAIL_SMTP_HOST || env.ALERT_SMTP_HOST || 'smtp.gmail.com',
+    port,
+    secure: secure ? secure === 'true' : port === 465,
+    user,
+    password: env.MAIL_SMTP_PASSWORD || env.ALERT_SMTP_PASSWORD || env.EMAIL_PASSWORD,
+  };
+};
+
+export default {
+  id: 'smtp',
+
+  isConfigured() {
+    const { user, password } = config();
+    return Boolean(user && password);
+  },
+
+  defaultFrom: () => config().user,
+
+  async send(message) {
+    const { host, port, secure, user, password } = config();
+    const transport = nodemailer.createTransport({ host, port, secure, auth: { user, pass: password } });
+    await transport.sendMail(message);
+  },
+};
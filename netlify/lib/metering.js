@@ -0,0 +1,212 @@
+// Usage recorded by the metering proxy (functions/proxy.js).
+// Every call that goes through the proxy adds to counters per scope and
+// provider: requests, input/output tokens (overall and per model) and the
+// latest rate-limit headers the provider sent. The scope is ENV_SCOPE for
+// calls made with METERING_PROXY_TOKEN, which count towards the environment
+// keys, or the workspace of the access token the call came with. The
+// collectors fold these in, which gives exact figures even for providers
+// with no usage API.
+
+import { getStore } from './storage/index.js';
+import { usageResult } from './providers/result.js';
+
+const METERING = 'metering';
+
+export const ENV_SCOPE = 'env';
+
+const docId = (scope, providerId) => `${scope}:${providerId}`;
+
+const toNumber = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+// Token counts from one response object, whichever provider shape it uses:
+//   OpenAI / Groq / Perplexity   usage.prompt_tokens, usage.completion_tokens
+//   OpenAI Responses, Anthropic  usage.input_tokens, usage.output_tokens
+//   Anthropic stream events      message.usage (message_start), usage (message_delta)
+//   Gemini                       usageMetadata.promptTokenCount, candidatesTokenCount
+//   Cohere                       usage.billed_units / meta.billed_units
+// Cached input is counted as input too (Anthropic reports it separately).
+function readUsage(data) {
+  if (!data || typeof data !== 'object') return null;
+  const usage = data.usage || data.message?.usage || data.response?.usage;
+  const gemini = data.usageMetadata;
+  const cohere = usage?.billed_units || data.meta?.billed_units;
+
+  let inputTokens = null;
+  let outputTokens = null;
+  let cachedTokens = null;
+  if (cohere) {
+    inputTokens = toNumber(cohere.input_tokens);
+    outputTokens = toNumber(cohere.output_tokens);
+  } else if (usage) {
+    inputTokens = toNumber(usage.prompt_tokens ?? usage.input_tokens);
+    outputTokens = toNumber(usage.completion_tokens ?? usage.output_tokens);
+    cachedTokens = toNumber(
+      usage.prompt_tokens_details?.cached_tokens ??
+      usage.input_tokens_details?.cached_tokens ??
+      usage.cache_read_input_tokens
+    );
+    if ('cache_read_input_tokens' in usage || 'cache_creation_input_tokens' in usage) {
+      inputTokens = (inputTokens || 0) + (usage.cache_read_input_tokens || 0) + (usage.cache_creation_input_tokens || 0);
+    }
+  } else if (gemini) {
+    inputTokens = toNumber(gemini.promptTokenCount);
+    outputTokens = toNumber(gemini.candidatesTokenCount);
+    cachedTokens = toNumber(gemini.cachedContentTokenCount);
+  }
+
+  const model = data.model || data.message?.model || data.response?.model || data.modelVersion || null;
+  if (inputTokens === null && outputTokens === null && !model) return null;
+  return { inputTokens, outputTokens, cachedTokens, model };
+}
+
+// Streamed responses arrive as server-sent events (or, for Gemini without
+// alt=sse, a JSON array). Providers report cumulative counts across events,
+// so the largest value seen is the total.
+const parseEvents = (text, contentType) => {
+  if (contentType.includes('text/event-stream')) {
+    return text.split('\n')
+      .filter(line => line.startsWith('data:'))
+      .map(line => {
+        try {
+          return JSON.parse(line.slice(5).trim());
+        } catch (e) {
+          return null; // "[DONE]" and keep-alives
+        }
+      });
+  }
+  try {
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? data : [data];
+  } catch (e) {
+    return [];
+  }
+};
+
+export function extractUsage(text, contentType = '') {
+  const figures = { inputTokens: null, outputTokens: null, cachedTokens: null, model: null };
+  const max = (a, b) => (b === null ? a : Math.max(a ?? 0, b));
+
+  for (const event of parseEvents(text, contentType)) {
+    const usage = readUsage(event);
+    if (!usage) continue;
+    figures.inputTokens = max(figures.inputTokens, usage.inputTokens);
+    figures.outputTokens = max(figures.outputTokens, usage.outputTokens);
+    figures.cachedTokens = max(figures.cachedTokens, usage.cachedTokens);
+    figures.model = figures.model || usage.model;
+  }
+  return figures;
+}
+
+const addFigures = (totals = {}, { inputTokens, outputTokens, cachedTokens }) => ({
+  requests: (totals.requests || 0) + 1,
+  inputTokens: (totals.inputTokens || 0) + (inputTokens || 0),
+  outputTokens: (totals.outputTokens || 0) + (outputTokens || 0),
+  cachedTokens: (totals.cachedTokens || 0) + (cachedTokens || 0),
+});
+
+const sumFigures = (a = {}, b) => ({
+  requests: (a.requests || 0) + b.requests,
+  inputTokens: (a.inputTokens || 0) + b.inputTokens,
+  outputTokens: (a.outputTokens || 0) + b.outputTokens,
+  cachedTokens: (a.cachedTokens || 0) + (b.cachedTokens || 0),
+});
+
+// Calls are counted in UTC hour buckets (kept ~3 months) and minute buckets
+// (kept an hour), so totals can be summed for whatever reset window a
+// provider uses. Windows in half-hour time zones are off by up to 30 minutes.
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const KEEP_HOURS_MS = 100 * 24 * HOUR_MS;
+
+const bucketKey = (time, size) => new Date(Math.floor(time / size) * size).toISOString();
+
+const addToBucket = (bucket = { models: {} }, figures, model) => {
+  const next = { ...bucket, ...addFigures(bucket, figures) };
+  if (model) next.models = { ...bucket.models, [model]: addFigures(bucket.models?.[model], figures) };
+  return next;
+};
+
+const pruneBuckets = (buckets, oldest) =>
+  Object.fromEntries(Object.entries(buckets).filter(([key]) => new Date(key).getTime() >= oldest));
+
+// Adds one proxied call. `rateLimit` is { limit, remaining, reset } from
+// readRateLimits; it is only replaced when the provider actually sent headers.
+export function recordCall(scope, providerId, { inputTokens = null, outputTokens = null, cachedTokens = null, model = null, rateLimit = null } = {}, now = new Date()) {
+  const figures = { inputTokens, outputTokens, cachedTokens };
+  const time = now.getTime();
+
+  return getStore().update(METERING, docId(scope, providerId), (current) => {
+    const meter = current || { scope, provider: providerId, hours: {}, minutes: {}, rateLimit: null };
+    const hour = bucketKey(time, HOUR_MS);
+    const minute = bucketKey(time, MINUTE_MS);
+
+    meter.hours = pruneBuckets(meter.hours, time - KEEP_HOURS_MS);
+    meter.minutes = pruneBuckets(meter.minutes, time - HOUR_MS);
+    meter.hours[hour] = addToBucket(meter.hours[hour], figures, model);
+    meter.minutes[minute] = addToBucket(meter.minutes[minute], figures, model);
+    meter.updatedAt = now.toISOString();
+    if (rateLimit && (rateLimit.limit !== null || rateLimit.remaining !== null)) {
+      meter.rateLimit = { ...rateLimit, observedAt: now.toISOString() };
+    }
+    return meter;
+  });
+}
+
+// Totals for buckets starting within `period` ({ start, end } as from
+// currentPeriod), or null when nothing has been proxied for this provider
+// in `scope`.
+export async function getMeter(scope, providerId, period) {
+  const meter = await getStore().get(METERING, docId(scope, providerId));
+  if (!meter) return null;
+
+  const from = period.start.getTime();
+  const to = period.end.getTime();
+  const buckets = to - from <= HOUR_MS ? meter.minutes : meter.hours;
+  let totals = { requests: 0, inputTokens: 0, outputTokens: 0, cachedTokens: 0 };
+  const models = {};
+
+  for (const [key, bucket] of Object.entries(buckets)) {
+    const time = new Date(key).getTime();
+    if (time < from || time > to) continue;
+    totals = sumFigures(totals, bucket);
+    for (const [model, figures] of Object.entries(bucket.models || {})) {
+      models[model] = sumFigures(models[model], figures);
+    }
+  }
+  return { ...totals, models, rateLimit: meter.rateLimit };
+}
+
+// Folds `scope`'s proxy figures into a collector result. Providers with no
+// key or no usage API get the metered numbers instead, collectors that left
+// a figure out (Anthropic reports no request count) have it filled in, and
+// both get the latest rate-limit snapshot attached. Failed collections stay
+// failures so a bad key isn't hidden behind proxy traffic.
+export async function withMetering(scope, providerId, result, period) {
+  if (result?.status === 'error') return result;
+  let meter;
+  try {
+    meter = await getMeter(scope, providerId, period);
+  } catch (error) {
+    console.error(`Failed to read metering for ${providerId}:`, error.message);
+    return result;
+  }
+  if (!meter) return result;
+
+  const metered = result?.status === 'ok'
+    ? {
+      ...result,
+      requests: result.requests ?? meter.requests,
+      inputTokens: result.inputTokens ?? meter.inputTokens,
+      outputTokens: result.outputTokens ?? meter.outputTokens,
+      cachedTokens: result.cachedTokens ?? meter.cachedTokens,
+      models: result.models ?? meter.models,
+    }
+    : { ...usageResult(providerId, period, meter), source: 'proxy' };
+  return meter.rateLimit ? { ...metered, rateLimit: meter.rateLimit } : metered;
+}
+
+export async function deleteMetering(scope) {
+  const docs = (await getStore().list(METERING)).filter(doc => doc.scope === scope);
+  for (const doc of docs) await getStore().delete(METERING, docId(scope, doc.provider));
+  return docs.length;
+}
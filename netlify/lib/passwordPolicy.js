@@ -0,0 +1,52 @@
+// Password rules for signup, reset and change. Configure with
+//   PASSWORD_MIN_LENGTH   minimum length (default 10)
+//   PASSWORD_REQUIRE      comma-separated character classes every password
+//                         needs: lowercase, uppercase, number, symbol
+//                         (default "lowercase,number")
+// Passwords can't be longer than bcrypt hashes (72 bytes), be one of the
+// most common passwords, or contain the account's email name.
+
+const MAX_BYTES = 72;
+
+const CLASSES = {
+  lowercase: { test: /[a-z]/, message: 'a lowercase letter' },
+  uppercase: { test: /[A-Z]/, message: 'an uppercase letter' },
+  number: { test: /[0-9]/, message: 'a number' },
+  symbol: { test: /[^A-Za-z0-9]/, message: 'a symbol' },
+};
+
+const COMMON = new Set([
+  'password', 'password1', 'password123', '123456789', '1234567890', 'qwertyuiop',
+  'iloveyou', 'letmein123', 'welcome123', 'admin12345', 'abc1234567', 'passw0rd',
+]);
+
+export function getPasswordPolicy() {
+  const minLength = parseInt(process.env.PASSWORD_MIN_LENGTH, 10);
+  const require = (process.env.PASSWORD_REQUIRE ?? 'lowercase,number')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => CLASSES[name]);
+  return { minLength: Number.isFinite(minLength) && minLength > 0 ? minLength : 10, require };
+}
+
+// Every rule `password` breaks, as messages to show under the field
+export function checkPassword(password, { email } = {}) {
+  if (typeof password !== 'string' || !password) return ['Password is required'];
+  const policy = getPasswordPolicy();
+  const problems = [];
+
+  if (password.length < policy.minLength) problems.push(`Use at least ${policy.minLength} characters`);
+  if (Buffer.byteLength(password, 'utf8') > MAX_BYTES) problems.push(`Use at most ${MAX_BYTES} characters`);
+
+  const missing = policy.require.filter(name => !CLASSES[name].test.test(password));
+  if (missing.length > 0) {
+    problems.push(`Include ${missing.map(name => CLASSES[name].message).join(', ')}`);
+  }
+
+  const lower = password.toLowerCase();
+  if (COMMON.has(lower)) problems.push('This password is too common');
+  const name = String(email || '').split('@')[0].toLowerCase();
+  if (name.length >= 3 && lower.includes(name)) problems.push("Don't include your email address");
+
+  return problems;
+}
@@ -0,0 +1,36 @@
+// Per-workspace provider configuration (the dashboard's provider list),
+// versioned so two devices editing at once can detect that they conflict.
+// A personal workspace's id is its user's id, so older configs keep working.
+
+import { getStore } from './storage/index.js';
+
+const PROVIDER_CONFIGS = 'provider_configs';
+
+export async function getProviderConfig(workspaceId) {
+  return (await getStore().get(PROVIDER_CONFIGS, workspaceId)) ||
+    { workspaceId, providers: [], version: 0, updatedAt: null };
+}
+
+// Saves only if `baseVersion` matches what is stored; otherwise returns
+// { conflict: true, current } so the caller can resolve it. The check and
+// the write happen in one update, so two saves from the same base version
+// can't both win.
+export async function saveProviderConfig(workspaceId, providers, baseVersion) {
+  let conflict = false;
+  const saved = await getStore().update(PROVIDER_CONFIGS, workspaceId, (current) => {
+    const version = current?.version ?? 0;
+    if (baseVersion !== version) {
+      conflict = true;
+      return current;
+    }
+    return {
+      workspaceId,
+      providers,
+      version: version + 1,
+      updatedAt: new Date().toISOString(),
+    };
+  });
+  return { conflict, current: saved || await getProviderConfig(workspaceId) };
+}
+
+export const deleteProviderConfig = (workspaceId) => getStore().delete(PROVIDER_CONFIGS, workspaceId);
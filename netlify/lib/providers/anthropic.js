@@ -0,0 +1,106 @@
+// Anthropic
+// Key validation makes a minimal request and reads the rate-limit headers.
+// Usage comes from the Admin API usage and cost reports, which require an
+// Admin key (sk-ant-admin...). The usage report has token counts but no
+// request counts, so `requests` stays null.
+
+import { providerFetch, readRateLimits, fetchAllPages } from './http.js';
+import { usageResult, addModelFigures, addModelCost, sumModelFigures } from './result.js';
+
+const anthropic = {
+  id: 'anthropic',
+  name: 'Anthropic',
+  aliases: ['claude'],
+  baseUrl: 'https://api.anthropic.com',
+  auth: { scheme: 'header', header: 'x-api-key' },
+  defaultHeaders: { 'anthropic-version': '2023-06-01' },
+  envKeys: ['ANTHROPIC_ADMIN_KEY', 'ANTHROPIC_API_KEY'],
+  rateLimitHeaders: {
+    limit: ['x-ratelimit-limit-requests', 'anthropic-ratelimit-requests-limit'],
+    remaining: ['x-ratelimit-remaining-requests', 'anthropic-ratelimit-requests-remaining'],
+    reset: ['x-ratelimit-reset-requests', 'anthropic-ratelimit-requests-reset'],
+  },
+  dashboardUrl: 'https://console.anthropic.com/settings/usage',
+
+  async validate(apiKey, options = {}) {
+    const res = await providerFetch(anthropic, apiKey, '/v1/messages', {
+      ...options,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: 'claude-3-haiku-20240307',
+        max_tokens: 1,
+        messages: [{ role: 'user', content: 'Hi' }]
+      })
+    });
+
+    // Even if rate limited, we can read headers
+    const { limit, remaining, reset } = readRateLimits(anthropic, res);
+
+    if (!res.ok && res.status === 401) {
+      throw new Error('Invalid API key');
+    }
+
+    const usage = (limit && remaining !== null) ? limit - remaining : null;
+
+    return {
+      valid: true,
+      provider: anthropic.name,
+      usage: usage,
+      limit: limit,
+      resetPeriod: 'per-minute',
+      resetInfo: reset ? `Resets at ${reset}` : 'Resets every minute',
+      message: limit
+        ? `Key valid. ${remaining}/${limit} requests remaining this period.`
+        : 'Key valid. Rate limit info not available in response.',
+    };
+  },
+
+  async collectUsage(apiKey, { period, ...options } = {}) {
+    const range = `starting_at=${encodeURIComponent(period.start.toISOString())}` +
+      `&ending_at=${encodeURIComponent(period.end.toISOString())}`;
+    // Like OpenAI, usage has finer buckets for short windows but cost is daily only
+    const hours = (period.end - period.start) / (60 * 60 * 1000);
+    const width = hours <= 1 ? 'bucket_width=1m&limit=60' : hours <= 24 ? 'bucket_width=1h&limit=24' : 'bucket_width=1d&limit=31';
+
+    const usageBuckets = await fetchAllPages(anthropic, apiKey, `/v1/organizations/usage_report/messages?${range}&${width}&group_by[]=model`, {
+      ...options,
+      fallbackMessage: 'Anthropic usage request failed',
+    });
+    const costBuckets = await fetchAllPages(anthropic, apiKey, `/v1/organizations/cost_report?${range}&bucket_width=1d&group_by[]=description`, {
+      ...options,
+      fallbackMessage: 'Anthropic cost request failed',
+    });
+
+    const models = {};
+    for (const bucket of usageBuckets) {
+      for (const row of bucket.results || []) {
+        addModelFigures(models, row.model, {
+          inputTokens: (row.uncached_input_tokens || 0) +
+            (row.cache_read_input_tokens || 0) +
+            (row.cache_creation?.ephemeral_5m_input_tokens || 0) +
+            (row.cache_creation?.ephemeral_1h_input_tokens || 0),
+          outputTokens: row.output_tokens || 0,
+          cachedTokens: row.cache_read_input_tokens || 0,
+        });
+      }
+    }
+    // No request counts in the report (see above)
+    const totals = { ...sumModelFigures(models), requests: null };
+    for (const figures of Object.values(models)) figures.requests = null;
+
+    // Cost report amounts are decimal strings in the lowest currency unit (cents)
+    let cost = 0;
+    for (const bucket of costBuckets) {
+      for (const row of bucket.results || []) {
+        const amount = (Number(row.amount) || 0) / 100;
+        cost += amount;
+        addModelCost(models, row.model, amount);
+      }
+    }
+
+    return usageResult(anthropic.id, period, { ...totals, models, cost, currency: 'usd' });
+  },
+};
+
+export default anthropic;
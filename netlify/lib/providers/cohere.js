@@ -0,0 +1,43 @@
+// Cohere
+// check-api-key validates the key; there is no usage API.
+
+import { providerFetch } from './http.js';
+
+const cohere = {
+  id: 'cohere',
+  name: 'Cohere',
+  aliases: [],
+  baseUrl: 'https://api.cohere.ai',
+  auth: { scheme: 'bearer' },
+  envKeys: ['COHERE_API_KEY'],
+  rateLimitHeaders: {},
+  dashboardUrl: 'https://dashboard.cohere.com/billing',
+  usageNote: 'Cohere has no usage API.',
+
+  async validate(apiKey, options = {}) {
+    const res = await providerFetch(cohere, apiKey, '/v1/check-api-key', {
+      ...options,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+    });
+
+    if (!res.ok) {
+      throw new Error('Invalid API key');
+    }
+
+    const data = await res.json();
+
+    return {
+      valid: data.valid === true,
+      provider: cohere.name,
+      usage: null,
+      limit: null,
+      resetPeriod: 'per-minute',
+      resetInfo: 'Rate limits vary by tier',
+      message: data.valid ? 'Key valid. Usage available in dashboard.' : 'Invalid key.',
+      dashboardUrl: data.valid ? 'https://dashboard.cohere.com/api-keys' : null,
+    };
+  },
+};
+
+export default cohere;
@@ -0,0 +1,112 @@
+// Custom HTTP collector
+// Runs a collector configured on a card (see src/lib/collectors.js) against
+// the caller's own endpoint. The endpoint comes from user settings, so it is
+// called through publicRequest, which refuses internal addresses.
+
+import { publicRequest } from '../publicHttp.js';
+import { usageResult, errorResult } from './result.js';
+import {
+  KEY_PLACEHOLDER,
+  validateCollector,
+  parseHeader,
+  extractPath,
+  toFigure,
+  toResetTime,
+} from '../../../src/lib/collectors.js';
+
+const MAX_RAW_PREVIEW = 4000;
+
+const fill = (template, apiKey) => String(template || '').split(KEY_PLACEHOLDER).join(apiKey || '');
+
+// Calls the collector's endpoint and returns { status, data, raw }, where
+// `raw` is the start of the response body. Throws on network errors,
+// refused hosts and non-JSON bodies.
+async function callEndpoint(collector, apiKey) {
+  const url = new URL(collector.url.includes(KEY_PLACEHOLDER)
+    ? collector.url.split(KEY_PLACEHOLDER).join(encodeURIComponent(apiKey || ''))
+    : collector.url);
+
+  const headers = { Accept: 'application/json' };
+  const auth = collector.authHeader && parseHeader(fill(collector.authHeader, apiKey));
+  if (auth) headers[auth[0]] = auth[1];
+  let body;
+  if (collector.method === 'POST' && collector.body) {
+    body = fill(collector.body, apiKey);
+    headers['Content-Type'] = 'application/json';
+  }
+
+  const { status, text } = await publicRequest(url, { method: collector.method, headers, body });
+  // Never echo the key back, even if the endpoint does
+  const raw = (apiKey ? text.split(apiKey).join('[key]') : text).slice(0, MAX_RAW_PREVIEW);
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    const error = new Error(`Endpoint did not return JSON (HTTP ${status})`);
+    error.raw = raw;
+    throw error;
+  }
+  return { status, data, raw };
+}
+
+// The values a collector's paths pick out of a response
+export function extractValues(collector, data, now = new Date()) {
+  const resetsAt = collector.resetPath ? toResetTime(extractPath(data, collector.resetPath), now) : null;
+  return {
+    usage: toFigure(extractPath(data, collector.usagePath)),
+    limit: collector.limitPath ? toFigure(extractPath(data, collector.limitPath)) : null,
+    resetsAt: resetsAt ? resetsAt.toISOString() : null,
+  };
+}
+
+// Usage for one card key through its collector. Returns { result, raw,
+// httpStatus, extracted }; `result` is the usual usage result, with the
+// extracted limit and reset time attached when the paths found them.
+export async function runCollector(collector, apiKey, { period, id = 'custom' }) {
+  const problem = validateCollector(collector);
+  if (problem) return { result: errorResult(id, new Error(problem)), raw: null, httpStatus: null, extracted: null };
+
+  let response;
+  try {
+    response = await callEndpoint(collector, apiKey);
+  } catch (error) {
+    const message = error.name === 'TimeoutError' ? 'Endpoint timed out' : error.message;
+    return { result: errorResult(id, new Error(message)), raw: error.raw ?? null, httpStatus: null, extracted: null };
+  }
+
+  const { status, data, raw } = response;
+  const extracted = extractValues(collector, data);
+  if (status >= 400) {
+    return { result: errorResult(id, new Error(`Endpoint returned HTTP ${status}`)), raw, httpStatus: status, extracted };
+  }
+  if (extracted.usage === null) {
+    return { result: errorResult(id, new Error(`Nothing numeric at ${collector.usagePath}`)), raw, httpStatus: status, extracted };
+  }
+
+  // Total tokens have no field of their own; count them as input like
+  // reported usage does, so total-token limits still apply
+  const field = collector.metric === 'totalTokens' ? 'inputTokens' : collector.metric;
+  const result = {
+    ...usageResult(id, period, { [field]: extracted.usage }),
+    source: 'collector',
+    limit: extracted.limit,
+    limitMetric: collector.metric,
+  };
+  if (extracted.resetsAt) result.resetsAt = extracted.resetsAt;
+  return { result, raw, httpStatus: status, extracted };
+}
+
+// test-api-key's answer for a card with a collector: the usual validate()
+// shape plus the dry-run details (raw response and extracted values)
+export async function testCollector(collector, apiKey, { period }) {
+  const { result, raw, httpStatus, extracted } = await runCollector(collector, apiKey, { period });
+  const ok = result.status === 'ok';
+  return {
+    valid: ok,
+    usage: extracted?.usage ?? undefined,
+    limit: ok && collector.metric === 'requests' ? extracted.limit : null,
+    resetInfo: extracted?.resetsAt ? `Resets ${new Date(extracted.resetsAt).toLocaleString()}` : null,
+    message: ok ? 'Collector returned usage.' : result.error,
+    dryRun: { httpStatus, raw, extracted },
+  };
+}
@@ -0,0 +1,34 @@
+// Google Gemini
+// API keys can be validated but usage is only visible in Google Cloud Console.
+
+import { providerFetch, readJson } from './http.js';
+
+const gemini = {
+  id: 'gemini',
+  name: 'Google Gemini',
+  aliases: ['google'],
+  baseUrl: 'https://generativelanguage.googleapis.com',
+  auth: { scheme: 'query', param: 'key' },
+  envKeys: ['GEMINI_API_KEY'],
+  rateLimitHeaders: {},
+  dashboardUrl: 'https://console.cloud.google.com/apis/dashboard',
+  usageNote: 'Gemini usage is only available in Google Cloud Console.',
+
+  async validate(apiKey, options = {}) {
+    const res = await providerFetch(gemini, apiKey, '/v1/models', options);
+    await readJson(res, 'Invalid API key');
+
+    return {
+      valid: true,
+      provider: gemini.name,
+      usage: null,
+      limit: null,
+      resetPeriod: 'per-minute',
+      resetInfo: 'Rate limits vary by model and tier',
+      message: 'Key valid. Usage tracking available in Google Cloud Console.',
+      dashboardUrl: gemini.dashboardUrl,
+    };
+  },
+};
+
+export default gemini;
@@ -0,0 +1,44 @@
+// Groq
+// The models endpoint returns rate-limit headers; there is no usage API.
+
+import { providerFetch, readRateLimits } from './http.js';
+
+const groq = {
+  id: 'groq',
+  name: 'Groq',
+  aliases: [],
+  baseUrl: 'https://api.groq.com/openai',
+  auth: { scheme: 'bearer' },
+  envKeys: ['GROQ_API_KEY'],
+  rateLimitHeaders: {
+    limit: ['x-ratelimit-limit-requests'],
+    remaining: ['x-ratelimit-remaining-requests'],
+    reset: ['x-ratelimit-reset-requests'],
+  },
+  dashboardUrl: 'https://console.groq.com/settings/usage',
+  usageNote: 'Groq has no usage API.',
+
+  async validate(apiKey, options = {}) {
+    const res = await providerFetch(groq, apiKey, '/v1/models', options);
+
+    if (!res.ok) {
+      throw new Error('Invalid API key');
+    }
+
+    const { limit, remaining, reset } = readRateLimits(groq, res);
+
+    return {
+      valid: true,
+      provider: groq.name,
+      usage: (limit && remaining !== null) ? limit - remaining : null,
+      limit: limit,
+      resetPeriod: 'per-minute',
+      resetInfo: reset || 'Resets every minute',
+      message: limit
+        ? `Key valid. ${remaining}/${limit} requests remaining.`
+        : 'Key valid.',
+    };
+  },
+};
+
+export default groq;
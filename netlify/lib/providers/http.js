@@ -0,0 +1,85 @@
+// HTTP helpers shared by the provider adapters.
+
+// Base URL precedence: explicit override, then <ID>_BASE_URL from the
+// environment (handy for pointing at a local stub), then the adapter default.
+export const resolveBaseUrl = (adapter, override) =>
+  override || process.env[`${adapter.id.toUpperCase()}_BASE_URL`] || adapter.baseUrl;
+
+// Calls `path` on the provider with the adapter's auth scheme applied.
+// Supported schemes: bearer token, custom header, or query-string parameter.
+export async function providerFetch(adapter, apiKey, path, { baseUrl, headers = {}, ...init } = {}) {
+  const url = new URL(`${resolveBaseUrl(adapter, baseUrl).replace(/\/$/, '')}${path}`);
+  const authHeaders = { ...(adapter.defaultHeaders || {}) };
+
+  switch (adapter.auth.scheme) {
+    case 'bearer':
+      authHeaders['Authorization'] = `Bearer ${apiKey}`;
+      break;
+    case 'header':
+      authHeaders[adapter.auth.header] = apiKey;
+      break;
+    case 'query':
+      url.searchParams.set(adapter.auth.param, apiKey);
+      break;
+    default:
+      throw new Error(`Unknown auth scheme for ${adapter.id}: ${adapter.auth.scheme}`);
+  }
+
+  return fetch(url, { ...init, headers: { ...authHeaders, ...headers } });
+}
+
+// Picks the first rate-limit header the provider actually sent, for each of
+// the names listed in the adapter's `rateLimitHeaders`.
+export function readRateLimits(adapter, res) {
+  const pick = (names = []) => {
+    for (const name of names) {
+      const value = res.headers.get(name);
+      if (value !== null) return value;
+    }
+    return null;
+  };
+  const names = adapter.rateLimitHeaders || {};
+  const limit = pick(names.limit);
+  const remaining = pick(names.remaining);
+
+  return {
+    limit: limit !== null ? parseInt(limit) : null,
+    remaining: remaining !== null ? parseInt(remaining) : null,
+    reset: pick(names.reset),
+  };
+}
+
+// Reads a JSON body and turns non-2xx responses into a thrown Error
+// carrying the provider's own message when it sends one.
+export async function readJson(res, fallbackMessage) {
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const message = data.error?.message ||
+      (typeof data.error === 'string' ? data.error : null) ||
+      data.message ||
+      fallbackMessage;
+    const error = new Error(`${message} (HTTP ${res.status})`);
+    error.status = res.status;
+    throw error;
+  }
+  return data;
+}
+
+// Follows `has_more` / `next_page` cursors (used by both the OpenAI and
+// Anthropic admin APIs) and returns every bucket across all pages.
+export async function fetchAllPages(adapter, apiKey, path, { fallbackMessage, ...options } = {}) {
+  const buckets = [];
+  let page = null;
+  do {
+    const res = await providerFetch(
+      adapter,
+      apiKey,
+      page ? `${path}&page=${encodeURIComponent(page)}` : path,
+      options
+    );
+    const data = await readJson(res, fallbackMessage);
+    buckets.push(...(data.data || []));
+    page = data.has_more ? data.next_page : null;
+  } while (page);
+  return buckets;
+}
@@ -0,0 +1,40 @@
+// HuggingFace
+// whoami-v2 validates the token; there is no usage API.
+
+import { providerFetch } from './http.js';
+
+const huggingface = {
+  id: 'huggingface',
+  name: 'HuggingFace',
+  aliases: ['hf', 'hugging face'],
+  baseUrl: 'https://huggingface.co',
+  auth: { scheme: 'bearer' },
+  envKeys: ['VITE_HUGGINGFACE_API_KEY', 'HUGGINGFACE_API_KEY'],
+  rateLimitHeaders: {},
+  dashboardUrl: 'https://huggingface.co/settings/billing',
+  usageNote: 'HuggingFace has no usage API.',
+
+  async validate(apiKey, options = {}) {
+    const res = await providerFetch(huggingface, apiKey, '/api/whoami-v2', options);
+
+    if (!res.ok) {
+      throw new Error('Invalid API key');
+    }
+
+    const data = await res.json();
+
+    return {
+      valid: true,
+      provider: huggingface.name,
+      usage: null,
+      limit: null,
+      resetPeriod: 'hourly',
+      resetInfo: 'Rate limits vary by endpoint and account tier',
+      message: `Key valid. Authenticated as ${data.name || 'user'}. Usage available in dashboard.`,
+      dashboardUrl: huggingface.dashboardUrl,
+      accountType: data.type,
+    };
+  },
+};
+
+export default huggingface;
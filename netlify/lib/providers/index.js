@@ -0,0 +1,54 @@
+// Provider adapter registry
+// Each adapter file declares everything we know about one provider: id,
+// aliases, base URL, auth scheme, env var names for its key, rate-limit
+// header names, `validate(apiKey, options)` and, when the provider has a
+// usage API, `collectUsage(apiKey, { period, baseUrl })`, where `period` is
+// { start, end, resetsAt } from currentPeriod().
+// Adding a provider means adding an adapter file and listing it here.
+
+import openai from './openai.js';
+import anthropic from './anthropic.js';
+import gemini from './gemini.js';
+import huggingface from './huggingface.js';
+import perplexity from './perplexity.js';
+import groq from './groq.js';
+import cohere from './cohere.js';
+import { currentPeriod, unsupportedResult, errorResult } from './result.js';
+
+const adapters = [openai, anthropic, gemini, huggingface, perplexity, groq, cohere];
+
+// "Google Gemini", "google-gemini" and "gemini" should all find the same adapter
+const normalize = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const lookup = new Map();
+for (const adapter of adapters) {
+  for (const name of [adapter.id, adapter.name, ...adapter.aliases]) {
+    lookup.set(normalize(name), adapter);
+  }
+}
+
+export const listProviders = () => adapters;
+
+export const getProvider = (idOrAlias) => lookup.get(normalize(idOrAlias)) || null;
+
+// First env var from the adapter's `envKeys` that is set, if any
+export const getEnvKey = (adapter) =>
+  adapter.envKeys.map(name => process.env[name]).find(Boolean) || null;
+
+export async function collectUsage(idOrAlias, apiKey, options = {}) {
+  const adapter = getProvider(idOrAlias);
+  if (!adapter) {
+    return unsupportedResult(idOrAlias, 'No usage collector for this provider.');
+  }
+  if (!adapter.collectUsage) {
+    return unsupportedResult(adapter.id, adapter.usageNote, adapter.dashboardUrl);
+  }
+
+  const period = options.period || currentPeriod();
+  try {
+    return await adapter.collectUsage(apiKey, { ...options, period });
+  } catch (error) {
+    console.error(`Usage collection failed for ${adapter.id}:`, error.message);
+    return errorResult(adapter.id, error);
+  }
+}
@@ -0,0 +1,103 @@
+// OpenAI
+// Key validation uses the models endpoint. Usage comes from the Organization
+// Usage and Costs APIs, which require an Admin key (sk-admin-...); a regular
+// project key gets a 401/403, reported as an error rather than as zero usage.
+
+import { providerFetch, readJson, fetchAllPages } from './http.js';
+import { usageResult, currentPeriod, addModelFigures, addModelCost, sumModelFigures } from './result.js';
+import { describePeriod } from '../../../src/lib/periods.js';
+
+const usageBucketWidth = (seconds) => {
+  if (seconds <= 60 * 60) return 'bucket_width=1m&limit=60';
+  if (seconds <= 24 * 60 * 60) return 'bucket_width=1h&limit=24';
+  return 'bucket_width=1d&limit=31';
+};
+
+const openai = {
+  id: 'openai',
+  name: 'OpenAI',
+  aliases: [],
+  baseUrl: 'https://api.openai.com',
+  auth: { scheme: 'bearer' },
+  envKeys: ['OPENAI_ADMIN_KEY', 'OPENAI_API_KEY'],
+  rateLimitHeaders: {
+    limit: ['x-ratelimit-limit-requests'],
+    remaining: ['x-ratelimit-remaining-requests'],
+    reset: ['x-ratelimit-reset-requests'],
+  },
+  dashboardUrl: 'https://platform.openai.com/usage',
+
+  async validate(apiKey, { periodSettings, ...options } = {}) {
+    const modelsRes = await providerFetch(openai, apiKey, '/v1/models', options);
+    await readJson(modelsRes, 'Invalid API key');
+
+    // Usage needs org-level permissions, so a plain project key stops here
+    const period = currentPeriod(periodSettings);
+    let usage = null;
+    try {
+      usage = await openai.collectUsage(apiKey, { ...options, period });
+    } catch (e) {
+      // Usage endpoint may not be available
+    }
+
+    return {
+      valid: true,
+      provider: openai.name,
+      usage: usage ? usage.requests : null,
+      tokens: usage ? { input: usage.inputTokens, output: usage.outputTokens, cached: usage.cachedTokens } : null,
+      limit: null, // OpenAI doesn't expose hard limits via API
+      resetPeriod: periodSettings?.resetPeriod || 'monthly',
+      resetInfo: `Resets ${describePeriod(periodSettings)}`,
+      message: usage !== null
+        ? `Key valid. ${usage.requests} requests, ${usage.inputTokens} input and ${usage.outputTokens} output tokens in the current period.`
+        : 'Key valid. Usage tracking available in dashboard.',
+      dashboardUrl: openai.dashboardUrl,
+    };
+  },
+
+  async collectUsage(apiKey, { period, ...options } = {}) {
+    const startTime = Math.floor(period.start.getTime() / 1000);
+    const endTime = Math.floor(period.end.getTime() / 1000);
+    const range = `start_time=${startTime}&end_time=${endTime}`;
+    // Finer buckets for short windows; the costs API only has daily buckets,
+    // so sub-day windows get the cost of the whole day
+    const width = usageBucketWidth(endTime - startTime);
+
+    const usageBuckets = await fetchAllPages(openai, apiKey, `/v1/organization/usage/completions?${range}&${width}&group_by=model`, {
+      ...options,
+      fallbackMessage: 'OpenAI usage request failed',
+    });
+    const costBuckets = await fetchAllPages(openai, apiKey, `/v1/organization/costs?${range}&bucket_width=1d&limit=31&group_by=line_item`, {
+      ...options,
+      fallbackMessage: 'OpenAI cost request failed',
+    });
+
+    const models = {};
+    for (const bucket of usageBuckets) {
+      for (const row of bucket.results || []) {
+        addModelFigures(models, row.model, {
+          requests: row.num_model_requests || 0,
+          inputTokens: row.input_tokens || 0,
+          outputTokens: row.output_tokens || 0,
+          cachedTokens: row.input_cached_tokens || 0,
+        });
+      }
+    }
+
+    let cost = 0;
+    let currency = 'usd';
+    for (const bucket of costBuckets) {
+      for (const row of bucket.results || []) {
+        const amount = Number(row.amount?.value) || 0;
+        cost += amount;
+        // Line items look like "gpt-4o-2024-08-06, input"
+        addModelCost(models, row.line_item?.split(',')[0].trim(), amount);
+        currency = row.amount?.currency || currency;
+      }
+    }
+
+    return usageResult(openai.id, period, { ...sumModelFigures(models), models, cost, currency });
+  },
+};
+
+export default openai;
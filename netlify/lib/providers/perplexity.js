@@ -0,0 +1,52 @@
+// Perplexity
+// Validation makes a minimal chat request; there is no usage API.
+
+import { providerFetch, readRateLimits } from './http.js';
+
+const perplexity = {
+  id: 'perplexity',
+  name: 'Perplexity',
+  aliases: [],
+  baseUrl: 'https://api.perplexity.ai',
+  auth: { scheme: 'bearer' },
+  envKeys: ['PERPLEXITY_API_KEY'],
+  rateLimitHeaders: {
+    limit: ['x-ratelimit-limit-requests'],
+    remaining: ['x-ratelimit-remaining-requests'],
+    reset: ['x-ratelimit-reset-requests'],
+  },
+  dashboardUrl: 'https://www.perplexity.ai/settings/api',
+  usageNote: 'Perplexity has no usage API.',
+
+  async validate(apiKey, options = {}) {
+    const res = await providerFetch(perplexity, apiKey, '/chat/completions', {
+      ...options,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: 'llama-3.1-sonar-small-128k-online',
+        messages: [{ role: 'user', content: 'Hi' }],
+        max_tokens: 1
+      })
+    });
+
+    if (!res.ok && res.status === 401) {
+      throw new Error('Invalid API key');
+    }
+
+    const { limit } = readRateLimits(perplexity, res);
+
+    return {
+      valid: true,
+      provider: perplexity.name,
+      usage: null,
+      limit: limit,
+      resetPeriod: 'monthly',
+      resetInfo: 'Check dashboard for detailed usage',
+      message: 'Key valid. Detailed usage available in dashboard.',
+      dashboardUrl: perplexity.dashboardUrl,
+    };
+  },
+};
+
+export default perplexity;
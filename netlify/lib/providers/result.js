@@ -0,0 +1,84 @@
+// Shared result shapes for usage collectors.
+// Every collector resolves to one of these so callers never have to guess
+// whether a missing number means "zero" or "we could not find out".
+
+import { getWindow } from '../../../src/lib/periods.js';
+
+// The collection range for a provider's current reset window (see
+// src/lib/periods.js): from the window start up to now, plus when it resets.
+export const currentPeriod = (settings, now = new Date()) => {
+  const { start, end } = getWindow(settings, now);
+  return { start, end: now, resetsAt: end };
+};
+
+// Token counts follow src/lib/metrics.js: inputTokens includes cached input,
+// cachedTokens is the cached part. `models` maps model name to the same
+// figures (requests, inputTokens, outputTokens, cachedTokens, and `cost` when
+// the provider bills per model) when the provider reports them per model.
+export const usageResult = (provider, period, figures = {}) => ({
+  provider,
+  status: 'ok',
+  requests: figures.requests ?? null,
+  inputTokens: figures.inputTokens ?? null,
+  outputTokens: figures.outputTokens ?? null,
+  cachedTokens: figures.cachedTokens ?? null,
+  models: figures.models ?? null,
+  cost: figures.cost ?? null,
+  currency: figures.cost != null ? (figures.currency || 'usd') : null,
+  periodStart: period.start.toISOString(),
+  periodEnd: period.end.toISOString(),
+  resetsAt: period.resetsAt ? period.resetsAt.toISOString() : null,
+});
+
+export const unsupportedResult = (provider, message, dashboardUrl = null) => ({
+  provider,
+  status: 'unsupported',
+  requests: null,
+  inputTokens: null,
+  outputTokens: null,
+  cachedTokens: null,
+  models: null,
+  cost: null,
+  currency: null,
+  message,
+  dashboardUrl,
+});
+
+export const errorResult = (provider, error) => ({
+  provider,
+  status: 'error',
+  requests: null,
+  inputTokens: null,
+  outputTokens: null,
+  cachedTokens: null,
+  models: null,
+  cost: null,
+  currency: null,
+  error: error.message || String(error),
+});
+
+// Adds one row of figures to a per-model map, creating the model's entry
+export function addModelFigures(models, model, { requests = 0, inputTokens = 0, outputTokens = 0, cachedTokens = 0 }) {
+  const key = model || 'unknown';
+  const current = models[key] || { requests: 0, inputTokens: 0, outputTokens: 0, cachedTokens: 0 };
+  models[key] = {
+    requests: current.requests + requests,
+    inputTokens: current.inputTokens + inputTokens,
+    outputTokens: current.outputTokens + outputTokens,
+    cachedTokens: current.cachedTokens + cachedTokens,
+  };
+  return models;
+}
+
+// Provider-wide totals from a per-model map
+export const sumModelFigures = (models) =>
+  Object.values(models).reduce((totals, figures) => addModelFigures(totals, 'total', figures), {}).total ||
+  { requests: 0, inputTokens: 0, outputTokens: 0, cachedTokens: 0 };
+
+// Attributes part of the billed cost to a model that has usage figures;
+// costs for models without usage (or not tied to a model) stay provider-level only
+export function addModelCost(models, model, amount) {
+  if (!model || !models[model]) return models;
+  models[model].cost = (models[model].cost || 0) + amount;
+  return models;
+}
@@ -0,0 +1,142 @@
+// Requests to URLs taken from user settings (custom collectors, alert
+// webhooks). Such a URL may not point into the network these functions run
+// in: hosts that resolve to private, loopback, link-local or otherwise
+// internal addresses are refused unless COLLECTOR_ALLOW_PRIVATE_HOSTS=true,
+// and redirects are not followed. Host names are checked as they are
+// resolved for the connection itself, so the request goes to the address
+// that was checked (no DNS rebinding), and IPv6 forms that embed an IPv4
+// address are judged by that address.
+
+import http from 'http';
+import https from 'https';
+import { lookup } from 'dns';
+import { isIP } from 'net';
+
+const TIMEOUT_MS = 10 * 1000;
+const MAX_RESPONSE_BYTES = 1024 * 1024;
+
+const PRIVATE_V4 = [
+  [0x00000000, 8], [0x0a000000, 8], [0x64400000, 10], [0x7f000000, 8],
+  [0xa9fe0000, 16], [0xac100000, 12], [0xc0000000, 24], [0xc0a80000, 16],
+  [0xc6120000, 15], [0xe0000000, 3],
+];
+
+const inRange = (value, [base, bits]) => Math.floor(value / 2 ** (32 - bits)) === Math.floor(base / 2 ** (32 - bits));
+
+const isPrivateV4 = (value) => PRIVATE_V4.some(range => inRange(value, range));
+
+// '::ffff:7f00:1' -> [0, 0, 0, 0, 0, 0xffff, 0x7f00, 1], or null if it doesn't parse
+function ipv6Hextets(address) {
+  let text = address.toLowerCase().split('%')[0];
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${(a * 256 + b).toString(16)}:${(c * 256 + d).toString(16)}`;
+  }
+  const halves = text.split('::');
+  if (halves.length > 2) return null;
+  const parse = (part) => (part ? part.split(':').map(hextet => (/^[0-9a-f]{1,4}$/.test(hextet) ? parseInt(hextet, 16) : NaN)) : []);
+  const head = parse(halves[0]);
+  const tail = halves.length === 2 ? parse(halves[1]) : [];
+  const gap = halves.length === 2 ? 8 - head.length - tail.length : 0;
+  if (gap < 0 || (halves.length === 2 && gap === 0)) return null;
+  const hextets = [...head, ...Array(gap).fill(0), ...tail];
+  return hextets.length === 8 && hextets.every(Number.isInteger) ? hextets : null;
+}
+
+// The IPv4 address an IPv6 one stands for: IPv4-mapped (::ffff:a.b.c.d),
+// IPv4-translated (::ffff:0:a.b.c.d), IPv4-compatible (::a.b.c.d), NAT64
+// (64:ff9b::a.b.c.d) and 6to4 (2002:aabb:ccdd::). Null for any other address.
+function embeddedV4(hextets) {
+  const [h0, h1, h2, h3, h4, h5, h6, h7] = hextets;
+  const low = h6 * 0x10000 + h7;
+  const zeros = (...parts) => parts.every(part => part === 0);
+  if (zeros(h0, h1, h2, h3, h4) && (h5 === 0xffff || h5 === 0)) return low;
+  if (zeros(h0, h1, h2, h3) && h4 === 0xffff && h5 === 0) return low;
+  if (h0 === 0x64 && h1 === 0xff9b && zeros(h2, h3, h4, h5)) return low;
+  if (h0 === 0x2002) return h1 * 0x10000 + h2;
+  return null;
+}
+
+export function isPrivateAddress(address) {
+  if (isIP(address) === 4) {
+    return isPrivateV4(address.split('.').reduce((sum, part) => sum * 256 + Number(part), 0));
+  }
+  const hextets = ipv6Hextets(address);
+  if (!hextets) return true;
+  const v4 = embeddedV4(hextets);
+  if (v4 !== null) return isPrivateV4(v4);
+  const [first] = hextets;
+  return (first & 0xfe00) === 0xfc00 // fc00::/7 unique local
+    || (first & 0xffc0) === 0xfe80 // fe80::/10 link-local
+    || (first & 0xffc0) === 0xfec0 // fec0::/10 site-local
+    || (first & 0xff00) === 0xff00 // ff00::/8 multicast
+    || (first === 0x2001 && hextets[1] === 0x0db8) // documentation
+    || (first === 0x0100 && hextets.slice(1, 4).every(part => part === 0)); // discard
+}
+
+const allowPrivateHosts = () => process.env.COLLECTOR_ALLOW_PRIVATE_HOSTS === 'true';
+
+const privateHostError = (host) => Object.assign(new Error(`${host} is a private address`), { code: 'EPRIVATEHOST' });
+
+// dns.lookup for the connection: every address the name resolves to must be
+// public, and the socket connects to one of those same addresses
+function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') return publicLookup(hostname, {}, options);
+  lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(privateHostError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Rejects an address-literal host up front; names are checked by publicLookup
+export function assertPublicHost(url) {
+  if (allowPrivateHosts()) return;
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (isIP(host) && isPrivateAddress(host)) throw privateHostError(url.hostname);
+}
+
+// One request to `url` (a URL object) without following redirects; resolves
+// to { status, text }. Throws for refused hosts, redirects, timeouts (as a
+// TimeoutError) and bodies over 1 MB.
+export function publicRequest(url, { method = 'GET', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    assertPublicHost(url);
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(url, {
+      method,
+      headers,
+      lookup: allowPrivateHosts() ? undefined : publicLookup,
+    }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400) {
+        res.resume();
+        reject(new Error(`Endpoint redirected (HTTP ${res.statusCode}); use the final URL`));
+        return;
+      }
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_RESPONSE_BYTES) {
+          req.destroy(new Error('Endpoint response is larger than 1 MB'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => resolve({ status: res.statusCode, text: Buffer.concat(chunks).toString('utf8') }));
+      res.on('error', reject);
+    });
+    const timer = setTimeout(() => {
+      const error = new Error('Endpoint timed out');
+      error.name = 'TimeoutError';
+      req.destroy(error);
+    }, TIMEOUT_MS);
+    req.on('error', reject);
+    req.on('close', () => clearTimeout(timer));
+    req.end(body);
+  });
+}
@@ -0,0 +1,59 @@
+// File backend: one JSON file per collection under DATA_DIR/store/.
+// Works locally and on any host with a writable disk. Writes are serialized
+// per collection within a process and land via rename, so a crash never
+// leaves a half-written file; it is not meant for many concurrent writers.
+
+import { readJsonFile, writeJsonFile } from '../dataDir.js';
+
+export function createFileStore() {
+  const queues = new Map();
+  const fileName = (name) => `store/${name}.json`;
+
+  const read = (name) => readJsonFile(fileName(name), {});
+
+  // Chain read-modify-write cycles for one collection so they can't interleave
+  const update = (name, mutate) => {
+    const previous = queues.get(name) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const docs = await read(name);
+      const result = mutate(docs);
+      await writeJsonFile(fileName(name), docs);
+      return result;
+    });
+    queues.set(name, next);
+    return next;
+  };
+
+  return {
+    async get(name, id) {
+      await queues.get(name)?.catch(() => {});
+      const docs = await read(name);
+      return docs[id] ?? null;
+    },
+    put(name, id, doc) {
+      return update(name, (docs) => {
+        docs[id] = doc;
+        return doc;
+      });
+    },
+    delete(name, id) {
+      return update(name, (docs) => {
+        const existed = id in docs;
+        delete docs[id];
+        return existed;
+      });
+    },
+    async list(name) {
+      await queues.get(name)?.catch(() => {});
+      return Object.values(await read(name));
+    },
+    update(name, id, mutate) {
+      return update(name, (docs) => {
+        const doc = mutate(docs[id] ?? null);
+        if (doc == null) delete docs[id];
+        else docs[id] = doc;
+        return doc ?? null;
+      });
+    },
+  };
+}
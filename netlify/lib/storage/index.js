@@ -0,0 +1,43 @@
+// Storage abstraction for server-side state (users, sessions, vault keys...).
+//
+// A backend is any object with these async methods, all keyed by a
+// collection name and a string id, storing plain JSON-serializable documents:
+//
+//   get(collection, id)        -> doc | null
+//   put(collection, id, doc)   -> doc
+//   delete(collection, id)     -> boolean (whether it existed)
+//   list(collection)           -> doc[]
+//   update(collection, id, fn) -> doc  (fn(current | null) returns the new doc,
+//                                       or null to leave no doc; must not
+//                                       interleave with other writes)
+//
+// Pick one with STORAGE_BACKEND ('file' by default, or 'memory' for tests
+// and throwaway previews). A database backend only has to implement the
+// five methods above and be registered in `backends`.
+// Usage history is an append-only log and stays in history.js.
+
+import { createFileStore } from './fileStore.js';
+import { createMemoryStore } from './memoryStore.js';
+
+const backends = {
+  file: createFileStore,
+  memory: createMemoryStore,
+};
+
+let store = null;
+
+export function getStore() {
+  if (!store) {
+    const name = process.env.STORAGE_BACKEND || 'file';
+    const create = backends[name];
+    if (!create) throw new Error(`Unknown STORAGE_BACKEND: ${name}`);
+    store = create();
+  }
+  return store;
+}
+
+// Convenience for the common "first doc matching" lookup
+export async function findOne(collection, predicate) {
+  const docs = await getStore().list(collection);
+  return docs.find(predicate) || null;
+}
@@ -0,0 +1,33 @@
+// In-memory backend. Same interface as the file store; nothing survives a
+// restart, which is what you want in tests.
+
+export function createMemoryStore() {
+  const collections = new Map();
+  const collection = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+  const clone = (doc) => (doc == null ? null : JSON.parse(JSON.stringify(doc)));
+
+  return {
+    async get(name, id) {
+      return clone(collection(name).get(id));
+    },
+    async put(name, id, doc) {
+      collection(name).set(id, clone(doc));
+      return doc;
+    },
+    async delete(name, id) {
+      return collection(name).delete(id);
+    },
+    async list(name) {
+      return [...collection(name).values()].map(clone);
+    },
+    async update(name, id, mutate) {
+      const doc = mutate(clone(collection(name).get(id)));
+      if (doc == null) collection(name).delete(id);
+      else collection(name).set(id, clone(doc));
+      return doc ?? null;
+    },
+  };
+}
@@ -0,0 +1,166 @@
+// One collection run across every registered provider that has a key in the
+// environment or traffic through the metering proxy. Only the scheduled job
+// (and the collect-usage script) runs it, so the operator's keys are never
+// spent on behalf of a page view; get-usage serves the job's last figures.
+// A workspace's own keys are collected by collectWorkspaceUsage (vault) and
+// collectKeyUsage (browser); every path records what it collected into the
+// workspace's history and runs the workspace's alert rules on it.
+//
+// Each provider is collected for its own reset window. Environment keys have
+// no card to take period settings from, so they come from <ID>_RESET_PERIOD,
+// <ID>_ANCHOR_DAY and <ID>_TIME_ZONE (e.g. OPENAI_RESET_PERIOD=daily);
+// per-user keys bring their card's.
+
+import { listProviders, getProvider, getEnvKey, collectUsage } from './providers/index.js';
+import { currentPeriod } from './providers/result.js';
+import { runCollector } from './providers/custom.js';
+import { withMetering, ENV_SCOPE } from './metering.js';
+import { appendHistory } from './history.js';
+import { runAlerts } from './alerts/index.js';
+import { resolveAllKeys } from './vault.js';
+import { getProviderConfig } from './providerConfigs.js';
+import { withIngested } from './ingestion.js';
+import { cardIdOf, providerKeys, usageIdFor, combineResults } from '../../src/lib/providerKeys.js';
+
+const envPeriodSettings = (adapter) => {
+  const prefix = adapter.id.toUpperCase();
+  return {
+    resetPeriod: process.env[`${prefix}_RESET_PERIOD`],
+    anchorDay: process.env[`${prefix}_ANCHOR_DAY`],
+    timeZone: process.env[`${prefix}_TIME_ZONE`],
+  };
+};
+
+export async function collectAllUsage() {
+  const collectedAt = new Date();
+  const providers = listProviders();
+
+  const results = await Promise.all(providers.map(async (provider) => {
+    const period = currentPeriod(envPeriodSettings(provider), collectedAt);
+    const key = getEnvKey(provider);
+    if (!key) {
+      const metered = await withMetering(ENV_SCOPE, provider.id, null, period);
+      if (!metered) console.log(`No key found for ${provider.id}`);
+      return metered;
+    }
+    return withMetering(ENV_SCOPE, provider.id, await collectUsage(provider.id, key, { period }), period);
+  }));
+
+  const byProvider = {};
+  providers.forEach((provider, i) => {
+    byProvider[provider.id] = results[i];
+  });
+  await recordHistory(byProvider, collectedAt);
+  return { results: byProvider, collectedAt };
+}
+
+// Usage for individual keys - ones a user keeps in the vault or sends from
+// their browser - keyed by the dashboard card (`providerId`, or
+// `${cardId}:${keyId}` for a card's named keys) each belongs to rather than
+// by adapter id. Each key is
+// [{ providerId, provider, apiKey, keyRef?, period?, collector? }], where
+// `period` holds the card's period settings (resetPeriod, anchorDay,
+// timeZone) and `collector` its custom HTTP collector, which then replaces
+// the provider's adapter (see providers/custom.js).
+//
+// With a `workspaceId`, the workspace's proxy traffic is folded in. It is
+// counted per provider rather than per key, so only the first key of each
+// provider gets it; keys sent without a workspace get none.
+export async function collectKeyUsage(keys, { workspaceId = null } = {}) {
+  const metered = new Set();
+  const meterIds = keys.map(({ provider, providerId, collector }) => {
+    const adapter = workspaceId && !collector && getProvider(provider || providerId);
+    if (!adapter || metered.has(adapter.id)) return null;
+    metered.add(adapter.id);
+    return adapter.id;
+  });
+
+  const results = await Promise.all(keys.map(async ({ provider, providerId, apiKey, period: settings, collector }, i) => {
+    const period = currentPeriod(settings);
+    if (collector) return (await runCollector(collector, apiKey, { period, id: providerId })).result;
+    const result = await collectUsage(provider || providerId, apiKey, { period });
+    return meterIds[i] ? withMetering(workspaceId, meterIds[i], result, period) : result;
+  }));
+  const byProvider = {};
+  keys.forEach(({ providerId, keyRef }, i) => {
+    byProvider[providerId] = keyRef ? { ...results[i], keyRef } : results[i];
+  });
+  return byProvider;
+}
+
+// Usage for every key a workspace keeps in the vault, each for the reset
+// window set on its card. Cards and keys nothing else reported on get what
+// the workspace's own services pushed to /api/usage/events (see
+// ingestion.js). `envResults` (from collectAllUsage) stand in for cards
+// without a result of their own when the alert rules are checked.
+export async function collectWorkspaceUsage(workspaceId, collectedAt = new Date(), envResults = {}) {
+  const { providers } = await getProviderConfig(workspaceId);
+  const stored = await resolveAllKeys(workspaceId);
+  const results = await collectKeyUsage(stored.map(({ entry, apiKey }) => {
+    const card = providers.find(p => p.id === cardIdOf(entry.providerId));
+    return {
+      providerId: entry.providerId,
+      provider: entry.provider,
+      keyRef: entry.id,
+      apiKey,
+      period: card,
+      collector: card?.collector,
+    };
+  }), { workspaceId });
+
+  for (const provider of providers) {
+    const period = currentPeriod(provider, collectedAt);
+    for (const key of providerKeys(provider)) {
+      const usageId = usageIdFor(provider, key);
+      const result = await withIngested(workspaceId, usageId, results[usageId], period);
+      if (result) results[usageId] = result;
+    }
+  }
+
+  await recordWorkspaceUsage(workspaceId, providers, results, collectedAt, envResults);
+  return results;
+}
+
+// Records a collection of a workspace's keys ({ [usageId]: result }) into
+// its history and checks its alert rules, which apply to whole cards: each
+// card's keys are added up first.
+export async function recordWorkspaceUsage(workspaceId, providers, results, collectedAt, envResults = {}) {
+  await recordHistory(results, collectedAt, workspaceId);
+
+  const totals = { ...envResults };
+  for (const provider of providers) {
+    const total = combineResults(providerKeys(provider).map(key => results[usageIdFor(provider, key)]));
+    if (total) totals[provider.id] = total;
+  }
+  try {
+    await runAlerts(workspaceId, totals, providers);
+  } catch (error) {
+    console.error('Failed to evaluate alerts:', error.message);
+  }
+}
+
+// Appends a collection's results to the history store ({ [id]: result };
+// by usage id for a workspace's keys)
+export async function recordHistory(results, collectedAt, workspaceId = null) {
+  try {
+    await appendHistory(results, collectedAt, workspaceId);
+  } catch (error) {
+    // A read-only filesystem should not take the live numbers down with it
+    console.error('Failed to append usage history:', error.message);
+  }
+}
+
+// Response shape shared by get-usage and the stored snapshot:
+// { [providerId]: requests, details: { [providerId]: result }, last_updated }.
+// Top-level numbers stay request counts so existing consumers keep working.
+export function formatUsage(results, collectedAt) {
+  const usageData = {};
+  const details = {};
+  for (const [id, result] of Object.entries(results)) {
+    usageData[id] = result?.requests ?? 0;
+    if (result) details[id] = result;
+  }
+  usageData.details = details;
+  usageData.last_updated = collectedAt ? new Date(collectedAt).toISOString() : null;
+  return usageData;
+}
@@ -0,0 +1,128 @@
+// The scheduled usage refresh.
+// Runs one collection with the environment keys, stores the results as the
+// latest snapshot get-usage serves and keeps a log of recent runs, so the
+// dashboard can show when data was last refreshed and why a run failed.
+// Workspaces with alert rules have their stored keys collected too, so their
+// alerts fire even when nobody has the dashboard open.
+// Called by the scheduled-usage function and by scripts/collect-usage.js.
+
+import { randomUUID } from 'crypto';
+import { getStore } from './storage/index.js';
+import { collectAllUsage, collectWorkspaceUsage, formatUsage } from './usage.js';
+import { listAlertWorkspaces } from './alerts/index.js';
+
+const JOB = 'usage_job'; // docs: 'status', 'latest'
+const RUNS = 'usage_runs';
+const MAX_RUNS = 50;
+
+// One log line per provider that did not come back with figures
+const describeResults = (results) => {
+  const summary = { ok: 0, unsupported: 0, error: 0, skipped: 0 };
+  const logs = [];
+  for (const [id, result] of Object.entries(results)) {
+    if (!result) {
+      summary.skipped++;
+      continue;
+    }
+    summary[result.status]++;
+    if (result.status === 'error') logs.push({ level: 'error', message: `${id}: ${result.error}` });
+    if (result.status === 'unsupported') logs.push({ level: 'info', message: `${id}: ${result.message}` });
+  }
+  return { summary, logs };
+};
+
+// A workspace's failure is logged and doesn't fail the run, which reports on
+// the environment keys
+async function collectAlertWorkspaces({ results, collectedAt }) {
+  let workspaceIds = [];
+  try {
+    workspaceIds = await listAlertWorkspaces();
+  } catch (error) {
+    console.error('Failed to list workspaces with alert rules:', error.message);
+  }
+  for (const workspaceId of workspaceIds) {
+    try {
+      await collectWorkspaceUsage(workspaceId, collectedAt, results);
+    } catch (error) {
+      console.error(`Failed to collect usage for workspace ${workspaceId}:`, error.message);
+    }
+  }
+}
+
+async function pruneRuns(store) {
+  const runs = (await store.list(RUNS)).sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  for (const run of runs.slice(MAX_RUNS)) {
+    await store.delete(RUNS, run.id);
+  }
+}
+
+// `trigger` records who started the run: 'schedule' or 'cli'.
+// A run is 'ok' when every provider with a key answered, 'partial' when some
+// failed and 'error' when nothing could be collected at all.
+export async function runUsageJob(trigger) {
+  const store = getStore();
+  const startedAt = new Date();
+  let status;
+  let summary = null;
+  let logs;
+  let results = null;
+
+  try {
+    const collected = await collectAllUsage();
+    results = collected.results;
+    ({ summary, logs } = describeResults(results));
+    status = summary.error === 0 ? 'ok' : (summary.ok > 0 ? 'partial' : 'error');
+    await store.put(JOB, 'latest', formatUsage(results, collected.collectedAt));
+    await collectAlertWorkspaces(collected);
+  } catch (error) {
+    console.error('Usage job failed:', error);
+    status = 'error';
+    logs = [{ level: 'error', message: error.message || String(error) }];
+  }
+
+  const finishedAt = new Date().toISOString();
+  const run = {
+    id: randomUUID(),
+    trigger,
+    status,
+    startedAt: startedAt.toISOString(),
+    finishedAt,
+    summary,
+    logs,
+  };
+
+  await store.put(RUNS, run.id, run);
+  await store.update(JOB, 'status', (current) => ({
+    lastRunAt: finishedAt,
+    lastStatus: status,
+    lastSuccessAt: status === 'error' ? (current?.lastSuccessAt ?? null) : finishedAt,
+  }));
+  await pruneRuns(store);
+
+  return { run, results };
+}
+
+// The environment keys' figures from the last run, as { results, collectedAt },
+// or null before the first one
+export async function getLatestUsage() {
+  const latest = await getStore().get(JOB, 'latest');
+  return latest ? { results: latest.details || {}, collectedAt: new Date(latest.last_updated) } : null;
+}
+
+// { lastRunAt, lastStatus, lastSuccessAt, runs (newest first), latest }
+export async function getJobStatus(limit = 10) {
+  const store = getStore();
+  const [status, latest, runs] = await Promise.all([
+    store.get(JOB, 'status'),
+    store.get(JOB, 'latest'),
+    store.list(RUNS),
+  ]);
+
+  return {
+    lastRunAt: status?.lastRunAt ?? null,
+    lastStatus: status?.lastStatus ?? null,
+    lastSuccessAt: status?.lastSuccessAt ?? null,
+    runs: runs.sort((a, b) => b.startedAt.localeCompare(a.startedAt)).slice(0, limit),
+    latest,
+  };
+}
@@ -0,0 +1,124 @@
+// Per-user API key vault.
+// Keys are encrypted at rest with AES-256-GCM under a key derived from the
+// VAULT_SECRET env var, and only ever leave the server in masked form.
+// Rotating VAULT_SECRET makes existing entries unreadable, so treat it like
+// a database password.
+//
+// Keys belong to a workspace (see workspaces.js). Entries saved before
+// workspaces only carry the `userId` of their owner, which is also the id of
+// that user's personal workspace.
+
+import { createCipheriv, createDecipheriv, randomBytes, randomUUID, scryptSync } from 'crypto';
+import { getStore } from './storage/index.js';
+
+const VAULT_KEYS = 'vault_keys';
+
+let cachedKey = null;
+let cachedSecret = null;
+
+const encryptionKey = () => {
+  const secret = process.env.VAULT_SECRET;
+  if (!secret) {
+    const error = new Error('VAULT_SECRET is not configured');
+    error.code = 'VAULT_UNCONFIGURED';
+    throw error;
+  }
+  if (secret !== cachedSecret) {
+    cachedKey = scryptSync(secret, 'apitracker-key-vault', 32);
+    cachedSecret = secret;
+  }
+  return cachedKey;
+};
+
+const encrypt = (plaintext) => {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+  };
+};
+
+const decrypt = ({ iv, tag, ciphertext }) => {
+  const decipher = createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// "sk-proj-abc...wxyz" -> "sk-p••••wxyz"
+export const maskKey = (apiKey) =>
+  apiKey.length <= 8 ? '••••' : `${apiKey.slice(0, 4)}••••${apiKey.slice(-4)}`;
+
+const toPublic = ({ encrypted, userId, workspaceId, ...entry }) => entry;
+
+const ownerOf = (entry) => entry.workspaceId || entry.userId;
+
+const workspaceEntries = async (workspaceId) =>
+  (await getStore().list(VAULT_KEYS)).filter(entry => ownerOf(entry) === workspaceId);
+
+async function getEntry(workspaceId, keyId) {
+  const entry = await getStore().get(VAULT_KEYS, keyId);
+  return entry && ownerOf(entry) === workspaceId ? entry : null;
+}
+
+export async function listKeys(workspaceId) {
+  return (await workspaceEntries(workspaceId)).map(toPublic);
+}
+
+// `providerId` is the dashboard card the key belongs to; `provider` is the
+// name used to find the adapter (see providers/index.js). `userId` is the
+// member who saved it.
+export async function saveKey(workspaceId, { providerId, provider, label, apiKey, userId }) {
+  const entry = {
+    id: randomUUID(),
+    workspaceId,
+    userId,
+    providerId,
+    provider: provider || providerId,
+    label: label || '',
+    masked: maskKey(apiKey),
+    createdAt: new Date().toISOString(),
+    rotatedAt: null,
+    encrypted: encrypt(apiKey),
+  };
+  await getStore().put(VAULT_KEYS, entry.id, entry);
+  return toPublic(entry);
+}
+
+export async function rotateKey(workspaceId, keyId, apiKey) {
+  const entry = await getEntry(workspaceId, keyId);
+  if (!entry) return null;
+  entry.encrypted = encrypt(apiKey);
+  entry.masked = maskKey(apiKey);
+  entry.rotatedAt = new Date().toISOString();
+  await getStore().put(VAULT_KEYS, entry.id, entry);
+  return toPublic(entry);
+}
+
+export async function deleteKey(workspaceId, keyId) {
+  if (!await getEntry(workspaceId, keyId)) return false;
+  return getStore().delete(VAULT_KEYS, keyId);
+}
+
+// Used when a workspace (or the account owning a personal one) goes away
+export async function deleteAllKeys(workspaceId) {
+  const entries = await workspaceEntries(workspaceId);
+  for (const entry of entries) await getStore().delete(VAULT_KEYS, entry.id);
+  return entries.length;
+}
+
+// Returns { entry, apiKey } for server-side use only - never send apiKey back
+export async function resolveKey(workspaceId, keyId) {
+  const entry = await getEntry(workspaceId, keyId);
+  if (!entry) return null;
+  return { entry: toPublic(entry), apiKey: decrypt(entry.encrypted) };
+}
+
+export async function resolveAllKeys(workspaceId) {
+  return (await workspaceEntries(workspaceId)).map(entry => ({
+    entry: toPublic(entry),
+    apiKey: decrypt(entry.encrypted),
+  }));
+}
@@ -0,0 +1,212 @@
+// Team workspaces: a workspace owns a provider list and vault keys, and its
+// members see the same dashboard. Every user also has a personal workspace
+// whose id is their user id - it is never stored, so data saved before
+// workspaces existed (keyed by user id) simply belongs to it.
+//
+// Roles, each including the ones below it:
+//   owner   manage keys and members
+//   editor  change providers and limits
+//   viewer  read-only
+//
+// Invitations work like password reset tokens: a random token sent to an
+// email address, single use, expiring. Only an account with that email can
+// accept it.
+
+import { randomUUID } from 'crypto';
+import { getStore } from './storage/index.js';
+
+const WORKSPACES = 'workspaces';
+const INVITES = 'workspace_invites';
+
+export const ROLES = ['viewer', 'editor', 'owner'];
+
+export const hasRole = (role, required) => ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+const isExpired = (record, now = new Date()) => new Date(record.expiresAt) <= now;
+
+const sameEmail = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+const personalWorkspace = (userId) => ({ id: userId, name: 'Personal', role: 'owner', personal: true });
+
+const roleOf = (workspace, userId) => workspace.members.find(m => m.userId === userId)?.role || null;
+
+const toSummary = (workspace, userId) => ({
+  id: workspace.id,
+  name: workspace.name,
+  role: roleOf(workspace, userId),
+  personal: false,
+});
+
+export const getWorkspace = (id) => getStore().get(WORKSPACES, id);
+
+export async function listWorkspaces(userId) {
+  const teams = (await getStore().list(WORKSPACES)).filter(w => roleOf(w, userId));
+  return [personalWorkspace(userId), ...teams.map(w => toSummary(w, userId))];
+}
+
+export async function createWorkspace(user, name) {
+  const workspace = {
+    id: randomUUID(),
+    name,
+    members: [{ userId: user.id, email: user.email, displayName: user.displayName, role: 'owner', joinedAt: new Date().toISOString() }],
+    createdAt: new Date().toISOString(),
+  };
+  await getStore().put(WORKSPACES, workspace.id, workspace);
+  return toSummary(workspace, user.id);
+}
+
+// Caller's role in a workspace, or null for non-members
+export async function getRole(workspaceId, userId) {
+  if (workspaceId === userId) return 'owner';
+  const workspace = await getWorkspace(workspaceId);
+  return workspace ? roleOf(workspace, userId) : null;
+}
+
+// The workspace a request acts in - the X-Workspace-Id header, or the
+// caller's personal workspace - as { id, role, personal }; null if the
+// caller isn't a member.
+export async function resolveWorkspace(event, session) {
+  const requested = event.headers?.['x-workspace-id'] || event.headers?.['X-Workspace-Id'];
+  if (!requested || requested === session.userId) return personalWorkspace(session.userId);
+
+  const workspace = await getWorkspace(requested);
+  const role = workspace && roleOf(workspace, session.userId);
+  return role ? { id: workspace.id, name: workspace.name, role, personal: false } : null;
+}
+
+// --- Members ---
+
+export async function listMembers(workspaceId) {
+  return (await getWorkspace(workspaceId))?.members || [];
+}
+
+// Changes a member's role, or removes them when `role` is null. A workspace
+// always keeps at least one owner; returns { error } when that would break.
+export async function updateMember(workspaceId, userId, role) {
+  if (!await getWorkspace(workspaceId)) return { error: 'Workspace not found' };
+  let error = null;
+  const workspace = await getStore().update(WORKSPACES, workspaceId, (current) => {
+    const member = current.members.find(m => m.userId === userId);
+    if (!member) {
+      error = 'Member not found';
+      return current;
+    }
+    const members = role
+      ? current.members.map(m => (m.userId === userId ? { ...m, role } : m))
+      : current.members.filter(m => m.userId !== userId);
+    if (!members.some(m => m.role === 'owner')) {
+      error = 'A workspace needs at least one owner';
+      return current;
+    }
+    return { ...current, members };
+  });
+  return error ? { error } : { members: workspace.members };
+}
+
+// Keeps the name and email shown in member lists in step with the account
+export async function updateMemberProfiles(user) {
+  for (const workspace of await getStore().list(WORKSPACES)) {
+    if (!roleOf(workspace, user.id)) continue;
+    await getStore().update(WORKSPACES, workspace.id, (current) => ({
+      ...current,
+      members: current.members.map(m => (
+        m.userId === user.id ? { ...m, email: user.email, displayName: user.displayName } : m
+      )),
+    }));
+  }
+}
+
+// Team workspaces `userId` is the only owner of while others are still in
+// them - the account can't be deleted until someone else owns these.
+export async function soleOwnedWorkspaces(userId) {
+  return (await getStore().list(WORKSPACES)).filter(w =>
+    roleOf(w, userId) === 'owner' &&
+    w.members.length > 1 &&
+    !w.members.some(m => m.userId !== userId && m.role === 'owner')
+  ).map(w => ({ id: w.id, name: w.name }));
+}
+
+// Removes `userId` from every team workspace. Workspaces left without
+// members are deleted along with their invitations; returns their ids so
+// the caller can purge their keys and provider lists.
+export async function leaveAllWorkspaces(userId) {
+  const deleted = [];
+  for (const workspace of await getStore().list(WORKSPACES)) {
+    if (!roleOf(workspace, userId)) continue;
+    const members = workspace.members.filter(m => m.userId !== userId);
+    if (members.length > 0) {
+      await getStore().update(WORKSPACES, workspace.id, (current) => ({
+        ...current,
+        members: current.members.filter(m => m.userId !== userId),
+      }));
+      continue;
+    }
+    for (const invite of await listInvites(workspace.id)) await getStore().delete(INVITES, invite.token);
+    await getStore().delete(WORKSPACES, workspace.id);
+    deleted.push(workspace.id);
+  }
+  return deleted;
+}
+
+// --- Invitations ---
+
+export async function createInvite(workspaceId, { email, role, invitedBy }, ttlMs) {
+  const invite = {
+    token: randomUUID(),
+    workspaceId,
+    email: email.trim().toLowerCase(),
+    role,
+    invitedBy,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+  };
+  await getStore().put(INVITES, invite.token, invite);
+  return invite;
+}
+
+export async function listInvites(workspaceId, now = new Date()) {
+  return (await getStore().list(INVITES))
+    .filter(invite => invite.workspaceId === workspaceId && !isExpired(invite, now));
+}
+
+export async function revokeInvite(workspaceId, token) {
+  const invite = await getStore().get(INVITES, token);
+  if (!invite || invite.workspaceId !== workspaceId) return false;
+  return getStore().delete(INVITES, token);
+}
+
+// Adds `user` to the invite's workspace and deletes the invite. Returns
+// { workspace } or { error } - the invite stays usable if it was simply
+// opened by the wrong account, or before the address was verified (matching
+// an unverified address proves nothing about who holds the inbox).
+export async function acceptInvite(token, user) {
+  const invite = await getStore().get(INVITES, token);
+  if (!invite || isExpired(invite)) return { error: 'Invitation is invalid or has expired' };
+  if (!sameEmail(invite.email, user.email)) {
+    return { error: `This invitation was sent to ${invite.email}` };
+  }
+  if (!user.emailVerified) {
+    return { error: 'Verify your email address, then open the invitation link again' };
+  }
+
+  if (!await getWorkspace(invite.workspaceId)) {
+    await getStore().delete(INVITES, token);
+    return { error: 'Workspace no longer exists' };
+  }
+
+  const workspace = await getStore().update(WORKSPACES, invite.workspaceId, (current) => {
+    if (roleOf(current, user.id)) return current;
+    const member = { userId: user.id, email: user.email, displayName: user.displayName, role: invite.role, joinedAt: new Date().toISOString() };
+    return { ...current, members: [...current.members, member] };
+  });
+  await getStore().delete(INVITES, token);
+  return { workspace: toSummary(workspace, user.id) };
+}
+
+export async function cleanupExpiredInvites(now = new Date()) {
+  let removed = 0;
+  for (const invite of await getStore().list(INVITES)) {
+    if (isExpired(invite, now) && await getStore().delete(INVITES, invite.token)) removed++;
+  }
+  return removed;
+}
@@ -0,0 +1,16 @@
+// Runs the usage refresh locally: collects current-period usage for every
+// registered provider that has a key in the environment, stores it and the
+// run log through the storage layer (DATA_DIR / STORAGE_BACKEND apply as for
+// the functions) and prints the run and its results as JSON.
+// The deployed site runs the same job on a schedule (functions/scheduled-usage.js).
+//
+// Usage: npm run collect-usage
+
+import { runUsageJob } from '../netlify/lib/usageJob.js';
+
+// Collector logs go to stderr so stdout stays parseable JSON
+console.log = console.error;
+
+const { run, results } = await runUsageJob('cli');
+process.stdout.write(JSON.stringify({ run, results }, null, 2) + '\n');
+process.exitCode = run.status === 'error' ? 1 : 0;
@@ -1,76 +1,172 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import SettingsModal from './components/SettingsModal';
+import Sparkline from './components/Sparkline';
+import UsageChart from './components/UsageChart';
+import RefreshStatus from './components/RefreshStatus';
+import ModelBreakdown from './components/ModelBreakdown';
+import WorkspaceSwitcher from './components/WorkspaceSwitcher';
+import WorkspaceMembers from './components/WorkspaceMembers';
+import AccountModal from './components/AccountModal';
+import VerifyEmailBanner from './components/VerifyEmailBanner';
+import { toDailySeries, pointValue } from './lib/history';
+import { forecastPeriod, formatDay } from './lib/forecast';
+import { DEFAULT_PRICES, getSpend, formatUsd } from './lib/pricing';
+import { getWindow, formatCountdown, periodSettings, describePeriod } from './lib/periods';
+import { METRICS, getMetric, metricValue, limitFor, formatCount } from './lib/metrics';
+import { fetchServerUsage, fetchLocalKeyUsage, fetchUsageHistory, mergeUsage } from './lib/usage';
+import { providerKeys, keyLabel, usageIdFor, localKeyItem, combineResults, combineHistory } from './lib/providerKeys';
+import { useProviderSync } from './lib/useProviderSync';
+import { useWorkspaces } from './lib/useWorkspaces';
 import { useAuth, AuthModal } from './lib/auth';
 
 const DEFAULT_PROVIDERS = [];
+const ROLLOVER_RELOAD_MS = 5 * 60 * 1000; // at most one reload per 5 minutes for rolled-over windows
+const KEY_SHADES = [1, 0.7, 0.45, 0.25]; // opacity of each key's segment in a stacked bar
 
 function App() {
   const [providers, setProviders] = useState(() => {
     const saved = localStorage.getItem('api_providers');
     return saved ? JSON.parse(saved) : DEFAULT_PROVIDERS;
   });
+  const [prices, setPrices] = useState(() => {
+    const saved = localStorage.getItem('api_pricing');
+    return saved ? JSON.parse(saved) : DEFAULT_PRICES;
+  });
+  // Metric picked from a card's dropdown, as { metric, over: the card's own
+  // metric at the time }. Kept apart from `providers` so switching it doesn't
+  // reload usage or sync the config; changing the metric in settings wins.
+  const [cardMetrics, setCardMetrics] = useState(() => {
+    const saved = localStorage.getItem('api_card_metrics');
+    return saved ? JSON.parse(saved) : {};
+  });
   const [apiUsage, setApiUsage] = useState({});
   const [lastUpdated, setLastUpdated] = useState(null);
   const [showSettings, setShowSettings] = useState(false);
+  const [history, setHistory] = useState({});
+  const [expandedChart, setExpandedChart] = useState(null); // provider id
+  const [expandedModels, setExpandedModels] = useState(null); // provider id
+  const [showSpendBreakdown, setShowSpendBreakdown] = useState(false);
+  const [now, setNow] = useState(() => new Date());
+  const [reloadKey, setReloadKey] = useState(0);
+  const [showMembers, setShowMembers] = useState(false);
+  const [showAccount, setShowAccount] = useState(false);
+  const lastReload = useRef(Date.now());
   const { user, logout, setShowAuthModal } = useAuth();
+  const workspace = useWorkspaces();
+  const { conflict, resolveConflict, status: syncStatus } = useProviderSync(
+    providers,
+    setProviders,
+    { id: workspace.activeId, role: workspace.role }
+  );
 
   useEffect(() => {
     localStorage.setItem('api_providers', JSON.stringify(providers));
   }, [providers]);
 
   useEffect(() => {
-    // Check for local keys first
-    const localKeys = {};
-    let hasLocalKeys = false;
-    providers.forEach(p => {
-      const key = localStorage.getItem(`api_key_${p.id}`);
-      if (key) {
-        localKeys[p.id] = key;
-        hasLocalKeys = true;
+    localStorage.setItem('api_pricing', JSON.stringify(prices));
+  }, [prices]);
+
+  useEffect(() => {
+    localStorage.setItem('api_card_metrics', JSON.stringify(cardMetrics));
+  }, [cardMetrics]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    // Keys kept in this browser (vault keys are picked up server-side).
+    // Collectors only run for signed-in users.
+    const localKeys = providers
+      .filter(p => user || !p.collector)
+      .flatMap(p => providerKeys(p).map(key => ({
+        providerId: usageIdFor(p, key),
+        provider: p.name,
+        apiKey: localStorage.getItem(localKeyItem(p, key)),
+        period: periodSettings(p),
+        collector: p.collector || undefined,
+      })))
+      .filter(k => k.apiKey);
+
+    const load = async () => {
+      let usage = {};
+      try {
+        usage = await fetchServerUsage();
+      } catch (err) {
+        console.error("Failed to load usage data", err);
       }
-    });
-
-    if (hasLocalKeys) {
-      console.log("Using local keys for fetching...");
-      // TODO: Implement client-side fetching logic here for each provider
-      // For now, we'll just mock it to show it's "working" with local keys
-      const mockUsage = {};
-      providers.forEach(p => {
-        if (localKeys[p.id]) {
-          mockUsage[p.id] = Math.floor(Math.random() * 500); // Mock value
-        }
-      });
-      setApiUsage(prev => ({ ...prev, ...mockUsage }));
-      setLastUpdated(new Date().toLocaleString());
+      if (localKeys.length > 0) {
+        usage = mergeUsage(usage, await fetchLocalKeyUsage(localKeys));
+      }
+      if (cancelled) return;
+
+      setApiUsage(usage);
+      const updated = usage.last_updated ? new Date(usage.last_updated) : (localKeys.length > 0 ? new Date() : null);
+      if (updated) setLastUpdated(updated.toLocaleString());
+    };
+
+    lastReload.current = Date.now();
+    load();
+    return () => { cancelled = true; };
+  }, [providers, user, workspace.activeId, reloadKey]);
+
+  // Countdowns tick every second only when some window is that short
+  const tickMs = providers.some(p => p.resetPeriod === 'per-minute') ? 1000 : 30 * 1000;
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), tickMs);
+    return () => clearInterval(timer);
+  }, [tickMs]);
+
+  // Figures collected for an earlier window than the current one are stale:
+  // the counter has rolled over, so they are dropped until the next reload.
+  const currentDetail = (provider, usageId = provider.id) => {
+    const detail = apiUsage.details?.[usageId];
+    if (!detail?.periodStart) return detail;
+    return new Date(detail.periodStart) < getWindow(provider, now).start ? null : detail;
+  };
+  const rolledOver = providers
+    .flatMap(p => providerKeys(p).map(key => usageIdFor(p, key))
+      .filter(id => apiUsage.details?.[id]?.periodStart && !currentDetail(p, id)))
+    .join(',');
+
+  // One result for the whole card, summed over its keys
+  const cardDetail = (provider) =>
+    combineResults(providerKeys(provider).map(key => currentDetail(provider, usageIdFor(provider, key))));
+
+  useEffect(() => {
+    if (!rolledOver || Date.now() - lastReload.current < ROLLOVER_RELOAD_MS) return;
+    setReloadKey(key => key + 1);
+  }, [rolledOver, now]);
+
+  const setProviderMetric = (provider, metric) =>
+    setCardMetrics(metrics => ({ ...metrics, [provider.id]: { metric, over: provider.metric } }));
+  const displayMetric = (provider) => {
+    const picked = cardMetrics[provider.id];
+    return getMetric(picked && picked.over === provider.metric ? picked.metric : provider.metric);
+  };
+
+  const spendFor = (provider) => getSpend(cardDetail(provider), provider.pricingModel, prices);
+  // Each card's spend over its own reset window, so the total mixes periods
+  // (a monthly bill next to a daily one) and is shown with its breakdown
+  const spends = providers
+    .map(provider => {
+      const spend = spendFor(provider);
+      return spend && { ...spend, provider };
+    })
+    .filter(Boolean);
+  const totalSpend = spends.reduce((sum, spend) => sum + spend.amount, 0);
+  const totalBillingLimit = providers.reduce((sum, p) => sum + (parseFloat(p.billingLimit) || 0), 0);
+
+  // Reload history whenever a new collection run has come in; it is only
+  // recorded for signed-in workspaces
+  useEffect(() => {
+    if (!user) {
+      setHistory({});
       return;
     }
-
-    // Try fetching from Netlify Function first
-    fetch('/.netlify/functions/get-usage')
-      .then(response => {
-        if (!response.ok) throw new Error('Function not available');
-        return response.json();
-      })
-      .then(data => {
-        setApiUsage(data);
-        if (data.last_updated) {
-          setLastUpdated(new Date(data.last_updated).toLocaleString());
-        }
-      })
-      .catch(() => {
-        // Fallback to static file if function fails (e.g. local dev without netlify cli)
-        console.log("Falling back to static usage.json");
-        fetch('/usage.json')
-          .then(response => response.json())
-          .then(data => {
-            setApiUsage(data);
-            if (data.last_updated) {
-              setLastUpdated(new Date(data.last_updated).toLocaleString());
-            }
-          })
-          .catch(err => console.error("Failed to load usage data", err));
-      });
-  }, [providers]);
+    fetchUsageHistory(new Date(Date.now() - 90 * 24 * 60 * 60 * 1000))
+      .then(setHistory)
+      .catch(() => setHistory({}));
+  }, [lastUpdated, user, workspace.activeId]);
 
   return (
     <div className="min-h-screen bg-gray-100 p-8">
@@ -82,7 +178,22 @@ function App() {
             
             {user ? (
               <div className="flex items-center gap-2">
-                <span className="text-sm font-medium text-gray-700 hidden sm:inline">{user.displayName || user.email}</span>
+                <WorkspaceSwitcher
+                  workspaces={workspace.workspaces}
+                  active={workspace.active}
+                  onSwitch={workspace.switchWorkspace}
+                  onCreate={workspace.createWorkspace}
+                  onManage={() => setShowMembers(true)}
+                />
+                <button
+                  onClick={() => setShowAccount(true)}
+                  className="text-sm font-medium text-gray-700 hover:text-gray-900 hidden sm:inline"
+                  title="Account settings"
+                >
+                  {user.displayName || user.email}
+                </button>
+                {syncStatus === 'syncing' && <span className="text-xs text-gray-400" title="Syncing providers">⟳</span>}
+                {syncStatus === 'error' && <span className="text-xs text-red-500" title="Provider sync failed">⚠</span>}
                 <button 
                   onClick={logout}
                   className="text-sm text-red-600 hover:text-red-800"
@@ -114,9 +225,58 @@ function App() {
           onClose={() => setShowSettings(false)} 
           providers={providers}
           setProviders={setProviders}
+          prices={prices}
+          setPrices={setPrices}
+          role={user ? workspace.role : null}
+        />
+        <WorkspaceMembers
+          isOpen={showMembers}
+          onClose={() => {
+            setShowMembers(false);
+            workspace.reload().catch(() => {});
+          }}
+          workspace={workspace.active}
+          onLeave={() => {
+            setShowMembers(false);
+            workspace.switchWorkspace(null);
+            workspace.reload().catch(() => {});
+          }}
         />
+        <AccountModal isOpen={showAccount} onClose={() => setShowAccount(false)} />
         <AuthModal />
 
+        <VerifyEmailBanner />
+
+        {workspace.notice && (
+          <div className={`mb-6 p-3 rounded-lg text-sm flex justify-between items-start ${
+            workspace.notice.type === 'error' ? 'bg-red-50 border border-red-200 text-red-700' : 'bg-green-50 border border-green-200 text-green-700'
+          }`}>
+            <span>{workspace.notice.message}</span>
+            <button onClick={workspace.dismissNotice} className="ml-4 opacity-60 hover:opacity-100">✕</button>
+          </div>
+        )}
+
+        {conflict && (
+          <div className="mb-6 p-4 rounded-lg bg-yellow-50 border border-yellow-200 text-sm">
+            <p className="font-medium text-yellow-800">Your providers changed on this device and on another device.</p>
+            <p className="text-yellow-700 mt-1">
+              The synced copy has {conflict.remote.providers.length} provider{conflict.remote.providers.length === 1 ? '' : 's'}
+              {conflict.remote.updatedAt && ` (updated ${new Date(conflict.remote.updatedAt).toLocaleString()})`}; this device has {providers.length}.
+            </p>
+            <div className="flex flex-wrap gap-2 mt-3">
+              <button onClick={() => resolveConflict('merge')} className="px-3 py-1.5 rounded bg-blue-600 text-white hover:bg-blue-700">
+                Merge both
+              </button>
+              <button onClick={() => resolveConflict('local')} className="px-3 py-1.5 rounded bg-white border hover:bg-gray-50">
+                Keep this device's
+              </button>
+              <button onClick={() => resolveConflict('remote')} className="px-3 py-1.5 rounded bg-white border hover:bg-gray-50">
+                Use synced copy
+              </button>
+            </div>
+          </div>
+        )}
+
         {providers.length === 0 ? (
           <div className="text-center py-12">
             <div className="text-6xl mb-4">📊</div>
@@ -133,8 +293,49 @@ function App() {
           <>
         <div className="space-y-6">
           {providers.map(provider => {
-            const usage = apiUsage[provider.id] || 0;
-            const percentage = Math.min((usage / provider.limit) * 100, 100);
+            const metric = displayMetric(provider);
+            const keyRows = providerKeys(provider).map((key, index) => {
+              const id = usageIdFor(provider, key);
+              const keyDetail = currentDetail(provider, id);
+              const rolled = Boolean(apiUsage.details?.[id]) && !keyDetail;
+              // Top-level numbers are request counts, so they cover keys without details
+              const value = rolled ? 0 : (metric.id === 'requests'
+                ? (keyDetail?.requests ?? apiUsage[id] ?? 0)
+                : (metricValue(keyDetail, metric.id) ?? 0));
+              return { key, index, detail: keyDetail, value, limit: limitFor(key, metric.id) };
+            });
+            const detail = cardDetail(provider);
+            const usage = keyRows.reduce((sum, row) => sum + row.value, 0);
+            // The card's own limit, the keys' limits added up, or one a custom collector read
+            const limit = limitFor(provider, metric.id) || keyRows.reduce((sum, row) => sum + row.limit, 0) ||
+              (detail?.limitMetric === metric.id ? detail.limit || 0 : 0);
+            // Metrics worth offering: anything reported or limited, plus the current one
+            const metricOptions = METRICS.filter(m =>
+              m.id === metric.id || metricValue(detail, m.id) != null || limitFor(provider, m.id) > 0);
+            const models = detail?.models && Object.keys(detail.models).length > 0 ? detail.models : null;
+            // A custom collector may report when the endpoint's own counter resets
+            const resetsAt = detail?.source === 'collector' && detail.resetsAt
+              ? new Date(detail.resetsAt)
+              : getWindow(provider, now).end;
+            const points = combineHistory(provider, history);
+            let remaining = 100;
+            const segments = keyRows.map(row => {
+              const width = limit ? Math.min((row.value / limit) * 100, remaining) : 0;
+              remaining -= width;
+              return { ...row, width };
+            });
+            const spend = spendFor(provider);
+            const billingLimit = parseFloat(provider.billingLimit) || 0;
+            const spendPercentage = spend && billingLimit ? Math.min((spend.amount / billingLimit) * 100, 100) : 0;
+            // Where usage and spend are heading by the reset (see src/lib/forecast.js)
+            const usageForecast = limit > 0 && usage < limit && forecastPeriod({
+              points, current: usage, limit, window: getWindow(provider, now), now,
+              valueOf: point => pointValue(point, metric.id),
+            });
+            const spendForecast = spend && billingLimit > 0 && spend.amount < billingLimit && forecastPeriod({
+              points, current: spend.amount, limit: billingLimit, window: getWindow(provider, now), now,
+              valueOf: point => getSpend({ ...point, status: 'ok' }, provider.pricingModel, prices)?.amount ?? null,
+            });
             
             return (
               <div key={provider.id} className="w-full">
@@ -151,28 +352,167 @@ function App() {
                         {provider.linkText || provider.infoUrl}
                       </a>
                     )}
+                    {points.length > 0 && (
+                      <button
+                        onClick={() => setExpandedChart(expandedChart === provider.id ? null : provider.id)}
+                        title={expandedChart === provider.id ? 'Hide trend' : 'Show trend'}
+                      >
+                        <Sparkline series={toDailySeries(points, 30, now, metric.id)} color={provider.color} />
+                      </button>
+                    )}
+                  </div>
+                  <div className="text-right">
+                    <span className="text-sm font-medium text-gray-500">
+                      {formatCount(usage)}{limit > 0 && ` / ${formatCount(limit)}`}{' '}
+                      {metricOptions.length > 1 ? (
+                        <select
+                          value={metric.id}
+                          onChange={(e) => setProviderMetric(provider, e.target.value)}
+                          className="bg-transparent text-sm text-gray-500 border-b border-dashed border-gray-300 focus:outline-none"
+                          title="Metric shown on the bar"
+                        >
+                          {metricOptions.map(m => (
+                            <option key={m.id} value={m.id}>{m.unit}</option>
+                          ))}
+                        </select>
+                      ) : metric.unit}
+                    </span>
+                    <div className="text-xs text-gray-400" title={`Resets ${resetsAt.toLocaleString()}`}>
+                      resets in {formatCountdown(resetsAt - now)}
+                    </div>
                   </div>
-                  <span className="text-sm font-medium text-gray-500">{usage} / {provider.limit} calls</span>
                 </div>
-                <div className="w-full bg-gray-200 rounded-full h-4">
-                  <div 
-                    className={`${provider.color} h-4 rounded-full transition-all duration-500 ease-out`} 
-                    style={{ width: `${percentage}%` }}
-                  ></div>
+                <div className="w-full bg-gray-200 rounded-full h-4 flex overflow-hidden">
+                  {segments.map(segment => (
+                    <div
+                      key={segment.key.id}
+                      className={`${provider.color} h-4 transition-all duration-500 ease-out`}
+                      style={{ width: `${segment.width}%`, opacity: KEY_SHADES[segment.index % KEY_SHADES.length] }}
+                      title={`${keyLabel(segment.key, segment.index)}: ${formatCount(segment.value)}`}
+                    ></div>
+                  ))}
                 </div>
+                {keyRows.length > 1 && (
+                  <div className="flex flex-wrap gap-x-4 gap-y-1 mt-1 text-xs text-gray-500">
+                    {keyRows.map(row => (
+                      <span key={row.key.id} className={`flex items-center gap-1 ${row.limit && row.value >= row.limit ? 'text-red-500' : ''}`}>
+                        <span
+                          className={`inline-block w-2 h-2 rounded-full ${provider.color}`}
+                          style={{ opacity: KEY_SHADES[row.index % KEY_SHADES.length] }}
+                        ></span>
+                        {keyLabel(row.key, row.index)}: {formatCount(row.value)}{row.limit > 0 && ` / ${formatCount(row.limit)}`}
+                        {row.detail?.status === 'error' && (
+                          <span className="text-red-500" title={row.detail.error}>⚠</span>
+                        )}
+                      </span>
+                    ))}
+                  </div>
+                )}
+                {usageForecast && (
+                  <p
+                    className={`text-xs mt-1 ${usageForecast.exceedsAt ? 'text-orange-600' : 'text-gray-400'}`}
+                    title={`Forecast from ${usageForecast.method === 'run-rate' ? "this period's run rate" : 'usage history'}`}
+                  >
+                    {usageForecast.exceedsAt
+                      ? `Projected to exceed on ${formatDay(usageForecast.exceedsAt)}`
+                      : `Projected ${formatCount(usageForecast.projected)} of ${formatCount(limit)} by reset`}
+                  </p>
+                )}
+                {(spend || billingLimit > 0) && (
+                  <div className="mt-2">
+                    <div className="flex justify-end mb-1">
+                      <span className="text-xs text-gray-500">
+                        {spend ? `${spend.estimated ? '~' : ''}${formatUsd(spend.amount)}` : 'Spend unknown'}
+                        {billingLimit > 0 && ` / ${formatUsd(billingLimit)}`}
+                        {spend?.estimated && ' (estimated)'}
+                      </span>
+                    </div>
+                    {billingLimit > 0 && (
+                      <div className="w-full bg-gray-200 rounded-full h-2">
+                        <div
+                          className={`${spendPercentage >= 100 ? 'bg-red-500' : spendPercentage >= 80 ? 'bg-yellow-500' : 'bg-emerald-500'} h-2 rounded-full transition-all duration-500 ease-out`}
+                          style={{ width: `${spendPercentage}%` }}
+                        ></div>
+                      </div>
+                    )}
+                    {spendForecast && (
+                      <p className={`text-xs mt-1 text-right ${spendForecast.exceedsAt ? 'text-orange-600' : 'text-gray-400'}`}>
+                        {spendForecast.exceedsAt
+                          ? `Spend projected to exceed on ${formatDay(spendForecast.exceedsAt)}`
+                          : `Spend projected ~${formatUsd(spendForecast.projected)} by reset`}
+                      </p>
+                    )}
+                  </div>
+                )}
+                {detail && detail.status !== 'ok' && (
+                  <p className={`text-xs mt-1 ${detail.status === 'error' ? 'text-red-500' : 'text-gray-400'}`}>
+                    {detail.status === 'error' ? `Usage unavailable: ${detail.error}` : detail.message}
+                  </p>
+                )}
+                {(detail?.source === 'proxy' || detail?.source === 'ingested' || detail?.rateLimit) && (
+                  <p className="text-xs text-gray-400 mt-1">
+                    {detail.source === 'proxy' && 'Metered via proxy'}
+                    {detail.source === 'ingested' && `Reported by your services${detail.reportedAt ? ` · last event ${new Date(detail.reportedAt).toLocaleString()}` : ''}`}
+                    {detail.source && detail.rateLimit && ' · '}
+                    {detail.rateLimit && `Rate limit: ${detail.rateLimit.remaining ?? '?'} / ${detail.rateLimit.limit ?? '?'} remaining`}
+                    {detail.rateLimit?.reset && ` (resets ${detail.rateLimit.reset})`}
+                  </p>
+                )}
+                {models && (
+                  <button
+                    onClick={() => setExpandedModels(expandedModels === provider.id ? null : provider.id)}
+                    className="text-xs text-blue-500 hover:text-blue-700 mt-1"
+                  >
+                    {expandedModels === provider.id ? '▾' : '▸'} {Object.keys(models).length} model{Object.keys(models).length === 1 ? '' : 's'}
+                  </button>
+                )}
+                {models && expandedModels === provider.id && (
+                  <ModelBreakdown provider={provider} models={models} prices={prices} />
+                )}
+                {expandedChart === provider.id && (
+                  <UsageChart points={points} color={provider.color} metric={metric.id} />
+                )}
               </div>
             );
           })}
         </div>
 
-        <div className="mt-8 pt-6 border-t border-gray-200">
+        <div className="mt-8 pt-6 border-t border-gray-200 flex justify-between items-center">
           <button 
             onClick={() => setShowSettings(true)}
             className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition-colors"
           >
             Manage API Providers
           </button>
+          {spends.length > 0 && (
+            <div className="text-right">
+              <div className="text-xs text-gray-500">Current period spend</div>
+              <div className="text-lg font-semibold text-gray-800">
+                {spends.some(spend => spend.estimated) && '~'}{formatUsd(totalSpend)}
+                {totalBillingLimit > 0 && (
+                  <span className="text-sm font-normal text-gray-500"> / {formatUsd(totalBillingLimit)}</span>
+                )}
+              </div>
+              <button
+                onClick={() => setShowSpendBreakdown(!showSpendBreakdown)}
+                className="text-xs text-blue-500 hover:text-blue-700"
+              >
+                {showSpendBreakdown ? '▾' : '▸'} by provider
+              </button>
+              {showSpendBreakdown && (
+                <ul className="mt-1 text-xs text-gray-600 space-y-0.5">
+                  {spends.map(({ provider, amount, estimated }) => (
+                    <li key={provider.id}>
+                      {provider.name}: {estimated && '~'}{formatUsd(amount)}
+                      <span className="text-gray-400"> (resets {describePeriod(provider)})</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
         </div>
+        {user && <RefreshStatus refreshKey={lastUpdated} />}
           </>
         )}
       </div>
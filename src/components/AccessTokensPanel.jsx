@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react';
+import { SCOPES, EXPIRY_OPTIONS, listAccessTokens, createAccessToken, renameAccessToken, revokeAccessToken } from '../lib/accessTokens';
+
+const EMPTY_DRAFT = { label: '', scopes: ['read-usage'], expiresInDays: 90 };
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString();
+
+// Personal access tokens for scripts and CI: create one with some scopes,
+// copy it while it's shown, rename or revoke it later
+export default function AccessTokensPanel() {
+  const [tokens, setTokens] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [created, setCreated] = useState(null); // plaintext of the token just made
+  const [error, setError] = useState('');
+
+  const load = () => listAccessTokens().then(setTokens).catch(err => setError(err.message));
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  // Runs a change and surfaces its error instead of throwing
+  const attempt = async (change) => {
+    setError('');
+    try {
+      await change();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const toggleScope = (scope) => setDraft(current => ({
+    ...current,
+    scopes: current.scopes.includes(scope) ? current.scopes.filter(s => s !== scope) : [...current.scopes, scope],
+  }));
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    attempt(async () => {
+      const { token } = await createAccessToken({ ...draft, label: draft.label.trim() });
+      setCreated(token);
+      setDraft(EMPTY_DRAFT);
+      await load();
+    });
+  };
+
+  const handleRename = (token) => {
+    const label = prompt('Token label', token.label);
+    if (!label?.trim() || label.trim() === token.label) return;
+    attempt(async () => {
+      await renameAccessToken(token.id, label.trim());
+      await load();
+    });
+  };
+
+  const handleRevoke = (token) => {
+    if (!confirm(`Revoke "${token.label}"? Anything using it stops working.`)) return;
+    attempt(async () => {
+      await revokeAccessToken(token.id);
+      await load();
+    });
+  };
+
+  return (
+    <div className="space-y-2">
+      <h3 className="text-sm font-medium text-gray-700">Access tokens</h3>
+      <p className="text-xs text-gray-500">
+        For scripts and CI: send <code>Authorization: Bearer &lt;token&gt;</code> to the API.
+      </p>
+
+      {created && (
+        <div className="p-2 rounded bg-green-50 border border-green-200 text-xs text-green-800 space-y-1">
+          <p>Copy your new token now - it won't be shown again.</p>
+          <code className="block break-all text-gray-800">{created}</code>
+          <button onClick={() => setCreated(null)} className="text-green-700 hover:text-green-900">Done</button>
+        </div>
+      )}
+
+      {tokens.length > 0 && (
+        <div className="divide-y border rounded-lg">
+          {tokens.map(token => (
+            <div key={token.id} className="flex items-center justify-between p-2 text-sm">
+              <div className="min-w-0">
+                <p className="truncate">
+                  {token.label} <code className="text-xs text-gray-400">{token.hint}</code>
+                  {token.expired && <span className="ml-1 text-xs text-red-500">(expired)</span>}
+                </p>
+                <p className="text-xs text-gray-400 truncate">
+                  {token.scopes.join(', ')} · {token.expiresAt ? `expires ${formatDate(token.expiresAt)}` : 'never expires'}
+                  {' · '}{token.lastUsedAt ? `last used ${formatDate(token.lastUsedAt)}` : 'never used'}
+                </p>
+              </div>
+              <span className="flex items-center gap-2 ml-2 text-xs whitespace-nowrap">
+                <button onClick={() => handleRename(token)} className="text-gray-500 hover:text-gray-800">Rename</button>
+                <button onClick={() => handleRevoke(token)} className="text-red-500 hover:text-red-700">Revoke</button>
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="space-y-2 border rounded-lg p-3">
+        <input
+          type="text"
+          value={draft.label}
+          onChange={(e) => setDraft({ ...draft, label: e.target.value })}
+          className="w-full p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+          placeholder="Label, e.g. Nightly CI"
+          required
+        />
+        <div className="space-y-1">
+          {SCOPES.map(scope => (
+            <label key={scope.id} className="flex items-start gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={draft.scopes.includes(scope.id)}
+                onChange={() => toggleScope(scope.id)}
+                className="mt-1"
+              />
+              <span>
+                {scope.label} <span className="text-xs text-gray-400">{scope.description}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={draft.expiresInDays ?? ''}
+            onChange={(e) => setDraft({ ...draft, expiresInDays: e.target.value ? Number(e.target.value) : null })}
+            className="p-2 border rounded text-sm bg-white"
+          >
+            {EXPIRY_OPTIONS.map(option => (
+              <option key={option.label} value={option.days ?? ''}>Expires: {option.label}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={draft.scopes.length === 0}
+            className="px-3 py-2 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 disabled:opacity-50"
+          >
+            Create token
+          </button>
+        </div>
+      </form>
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
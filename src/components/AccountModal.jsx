@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../lib/auth';
+import TwoFactorSettings from './TwoFactorSettings';
+import SessionsPanel from './SessionsPanel';
+import AccessTokensPanel from './AccessTokensPanel';
+
+const inputClass = 'w-full p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none';
+
+// The logged-in user's own account: name and email, password, two-factor
+// sign-in, active sessions, access tokens, and deleting the account along
+// with everything stored for it
+export default function AccountModal({ isOpen, onClose }) {
+  const { user, updateProfile, changePassword, deleteAccount } = useAuth();
+  const [profile, setProfile] = useState({ displayName: '', email: '' });
+  const [passwords, setPasswords] = useState({ current: '', next: '', confirm: '' });
+  const [deletePassword, setDeletePassword] = useState('');
+  const [message, setMessage] = useState(null); // { type: 'success' | 'error', text }
+
+  useEffect(() => {
+    if (!isOpen || !user) return;
+    setProfile({ displayName: user.displayName || '', email: user.email });
+    setPasswords({ current: '', next: '', confirm: '' });
+    setDeletePassword('');
+    setMessage(null);
+  }, [isOpen]);
+
+  // Every field message from the server (e.g. each unmet password rule), else its error
+  const failureText = (result) => (result.fields ? Object.values(result.fields).flat().join('. ') : result.error);
+
+  const report = (result, success) =>
+    setMessage(result.success ? { type: 'success', text: success } : { type: 'error', text: failureText(result) });
+
+  const handleProfile = async (e) => {
+    e.preventDefault();
+    const emailChanged = profile.email.trim() !== user.email;
+    const result = await updateProfile({ displayName: profile.displayName, email: profile.email });
+    report(result, emailChanged ? `Saved. Check ${profile.email.trim()} for a link to verify it.` : 'Profile saved.');
+  };
+
+  const handlePassword = async (e) => {
+    e.preventDefault();
+    if (passwords.next !== passwords.confirm) {
+      setMessage({ type: 'error', text: 'New passwords do not match' });
+      return;
+    }
+    const result = await changePassword(passwords.current, passwords.next);
+    report(result, 'Password changed. Your other devices have been signed out.');
+    if (result.success) setPasswords({ current: '', next: '', confirm: '' });
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    if (!confirm('Delete your account? Your personal providers and stored keys are deleted too. This cannot be undone.')) return;
+    const result = await deleteAccount(deletePassword);
+    if (result.success) onClose();
+    else report(result);
+  };
+
+  if (!isOpen || !user) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg w-full max-w-md max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="p-6 border-b">
+          <h2 className="text-xl font-bold">Account</h2>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          <form onSubmit={handleProfile} className="space-y-2">
+            <h3 className="text-sm font-medium text-gray-700">Profile</h3>
+            <input
+              type="text"
+              value={profile.displayName}
+              onChange={(e) => setProfile({ ...profile, displayName: e.target.value })}
+              className={inputClass}
+              placeholder="Display name"
+              required
+            />
+            <input
+              type="email"
+              value={profile.email}
+              onChange={(e) => setProfile({ ...profile, email: e.target.value })}
+              className={inputClass}
+              placeholder="you@example.com"
+              required
+            />
+            <button type="submit" className="px-3 py-2 bg-blue-600 text-white rounded text-sm hover:bg-blue-700">
+              Save profile
+            </button>
+          </form>
+
+          <form onSubmit={handlePassword} className="space-y-2">
+            <h3 className="text-sm font-medium text-gray-700">Change password</h3>
+            <input
+              type="password"
+              value={passwords.current}
+              onChange={(e) => setPasswords({ ...passwords, current: e.target.value })}
+              className={inputClass}
+              placeholder="Current password"
+              autoComplete="current-password"
+              required
+            />
+            <input
+              type="password"
+              value={passwords.next}
+              onChange={(e) => setPasswords({ ...passwords, next: e.target.value })}
+              className={inputClass}
+              placeholder="New password"
+              autoComplete="new-password"
+              required
+            />
+            <input
+              type="password"
+              value={passwords.confirm}
+              onChange={(e) => setPasswords({ ...passwords, confirm: e.target.value })}
+              className={inputClass}
+              placeholder="Confirm new password"
+              autoComplete="new-password"
+              required
+            />
+            <button type="submit" className="px-3 py-2 bg-blue-600 text-white rounded text-sm hover:bg-blue-700">
+              Change password
+            </button>
+          </form>
+
+          <TwoFactorSettings />
+
+          <SessionsPanel onSignedOut={onClose} />
+
+          <AccessTokensPanel />
+
+          <form onSubmit={handleDelete} className="space-y-2 border border-red-200 rounded-lg p-3">
+            <h3 className="text-sm font-medium text-red-700">Delete account</h3>
+            <p className="text-xs text-gray-500">
+              Removes your account, your personal providers, stored keys and access tokens, and any team workspace you are the last member of.
+            </p>
+            <input
+              type="password"
+              value={deletePassword}
+              onChange={(e) => setDeletePassword(e.target.value)}
+              className={inputClass}
+              placeholder="Password"
+              autoComplete="current-password"
+              required
+            />
+            <button type="submit" className="px-3 py-2 bg-red-600 text-white rounded text-sm hover:bg-red-700">
+              Delete my account
+            </button>
+          </form>
+        </div>
+
+        <div className="p-6 border-t bg-gray-50 flex justify-end items-center">
+          {message && (
+            <span className={`text-sm mr-auto ${message.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>{message.text}</span>
+          )}
+          <button onClick={onClose} className="px-4 py-2 text-gray-600 hover:bg-gray-200 rounded">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
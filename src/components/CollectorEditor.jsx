@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { METRICS } from '../lib/metrics';
+import { EMPTY_COLLECTOR, COLLECTOR_METHODS, KEY_PLACEHOLDER, cleanCollector, validateCollector } from '../lib/collectors';
+
+const PATH_FIELDS = [
+  { id: 'usagePath', label: 'Usage', placeholder: '$.data.usage' },
+  { id: 'limitPath', label: 'Limit', placeholder: '$.data.limit (optional)' },
+  { id: 'resetPath', label: 'Resets at', placeholder: '$.data.reset_at (optional)' },
+];
+
+// Custom HTTP collector for a card without a built-in adapter (see
+// src/lib/collectors.js). `collector` is null until one is set up; `onDryRun`
+// runs the draft against the card's key and resolves to test-api-key's
+// answer, whose `dryRun` holds the raw response and extracted values.
+export default function CollectorEditor({ collector, setCollector, onDryRun, disabled = false }) {
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+
+  if (!collector) {
+    return (
+      <button
+        type="button"
+        onClick={() => setCollector({ ...EMPTY_COLLECTOR })}
+        disabled={disabled}
+        className="text-xs text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+      >
+        + Collect usage from my own endpoint
+      </button>
+    );
+  }
+
+  const update = (field, value) => {
+    setCollector({ ...collector, [field]: value });
+    setResult(null);
+  };
+
+  const handleDryRun = async () => {
+    const problem = validateCollector(cleanCollector(collector));
+    if (problem) {
+      setResult({ valid: false, message: problem });
+      return;
+    }
+    setRunning(true);
+    setResult(null);
+    try {
+      setResult(await onDryRun(cleanCollector(collector)));
+    } catch (error) {
+      setResult({ valid: false, message: error.message || 'Dry run failed' });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const extracted = result?.dryRun?.extracted;
+
+  return (
+    <fieldset disabled={disabled} className="space-y-2 p-2 border rounded bg-white">
+      <div className="flex gap-2">
+        <select
+          value={collector.method}
+          onChange={(e) => update('method', e.target.value)}
+          className="p-1 border rounded text-sm bg-white"
+        >
+          {COLLECTOR_METHODS.map(method => (
+            <option key={method} value={method}>{method}</option>
+          ))}
+        </select>
+        <input
+          type="url"
+          value={collector.url}
+          onChange={(e) => update('url', e.target.value)}
+          className="flex-1 min-w-0 p-1 border rounded text-sm"
+          placeholder="https://api.example.com/v1/usage"
+        />
+      </div>
+      <input
+        type="text"
+        value={collector.authHeader}
+        onChange={(e) => update('authHeader', e.target.value)}
+        className="w-full p-1 border rounded text-sm font-mono"
+        placeholder={`Authorization: Bearer ${KEY_PLACEHOLDER}`}
+        title={`Header sent with the request; ${KEY_PLACEHOLDER} is replaced with the card's key`}
+      />
+      {collector.method === 'POST' && (
+        <textarea
+          value={collector.body}
+          onChange={(e) => update('body', e.target.value)}
+          className="w-full p-1 border rounded text-sm font-mono"
+          rows={2}
+          placeholder='{"period": "current"}'
+        />
+      )}
+      <div className="grid grid-cols-[5rem_1fr] gap-x-2 gap-y-1 items-center text-xs text-gray-500">
+        {PATH_FIELDS.map(field => (
+          <React.Fragment key={field.id}>
+            <label>{field.label}</label>
+            <input
+              type="text"
+              value={collector[field.id]}
+              onChange={(e) => update(field.id, e.target.value)}
+              className="p-1 border rounded text-sm font-mono"
+              placeholder={field.placeholder}
+            />
+          </React.Fragment>
+        ))}
+        <label>Counts</label>
+        <select
+          value={collector.metric}
+          onChange={(e) => update('metric', e.target.value)}
+          className="p-1 border rounded text-sm bg-white"
+        >
+          {METRICS.map(metric => (
+            <option key={metric.id} value={metric.id}>{metric.label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="flex justify-between">
+        <button
+          type="button"
+          onClick={handleDryRun}
+          disabled={running}
+          className="text-xs text-purple-600 hover:text-purple-800 disabled:text-gray-400"
+        >
+          {running ? 'Running...' : 'Dry run'}
+        </button>
+        <button
+          type="button"
+          onClick={() => {
+            setCollector(null);
+            setResult(null);
+          }}
+          className="text-xs text-red-500 hover:text-red-700"
+        >
+          Remove collector
+        </button>
+      </div>
+      {result && (
+        <div className={`p-2 rounded text-xs ${result.valid ? 'bg-green-50 border border-green-200' : 'bg-red-50 border border-red-200'}`}>
+          <p className={result.valid ? 'text-green-700' : 'text-red-600'}>
+            {result.message || result.error}
+            {result.dryRun?.httpStatus && ` (HTTP ${result.dryRun.httpStatus})`}
+          </p>
+          {extracted && (
+            <p className="text-gray-600 mt-1">
+              Usage: <strong>{extracted.usage ?? '—'}</strong> · Limit: <strong>{extracted.limit ?? '—'}</strong> ·
+              Resets: <strong>{extracted.resetsAt ? new Date(extracted.resetsAt).toLocaleString() : '—'}</strong>
+            </p>
+          )}
+          {result.dryRun?.raw && (
+            <pre className="mt-1 max-h-40 overflow-auto bg-gray-50 p-1 rounded text-gray-700 whitespace-pre-wrap break-all">
+              {result.dryRun.raw}
+            </pre>
+          )}
+        </div>
+      )}
+    </fieldset>
+  );
+}
@@ -0,0 +1,59 @@
+import React from 'react';
+
+// Outcome of test-api-key for one key. `onApply` copies the detected limit
+// and reset period into the provider's settings.
+export default function KeyTestResult({ result, onApply }) {
+  if (!result) return null;
+
+  return (
+    <div className={`mt-2 p-3 rounded-lg text-sm ${
+      result.valid 
+        ? 'bg-green-50 border border-green-200' 
+        : 'bg-red-50 border border-red-200'
+    }`}>
+      <div className="flex items-center gap-2 mb-2">
+        {result.valid ? (
+          <span className="text-green-600 font-medium">✓ Key Valid</span>
+        ) : (
+          <span className="text-red-600 font-medium">✗ Key Invalid</span>
+        )}
+      </div>
+      {result.valid && result.limit && (
+        <div className="text-gray-600 space-y-1">
+          <p>📊 Limit: <strong>{result.limit.toLocaleString()}</strong></p>
+          {result.usage !== undefined && (
+            <p>📈 Current Usage: <strong>{result.usage.toLocaleString()}</strong></p>
+          )}
+          {result.resetPeriod && (
+            <p>🔄 Reset Period: <strong>{result.resetPeriod}</strong></p>
+          )}
+          {result.resetInfo && (
+            <p>⏰ {result.resetInfo}</p>
+          )}
+          <button
+            type="button"
+            onClick={onApply}
+            className="mt-2 text-blue-600 hover:text-blue-800 font-medium"
+          >
+            Apply these values →
+          </button>
+        </div>
+      )}
+      {(result.message || result.error) && (
+        <p className="text-gray-500 mt-1">
+          {result.message || result.error}
+          {result.dashboardUrl && (
+            <a 
+              href={result.dashboardUrl} 
+              target="_blank" 
+              rel="noopener noreferrer"
+              className="ml-2 text-blue-600 hover:text-blue-800 underline"
+            >
+              View Dashboard →
+            </a>
+          )}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import React from 'react';
+import { getModelSpend, formatUsd } from '../lib/pricing';
+import { getMetric, metricValue, modelLimitsFor, formatCount } from '../lib/metrics';
+
+const barColor = (percentage) =>
+  percentage >= 100 ? 'bg-red-500' : percentage >= 80 ? 'bg-yellow-500' : 'bg-emerald-500';
+
+// Requests, tokens and cost per model for one provider card, with any
+// per-model limits from the provider's settings
+export default function ModelBreakdown({ provider, models, prices }) {
+  const rows = Object.entries(models)
+    .map(([model, figures]) => ({
+      model,
+      figures,
+      spend: getModelSpend(figures, model, prices),
+      limits: modelLimitsFor(provider, model),
+    }))
+    .sort((a, b) => (b.spend?.amount ?? 0) - (a.spend?.amount ?? 0) ||
+      (metricValue(b.figures, 'totalTokens') ?? 0) - (metricValue(a.figures, 'totalTokens') ?? 0));
+
+  return (
+    <div className="mt-3 border rounded-lg overflow-x-auto">
+      <table className="w-full text-xs">
+        <thead className="bg-gray-50 text-gray-500">
+          <tr>
+            <th className="text-left font-medium p-2">Model</th>
+            <th className="text-right font-medium p-2">Requests</th>
+            <th className="text-right font-medium p-2">Input</th>
+            <th className="text-right font-medium p-2">Output</th>
+            <th className="text-right font-medium p-2">Cached</th>
+            <th className="text-right font-medium p-2">Cost</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y">
+          {rows.map(({ model, figures, spend, limits }) => (
+            <React.Fragment key={model}>
+              <tr>
+                <td className="p-2 text-gray-700 truncate max-w-[10rem]" title={model}>{model}</td>
+                <td className="p-2 text-right">{formatCount(figures.requests)}</td>
+                <td className="p-2 text-right">{formatCount(figures.inputTokens)}</td>
+                <td className="p-2 text-right">{formatCount(figures.outputTokens)}</td>
+                <td className="p-2 text-right">{formatCount(figures.cachedTokens)}</td>
+                <td className="p-2 text-right" title={spend?.estimated ? 'Estimated from the price table' : undefined}>
+                  {spend ? `${spend.estimated ? '~' : ''}${formatUsd(spend.amount)}` : '—'}
+                </td>
+              </tr>
+              {limits.map(({ metric, limit }) => {
+                const value = metricValue(figures, metric) ?? 0;
+                const percentage = Math.min((value / limit) * 100, 100);
+                return (
+                  <tr key={metric}>
+                    <td colSpan={6} className="px-2 pb-2 pt-0 border-t-0">
+                      <div className="flex items-center gap-2 text-gray-500">
+                        <div className="flex-1 bg-gray-200 rounded-full h-1.5">
+                          <div className={`${barColor(percentage)} h-1.5 rounded-full`} style={{ width: `${percentage}%` }}></div>
+                        </div>
+                        <span>{formatCount(value)} / {formatCount(limit)} {getMetric(metric).unit}</span>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { METRICS, getMetric } from '../lib/metrics';
+
+const EMPTY_LIMIT = { model: '', metric: 'requests', limit: '' };
+
+// Per-model limits for one provider: [{ model, metric, limit }]. A model name
+// also covers its dated variants ("gpt-4o" covers "gpt-4o-2024-08-06").
+export default function ModelLimitsEditor({ limits = [], setLimits }) {
+  const [draft, setDraft] = useState(EMPTY_LIMIT);
+
+  const handleAdd = () => {
+    const limit = parseFloat(draft.limit);
+    if (!draft.model.trim() || !(limit > 0)) return;
+    setLimits([...limits, { model: draft.model.trim(), metric: draft.metric, limit }]);
+    setDraft(EMPTY_LIMIT);
+  };
+
+  return (
+    <div>
+      {limits.map((entry, i) => (
+        <div key={`${entry.model}-${entry.metric}-${i}`} className="flex justify-between items-center text-sm py-0.5">
+          <span className="truncate" title={entry.model}>{entry.model}</span>
+          <span className="flex items-center gap-2 text-gray-500">
+            {Number(entry.limit).toLocaleString()} {getMetric(entry.metric).unit}
+            <button
+              type="button"
+              onClick={() => setLimits(limits.filter((_, index) => index !== i))}
+              className="text-red-500 hover:text-red-700 text-xs"
+            >
+              ✕
+            </button>
+          </span>
+        </div>
+      ))}
+      <div className="grid grid-cols-[1fr_7rem_5rem_auto] gap-2 mt-1">
+        <input
+          type="text"
+          value={draft.model}
+          onChange={(e) => setDraft({ ...draft, model: e.target.value })}
+          className="p-1 border rounded text-sm"
+          placeholder="model name"
+        />
+        <select
+          value={draft.metric}
+          onChange={(e) => setDraft({ ...draft, metric: e.target.value })}
+          className="p-1 border rounded text-sm bg-white"
+        >
+          {METRICS.map(metric => (
+            <option key={metric.id} value={metric.id}>{metric.label}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="0"
+          value={draft.limit}
+          onChange={(e) => setDraft({ ...draft, limit: e.target.value })}
+          className="p-1 border rounded text-sm"
+          placeholder="limit"
+        />
+        <button type="button" onClick={handleAdd} className="text-green-600 hover:text-green-800 text-sm font-medium">
+          Add
+        </button>
+      </div>
+    </div>
+  );
+}
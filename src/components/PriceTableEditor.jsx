@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { DEFAULT_PRICES } from '../lib/pricing';
+
+export default function PriceTableEditor({ prices, setPrices }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [newModel, setNewModel] = useState({ name: '', input: '', output: '' });
+
+  const updatePrice = (model, field, value) => {
+    setPrices({ ...prices, [model]: { ...prices[model], [field]: parseFloat(value) || 0 } });
+  };
+
+  const removeModel = (model) => {
+    const next = { ...prices };
+    delete next[model];
+    setPrices(next);
+  };
+
+  const handleAddModel = (e) => {
+    e.preventDefault();
+    if (!newModel.name) return;
+    setPrices({
+      ...prices,
+      [newModel.name.trim()]: { input: parseFloat(newModel.input) || 0, output: parseFloat(newModel.output) || 0 },
+    });
+    setNewModel({ name: '', input: '', output: '' });
+  };
+
+  return (
+    <div className="border rounded-lg p-4">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex justify-between items-center font-medium"
+      >
+        <span>Model Prices <span className="text-xs text-gray-400 font-normal">($ per 1M tokens)</span></span>
+        <span className="text-gray-400">{isOpen ? '▾' : '▸'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-3">
+          <p className="text-xs text-gray-500 mb-2">
+            Used to estimate spend from token counts when a provider doesn't report billed amounts.
+          </p>
+          <div className="grid grid-cols-[1fr_5rem_5rem_auto] gap-2 items-center text-sm">
+            <span className="text-xs font-medium text-gray-500">Model</span>
+            <span className="text-xs font-medium text-gray-500">Input</span>
+            <span className="text-xs font-medium text-gray-500">Output</span>
+            <span></span>
+            {Object.entries(prices).map(([model, price]) => (
+              <React.Fragment key={model}>
+                <span className="truncate" title={model}>{model}</span>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={price.input}
+                  onChange={(e) => updatePrice(model, 'input', e.target.value)}
+                  className="p-1 border rounded text-sm"
+                />
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={price.output}
+                  onChange={(e) => updatePrice(model, 'output', e.target.value)}
+                  className="p-1 border rounded text-sm"
+                />
+                <button
+                  type="button"
+                  onClick={() => removeModel(model)}
+                  className="text-red-500 hover:text-red-700 text-xs"
+                >
+                  ✕
+                </button>
+              </React.Fragment>
+            ))}
+          </div>
+
+          <form onSubmit={handleAddModel} className="grid grid-cols-[1fr_5rem_5rem_auto] gap-2 mt-3">
+            <input
+              type="text"
+              value={newModel.name}
+              onChange={(e) => setNewModel({ ...newModel, name: e.target.value })}
+              className="p-1 border rounded text-sm"
+              placeholder="model name"
+            />
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              value={newModel.input}
+              onChange={(e) => setNewModel({ ...newModel, input: e.target.value })}
+              className="p-1 border rounded text-sm"
+              placeholder="0.00"
+            />
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              value={newModel.output}
+              onChange={(e) => setNewModel({ ...newModel, output: e.target.value })}
+              className="p-1 border rounded text-sm"
+              placeholder="0.00"
+            />
+            <button type="submit" className="text-green-600 hover:text-green-800 text-sm font-medium">
+              Add
+            </button>
+          </form>
+
+          <button
+            type="button"
+            onClick={() => setPrices(DEFAULT_PRICES)}
+            className="mt-3 text-xs text-blue-600 hover:text-blue-800"
+          >
+            Reset to defaults
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
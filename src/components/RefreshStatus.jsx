@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { fetchUsageRuns } from '../lib/usage';
+
+const STATUS_STYLES = {
+  ok: 'text-emerald-600',
+  partial: 'text-yellow-600',
+  error: 'text-red-600',
+};
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : 'never');
+
+// Last successful scheduled refresh, with the recent run log on demand
+export default function RefreshStatus({ refreshKey }) {
+  const [status, setStatus] = useState(null);
+  const [showLog, setShowLog] = useState(false);
+
+  useEffect(() => {
+    fetchUsageRuns()
+      .then(setStatus)
+      .catch(() => setStatus(null));
+  }, [refreshKey]);
+
+  if (!status) return null;
+
+  return (
+    <div className="mt-4 text-xs text-gray-500">
+      <div className="flex justify-between items-center">
+        <span>
+          Last scheduled refresh: {formatTime(status.lastSuccessAt)}
+          {status.lastStatus && status.lastStatus !== 'ok' && (
+            <span className={`ml-1 ${STATUS_STYLES[status.lastStatus]}`}>
+              (latest run {status.lastStatus === 'error' ? 'failed' : 'partly failed'})
+            </span>
+          )}
+        </span>
+        {status.runs.length > 0 && (
+          <button onClick={() => setShowLog(!showLog)} className="text-blue-500 hover:text-blue-700">
+            {showLog ? 'Hide run log' : 'Show run log'}
+          </button>
+        )}
+      </div>
+
+      {showLog && (
+        <ul className="mt-2 border rounded-lg divide-y bg-gray-50">
+          {status.runs.map(run => (
+            <li key={run.id} className="p-2">
+              <div className="flex justify-between">
+                <span>{formatTime(run.startedAt)} · {run.trigger}</span>
+                <span className={`font-medium ${STATUS_STYLES[run.status]}`}>{run.status}</span>
+              </div>
+              {run.summary && (
+                <div className="text-gray-400">
+                  {run.summary.ok} ok · {run.summary.unsupported} no usage API · {run.summary.error} failed · {run.summary.skipped} without key
+                </div>
+              )}
+              {run.logs.map((line, i) => (
+                <div key={i} className={line.level === 'error' ? 'text-red-500' : 'text-gray-400'}>
+                  {line.message}
+                </div>
+              ))}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
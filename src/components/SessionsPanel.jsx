@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../lib/auth';
+
+const formatWhen = (iso) => new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+// Every browser and app signed in to the account, with a way to sign any of
+// them out. `onSignedOut` runs when that includes this one.
+export default function SessionsPanel({ onSignedOut }) {
+  const { listSessions, revokeSession, logoutEverywhere } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState('');
+
+  const load = async () => {
+    const result = await listSessions();
+    if (result.success) setSessions(result.sessions);
+    else setError(result.error);
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    if (session.current && !confirm('Sign out of this device?')) return;
+    setError('');
+    const result = await revokeSession(session.id);
+    if (!result.success) setError(result.error);
+    else if (session.current) onSignedOut();
+    else load();
+  };
+
+  const handleLogoutEverywhere = async () => {
+    if (!confirm('Sign out of every device, including this one?')) return;
+    const result = await logoutEverywhere();
+    if (result.success) onSignedOut();
+    else setError(result.error);
+  };
+
+  return (
+    <div className="space-y-2">
+      <h3 className="text-sm font-medium text-gray-700">Where you're signed in</h3>
+      <div className="divide-y border rounded-lg">
+        {sessions.map(session => (
+          <div key={session.id} className="flex items-center justify-between p-2 text-sm">
+            <div className="min-w-0">
+              <p className="truncate" title={session.userAgent || undefined}>
+                {session.device}
+                {session.current && <span className="ml-1 text-xs text-green-600">(this device)</span>}
+              </p>
+              <p className="text-xs text-gray-400 truncate">
+                {session.ip || 'Unknown IP'} · last active {formatWhen(session.lastSeenAt)} · signed in {formatWhen(session.createdAt)}
+              </p>
+            </div>
+            <button onClick={() => handleRevoke(session)} className="ml-2 text-red-500 hover:text-red-700 text-xs whitespace-nowrap">
+              Sign out
+            </button>
+          </div>
+        ))}
+      </div>
+      <button onClick={handleLogoutEverywhere} className="px-3 py-2 border border-red-200 text-red-600 rounded text-sm hover:bg-red-50">
+        Log out everywhere
+      </button>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
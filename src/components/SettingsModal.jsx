@@ -1,4 +1,16 @@
 import React, { useState, useEffect } from 'react';
+import PriceTableEditor from './PriceTableEditor';
+import ModelLimitsEditor from './ModelLimitsEditor';
+import KeyTestResult from './KeyTestResult';
+import CollectorEditor from './CollectorEditor';
+import { DEFAULT_ALERTS, parseThresholds, formatThresholds, fetchAlertSettings, saveAlertRules } from '../lib/alerts';
+import { listVaultKeys, saveVaultKey, rotateVaultKey, deleteVaultKey } from '../lib/vault';
+import { apiFetch } from '../lib/api';
+import { RESET_PERIODS, periodSettings, describePeriod, listTimeZones } from '../lib/periods';
+import { METRICS } from '../lib/metrics';
+import { providerKeys, newKey, keyLabel, usageIdFor, cardIdOf, localKeyItem } from '../lib/providerKeys';
+import { cleanCollector } from '../lib/collectors';
+import { useAuth } from '../lib/auth';
 
 const COLORS = [
   'bg-green-500', 'bg-purple-500', 'bg-blue-500', 'bg-yellow-500', 
@@ -6,56 +18,210 @@ const COLORS = [
   'bg-teal-500', 'bg-cyan-500'
 ];
 
-export default function SettingsModal({ isOpen, onClose, providers, setProviders }) {
-  const [keys, setKeys] = useState({});
+const timeZones = listTimeZones();
+const TOKEN_METRICS = METRICS.filter(metric => metric.id !== 'requests');
+
+// Drops empty and zero token limits so "no limit" is simply a missing key
+const cleanLimits = (limits = {}) => Object.fromEntries(
+  Object.entries(limits)
+    .map(([metric, value]) => [metric, parseFloat(value)])
+    .filter(([, value]) => value > 0)
+);
+
+// `role` is the user's role in the workspace being edited (null when logged
+// out): viewers can't save, and only owners can change keys.
+export default function SettingsModal({ isOpen, onClose, providers, setProviders, prices, setPrices, role = null }) {
+  const [keys, setKeys] = useState({}); // { usageId: key typed in this session }
   const [providerSettings, setProviderSettings] = useState({});
+  const [priceDraft, setPriceDraft] = useState(prices);
   const [showAddForm, setShowAddForm] = useState(false);
   const [newApi, setNewApi] = useState({ name: '', limit: 1000, billingLimit: '', infoUrl: '', linkText: '', resetPeriod: 'monthly' });
-  const [testingKey, setTestingKey] = useState(null); // provider id being tested
-  const [testResults, setTestResults] = useState({}); // { providerId: { valid, message, ... } }
+  const [testingKey, setTestingKey] = useState(null); // usage id being tested, `${providerId}:*` for all
+  const [testResults, setTestResults] = useState({}); // { usageId: { valid, message, ... } }
+  const [alertChannels, setAlertChannels] = useState([]); // [{ id, label, configured }]
+  const [alertDestinations, setAlertDestinations] = useState(null); // { emails, webhookUrl, slackWebhookUrl }, editors only
+  const [vaultKeys, setVaultKeys] = useState({}); // { keyId: masked entry }
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState('');
+  const { user } = useAuth();
+  const readOnly = role === 'viewer';
+  const canManageKeys = !role || role === 'owner';
 
   useEffect(() => {
     if (isOpen) {
       const loadedKeys = {};
       const loadedSettings = {};
       providers.forEach(p => {
-        loadedKeys[p.id] = localStorage.getItem(`api_key_${p.id}`) || '';
+        providerKeys(p).forEach(key => {
+          loadedKeys[usageIdFor(p, key)] = localStorage.getItem(localKeyItem(p, key)) || '';
+        });
         loadedSettings[p.id] = {
           name: p.name,
+          keys: providerKeys(p).map(key => ({ ...key })),
           limit: p.limit,
+          limits: p.limits || {},
+          modelLimits: p.modelLimits || [],
           billingLimit: p.billingLimit || '',
+          pricingModel: p.pricingModel || '',
           infoUrl: p.infoUrl || '',
           linkText: p.linkText || '',
           resetPeriod: p.resetPeriod || 'monthly',
+          anchorDay: p.anchorDay || 1,
+          timeZone: p.timeZone || 'UTC',
+          collector: p.collector ? { ...p.collector } : null,
+          alertUsage: formatThresholds((p.alerts || DEFAULT_ALERTS).usage),
+          alertSpend: formatThresholds((p.alerts || DEFAULT_ALERTS).spend),
+          alertChannels: (p.alerts || DEFAULT_ALERTS).channels,
+          alertProjected: Boolean((p.alerts || DEFAULT_ALERTS).projected),
         };
       });
       setKeys(loadedKeys);
       setProviderSettings(loadedSettings);
+      setPriceDraft(prices);
+      setSaveError('');
+    }
+  }, [isOpen, providers, prices]);
+
+  // Alert rules and channels belong to the signed-in workspace
+  useEffect(() => {
+    if (!isOpen || !user) {
+      setAlertChannels([]);
+      setAlertDestinations(null);
+      return;
     }
-  }, [isOpen, providers]);
+    fetchAlertSettings()
+      .then(({ channels, destinations }) => {
+        setAlertChannels(channels);
+        setAlertDestinations(destinations);
+      })
+      .catch(() => {
+        setAlertChannels([]);
+        setAlertDestinations(null);
+      });
+  }, [isOpen, user]);
 
-  const handleSave = () => {
-    // Save API keys to localStorage
-    Object.entries(keys).forEach(([id, key]) => {
-      if (key) {
-        localStorage.setItem(`api_key_${id}`, key);
+  useEffect(() => {
+    if (!isOpen || !user) {
+      setVaultKeys({});
+      return;
+    }
+    listVaultKeys()
+      .then(list => setVaultKeys(Object.fromEntries(list.map(k => [k.id, k]))))
+      .catch(err => console.error('Failed to load stored keys', err));
+  }, [isOpen, user]);
+
+  const storedKeyFor = (key) => (key.keyRef && vaultKeys[key.keyRef]) || null;
+
+  // Keys being edited for a provider (its saved ones until the form changes them)
+  const settingKeys = (provider) => providerSettings[provider.id]?.keys || providerKeys(provider);
+
+  // Logged-in users keep keys in the server-side vault; anonymous users keep
+  // them in this browser. Returns the key's keyRef after saving.
+  const saveKey = async (provider, key, value) => {
+    if (!user) {
+      if (value) {
+        localStorage.setItem(localKeyItem(provider, key), value);
       } else {
-        localStorage.removeItem(`api_key_${id}`);
+        localStorage.removeItem(localKeyItem(provider, key));
       }
-    });
+      return key.keyRef || null;
+    }
+
+    if (!value) return key.keyRef || null;
+    const stored = storedKeyFor(key)
+      ? await rotateVaultKey(key.keyRef, value)
+      : await saveVaultKey({ providerId: usageIdFor(provider, key), provider: provider.name, label: key.label, apiKey: value });
+    localStorage.removeItem(localKeyItem(provider, key));
+    return stored.id;
+  };
+
+  // Drops a key that is no longer part of its provider, wherever it was kept
+  const forgetKey = (provider, key) => {
+    localStorage.removeItem(localKeyItem(provider, key));
+    if (user && storedKeyFor(key)) {
+      deleteVaultKey(key.keyRef).catch(err => console.error('Failed to delete stored key', err));
+    }
+  };
+
+  const handleRemoveStoredKey = async (provider, key) => {
+    if (!confirm(`Remove the stored key ${keyLabel(key)} for ${provider.name}?`)) return;
+    try {
+      await deleteVaultKey(key.keyRef);
+      setProviders(providers.map(p => p.id === provider.id
+        ? { ...p, keys: providerKeys(p).map(k => (k.id === key.id ? { ...k, keyRef: null } : k)), keyRef: undefined }
+        : p));
+    } catch (error) {
+      setSaveError(error.message);
+    }
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setSaveError('');
+
+    // Save API keys (vault when logged in, localStorage otherwise)
+    const savedKeys = {};
+    try {
+      for (const p of providers) {
+        const draftKeys = settingKeys(p);
+        savedKeys[p.id] = [];
+        for (const key of draftKeys) {
+          savedKeys[p.id].push({
+            id: key.id,
+            label: (key.label || '').trim(),
+            limit: parseInt(key.limit) || '',
+            keyRef: await saveKey(p, key, keys[usageIdFor(p, key)]),
+          });
+        }
+        providerKeys(p)
+          .filter(key => !draftKeys.some(draft => draft.id === key.id))
+          .forEach(key => forgetKey(p, key));
+      }
+    } catch (error) {
+      setSaveError(`Failed to store keys: ${error.message}`);
+      setIsSaving(false);
+      return;
+    }
 
     // Update provider settings (limit, URLs)
     const updatedProviders = providers.map(p => ({
       ...p,
+      keys: savedKeys[p.id],
+      keyRef: undefined,
       name: providerSettings[p.id]?.name || p.name,
       limit: providerSettings[p.id]?.limit || p.limit,
+      limits: cleanLimits(providerSettings[p.id]?.limits || p.limits),
+      modelLimits: providerSettings[p.id]?.modelLimits || p.modelLimits || [],
       billingLimit: providerSettings[p.id]?.billingLimit || '',
+      pricingModel: providerSettings[p.id]?.pricingModel || '',
       infoUrl: providerSettings[p.id]?.infoUrl || '',
       linkText: providerSettings[p.id]?.linkText || '',
       resetPeriod: providerSettings[p.id]?.resetPeriod || 'monthly',
+      anchorDay: parseInt(providerSettings[p.id]?.anchorDay) || 1,
+      timeZone: providerSettings[p.id]?.timeZone || 'UTC',
+      collector: providerSettings[p.id] ? cleanCollector(providerSettings[p.id].collector) : p.collector || null,
+      alerts: providerSettings[p.id] ? {
+        usage: parseThresholds(providerSettings[p.id].alertUsage),
+        spend: parseThresholds(providerSettings[p.id].alertSpend),
+        channels: providerSettings[p.id].alertChannels || [],
+        projected: Boolean(providerSettings[p.id].alertProjected),
+      } : p.alerts,
     }));
     setProviders(updatedProviders);
+    setPrices(priceDraft);
 
+    if (user && !readOnly) {
+      try {
+        await saveAlertRules(updatedProviders, priceDraft, alertDestinations);
+      } catch (error) {
+        // Providers are saved; keep the dialog open so the rules can be fixed
+        setSaveError(`Failed to save alert rules: ${error.message}`);
+        setIsSaving(false);
+        return;
+      }
+    }
+
+    setIsSaving(false);
     onClose();
   };
 
@@ -88,12 +254,11 @@ export default function SettingsModal({ isOpen, onClose, providers, setProviders
   };
 
   const handleDeleteApi = (id) => {
-    if (confirm(`Delete ${providers.find(p => p.id === id)?.name}?`)) {
+    const provider = providers.find(p => p.id === id);
+    if (confirm(`Delete ${provider?.name}?`)) {
       setProviders(providers.filter(p => p.id !== id));
-      localStorage.removeItem(`api_key_${id}`);
-      const newKeys = { ...keys };
-      delete newKeys[id];
-      setKeys(newKeys);
+      providerKeys(provider).forEach(key => forgetKey(provider, key));
+      setKeys(Object.fromEntries(Object.entries(keys).filter(([usageId]) => cardIdOf(usageId) !== id)));
       const newSettings = { ...providerSettings };
       delete newSettings[id];
       setProviderSettings(newSettings);
@@ -101,44 +266,109 @@ export default function SettingsModal({ isOpen, onClose, providers, setProviders
   };
 
   const updateProviderSetting = (id, field, value) => {
-    setProviderSettings({
-      ...providerSettings,
+    setProviderSettings(settings => ({
+      ...settings,
       [id]: {
-        ...providerSettings[id],
+        ...settings[id],
         [field]: value,
       }
+    }));
+  };
+
+  const updateKey = (provider, keyId, changes) => updateProviderSetting(
+    provider.id,
+    'keys',
+    settingKeys(provider).map(key => (key.id === keyId ? { ...key, ...changes } : key))
+  );
+
+  // A typed key wins; otherwise test the stored one by reference
+  const keyToTest = (provider, key) => {
+    const apiKey = keys[usageIdFor(provider, key)];
+    if (apiKey) return { apiKey };
+    return user && storedKeyFor(key) ? { keyRef: key.keyRef } : null;
+  };
+
+  // With several keys a detected limit belongs to the key; otherwise to the provider
+  const applyTestResult = (provider, key, result) => {
+    if (settingKeys(provider).length > 1) {
+      updateKey(provider, key.id, { limit: result.limit });
+    } else {
+      updateProviderSetting(provider.id, 'limit', result.limit);
+    }
+    if (result.resetPeriod) {
+      updateProviderSetting(provider.id, 'resetPeriod', result.resetPeriod);
+    }
+  };
+
+  // Cards with a collector are tested by running it: the draft for a typed
+  // key, the saved one (server-side) for a stored key
+  const postTest = async (provider, body) => {
+    const res = await apiFetch('/.netlify/functions/test-api-key', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        provider: provider.name,
+        collector: body.apiKey ? cleanCollector(providerSettings[provider.id]?.collector) || undefined : undefined,
+        ...body,
+        period: periodSettings(providerSettings[provider.id]),
+      }),
     });
+    return res.json();
   };
 
-  const testApiKey = async (providerId, providerName) => {
-    const apiKey = keys[providerId];
-    if (!apiKey) {
-      setTestResults({ ...testResults, [providerId]: { valid: false, message: 'Please enter an API key first' } });
+  const testApiKey = async (provider, key) => {
+    const id = usageIdFor(provider, key);
+    const credentials = keyToTest(provider, key);
+    if (!credentials) {
+      setTestResults(results => ({ ...results, [id]: { valid: false, message: 'Please enter an API key first' } }));
       return;
     }
 
-    setTestingKey(providerId);
-    setTestResults({ ...testResults, [providerId]: null });
+    setTestingKey(id);
+    setTestResults(results => ({ ...results, [id]: null }));
 
     try {
-      const res = await fetch('/.netlify/functions/test-api-key', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ provider: providerName, apiKey }),
-      });
-
-      const data = await res.json();
-      setTestResults({ ...testResults, [providerId]: data });
+      const data = await postTest(provider, credentials);
+      setTestResults(results => ({ ...results, [id]: data }));
 
       // Auto-populate fields if we got data
       if (data.valid && data.limit) {
-        updateProviderSetting(providerId, 'limit', data.limit);
-      }
-      if (data.valid && data.resetPeriod) {
-        updateProviderSetting(providerId, 'resetPeriod', data.resetPeriod);
+        applyTestResult(provider, key, data);
       }
     } catch (error) {
-      setTestResults({ ...testResults, [providerId]: { valid: false, message: 'Failed to test key' } });
+      setTestResults(results => ({ ...results, [id]: { valid: false, message: 'Failed to test key' } }));
+    } finally {
+      setTestingKey(null);
+    }
+  };
+
+  // Runs a collector draft against the first key the card has. A stored key
+  // only goes to the saved collector, so the draft has to be saved first.
+  const dryRunCollector = async (provider, collector) => {
+    const credentials = settingKeys(provider).map(key => keyToTest(provider, key)).find(Boolean);
+    if (!credentials) throw new Error('Enter or store an API key for this card first');
+    if (credentials.apiKey) return postTest(provider, { ...credentials, collector });
+    if (JSON.stringify(collector) !== JSON.stringify(cleanCollector(provider.collector))) {
+      throw new Error('Save the collector to try it with the stored key, or enter the key above');
+    }
+    return postTest(provider, credentials);
+  };
+
+  // Validates every key of a provider in one call, each on its own
+  const testAllKeys = async (provider) => {
+    const toTest = settingKeys(provider)
+      .map(key => ({ id: usageIdFor(provider, key), ...keyToTest(provider, key) }))
+      .filter(key => key.apiKey || key.keyRef);
+    if (toTest.length === 0) return;
+
+    setTestingKey(`${provider.id}:*`);
+    try {
+      const data = await postTest(provider, { keys: toTest });
+      if (!data.results) throw new Error(data.error);
+      setTestResults(results => ({ ...results, ...data.results }));
+    } catch (error) {
+      const failed = Object.fromEntries(toTest.map(key => [key.id, { valid: false, message: 'Failed to test key' }]));
+      setTestResults(results => ({ ...results, ...failed }));
     } finally {
       setTestingKey(null);
     }
@@ -154,6 +384,14 @@ export default function SettingsModal({ isOpen, onClose, providers, setProviders
           <p className="text-sm text-gray-600 mt-1">
             Manage your API providers and keys
           </p>
+          {readOnly && (
+            <p className="text-xs text-yellow-700 bg-yellow-50 border border-yellow-200 rounded p-2 mt-2">
+              You have view-only access to this workspace, so changes can't be saved.
+            </p>
+          )}
+          {!readOnly && !canManageKeys && (
+            <p className="text-xs text-gray-500 mt-2">Only workspace owners can add, rotate or remove keys or change collectors.</p>
+          )}
         </div>
 
         <div className="flex-1 overflow-y-auto p-6">
@@ -188,107 +426,147 @@ export default function SettingsModal({ isOpen, onClose, providers, setProviders
                       Delete
                     </button>
                   </div>
+                  {user && (
+                    <p className="text-xs text-gray-400 -mt-2 mb-3 break-all" title="Services can POST usage for this card to /api/usage/events">
+                      Usage id: <code>{provider.id}</code>
+                      {settingKeys(provider).length > 1 && ` (keys: ${settingKeys(provider).map(key => usageIdFor(provider, key)).join(', ')})`}
+                    </p>
+                  )}
 
-                  {/* API Key */}
+                  {/* API Keys */}
                   <div className="mb-3">
                     <label className="block text-xs font-medium text-gray-500 mb-1">
-                      API Key
+                      API Keys {user && <span className="text-gray-400">(stored encrypted on the server)</span>}
                     </label>
-                    <div className="flex gap-2">
-                      <input
-                        type="password"
-                        value={keys[provider.id] || ''}
-                        onChange={(e) => setKeys({ ...keys, [provider.id]: e.target.value })}
-                        className="flex-1 p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
-                        placeholder="sk-..."
-                      />
-                      <button
-                        type="button"
-                        onClick={() => testApiKey(provider.id, provider.name)}
-                        disabled={!keys[provider.id] || testingKey === provider.id}
-                        className={`px-3 py-2 rounded text-sm font-medium whitespace-nowrap ${
-                          !keys[provider.id] 
-                            ? 'bg-gray-200 text-gray-400 cursor-not-allowed'
-                            : testingKey === provider.id
-                            ? 'bg-blue-100 text-blue-600'
-                            : 'bg-blue-600 text-white hover:bg-blue-700'
-                        }`}
-                      >
-                        {testingKey === provider.id ? (
-                          <span className="flex items-center gap-1">
-                            <svg className="animate-spin h-4 w-4" viewBox="0 0 24 24">
-                              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none"/>
-                              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"/>
-                            </svg>
-                            Testing...
-                          </span>
-                        ) : 'Test & Fetch Info'}
-                      </button>
-                    </div>
-                  </div>
-
-                  {/* Test Results */}
-                  {testResults[provider.id] && (
-                    <div className={`mb-3 p-3 rounded-lg text-sm ${
-                      testResults[provider.id].valid 
-                        ? 'bg-green-50 border border-green-200' 
-                        : 'bg-red-50 border border-red-200'
-                    }`}>
-                      <div className="flex items-center gap-2 mb-2">
-                        {testResults[provider.id].valid ? (
-                          <span className="text-green-600 font-medium">✓ Key Valid</span>
-                        ) : (
-                          <span className="text-red-600 font-medium">✗ Key Invalid</span>
-                        )}
-                      </div>
-                      {testResults[provider.id].valid && testResults[provider.id].limit && (
-                        <div className="text-gray-600 space-y-1">
-                          <p>📊 Limit: <strong>{testResults[provider.id].limit.toLocaleString()}</strong></p>
-                          {testResults[provider.id].usage !== undefined && (
-                            <p>📈 Current Usage: <strong>{testResults[provider.id].usage.toLocaleString()}</strong></p>
-                          )}
-                          {testResults[provider.id].resetPeriod && (
-                            <p>🔄 Reset Period: <strong>{testResults[provider.id].resetPeriod}</strong></p>
+                    {settingKeys(provider).map((key, index) => {
+                      const id = usageIdFor(provider, key);
+                      const multiple = settingKeys(provider).length > 1;
+                      const canTest = Boolean(keys[id] || storedKeyFor(key));
+                      return (
+                        <div key={key.id} className={multiple ? 'mb-2 p-2 border rounded bg-white' : ''}>
+                          {multiple && (
+                            <fieldset disabled={!canManageKeys} className="flex gap-2 mb-2">
+                              <input
+                                type="text"
+                                value={key.label || ''}
+                                onChange={(e) => updateKey(provider, key.id, { label: e.target.value })}
+                                className="flex-1 p-1 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+                                placeholder={keyLabel(key, index)}
+                                title="Name of this key or project"
+                              />
+                              <input
+                                type="number"
+                                min="0"
+                                value={key.limit ?? ''}
+                                onChange={(e) => updateKey(provider, key.id, { limit: e.target.value })}
+                                className="w-24 p-1 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+                                placeholder="limit"
+                                title="Calls per reset period for this key"
+                              />
+                              <button
+                                type="button"
+                                onClick={() => updateProviderSetting(provider.id, 'keys', settingKeys(provider).filter(k => k.id !== key.id))}
+                                className="text-red-500 hover:text-red-700 text-xs"
+                                title="Remove this key"
+                              >
+                                ✕
+                              </button>
+                            </fieldset>
                           )}
-                          {testResults[provider.id].resetInfo && (
-                            <p>⏰ {testResults[provider.id].resetInfo}</p>
+                          {storedKeyFor(key) && (
+                            <div className="flex items-center justify-between mb-1 text-xs text-gray-600">
+                              <span>🔒 Stored: <code>{storedKeyFor(key).masked}</code></span>
+                              {canManageKeys && (
+                                <button
+                                  type="button"
+                                  onClick={() => handleRemoveStoredKey(provider, key)}
+                                  className="text-red-500 hover:text-red-700"
+                                >
+                                  Remove
+                                </button>
+                              )}
+                            </div>
                           )}
-                          <button
-                            type="button"
-                            onClick={() => {
-                              updateProviderSetting(provider.id, 'limit', testResults[provider.id].limit);
-                              if (testResults[provider.id].resetPeriod) {
-                                updateProviderSetting(provider.id, 'resetPeriod', testResults[provider.id].resetPeriod);
-                              }
-                            }}
-                            className="mt-2 text-blue-600 hover:text-blue-800 font-medium"
-                          >
-                            Apply these values →
-                          </button>
-                        </div>
-                      )}
-                      {testResults[provider.id].message && (
-                        <p className="text-gray-500 mt-1">
-                          {testResults[provider.id].message}
-                          {testResults[provider.id].dashboardUrl && (
-                            <a 
-                              href={testResults[provider.id].dashboardUrl} 
-                              target="_blank" 
-                              rel="noopener noreferrer"
-                              className="ml-2 text-blue-600 hover:text-blue-800 underline"
+                          <div className="flex gap-2">
+                            <input
+                              type="password"
+                              value={keys[id] || ''}
+                              onChange={(e) => setKeys({ ...keys, [id]: e.target.value })}
+                              disabled={!canManageKeys}
+                              className="flex-1 p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none disabled:bg-gray-100"
+                              placeholder={storedKeyFor(key) ? 'Enter a new key to rotate' : 'sk-...'}
+                            />
+                            <button
+                              type="button"
+                              onClick={() => testApiKey(provider, key)}
+                              disabled={!canTest || testingKey === id}
+                              className={`px-3 py-2 rounded text-sm font-medium whitespace-nowrap ${
+                                !canTest
+                                  ? 'bg-gray-200 text-gray-400 cursor-not-allowed'
+                                  : testingKey === id
+                                  ? 'bg-blue-100 text-blue-600'
+                                  : 'bg-blue-600 text-white hover:bg-blue-700'
+                              }`}
                             >
-                              View Dashboard →
-                            </a>
-                          )}
-                        </p>
+                              {testingKey === id ? (
+                                <span className="flex items-center gap-1">
+                                  <svg className="animate-spin h-4 w-4" viewBox="0 0 24 24">
+                                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none"/>
+                                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"/>
+                                  </svg>
+                                  Testing...
+                                </span>
+                              ) : 'Test & Fetch Info'}
+                            </button>
+                          </div>
+                          <KeyTestResult
+                            result={testResults[id]}
+                            onApply={() => applyTestResult(provider, key, testResults[id])}
+                          />
+                        </div>
+                      );
+                    })}
+                    <div className="flex justify-between mt-1">
+                      {canManageKeys ? (
+                        <button
+                          type="button"
+                          onClick={() => updateProviderSetting(provider.id, 'keys', [...settingKeys(provider), newKey()])}
+                          className="text-xs text-blue-600 hover:text-blue-800"
+                          title="Track another key or project separately under this provider"
+                        >
+                          + Add key
+                        </button>
+                      ) : <span></span>}
+                      {settingKeys(provider).length > 1 && (
+                        <button
+                          type="button"
+                          onClick={() => testAllKeys(provider)}
+                          disabled={testingKey === `${provider.id}:*`}
+                          className="text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                        >
+                          {testingKey === `${provider.id}:*` ? 'Testing...' : 'Test all keys'}
+                        </button>
                       )}
                     </div>
-                  )}
+                  </div>
+
+                  {/* Custom Collector */}
+                  <div className="mb-3">
+                    <label className="block text-xs font-medium text-gray-500 mb-1">
+                      Usage Collector <span className="text-gray-400">(for APIs without a built-in one; runs on every refresh)</span>
+                    </label>
+                    <CollectorEditor
+                      collector={providerSettings[provider.id]?.collector || null}
+                      setCollector={(collector) => updateProviderSetting(provider.id, 'collector', collector)}
+                      onDryRun={(collector) => dryRunCollector(provider, collector)}
+                      disabled={readOnly || !canManageKeys}
+                    />
+                  </div>
 
                   {/* Limit */}
                   <div className="mb-3">
                     <label className="block text-xs font-medium text-gray-500 mb-1">
-                      Usage Limit <span className="text-gray-400">(calls per reset period)</span>
+                      Usage Limit <span className="text-gray-400">(calls per reset period{settingKeys(provider).length > 1 && ', all keys'})</span>
                     </label>
                     <input
                       type="number"
@@ -298,6 +576,41 @@ export default function SettingsModal({ isOpen, onClose, providers, setProviders
                     />
                   </div>
 
+                  {/* Token Limits */}
+                  <div className="mb-3">
+                    <label className="block text-xs font-medium text-gray-500 mb-1">
+                      Token Limits <span className="text-gray-400">(per reset period, empty = none)</span>
+                    </label>
+                    <div className="grid grid-cols-2 gap-2">
+                      {TOKEN_METRICS.map(metric => (
+                        <input
+                          key={metric.id}
+                          type="number"
+                          min="0"
+                          value={providerSettings[provider.id]?.limits?.[metric.id] ?? ''}
+                          onChange={(e) => updateProviderSetting(provider.id, 'limits', {
+                            ...providerSettings[provider.id]?.limits,
+                            [metric.id]: e.target.value,
+                          })}
+                          className="w-full p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+                          placeholder={metric.label}
+                          title={metric.label}
+                        />
+                      ))}
+                    </div>
+                  </div>
+
+                  {/* Model Limits */}
+                  <div className="mb-3">
+                    <label className="block text-xs font-medium text-gray-500 mb-1">
+                      Model Limits <span className="text-gray-400">(per model, per reset period)</span>
+                    </label>
+                    <ModelLimitsEditor
+                      limits={providerSettings[provider.id]?.modelLimits}
+                      setLimits={(limits) => updateProviderSetting(provider.id, 'modelLimits', limits)}
+                    />
+                  </div>
+
                   {/* Billing Limit */}
                   <div className="mb-3">
                     <label className="block text-xs font-medium text-gray-500 mb-1">
@@ -317,21 +630,120 @@ export default function SettingsModal({ isOpen, onClose, providers, setProviders
                     </div>
                   </div>
 
+                  {/* Pricing Model */}
+                  <div className="mb-3">
+                    <label className="block text-xs font-medium text-gray-500 mb-1">
+                      Pricing Model <span className="text-gray-400">(estimates spend when the provider doesn't report it)</span>
+                    </label>
+                    <select
+                      value={providerSettings[provider.id]?.pricingModel || ''}
+                      onChange={(e) => updateProviderSetting(provider.id, 'pricingModel', e.target.value)}
+                      className="w-full p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none bg-white"
+                    >
+                      <option value="">None</option>
+                      {Object.keys(priceDraft).map(model => (
+                        <option key={model} value={model}>{model}</option>
+                      ))}
+                    </select>
+                  </div>
+
                   {/* Reset Period */}
                   <div className="mb-3">
                     <label className="block text-xs font-medium text-gray-500 mb-1">
                       Reset Period
                     </label>
+                    <div className="flex gap-2">
+                      <select
+                        value={providerSettings[provider.id]?.resetPeriod || 'monthly'}
+                        onChange={(e) => updateProviderSetting(provider.id, 'resetPeriod', e.target.value)}
+                        className="flex-1 p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none bg-white"
+                      >
+                        {RESET_PERIODS.map(period => (
+                          <option key={period.id} value={period.id}>{period.label}</option>
+                        ))}
+                      </select>
+                      {(providerSettings[provider.id]?.resetPeriod || 'monthly') === 'monthly' && (
+                        <input
+                          type="number"
+                          min="1"
+                          max="31"
+                          value={providerSettings[provider.id]?.anchorDay || 1}
+                          onChange={(e) => updateProviderSetting(provider.id, 'anchorDay', e.target.value)}
+                          className="w-20 p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+                          title="Day of the month the period starts"
+                        />
+                      )}
+                    </div>
                     <select
-                      value={providerSettings[provider.id]?.resetPeriod || 'monthly'}
-                      onChange={(e) => updateProviderSetting(provider.id, 'resetPeriod', e.target.value)}
-                      className="w-full p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none bg-white"
+                      value={providerSettings[provider.id]?.timeZone || 'UTC'}
+                      onChange={(e) => updateProviderSetting(provider.id, 'timeZone', e.target.value)}
+                      className="w-full mt-2 p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none bg-white"
+                      title="Time zone the period resets in"
                     >
-                      <option value="per-minute">Per Minute</option>
-                      <option value="hourly">Hourly</option>
-                      <option value="daily">Daily</option>
-                      <option value="monthly">Monthly</option>
+                      {timeZones.map(zone => (
+                        <option key={zone} value={zone}>{zone}</option>
+                      ))}
                     </select>
+                    <p className="text-xs text-gray-400 mt-1">Resets {describePeriod(providerSettings[provider.id])}</p>
+                  </div>
+
+                  {/* Alerts */}
+                  <div className="mb-3">
+                    <label className="block text-xs font-medium text-gray-500 mb-1">
+                      Alerts <span className="text-gray-400">(% thresholds, comma separated)</span>
+                    </label>
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        value={providerSettings[provider.id]?.alertUsage ?? ''}
+                        onChange={(e) => updateProviderSetting(provider.id, 'alertUsage', e.target.value)}
+                        className="flex-1 p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+                        placeholder="Usage, e.g. 50, 80, 100"
+                        title="Percent of usage limit"
+                      />
+                      <input
+                        type="text"
+                        value={providerSettings[provider.id]?.alertSpend ?? ''}
+                        onChange={(e) => updateProviderSetting(provider.id, 'alertSpend', e.target.value)}
+                        className="flex-1 p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+                        placeholder="Spend, e.g. 80, 100"
+                        title="Percent of billing limit"
+                      />
+                    </div>
+                    <label className="flex items-center gap-1 mt-2 text-xs text-gray-600">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(providerSettings[provider.id]?.alertProjected)}
+                        onChange={(e) => updateProviderSetting(provider.id, 'alertProjected', e.target.checked)}
+                      />
+                      Also alert when usage or spend is projected to exceed a limit before the reset
+                    </label>
+                    {alertChannels.length > 0 ? (
+                      <div className="flex flex-wrap gap-3 mt-2">
+                        {alertChannels.map(channel => {
+                          const selected = providerSettings[provider.id]?.alertChannels || [];
+                          return (
+                            <label key={channel.id} className="flex items-center gap-1 text-xs text-gray-600">
+                              <input
+                                type="checkbox"
+                                checked={selected.includes(channel.id)}
+                                onChange={(e) => updateProviderSetting(
+                                  provider.id,
+                                  'alertChannels',
+                                  e.target.checked ? [...selected, channel.id] : selected.filter(id => id !== channel.id)
+                                )}
+                              />
+                              {channel.label}
+                              {!channel.configured && <span className="text-gray-400">(not configured)</span>}
+                            </label>
+                          );
+                        })}
+                      </div>
+                    ) : (
+                      <p className="text-xs text-gray-400 mt-1">
+                        {user ? 'Alert channels are unavailable without the Netlify functions.' : 'Sign in to have alerts sent to you.'}
+                      </p>
+                    )}
                   </div>
 
                   {/* Info URL */}
@@ -411,10 +823,9 @@ export default function SettingsModal({ isOpen, onClose, providers, setProviders
                         onChange={(e) => setNewApi({ ...newApi, resetPeriod: e.target.value })}
                         className="w-full p-2 border rounded text-sm bg-white"
                       >
-                        <option value="per-minute">Per Minute</option>
-                        <option value="hourly">Hourly</option>
-                        <option value="daily">Daily</option>
-                        <option value="monthly">Monthly</option>
+                        {RESET_PERIODS.map(period => (
+                          <option key={period.id} value={period.id}>{period.label}</option>
+                        ))}
                       </select>
                     </div>
                     <div className="mb-3">
@@ -455,11 +866,41 @@ export default function SettingsModal({ isOpen, onClose, providers, setProviders
                   + Add API Provider
                 </button>
               )}
+
+              {alertDestinations && (
+                <div className="border rounded-lg p-4">
+                  <h3 className="font-medium mb-1">Alert destinations</h3>
+                  <p className="text-xs text-gray-500 mb-3">
+                    {alertDestinations.emails.length > 0
+                      ? `Email alerts go to ${alertDestinations.emails.join(', ')}.`
+                      : 'Email alerts go to the owners\' verified addresses; no owner has verified theirs yet.'}
+                  </p>
+                  <label className="block text-xs font-medium text-gray-500 mb-1">Webhook URL</label>
+                  <input
+                    type="url"
+                    value={alertDestinations.webhookUrl}
+                    onChange={(e) => setAlertDestinations({ ...alertDestinations, webhookUrl: e.target.value })}
+                    className="w-full p-2 mb-3 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+                    placeholder="https://example.com/hooks/usage"
+                  />
+                  <label className="block text-xs font-medium text-gray-500 mb-1">Slack webhook URL</label>
+                  <input
+                    type="url"
+                    value={alertDestinations.slackWebhookUrl}
+                    onChange={(e) => setAlertDestinations({ ...alertDestinations, slackWebhookUrl: e.target.value })}
+                    className="w-full p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+                    placeholder="https://hooks.slack.com/services/..."
+                  />
+                </div>
+              )}
+
+              <PriceTableEditor prices={priceDraft} setPrices={setPriceDraft} />
             </div>
           )}
         </div>
 
-        <div className="p-6 border-t bg-gray-50 flex justify-end space-x-3">
+        <div className="p-6 border-t bg-gray-50 flex justify-end items-center space-x-3">
+          {saveError && <span className="text-sm text-red-600 mr-auto">{saveError}</span>}
           <button
             onClick={onClose}
             className="px-4 py-2 text-gray-600 hover:bg-gray-200 rounded"
@@ -468,9 +909,10 @@ export default function SettingsModal({ isOpen, onClose, providers, setProviders
           </button>
           <button
             onClick={handleSave}
-            className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+            disabled={isSaving || readOnly}
+            className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
           >
-            Save Changes
+            {isSaving ? 'Saving...' : 'Save Changes'}
           </button>
         </div>
       </div>
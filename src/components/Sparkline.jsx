@@ -0,0 +1,18 @@
+import React from 'react';
+
+// Tiny bar chart of daily values, drawn with the provider's own color class
+export default function Sparkline({ series, color }) {
+  const max = Math.max(1, ...series.map(d => d.value || 0));
+
+  return (
+    <div className="flex items-end gap-px h-4 w-24" title="Daily usage, last 30 days">
+      {series.map(d => (
+        <div
+          key={d.date}
+          className={`flex-1 rounded-sm ${d.value === null ? 'bg-gray-200' : color}`}
+          style={{ height: d.value === null ? '1px' : `${Math.max(8, (d.value / max) * 100)}%` }}
+        ></div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { useAuth } from '../lib/auth';
+
+const inputClass = 'w-full p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none';
+
+// Account section for TOTP two-factor sign-in: scan a QR code and confirm a
+// code to turn it on, then new recovery codes or turning it off again
+export default function TwoFactorSettings() {
+  const { user, setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes } = useAuth();
+  const [setup, setSetup] = useState(null); // { secret, otpauthUri, qrCode }
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+
+  // Runs a request and keeps the form's error in step with it
+  const attempt = async (request) => {
+    setError('');
+    const result = await request();
+    if (!result.success) {
+      setError(result.fields ? Object.values(result.fields).flat().join('. ') : result.error);
+      return null;
+    }
+    setCode('');
+    setPassword('');
+    return result;
+  };
+
+  const handleSetup = async () => {
+    const result = await attempt(setupTwoFactor);
+    if (result) setSetup(result.setup);
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    const result = await attempt(() => enableTwoFactor(code.trim()));
+    if (result) {
+      setSetup(null);
+      setRecoveryCodes(result.recoveryCodes);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    const result = await attempt(() => regenerateRecoveryCodes(code.trim()));
+    if (result) setRecoveryCodes(result.recoveryCodes);
+  };
+
+  const handleDisable = () => attempt(() => disableTwoFactor(password, code.trim()));
+
+  if (recoveryCodes) {
+    return (
+      <div className="space-y-2">
+        <h3 className="text-sm font-medium text-gray-700">Recovery codes</h3>
+        <p className="text-xs text-gray-500">
+          Keep these somewhere safe. Each one signs you in once if you lose your authenticator; they won't be shown again.
+        </p>
+        <div className="grid grid-cols-2 gap-1 p-3 bg-gray-50 rounded font-mono text-sm">
+          {recoveryCodes.map(recoveryCode => <span key={recoveryCode}>{recoveryCode}</span>)}
+        </div>
+        <button onClick={() => setRecoveryCodes(null)} className="px-3 py-2 bg-blue-600 text-white rounded text-sm hover:bg-blue-700">
+          I've saved them
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <h3 className="text-sm font-medium text-gray-700">Two-factor authentication</h3>
+
+      {user.twoFactorEnabled ? (
+        <>
+          <p className="text-xs text-gray-500">
+            On. Signing in asks for a code from your authenticator app. {user.recoveryCodesLeft} recovery code{user.recoveryCodesLeft === 1 ? '' : 's'} left.
+          </p>
+          <input
+            type="text"
+            inputMode="numeric"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className={`${inputClass} font-mono`}
+            placeholder="Current code or recovery code"
+            autoComplete="one-time-code"
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className={inputClass}
+            placeholder="Password (to turn it off)"
+            autoComplete="current-password"
+          />
+          <div className="flex gap-2">
+            <button onClick={handleRegenerate} className="px-3 py-2 border rounded text-sm hover:bg-gray-50">
+              New recovery codes
+            </button>
+            <button onClick={handleDisable} className="px-3 py-2 border border-red-200 text-red-600 rounded text-sm hover:bg-red-50">
+              Turn off
+            </button>
+          </div>
+        </>
+      ) : setup ? (
+        <form onSubmit={handleEnable} className="space-y-2">
+          <p className="text-xs text-gray-500">Scan this with your authenticator app, then enter the code it shows.</p>
+          <img src={setup.qrCode} alt="Authenticator QR code" className="w-40 h-40 border rounded" />
+          <p className="text-xs text-gray-500 break-all">
+            Can't scan it? Enter this key instead: <code className="text-gray-700">{setup.secret}</code>
+          </p>
+          <input
+            type="text"
+            inputMode="numeric"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className={`${inputClass} font-mono`}
+            placeholder="123456"
+            autoComplete="one-time-code"
+            required
+          />
+          <div className="flex gap-2">
+            <button type="submit" className="px-3 py-2 bg-blue-600 text-white rounded text-sm hover:bg-blue-700">
+              Turn on
+            </button>
+            <button type="button" onClick={() => setSetup(null)} className="px-3 py-2 text-gray-600 rounded text-sm hover:bg-gray-100">
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <>
+          <p className="text-xs text-gray-500">Ask for a code from an authenticator app as well as your password when signing in.</p>
+          <button onClick={handleSetup} className="px-3 py-2 bg-blue-600 text-white rounded text-sm hover:bg-blue-700">
+            Set up
+          </button>
+        </>
+      )}
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { toDailySeries } from '../lib/history';
+import { getMetric } from '../lib/metrics';
+
+const RANGES = [30, 90];
+
+export default function UsageChart({ points, color, metric }) {
+  const [days, setDays] = useState(30);
+  const series = toDailySeries(points, days, new Date(), metric);
+  const values = series.map(d => d.value).filter(v => v !== null);
+  const max = Math.max(1, ...values);
+  const average = values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : 0;
+
+  return (
+    <div className="mt-3 p-3 border rounded-lg bg-gray-50">
+      <div className="flex justify-between items-center mb-2">
+        <span className="text-xs text-gray-500">
+          Daily {metric ? getMetric(metric).label.toLowerCase() : 'usage'} · peak {max.toLocaleString()} · avg {average.toLocaleString()}
+        </span>
+        <div className="flex gap-1">
+          {RANGES.map(range => (
+            <button
+              key={range}
+              onClick={() => setDays(range)}
+              className={`px-2 py-0.5 rounded text-xs ${
+                days === range ? 'bg-blue-600 text-white' : 'bg-white border text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              {range}d
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {values.length === 0 ? (
+        <p className="text-xs text-gray-400 text-center py-6">No history recorded for this range yet.</p>
+      ) : (
+        <div className="flex items-end gap-px h-24">
+          {series.map(d => (
+            <div
+              key={d.date}
+              title={`${d.date}: ${d.value === null ? 'no data' : d.value.toLocaleString()}`}
+              className={`flex-1 rounded-t-sm ${d.value === null ? 'bg-gray-200' : color}`}
+              style={{ height: d.value === null ? '1px' : `${Math.max(2, (d.value / max) * 100)}%` }}
+            ></div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex justify-between text-[10px] text-gray-400 mt-1">
+        <span>{series[0]?.date}</span>
+        <span>{series[series.length - 1]?.date}</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { useAuth } from '../lib/auth';
+
+// Outcome of an email verification link, and a reminder (with a resend
+// button) while the logged-in user's address is still unconfirmed
+export default function VerifyEmailBanner() {
+  const { user, resendVerification, emailVerification, clearEmailVerification } = useAuth();
+  const [resend, setResend] = useState(null); // 'sending' | 'sent' | error message
+
+  const handleResend = async () => {
+    setResend('sending');
+    const result = await resendVerification();
+    setResend(result.success ? 'sent' : result.error);
+  };
+
+  return (
+    <>
+      {emailVerification && (
+        <div className={`mb-6 p-3 rounded-lg text-sm flex justify-between items-start ${
+          emailVerification.success ? 'bg-green-50 border border-green-200 text-green-700' : 'bg-red-50 border border-red-200 text-red-700'
+        }`}>
+          <span>{emailVerification.message}</span>
+          <button onClick={clearEmailVerification} className="ml-4 opacity-60 hover:opacity-100">✕</button>
+        </div>
+      )}
+
+      {user && user.emailVerified === false && (
+        <div className="mb-6 p-3 rounded-lg text-sm bg-yellow-50 border border-yellow-200 text-yellow-800 flex justify-between items-center gap-4">
+          <span>
+            Please verify your email - we sent a link to <strong>{user.email}</strong>.
+            {resend && resend !== 'sending' && resend !== 'sent' && <span className="block text-red-600">{resend}</span>}
+          </span>
+          {resend === 'sent' ? (
+            <span className="text-green-700 whitespace-nowrap">Sent ✓</span>
+          ) : (
+            <button
+              onClick={handleResend}
+              disabled={resend === 'sending'}
+              className="whitespace-nowrap text-blue-600 hover:text-blue-800 disabled:opacity-50"
+            >
+              {resend === 'sending' ? 'Sending…' : 'Resend email'}
+            </button>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
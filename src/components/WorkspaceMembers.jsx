@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import { ROLES, listMembers, inviteMember, revokeInvite, updateMemberRole, removeMember } from '../lib/workspaces';
+import { useAuth } from '../lib/auth';
+
+const EMPTY_INVITE = { email: '', role: 'viewer' };
+
+// Members and pending invitations of a team workspace. Owners can invite,
+// change roles and remove people; everyone else sees the list and can leave.
+export default function WorkspaceMembers({ isOpen, onClose, workspace, onLeave }) {
+  const [members, setMembers] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_INVITE);
+  const [lastInvite, setLastInvite] = useState(null); // { email, link, emailed }
+  const [error, setError] = useState('');
+  const { user } = useAuth();
+  const isOwner = workspace?.role === 'owner';
+
+  const load = () => listMembers(workspace.id)
+    .then(data => {
+      setMembers(data.members || []);
+      setInvites(data.invites || []);
+    })
+    .catch(err => setError(err.message));
+
+  useEffect(() => {
+    if (!isOpen || !workspace) return;
+    setError('');
+    setLastInvite(null);
+    load();
+  }, [isOpen, workspace?.id]);
+
+  // Runs a change and surfaces its error instead of throwing
+  const attempt = async (change) => {
+    setError('');
+    try {
+      await change();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    if (!draft.email.trim()) return;
+    attempt(async () => {
+      const invite = await inviteMember(workspace.id, draft.email.trim(), draft.role);
+      setLastInvite(invite);
+      setDraft(EMPTY_INVITE);
+      await load();
+    });
+  };
+
+  const handleRemove = (member) => {
+    const leaving = member.userId === user?.id;
+    if (!confirm(leaving ? `Leave ${workspace.name}?` : `Remove ${member.email} from ${workspace.name}?`)) return;
+    attempt(async () => {
+      setMembers(await removeMember(workspace.id, member.userId));
+      if (leaving) onLeave();
+    });
+  };
+
+  if (!isOpen || !workspace) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg w-full max-w-lg max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="p-6 border-b">
+          <h2 className="text-xl font-bold">{workspace.name}</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Owners manage keys and members, editors change providers and limits, viewers can only look.
+          </p>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Members</h3>
+            <div className="divide-y border rounded-lg">
+              {members.map(member => (
+                <div key={member.userId} className="flex items-center justify-between p-2 text-sm">
+                  <div className="min-w-0">
+                    <p className="truncate">{member.displayName || member.email}{member.userId === user?.id && ' (you)'}</p>
+                    <p className="text-xs text-gray-400 truncate">{member.email}</p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {isOwner ? (
+                      <select
+                        value={member.role}
+                        onChange={(e) => attempt(async () => setMembers(await updateMemberRole(workspace.id, member.userId, e.target.value)))}
+                        className="p-1 border rounded text-sm bg-white"
+                      >
+                        {ROLES.map(role => (
+                          <option key={role.id} value={role.id}>{role.label}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <span className="text-gray-500">{ROLES.find(role => role.id === member.role)?.label}</span>
+                    )}
+                    {(isOwner || member.userId === user?.id) && (
+                      <button onClick={() => handleRemove(member)} className="text-red-500 hover:text-red-700 text-xs">
+                        {member.userId === user?.id ? 'Leave' : '✕'}
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {isOwner && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-2">Invite by email</h3>
+              <form onSubmit={handleInvite} className="flex gap-2">
+                <input
+                  type="email"
+                  value={draft.email}
+                  onChange={(e) => setDraft({ ...draft, email: e.target.value })}
+                  className="flex-1 p-2 border rounded text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+                  placeholder="teammate@example.com"
+                  required
+                />
+                <select
+                  value={draft.role}
+                  onChange={(e) => setDraft({ ...draft, role: e.target.value })}
+                  className="p-2 border rounded text-sm bg-white"
+                >
+                  {ROLES.map(role => (
+                    <option key={role.id} value={role.id}>{role.label}</option>
+                  ))}
+                </select>
+                <button type="submit" className="px-3 py-2 bg-blue-600 text-white rounded text-sm hover:bg-blue-700">
+                  Invite
+                </button>
+              </form>
+              {lastInvite && (
+                <p className="text-xs text-gray-500 mt-2 break-all">
+                  {lastInvite.emailed
+                    ? `Invitation sent to ${lastInvite.email}. You can also share the link: `
+                    : `Couldn't email ${lastInvite.email} - share this link instead: `}
+                  <code>{lastInvite.link}</code>
+                </p>
+              )}
+              {invites.length > 0 && (
+                <div className="mt-3">
+                  <p className="text-xs font-medium text-gray-500 mb-1">Pending</p>
+                  {invites.map(invite => (
+                    <div key={invite.token} className="flex justify-between items-center text-sm py-0.5">
+                      <span className="truncate">{invite.email} <span className="text-gray-400">({invite.role})</span></span>
+                      <span className="flex items-center gap-2 text-xs text-gray-400">
+                        expires {new Date(invite.expiresAt).toLocaleDateString()}
+                        <button
+                          onClick={() => attempt(async () => {
+                            await revokeInvite(workspace.id, invite.token);
+                            await load();
+                          })}
+                          className="text-red-500 hover:text-red-700"
+                        >
+                          Revoke
+                        </button>
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="p-6 border-t bg-gray-50 flex justify-end items-center">
+          {error && <span className="text-sm text-red-600 mr-auto">{error}</span>}
+          <button onClick={onClose} className="px-4 py-2 text-gray-600 hover:bg-gray-200 rounded">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+
+const NEW_WORKSPACE = '__new__';
+
+// Header picker for the workspace the dashboard shows, with shortcuts to
+// create a team workspace and to manage the current one's members
+export default function WorkspaceSwitcher({ workspaces, active, onSwitch, onCreate, onManage }) {
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    try {
+      await onCreate(name.trim());
+      setName('');
+      setCreating(false);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (creating) {
+    return (
+      <form onSubmit={handleCreate} className="flex items-center gap-1">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className={`w-32 p-1 border rounded text-sm ${error ? 'border-red-500' : ''}`}
+          placeholder="Workspace name"
+          title={error || undefined}
+          autoFocus
+        />
+        <button type="submit" className="text-sm text-green-600 hover:text-green-800">Create</button>
+        <button type="button" onClick={() => setCreating(false)} className="text-sm text-gray-400 hover:text-gray-600">✕</button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-1">
+      <select
+        value={active?.id || ''}
+        onChange={(e) => (e.target.value === NEW_WORKSPACE ? setCreating(true) : onSwitch(e.target.value))}
+        className="bg-transparent text-sm text-gray-600 border-b border-dashed border-gray-300 focus:outline-none max-w-[10rem]"
+        title={active ? `Workspace (${active.role})` : 'Workspace'}
+      >
+        {!active && <option value="">Workspace…</option>}
+        {workspaces.map(workspace => (
+          <option key={workspace.id} value={workspace.id}>
+            {workspace.name}{workspace.personal ? '' : ` (${workspace.role})`}
+          </option>
+        ))}
+        <option value={NEW_WORKSPACE}>+ New workspace…</option>
+      </select>
+      {active && !active.personal && (
+        <button onClick={onManage} className="text-xs text-gray-500 hover:text-gray-800" title="Members and invitations">
+          👥
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+// Client for personal access tokens (/api/tokens): bearer tokens for
+// scripts and CI, each limited to some scopes. A new token's secret comes
+// back once, from createAccessToken.
+
+import { apiFetch } from './api';
+
+const BASE_URL = '/api/tokens';
+
+export const SCOPES = [
+  { id: 'read-usage', label: 'Read usage', description: 'Usage, provider lists and masked keys' },
+  { id: 'write-usage', label: 'Write usage', description: 'Push usage events' },
+  { id: 'manage-providers', label: 'Manage providers', description: 'Change provider lists and stored keys' },
+];
+
+export const EXPIRY_OPTIONS = [
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' },
+  { days: null, label: 'Never' },
+];
+
+async function request(path, init = {}) {
+  const res = await apiFetch(`${BASE_URL}${path}`, {
+    ...init,
+    headers: { 'Content-Type': 'application/json', ...(init.headers || {}) },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Access token request failed (${res.status})`);
+  return data;
+}
+
+export const listAccessTokens = async () => (await request('')).tokens;
+
+// -> { token, record }
+export const createAccessToken = ({ label, scopes, expiresInDays }) =>
+  request('', { method: 'POST', body: JSON.stringify({ label, scopes, expiresInDays }) });
+
+export const renameAccessToken = async (id, label) =>
+  (await request(`/${id}`, { method: 'PATCH', body: JSON.stringify({ label }) })).record;
+
+export const revokeAccessToken = (id) => request(`/${id}`, { method: 'DELETE' });
@@ -0,0 +1,60 @@
+// Client helpers for the alert-rules function. Rules belong to the active
+// workspace, so these need a login session.
+
+import { apiFetch } from './api';
+
+const ENDPOINT = '/.netlify/functions/alert-rules';
+
+// `projected` also alerts on forecast breaches (see src/lib/forecast.js)
+export const DEFAULT_ALERTS = { usage: [80, 100], spend: [80, 100], channels: [], projected: false };
+
+// "50, 80,100%" -> [50, 80, 100]
+export const parseThresholds = (text) =>
+  [...new Set(String(text || '')
+    .split(',')
+    .map(part => parseFloat(part))
+    .filter(n => n > 0))]
+    .sort((a, b) => a - b);
+
+export const formatThresholds = (list = []) => list.join(', ');
+
+// { channels: [{ id, label, configured }], destinations } for the active
+// workspace; `destinations` ({ emails, webhookUrl, slackWebhookUrl }) is null
+// for viewers
+export async function fetchAlertSettings() {
+  const res = await apiFetch(ENDPOINT);
+  if (!res.ok) throw new Error('Alert rules not available');
+  const data = await res.json();
+  return { channels: data.channels || [], destinations: data.destinations || null };
+}
+
+// The server evaluates alerts after each collection, so it needs each
+// provider's limits, pricing and reset period alongside the rules themselves.
+// `destinations` ({ webhookUrl, slackWebhookUrl }) is left as saved when omitted.
+export async function saveAlertRules(providers, prices, destinations) {
+  const res = await apiFetch(ENDPOINT, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      providers: providers.map(p => ({
+        provider: p.id,
+        name: p.name,
+        limit: p.limit,
+        limits: p.limits || {},
+        modelLimits: p.modelLimits || [],
+        billingLimit: p.billingLimit,
+        pricingModel: p.pricingModel,
+        resetPeriod: p.resetPeriod,
+        anchorDay: p.anchorDay,
+        timeZone: p.timeZone,
+        alerts: p.alerts || DEFAULT_ALERTS,
+      })),
+      prices,
+      destinations: destinations ? { webhookUrl: destinations.webhookUrl, slackWebhookUrl: destinations.slackWebhookUrl } : undefined,
+    }),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to save alert rules');
+  }
+}
@@ -0,0 +1,29 @@
+// fetch() for our own functions that carries the login session: the cookie
+// for browsers plus the cached bearer token (see AuthContext) for mobile.
+// Requests also name the workspace they act in (see useWorkspaces); without
+// one the server uses the caller's personal workspace.
+
+const AUTH_STORAGE_KEY = 'app_auth';
+const WORKSPACE_STORAGE_KEY = 'app_workspace';
+
+export const getActiveWorkspaceId = () => localStorage.getItem(WORKSPACE_STORAGE_KEY);
+
+export function setActiveWorkspaceId(id) {
+  if (id) {
+    localStorage.setItem(WORKSPACE_STORAGE_KEY, id);
+  } else {
+    localStorage.removeItem(WORKSPACE_STORAGE_KEY);
+  }
+}
+
+export function apiFetch(url, init = {}) {
+  const headers = { ...(init.headers || {}) };
+  try {
+    const cached = JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY) || 'null');
+    if (cached?.token) headers['Authorization'] = `Bearer ${cached.token}`;
+  } catch (e) {}
+  const workspaceId = getActiveWorkspaceId();
+  if (workspaceId) headers['X-Workspace-Id'] = workspaceId;
+
+  return fetch(url, { ...init, headers, credentials: 'include' });
+}
@@ -5,19 +5,62 @@
  * Configure with AuthConfig to customize API endpoints and storage keys.
  */
 
-import React, { createContext, useContext, useState, useEffect, useCallback, ReactNode } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef, ReactNode } from 'react';
 
 export interface User {
   id: string;
   username: string;
   email: string;
   displayName: string;
+  /** False until the address is confirmed through the emailed link */
+  emailVerified?: boolean;
+  /** Whether login asks for a TOTP code after the password */
+  twoFactorEnabled?: boolean;
+  /** Unused recovery codes, when two-factor is on */
+  recoveryCodesLeft?: number;
   createdAt: string;
 }
 
+/** Outcome of an auth call. `fields` holds server validation messages per form field (e.g. `password`) */
+export type AuthResult = { success: boolean; error?: string; fields?: Record<string, string[]>; twoFactorRequired?: boolean };
+
+/** A place the user is signed in, as listed by listSessions */
+export interface SessionInfo {
+  id: string;
+  /** e.g. "Chrome on macOS" */
+  device: string;
+  userAgent: string | null;
+  ip: string | null;
+  createdAt: string;
+  lastSeenAt: string;
+  expiresAt: string;
+  /** The session this app is using */
+  current: boolean;
+}
+
+/** A new authenticator secret, before it's confirmed with enableTwoFactor */
+export interface TwoFactorSetup {
+  secret: string;
+  otpauthUri: string;
+  /** PNG data URL of the otpauth URI */
+  qrCode: string;
+}
+
+/** Outcome of opening an email verification link, for the app to show */
+export interface EmailVerification {
+  success: boolean;
+  message: string;
+}
+
+export type AuthModalMode = 'login' | 'signup' | 'forgot-password' | 'reset-password' | 'two-factor';
+
 export interface AuthConfig {
   /** Base URL for auth API endpoints (default: '/api/auth') */
   apiBaseUrl?: string;
+  /** Path reset emails link to, with the token as `?token=` (default: '/reset-password') */
+  resetPasswordPath?: string;
+  /** Path verification emails link to, with the token as `?token=` (default: '/verify-email') */
+  verifyEmailPath?: string;
   /** Storage key for caching auth state (default: 'app_auth') */
   storageKey?: string;
   /** Session duration in days (default: 30) */
@@ -31,16 +74,43 @@ interface AuthState {
 }
 
 export interface AuthContextType extends AuthState {
-  login: (email: string, password: string) => Promise<{ success: boolean; error?: string }>;
-  signup: (email: string, password: string, displayName: string) => Promise<{ success: boolean; error?: string }>;
-  requestPasswordReset: (email: string) => Promise<{ success: boolean; error?: string }>;
-  resetPassword: (token: string, password: string) => Promise<{ success: boolean; error?: string }>;
+  /** Resolves with `twoFactorRequired` (and opens the code step) when the account has 2FA on */
+  login: (email: string, password: string) => Promise<AuthResult>;
+  /** Second login step: a TOTP code or a recovery code */
+  verifyTwoFactor: (code: string) => Promise<AuthResult>;
+  signup: (email: string, password: string, displayName: string) => Promise<AuthResult>;
+  requestPasswordReset: (email: string) => Promise<AuthResult>;
+  resetPassword: (token: string, password: string) => Promise<AuthResult>;
+  verifyEmail: (token: string) => Promise<AuthResult>;
+  resendVerification: () => Promise<AuthResult>;
+  /** Change the display name and/or email; a new email needs verifying again */
+  updateProfile: (changes: { displayName?: string; email?: string }) => Promise<AuthResult>;
+  changePassword: (currentPassword: string, newPassword: string) => Promise<AuthResult>;
+  /** Delete the account and everything stored for it, then log out */
+  deleteAccount: (password: string) => Promise<AuthResult>;
+  setupTwoFactor: () => Promise<AuthResult & { setup?: TwoFactorSetup }>;
+  /** Confirm the new secret with a code; resolves with recovery codes to show once */
+  enableTwoFactor: (code: string) => Promise<AuthResult & { recoveryCodes?: string[] }>;
+  disableTwoFactor: (password: string, code: string) => Promise<AuthResult>;
+  regenerateRecoveryCodes: (code: string) => Promise<AuthResult & { recoveryCodes?: string[] }>;
   logout: () => Promise<void>;
+  listSessions: () => Promise<AuthResult & { sessions?: SessionInfo[] }>;
+  /** Sign one session out; revoking the current one logs this app out too */
+  revokeSession: (id: string) => Promise<AuthResult>;
+  /** Sign out every session, this one included */
+  logoutEverywhere: () => Promise<AuthResult>;
   checkAuth: () => Promise<void>;
   showAuthModal: boolean;
   setShowAuthModal: (show: boolean) => void;
-  authModalMode: 'login' | 'signup' | 'forgot-password';
-  setAuthModalMode: (mode: 'login' | 'signup' | 'forgot-password') => void;
+  authModalMode: AuthModalMode;
+  setAuthModalMode: (mode: AuthModalMode) => void;
+  /** Token from a reset link the app was opened with, used by the reset-password mode */
+  resetToken: string | null;
+  /** Forget the reset token and leave the reset link's URL */
+  clearResetToken: () => void;
+  /** Result of the verification link the app was opened with, if any */
+  emailVerification: EmailVerification | null;
+  clearEmailVerification: () => void;
   /** Call this to require auth before an action. Returns true if authenticated, shows modal if not. */
   requireAuth: (callback?: () => void) => boolean;
   /** The auth configuration */
@@ -51,6 +121,8 @@ const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
 const DEFAULT_CONFIG: Required<AuthConfig> = {
   apiBaseUrl: '/api/auth',
+  resetPasswordPath: '/reset-password',
+  verifyEmailPath: '/verify-email',
   storageKey: 'app_auth',
   sessionDays: 30,
 };
@@ -64,9 +136,15 @@ export function AuthProvider({ children, config: userConfig }: AuthProviderProps
   const config = { ...DEFAULT_CONFIG, ...userConfig };
   
   const [user, setUser] = useState<User | null>(null);
+  // The latest user, for callbacks that finish after a render they closed over
+  const userRef = useRef<User | null>(null);
+  userRef.current = user;
   const [isLoading, setIsLoading] = useState(true);
   const [showAuthModal, setShowAuthModal] = useState(false);
-  const [authModalMode, setAuthModalMode] = useState<'login' | 'signup' | 'forgot-password'>('login');
+  const [authModalMode, setAuthModalMode] = useState<AuthModalMode>('login');
+  const [resetToken, setResetToken] = useState<string | null>(null);
+  const [emailVerification, setEmailVerification] = useState<EmailVerification | null>(null);
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState<string | null>(null);
   const [pendingCallback, setPendingCallback] = useState<(() => void) | null>(null);
 
   const isAuthenticated = !!user;
@@ -76,6 +154,54 @@ export function AuthProvider({ children, config: userConfig }: AuthProviderProps
     checkAuth();
   }, []);
 
+  // Opened from a password reset email: go straight to the reset form
+  useEffect(() => {
+    if (window.location.pathname !== config.resetPasswordPath) return;
+    const token = new URLSearchParams(window.location.search).get('token');
+    if (!token) return;
+    setResetToken(token);
+    setAuthModalMode('reset-password');
+    setShowAuthModal(true);
+  }, [config.resetPasswordPath]);
+
+  const clearResetToken = useCallback(() => {
+    setResetToken(null);
+    if (window.location.pathname === config.resetPasswordPath) {
+      window.history.replaceState(null, '', '/');
+    }
+  }, [config.resetPasswordPath]);
+
+  // Session token kept for mobile apps, sent alongside the cookie
+  const authHeaders = useCallback((): Record<string, string> => {
+    try {
+      const token = JSON.parse(localStorage.getItem(config.storageKey) || '{}').token;
+      return token ? { Authorization: `Bearer ${token}` } : {};
+    } catch (e) {
+      return {};
+    }
+  }, [config.storageKey]);
+
+  // Replace the cached user, keeping the stored token
+  const storeUser = useCallback((next: User) => {
+    setUser(next);
+    let token: string | null = null;
+    try {
+      token = JSON.parse(localStorage.getItem(config.storageKey) || '{}').token || null;
+    } catch (e) {}
+    localStorage.setItem(config.storageKey, JSON.stringify({ user: next, token }));
+  }, [config.storageKey]);
+
+  // POSTs to an account endpoint as the logged-in user
+  const postAccount = useCallback(async (action: string, body: object = {}): Promise<{ ok: boolean; data: any }> => {
+    const response = await fetch(`${config.apiBaseUrl}/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      credentials: 'include',
+      body: JSON.stringify(body),
+    });
+    return { ok: response.ok, data: await response.json() };
+  }, [config.apiBaseUrl, authHeaders]);
+
   // Execute pending callback after successful auth
   useEffect(() => {
     if (isAuthenticated && pendingCallback) {
@@ -129,7 +255,7 @@ export function AuthProvider({ children, config: userConfig }: AuthProviderProps
     }
   }, [config.apiBaseUrl, config.storageKey]);
 
-  const login = useCallback(async (email: string, password: string): Promise<{ success: boolean; error?: string }> => {
+  const login = useCallback(async (email: string, password: string): Promise<AuthResult> => {
     try {
       const response = await fetch(`${config.apiBaseUrl}/login`, {
         method: 'POST',
@@ -140,14 +266,19 @@ export function AuthProvider({ children, config: userConfig }: AuthProviderProps
 
       const data = await response.json();
 
-      if (response.ok && data.user) {
+      if (response.ok && data.twoFactorRequired) {
+        setTwoFactorChallenge(data.challenge);
+        setAuthModalMode('two-factor');
+        setShowAuthModal(true);
+        return { success: false, twoFactorRequired: true };
+      } else if (response.ok && data.user) {
         setUser(data.user);
         // Store both user and token (token is for mobile apps)
         localStorage.setItem(config.storageKey, JSON.stringify({ user: data.user, token: data.token }));
         setShowAuthModal(false);
         return { success: true };
       } else {
-        return { success: false, error: data.error || 'Login failed' };
+        return { success: false, error: data.error || 'Login failed', fields: data.fields };
       }
     } catch (error) {
       console.error('Login error:', error);
@@ -155,7 +286,21 @@ export function AuthProvider({ children, config: userConfig }: AuthProviderProps
     }
   }, [config.apiBaseUrl, config.storageKey]);
 
-  const signup = useCallback(async (email: string, password: string, displayName: string): Promise<{ success: boolean; error?: string }> => {
+  const verifyTwoFactor = useCallback(async (code: string): Promise<AuthResult> => {
+    try {
+      const { ok, data } = await postAccount('login-2fa', { challenge: twoFactorChallenge, code });
+      if (!ok) return { success: false, error: data.error || 'Verification failed', fields: data.fields };
+      setTwoFactorChallenge(null);
+      setUser(data.user);
+      localStorage.setItem(config.storageKey, JSON.stringify({ user: data.user, token: data.token }));
+      setShowAuthModal(false);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  }, [postAccount, twoFactorChallenge, config.storageKey]);
+
+  const signup = useCallback(async (email: string, password: string, displayName: string): Promise<AuthResult> => {
     try {
       const response = await fetch(`${config.apiBaseUrl}/signup`, {
         method: 'POST',
@@ -174,7 +319,7 @@ export function AuthProvider({ children, config: userConfig }: AuthProviderProps
         return { success: true };
       } else {
         console.error('Signup failed response:', data);
-        return { success: false, error: data.error || `Signup failed (${response.status})` };
+        return { success: false, error: data.error || `Signup failed (${response.status})`, fields: data.fields };
       }
     } catch (error) {
       console.error('Signup error:', error);
@@ -211,7 +356,48 @@ export function AuthProvider({ children, config: userConfig }: AuthProviderProps
     }
   }, [config.apiBaseUrl, config.storageKey]);
 
-  const requestPasswordReset = useCallback(async (email: string): Promise<{ success: boolean; error?: string }> => {
+  // Forget the user locally once the server has dropped this session
+  const clearLocalSession = useCallback(() => {
+    setUser(null);
+    localStorage.removeItem(config.storageKey);
+  }, [config.storageKey]);
+
+  const listSessions = useCallback(async (): Promise<AuthResult & { sessions?: SessionInfo[] }> => {
+    try {
+      const response = await fetch(`${config.apiBaseUrl}/sessions`, {
+        credentials: 'include',
+        headers: authHeaders(),
+      });
+      const data = await response.json();
+      return response.ok ? { success: true, sessions: data.sessions } : { success: false, error: data.error || 'Failed to load sessions' };
+    } catch (error) {
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  }, [config.apiBaseUrl, authHeaders]);
+
+  const revokeSession = useCallback(async (id: string): Promise<AuthResult> => {
+    try {
+      const { ok, data } = await postAccount('revoke-session', { id });
+      if (!ok) return { success: false, error: data.error || 'Failed to sign out that session' };
+      if (data.current) clearLocalSession();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  }, [postAccount, clearLocalSession]);
+
+  const logoutEverywhere = useCallback(async (): Promise<AuthResult> => {
+    try {
+      const { ok, data } = await postAccount('logout-everywhere');
+      if (!ok) return { success: false, error: data.error || 'Failed to sign out everywhere' };
+      clearLocalSession();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  }, [postAccount, clearLocalSession]);
+
+  const requestPasswordReset = useCallback(async (email: string): Promise<AuthResult> => {
     try {
       const response = await fetch(`${config.apiBaseUrl}/request-password-reset`, {
         method: 'POST',
@@ -229,7 +415,7 @@ export function AuthProvider({ children, config: userConfig }: AuthProviderProps
     }
   }, [config.apiBaseUrl]);
 
-  const resetPassword = useCallback(async (token: string, password: string): Promise<{ success: boolean; error?: string }> => {
+  const resetPassword = useCallback(async (token: string, password: string): Promise<AuthResult> => {
     try {
       const response = await fetch(`${config.apiBaseUrl}/reset-password`, {
         method: 'POST',
@@ -240,13 +426,114 @@ export function AuthProvider({ children, config: userConfig }: AuthProviderProps
       if (response.ok) {
         return { success: true };
       } else {
-        return { success: false, error: data.error || 'Failed to reset password' };
+        return { success: false, error: data.error || 'Failed to reset password', fields: data.fields };
       }
     } catch (error) {
       return { success: false, error: 'Network error. Please try again.' };
     }
   }, [config.apiBaseUrl]);
 
+  const verifyEmail = useCallback(async (token: string): Promise<AuthResult> => {
+    try {
+      const { ok, data } = await postAccount('verify-email', { token });
+      if (!ok) return { success: false, error: data.error || 'Failed to verify email' };
+      const current = userRef.current;
+      if (current && current.email === data.email) storeUser({ ...current, emailVerified: true });
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  }, [postAccount, storeUser]);
+
+  const resendVerification = useCallback(async (): Promise<AuthResult> => {
+    try {
+      const { ok, data } = await postAccount('resend-verification');
+      return ok ? { success: true } : { success: false, error: data.error || 'Failed to send verification email' };
+    } catch (error) {
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  }, [postAccount]);
+
+  const updateProfile = useCallback(async (changes: { displayName?: string; email?: string }): Promise<AuthResult> => {
+    try {
+      const { ok, data } = await postAccount('update-profile', changes);
+      if (!ok) return { success: false, error: data.error || 'Failed to update profile', fields: data.fields };
+      storeUser(data.user);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  }, [postAccount, storeUser]);
+
+  const changePassword = useCallback(async (currentPassword: string, newPassword: string): Promise<AuthResult> => {
+    try {
+      const { ok, data } = await postAccount('change-password', { currentPassword, newPassword });
+      return ok ? { success: true } : { success: false, error: data.error || 'Failed to change password', fields: data.fields };
+    } catch (error) {
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  }, [postAccount]);
+
+  const deleteAccount = useCallback(async (password: string): Promise<AuthResult> => {
+    try {
+      const { ok, data } = await postAccount('delete-account', { password });
+      if (!ok) return { success: false, error: data.error || 'Failed to delete account', fields: data.fields };
+      clearLocalSession();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  }, [postAccount, clearLocalSession]);
+
+  const setupTwoFactor = useCallback(async (): Promise<AuthResult & { setup?: TwoFactorSetup }> => {
+    try {
+      const { ok, data } = await postAccount('2fa-setup');
+      return ok ? { success: true, setup: data } : { success: false, error: data.error || 'Failed to start two-factor setup' };
+    } catch (error) {
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  }, [postAccount]);
+
+  // enable and regenerate both answer with the updated user and new recovery codes
+  const postRecoveryCodes = useCallback(async (action: string, code: string, fallback: string): Promise<AuthResult & { recoveryCodes?: string[] }> => {
+    try {
+      const { ok, data } = await postAccount(action, { code });
+      if (!ok) return { success: false, error: data.error || fallback, fields: data.fields };
+      storeUser(data.user);
+      return { success: true, recoveryCodes: data.recoveryCodes };
+    } catch (error) {
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  }, [postAccount, storeUser]);
+
+  const enableTwoFactor = useCallback((code: string) =>
+    postRecoveryCodes('2fa-enable', code, 'Failed to turn on two-factor authentication'), [postRecoveryCodes]);
+
+  const regenerateRecoveryCodes = useCallback((code: string) =>
+    postRecoveryCodes('2fa-recovery-codes', code, 'Failed to create new recovery codes'), [postRecoveryCodes]);
+
+  const disableTwoFactor = useCallback(async (password: string, code: string): Promise<AuthResult> => {
+    try {
+      const { ok, data } = await postAccount('2fa-disable', { password, code });
+      if (!ok) return { success: false, error: data.error || 'Failed to turn off two-factor authentication', fields: data.fields };
+      storeUser(data.user);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  }, [postAccount, storeUser]);
+
+  // Opened from a verification email: confirm it and leave the link's URL
+  useEffect(() => {
+    if (window.location.pathname !== config.verifyEmailPath) return;
+    const token = new URLSearchParams(window.location.search).get('token');
+    window.history.replaceState(null, '', '/');
+    if (!token) return;
+    verifyEmail(token).then(result => setEmailVerification(result.success
+      ? { success: true, message: 'Your email address is verified.' }
+      : { success: false, message: result.error || 'Failed to verify email' }));
+  }, [config.verifyEmailPath]);
+
   const requireAuth = useCallback((callback?: () => void): boolean => {
     if (isAuthenticated) {
       return true;
@@ -265,15 +552,32 @@ export function AuthProvider({ children, config: userConfig }: AuthProviderProps
     isLoading,
     isAuthenticated,
     login,
+    verifyTwoFactor,
     signup,
     requestPasswordReset,
     resetPassword,
+    verifyEmail,
+    resendVerification,
+    updateProfile,
+    changePassword,
+    deleteAccount,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
     logout,
+    listSessions,
+    revokeSession,
+    logoutEverywhere,
     checkAuth,
     showAuthModal,
     setShowAuthModal,
     authModalMode,
     setAuthModalMode,
+    resetToken,
+    clearResetToken,
+    emailVerification,
+    clearEmailVerification: () => setEmailVerification(null),
     requireAuth,
     config,
   };
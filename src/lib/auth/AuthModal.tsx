@@ -5,8 +5,8 @@
  * Customize appearance via AuthModalConfig.
  */
 
-import React, { useState } from 'react';
-import { useAuth } from './AuthContext';
+import React, { useState, useEffect } from 'react';
+import { useAuth, type AuthModalMode, type AuthResult } from './AuthContext';
 
 export interface AuthModalConfig {
   /** Title for login mode (default: 'Welcome Back!') */
@@ -23,7 +23,7 @@ export interface AuthModalConfig {
   primaryHoverColor?: string;
   /** Primary button text color (default: 'black') */
   primaryTextColor?: string;
-  /** Minimum password length (default: 8) */
+  /** Minimum password length, checked before submitting; keep in step with the server's policy (default: 10) */
   minPasswordLength?: number;
 }
 
@@ -35,9 +35,19 @@ const DEFAULT_MODAL_CONFIG: Required<AuthModalConfig> = {
   primaryColor: '#f3c053',
   primaryHoverColor: '#e5b347',
   primaryTextColor: 'black',
-  minPasswordLength: 8,
+  minPasswordLength: 10,
 };
 
+/** Messages under an input, from the server's per-field validation */
+function FieldErrors({ messages }: { messages?: string[] }): JSX.Element | null {
+  if (!messages || messages.length === 0) return null;
+  return (
+    <ul className="text-xs text-red-600 space-y-0.5">
+      {messages.map(message => <li key={message}>{message}</li>)}
+    </ul>
+  );
+}
+
 interface AuthModalProps {
   config?: AuthModalConfig;
 }
@@ -53,28 +63,103 @@ export function AuthModal({ config: userConfig }: AuthModalProps = {}): JSX.Elem
     login,
     signup,
     requestPasswordReset,
+    resetPassword,
+    resetToken,
+    clearResetToken,
+    verifyTwoFactor,
   } = useAuth();
 
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
   const [displayName, setDisplayName] = useState('');
+  const [token, setToken] = useState('');
+  const [code, setCode] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState<Record<string, string[]>>({});
   const [successMessage, setSuccessMessage] = useState('');
 
   const isLogin = authModalMode === 'login';
   const isSignup = authModalMode === 'signup';
   const isForgotPassword = authModalMode === 'forgot-password';
+  const isResetPassword = authModalMode === 'reset-password';
+  const isTwoFactor = authModalMode === 'two-factor';
+
+  // Prefill the reset form from the link the app was opened with
+  useEffect(() => {
+    if (resetToken) setToken(resetToken);
+  }, [resetToken]);
 
   if (!showAuthModal) return null;
 
+  // Field messages go under their inputs; anything else in the banner
+  const showFailure = (result: AuthResult) => {
+    if (result.fields && Object.keys(result.fields).length > 0) {
+      setFieldErrors(result.fields);
+    } else {
+      setError(result.error || 'An error occurred');
+    }
+  };
+
+  const borderFor = (field: string) => (fieldErrors[field] ? 'border-red-500' : 'border-gray-300');
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setError('');
+    setFieldErrors({});
     setSuccessMessage('');
 
+    if (isTwoFactor) {
+      if (!code.trim()) {
+        setFieldErrors({ code: ['Enter the code from your authenticator app'] });
+        return;
+      }
+      setIsSubmitting(true);
+      try {
+        const result = await verifyTwoFactor(code.trim());
+        if (!result.success) {
+          showFailure(result);
+        } else {
+          clearForm();
+        }
+      } finally {
+        setIsSubmitting(false);
+      }
+      return;
+    }
+
+    if (isResetPassword) {
+      if (!token.trim()) {
+        setError('Please enter the reset code from your email');
+        return;
+      }
+      if (password.length < modalConfig.minPasswordLength) {
+        setFieldErrors({ password: [`Use at least ${modalConfig.minPasswordLength} characters`] });
+        return;
+      }
+      if (password !== confirmPassword) {
+        setFieldErrors({ confirmPassword: ['Passwords do not match'] });
+        return;
+      }
+      setIsSubmitting(true);
+      try {
+        const result = await resetPassword(token.trim(), password);
+        if (!result.success) {
+          showFailure(result);
+        } else {
+          clearResetToken();
+          clearForm();
+          setAuthModalMode('login');
+          setSuccessMessage('Your password has been reset. Sign in with your new password.');
+        }
+      } finally {
+        setIsSubmitting(false);
+      }
+      return;
+    }
+
     // Validation
     if (!email) {
       setError('Please enter your email');
@@ -103,15 +188,15 @@ export function AuthModal({ config: userConfig }: AuthModalProps = {}): JSX.Elem
 
     if (isSignup) {
       if (password !== confirmPassword) {
-        setError('Passwords do not match');
+        setFieldErrors({ confirmPassword: ['Passwords do not match'] });
         return;
       }
       if (password.length < modalConfig.minPasswordLength) {
-        setError(`Password must be at least ${modalConfig.minPasswordLength} characters`);
+        setFieldErrors({ password: [`Use at least ${modalConfig.minPasswordLength} characters`] });
         return;
       }
       if (!displayName.trim()) {
-        setError('Please enter your name');
+        setFieldErrors({ displayName: ['Please enter your name'] });
         return;
       }
     }
@@ -123,8 +208,11 @@ export function AuthModal({ config: userConfig }: AuthModalProps = {}): JSX.Elem
         ? await login(email, password)
         : await signup(email, password, displayName);
 
-      if (!result.success) {
-        setError(result.error || 'An error occurred');
+      if (result.twoFactorRequired) {
+        // The context has switched to the code step
+        setPassword('');
+      } else if (!result.success) {
+        showFailure(result);
       } else {
         // Clear form on success
         clearForm();
@@ -134,9 +222,11 @@ export function AuthModal({ config: userConfig }: AuthModalProps = {}): JSX.Elem
     }
   };
 
-  const switchMode = (mode: 'login' | 'signup' | 'forgot-password') => {
+  const switchMode = (mode: AuthModalMode) => {
+    if (isResetPassword) clearResetToken();
     setAuthModalMode(mode);
     setError('');
+    setFieldErrors({});
     setSuccessMessage('');
   };
 
@@ -145,11 +235,15 @@ export function AuthModal({ config: userConfig }: AuthModalProps = {}): JSX.Elem
     setPassword('');
     setConfirmPassword('');
     setDisplayName('');
+    setToken('');
+    setCode('');
     setError('');
+    setFieldErrors({});
     setSuccessMessage('');
   };
 
   const handleClose = () => {
+    if (isResetPassword) clearResetToken();
     setShowAuthModal(false);
     clearForm();
   };
@@ -164,11 +258,15 @@ export function AuthModal({ config: userConfig }: AuthModalProps = {}): JSX.Elem
                 {isLogin && modalConfig.loginTitle}
                 {isSignup && modalConfig.signupTitle}
                 {isForgotPassword && 'Reset Password'}
+                {isResetPassword && 'Choose a New Password'}
+                {isTwoFactor && 'Two-Factor Authentication'}
               </h2>
               <p className="text-sm text-gray-500 mt-1">
                 {isLogin && modalConfig.loginDescription}
                 {isSignup && modalConfig.signupDescription}
                 {isForgotPassword && 'Enter your email to receive a reset link'}
+                {isResetPassword && 'Pick a new password for your account'}
+                {isTwoFactor && 'Enter the 6-digit code from your authenticator app, or one of your recovery codes'}
               </p>
             </div>
             <button 
@@ -193,29 +291,64 @@ export function AuthModal({ config: userConfig }: AuthModalProps = {}): JSX.Elem
                   value={displayName}
                   onChange={(e) => setDisplayName(e.target.value)}
                   disabled={isSubmitting}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  className={`w-full px-3 py-2 border ${borderFor('displayName')} rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500`}
                 />
+                <FieldErrors messages={fieldErrors.displayName} />
               </div>
             )}
 
-            <div className="space-y-2">
-              <label htmlFor="email" className="block text-sm font-medium text-gray-700">Email</label>
-              <input
-                id="email"
-                type="email"
-                placeholder="you@example.com"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                disabled={isSubmitting}
-                autoComplete="email"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-              />
-            </div>
+            {isTwoFactor ? (
+              <div className="space-y-2">
+                <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700">Code</label>
+                <input
+                  id="twoFactorCode"
+                  type="text"
+                  inputMode="numeric"
+                  placeholder="123456"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  disabled={isSubmitting}
+                  autoComplete="one-time-code"
+                  autoFocus
+                  className={`w-full px-3 py-2 border ${borderFor('code')} rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-mono tracking-widest`}
+                />
+                <FieldErrors messages={fieldErrors.code} />
+              </div>
+            ) : isResetPassword ? (
+              <div className="space-y-2">
+                <label htmlFor="resetToken" className="block text-sm font-medium text-gray-700">Reset code</label>
+                <input
+                  id="resetToken"
+                  type="text"
+                  placeholder="From the link in your email"
+                  value={token}
+                  onChange={(e) => setToken(e.target.value)}
+                  disabled={isSubmitting}
+                  autoComplete="off"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-mono text-xs"
+                />
+              </div>
+            ) : (
+              <div className="space-y-2">
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700">Email</label>
+                <input
+                  id="email"
+                  type="email"
+                  placeholder="you@example.com"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  disabled={isSubmitting}
+                  autoComplete="email"
+                  className={`w-full px-3 py-2 border ${borderFor('email')} rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500`}
+                />
+                <FieldErrors messages={fieldErrors.email} />
+              </div>
+            )}
 
-            {!isForgotPassword && (
+            {!isForgotPassword && !isTwoFactor && (
               <div className="space-y-2">
                 <div className="flex items-center justify-between">
-                  <label htmlFor="password" className="block text-sm font-medium text-gray-700">Password</label>
+                  <label htmlFor="password" className="block text-sm font-medium text-gray-700">{isResetPassword ? 'New password' : 'Password'}</label>
                   {isLogin && (
                     <button
                       type="button"
@@ -236,7 +369,7 @@ export function AuthModal({ config: userConfig }: AuthModalProps = {}): JSX.Elem
                     onChange={(e) => setPassword(e.target.value)}
                     disabled={isSubmitting}
                     autoComplete={isLogin ? 'current-password' : 'new-password'}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 pr-10"
+                    className={`w-full px-3 py-2 border ${borderFor('password')} rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 pr-10`}
                   />
                   <button
                     type="button"
@@ -255,10 +388,11 @@ export function AuthModal({ config: userConfig }: AuthModalProps = {}): JSX.Elem
                     )}
                   </button>
                 </div>
+                <FieldErrors messages={fieldErrors.password} />
               </div>
             )}
 
-            {isSignup && (
+            {(isSignup || isResetPassword) && (
               <div className="space-y-2">
                 <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700">Confirm Password</label>
                 <input
@@ -269,8 +403,9 @@ export function AuthModal({ config: userConfig }: AuthModalProps = {}): JSX.Elem
                   onChange={(e) => setConfirmPassword(e.target.value)}
                   disabled={isSubmitting}
                   autoComplete="new-password"
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  className={`w-full px-3 py-2 border ${borderFor('confirmPassword')} rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500`}
                 />
+                <FieldErrors messages={fieldErrors.confirmPassword} />
               </div>
             )}
 
@@ -304,7 +439,7 @@ export function AuthModal({ config: userConfig }: AuthModalProps = {}): JSX.Elem
                   Processing...
                 </span>
               ) : (
-                isLogin ? 'Sign In' : isSignup ? 'Create Account' : 'Send Reset Link'
+                isLogin ? 'Sign In' : isSignup ? 'Create Account' : isResetPassword ? 'Set New Password' : isTwoFactor ? 'Verify' : 'Send Reset Link'
               )}
             </button>
 
@@ -321,6 +456,15 @@ export function AuthModal({ config: userConfig }: AuthModalProps = {}): JSX.Elem
                     Sign up
                   </button>
                 </>
+              ) : isTwoFactor ? (
+                <button
+                  type="button"
+                  onClick={() => switchMode('login')}
+                  className="font-semibold hover:underline"
+                  style={{ color: modalConfig.primaryColor }}
+                >
+                  Back to sign in
+                </button>
               ) : (
                 <>
                   Already have an account?{' '}
@@ -17,5 +17,5 @@
  * - Dialog, Button, Input, Label from your UI library
  */
 
-export { AuthProvider, useAuth, type AuthConfig, type User, type AuthContextType } from './AuthContext';
+export { AuthProvider, useAuth, type AuthConfig, type AuthModalMode, type AuthResult, type EmailVerification, type SessionInfo, type TwoFactorSetup, type User, type AuthContextType } from './AuthContext';
 export { AuthModal, type AuthModalConfig } from './AuthModal';
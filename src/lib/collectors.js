@@ -0,0 +1,137 @@
+// Custom HTTP collectors for providers without a built-in adapter.
+// Pure module so it can be shared by the browser and Netlify functions.
+//
+// `provider.collector` is { url, method, authHeader, body, metric, usagePath,
+// limitPath, resetPath }. `{{key}}` in the URL, auth header ("Name: value")
+// or body is replaced with the card's key. Paths pick values out of the JSON
+// response, JSONPath style: `$.data.usage`, `items[0].count`, `['odd key']`,
+// and `items[*].count` to add up a field across a list.
+
+import { METRICS } from './metrics.js';
+
+export const KEY_PLACEHOLDER = '{{key}}';
+export const COLLECTOR_METHODS = ['GET', 'POST'];
+
+export const EMPTY_COLLECTOR = {
+  url: '',
+  method: 'GET',
+  authHeader: `Authorization: Bearer ${KEY_PLACEHOLDER}`,
+  body: '',
+  metric: 'requests',
+  usagePath: '',
+  limitPath: '',
+  resetPath: '',
+};
+
+const PATH_FIELDS = ['usagePath', 'limitPath', 'resetPath'];
+// Fields that decide where, and how, the card's key is sent
+const TARGET_FIELDS = ['url', 'method', 'authHeader', 'body'];
+
+const SEGMENT = /^(?:\.?([A-Za-z_][\w-]*)|\[(\d+|\*|'[^']*'|"[^"]*")\])/;
+
+// 'data.items[*].count' -> ['data', 'items', '*', 'count'], or null if it doesn't parse
+export function parsePath(path) {
+  let rest = String(path || '').trim().replace(/^\$/, '');
+  if (!rest) return null;
+  const segments = [];
+  while (rest) {
+    const match = rest.match(SEGMENT);
+    if (!match) return null;
+    const [whole, name, bracket] = match;
+    if (name !== undefined) segments.push(name);
+    else if (/^\d+$/.test(bracket)) segments.push(Number(bracket));
+    else segments.push(bracket === '*' ? '*' : bracket.slice(1, -1));
+    rest = rest.slice(whole.length);
+  }
+  return segments;
+}
+
+// Value at `path` in `data`, an array of values when the path has a `[*]`,
+// or undefined when nothing is there
+export function extractPath(data, path) {
+  const segments = parsePath(path);
+  if (!segments) return undefined;
+  let values = [data];
+  let spread = false;
+  for (const segment of segments) {
+    if (segment === '*') {
+      spread = true;
+      values = values.flatMap(value => (Array.isArray(value) ? value : value && typeof value === 'object' ? Object.values(value) : []));
+      continue;
+    }
+    values = values
+      .map(value => (value != null && typeof value === 'object' ? value[segment] : undefined))
+      .filter(value => value !== undefined);
+  }
+  return spread ? values : values[0];
+}
+
+// An extracted usage or limit as a number: numbers and numeric strings as
+// they are, a `[*]` list added up. Null when there is nothing numeric.
+export function toFigure(value) {
+  const values = (Array.isArray(value) ? value : [value])
+    .map(item => (typeof item === 'string' && item.trim() !== '' ? Number(item) : item))
+    .filter(item => typeof item === 'number' && Number.isFinite(item));
+  return values.length > 0 ? values.reduce((sum, item) => sum + item, 0) : null;
+}
+
+// An extracted reset time as a Date: ISO strings and epoch seconds or
+// milliseconds, or small numbers as seconds from `now` (the way many
+// rate-limit APIs report it). Null when it can't be read.
+export function toResetTime(value, now = new Date()) {
+  const raw = Array.isArray(value) ? value[0] : value;
+  if (raw == null || raw === '') return null;
+  const number = typeof raw === 'number' ? raw : (/^\d+(\.\d+)?$/.test(String(raw).trim()) ? Number(raw) : null);
+  let time;
+  if (number === null) time = new Date(raw).getTime();
+  else if (number < 1e9) time = now.getTime() + number * 1000;
+  else if (number < 1e12) time = number * 1000;
+  else time = number;
+  return Number.isNaN(time) ? null : new Date(time);
+}
+
+// "Authorization: Bearer {{key}}" -> ['Authorization', 'Bearer {{key}}'], or null
+export function parseHeader(template) {
+  const match = String(template || '').match(/^\s*([!#$%&'*+.^_`|~\w-]+)\s*:\s*(.*?)\s*$/);
+  return match ? [match[1], match[2]] : null;
+}
+
+// Trimmed copy of a collector being edited, or null when it has no URL
+export function cleanCollector(draft) {
+  if (typeof draft?.url !== 'string' || !draft.url.trim()) return null;
+  const collector = { ...EMPTY_COLLECTOR };
+  for (const field of Object.keys(EMPTY_COLLECTOR)) {
+    if (typeof draft[field] === 'string') collector[field] = field === 'body' ? draft.body : draft[field].trim();
+  }
+  return collector;
+}
+
+// First problem with a collector, or null when it can run
+export function validateCollector(collector) {
+  if (!collector || typeof collector !== 'object') return 'Collector required';
+  if (typeof collector.url !== 'string') return 'URL is not valid';
+  let url;
+  try {
+    url = new URL(collector.url.replace(KEY_PLACEHOLDER, 'key'));
+  } catch (e) {
+    return 'URL is not valid';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return 'URL must start with http:// or https://';
+  if (!COLLECTOR_METHODS.includes(collector.method)) return `Method must be ${COLLECTOR_METHODS.join(' or ')}`;
+  if (collector.authHeader && !parseHeader(collector.authHeader)) return 'Auth header must look like "Name: value"';
+  if (!METRICS.some(metric => metric.id === collector.metric)) return 'Unknown metric';
+  if (collector.body && typeof collector.body !== 'string') return 'Body must be text';
+  if (!collector.usagePath) return 'Usage path required';
+  for (const field of PATH_FIELDS) {
+    if (collector[field] && !parsePath(collector[field])) return `${field.replace('Path', '')} path is not valid`;
+  }
+  return null;
+}
+
+// Whether saving `next` over `previous` would send the card's key somewhere
+// (or some way) it wasn't sent before. Removing a collector doesn't.
+export function changesCollectorTarget(previous, next) {
+  if (!next) return false;
+  if (!previous) return true;
+  return TARGET_FIELDS.some(field => (next[field] || '') !== (previous[field] || ''));
+}
@@ -0,0 +1,135 @@
+// End-of-period projections from usage history.
+// Pure module so it can be shared by the browser and Netlify functions.
+//
+// History records are period-to-date totals (see src/lib/history.js), so
+// they are first turned into daily increments over the last four weeks.
+// With enough of those, the projection is a least-squares line through the
+// daily increments times a day-of-week factor (weekday traffic vs. weekend
+// lulls); with two full weeks of data the factors are fitted, before that
+// every day counts the same. Windows shorter than two days, and cards
+// without enough history, fall back to the current window's run rate.
+// Days are UTC days so the browser and the server project the same thing.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_DAYS = 28;
+const MIN_TREND_DAYS = 3;
+const MIN_SEASONAL_DAYS = 14;
+// The run rate is too noisy before this much of the window has passed
+const MIN_ELAPSED_SHARE = 0.05;
+
+const utcDay = (time) => Math.floor(time / DAY_MS);
+
+// { [day number]: usage added that day } for complete days in the last
+// HISTORY_DAYS. A gap between samples is spread evenly over the days it covers.
+export function dailyIncrements(points, valueOf, now = new Date()) {
+  const today = utcDay(now.getTime());
+  const lastPerDay = new Map();
+  for (const point of points) {
+    const day = utcDay(new Date(point.timestamp).getTime());
+    if (day < today) lastPerDay.set(day, point);
+  }
+
+  const increments = {};
+  let previous = null;
+  for (const day of [...lastPerDay.keys()].sort((a, b) => a - b)) {
+    const point = lastPerDay.get(day);
+    const total = valueOf(point);
+    if (total == null) continue;
+    const samePeriod = previous && previous.point.periodStart === point.periodStart;
+    const added = samePeriod ? Math.max(0, total - previous.total) : total;
+    // A new period's first sample covers the days since it started
+    const periodStartDay = utcDay(new Date(point.periodStart || point.timestamp).getTime());
+    const since = samePeriod ? previous.day : Math.max(periodStartDay - 1, previous ? previous.day : -Infinity);
+    const span = Math.max(1, day - since);
+    for (let d = day - span + 1; d <= day; d++) {
+      if (d >= today - HISTORY_DAYS) increments[d] = added / span;
+    }
+    previous = { day, point, total };
+  }
+  return increments;
+}
+
+// Day-of-week multipliers averaging 1, or all 1s without two full weeks
+function weekdayFactors(increments) {
+  const days = Object.keys(increments).map(Number);
+  const factors = Array(7).fill(1);
+  if (days.length < MIN_SEASONAL_DAYS) return factors;
+
+  const sums = Array(7).fill(0);
+  const counts = Array(7).fill(0);
+  for (const day of days) {
+    const weekday = (day + 4) % 7; // day 0 was a Thursday
+    sums[weekday] += increments[day];
+    counts[weekday]++;
+  }
+  if (counts.some(count => count === 0)) return factors;
+  const means = sums.map((sum, i) => sum / counts[i]);
+  const overall = means.reduce((sum, mean) => sum + mean, 0) / 7;
+  return overall > 0 ? means.map(mean => mean / overall) : factors;
+}
+
+// Least-squares line through the deseasonalized increments: usage per day
+// as a function of the day number
+function fitTrend(increments, factors) {
+  const days = Object.keys(increments).map(Number);
+  const ys = days.map(day => increments[day] / (factors[(day + 4) % 7] || 1));
+  const n = days.length;
+  const meanX = days.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+  let covariance = 0;
+  let variance = 0;
+  days.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    variance += (x - meanX) ** 2;
+  });
+  const slope = variance > 0 ? covariance / variance : 0;
+  return (day) => Math.max(0, meanY + slope * (day - meanX));
+}
+
+// Where `current` will be when `window` ({ start, end }, as from getWindow)
+// resets, and when it crosses `limit` if that happens first:
+// { projected, exceedsAt: Date | null, method: 'seasonal' | 'linear' | 'run-rate' }.
+// `valueOf(point)` reads the figure being projected from a history record.
+// Null when there is nothing to project from.
+export function forecastPeriod({ points = [], current, limit = 0, window, valueOf, now = new Date() }) {
+  if (current == null || !window) return null;
+  const start = window.start.getTime();
+  const end = window.end.getTime();
+  const time = now.getTime();
+  if (time >= end) return null;
+
+  const exceeded = limit > 0 && current >= limit;
+  const increments = end - start >= 2 * DAY_MS ? dailyIncrements(points, valueOf, now) : {};
+  const sampleDays = Object.keys(increments).length;
+
+  if (sampleDays < MIN_TREND_DAYS) {
+    const elapsed = time - start;
+    if (elapsed < (end - start) * MIN_ELAPSED_SHARE) return null;
+    const rate = current / elapsed; // per ms
+    const projected = current + rate * (end - time);
+    const exceedsAt = !exceeded && limit > 0 && projected >= limit
+      ? new Date(time + (limit - current) / rate)
+      : null;
+    return { projected, exceedsAt, method: 'run-rate' };
+  }
+
+  const factors = weekdayFactors(increments);
+  const trend = fitTrend(increments, factors);
+  let projected = current;
+  let exceedsAt = null;
+  for (let from = time; from < end;) {
+    const day = utcDay(from);
+    const to = Math.min((day + 1) * DAY_MS, end);
+    const perMs = (trend(day) * factors[(day + 4) % 7]) / DAY_MS;
+    const added = perMs * (to - from);
+    if (!exceeded && !exceedsAt && limit > 0 && projected + added >= limit && perMs > 0) {
+      exceedsAt = new Date(from + (limit - projected) / perMs);
+    }
+    projected += added;
+    from = to;
+  }
+  return { projected, exceedsAt, method: factors.some(factor => factor !== 1) ? 'seasonal' : 'linear' };
+}
+
+// Oct 24
+export const formatDay = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
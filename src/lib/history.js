@@ -0,0 +1,51 @@
+// Helpers for turning recorded usage history into chartable daily series.
+
+import { metricValue } from './metrics';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// The chosen metric; without one, requests when the provider reports them,
+// otherwise total tokens
+export const pointValue = (point, metric) => {
+  if (metric) return metricValue(point, metric) ?? 0;
+  return point.requests ?? ((point.inputTokens || 0) + (point.outputTokens || 0));
+};
+
+// History records are period-to-date totals. This returns one entry per day
+// for the last `days` days with the usage added that day (null = no sample).
+export function toDailySeries(points = [], days = 30, now = new Date(), metric = null) {
+  const lastPerDay = new Map();
+  for (const point of points) {
+    lastPerDay.set(dayKey(point.timestamp), point);
+  }
+
+  const series = [];
+  let previous = null;
+  const sortedDays = [...lastPerDay.keys()].sort();
+  const firstDay = dayKey(now.getTime() - (days - 1) * DAY_MS);
+
+  // Seed `previous` with the last sample before the window so day one is a delta too
+  for (const key of sortedDays) {
+    if (key < firstDay) previous = lastPerDay.get(key);
+  }
+
+  for (let i = days - 1; i >= 0; i--) {
+    const key = dayKey(now.getTime() - i * DAY_MS);
+    const point = lastPerDay.get(key);
+    if (!point) {
+      series.push({ date: key, value: null });
+      continue;
+    }
+    const total = pointValue(point, metric);
+    const samePeriod = previous && previous.periodStart === point.periodStart;
+    series.push({ date: key, value: samePeriod ? Math.max(0, total - pointValue(previous, metric)) : total });
+    previous = point;
+  }
+
+  return series;
+}
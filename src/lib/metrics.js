@@ -0,0 +1,57 @@
+// Usage dimensions a provider's limits and cards can be based on.
+// Pure module so it can be shared by the browser and Netlify functions.
+//
+// Input tokens include cached ones; `cachedTokens` is the part of the input
+// served from the provider's prompt cache. A provider's request limit stays in
+// `provider.limit`; limits on the other dimensions live in
+// `provider.limits` ({ inputTokens, outputTokens, cachedTokens, totalTokens }),
+// and per-model limits in `provider.modelLimits` ([{ model, metric, limit }]).
+
+import { matchModel } from './pricing.js';
+
+export const METRICS = [
+  { id: 'requests', label: 'Requests', unit: 'calls' },
+  { id: 'inputTokens', label: 'Input tokens', unit: 'input tokens' },
+  { id: 'outputTokens', label: 'Output tokens', unit: 'output tokens' },
+  { id: 'cachedTokens', label: 'Cached tokens', unit: 'cached tokens' },
+  { id: 'totalTokens', label: 'Total tokens', unit: 'tokens' },
+];
+
+export const getMetric = (id) => METRICS.find(metric => metric.id === id) || METRICS[0];
+
+// Value of one dimension in a usage result (or per-model row); null = not reported
+export function metricValue(figures, metricId) {
+  if (!figures) return null;
+  if (metricId === 'totalTokens') {
+    if (figures.inputTokens == null && figures.outputTokens == null) return null;
+    return (figures.inputTokens || 0) + (figures.outputTokens || 0);
+  }
+  return figures[metricId] ?? null;
+}
+
+// Configured limit for one dimension, or 0 when there is none
+export function limitFor(provider, metricId) {
+  const value = metricId === 'requests' ? provider.limit : provider.limits?.[metricId];
+  return parseFloat(value) || 0;
+}
+
+// Per-model limits that apply to `model`. Like prices, an entry for "gpt-4o"
+// covers "gpt-4o-2024-08-06"; the most specific entry wins for each metric.
+export function modelLimitsFor(provider, model) {
+  const byMetric = {};
+  for (const entry of provider.modelLimits || []) {
+    const limit = parseFloat(entry.limit) || 0;
+    if (!limit || !matchModel(model, [entry.model])) continue;
+    const current = byMetric[entry.metric];
+    if (!current || entry.model.length > current.model.length) byMetric[entry.metric] = { ...entry, limit };
+  }
+  return Object.values(byMetric);
+}
+
+// 1234567 -> "1.2M"
+export function formatCount(value) {
+  if (value == null) return '—';
+  if (value >= 1_000_000) return `${(value / 1_000_000).toFixed(1).replace(/\.0$/, '')}M`;
+  if (value >= 10_000) return `${(value / 1_000).toFixed(1).replace(/\.0$/, '')}k`;
+  return Math.round(value).toLocaleString();
+}
@@ -0,0 +1,146 @@
+// Reset-period windows, shared by the dashboard and the Netlify functions.
+//
+// A provider's settings pick the window its limits apply to:
+//   resetPeriod  'per-minute' | 'hourly' | 'daily' | 'monthly'
+//   anchorDay    day of the month a monthly window starts on (1-31; months
+//                shorter than that start on their last day)
+//   timeZone     IANA zone the window boundaries fall in (default UTC)
+// getWindow() returns the window containing `now` as { start, end }, where
+// `end` is the moment the counter resets.
+
+export const RESET_PERIODS = [
+  { id: 'per-minute', label: 'Per Minute' },
+  { id: 'hourly', label: 'Hourly' },
+  { id: 'daily', label: 'Daily' },
+  { id: 'monthly', label: 'Monthly' },
+];
+
+export const DEFAULT_PERIOD = { resetPeriod: 'monthly', anchorDay: 1, timeZone: 'UTC' };
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// Normalized period settings from a provider (or anything with the same fields)
+export function periodSettings(source) {
+  source = source || {};
+  const resetPeriod = RESET_PERIODS.some(p => p.id === source.resetPeriod)
+    ? source.resetPeriod
+    : DEFAULT_PERIOD.resetPeriod;
+  const anchorDay = Math.min(Math.max(parseInt(source.anchorDay) || 1, 1), 31);
+  const timeZone = source.timeZone && isValidTimeZone(source.timeZone) ? source.timeZone : DEFAULT_PERIOD.timeZone;
+  return { resetPeriod, anchorDay, timeZone };
+}
+
+// IANA zones for pickers, UTC first
+export const listTimeZones = () => {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return ['UTC', ...zones.filter(zone => zone !== 'UTC')];
+};
+
+const formatters = new Map();
+
+// Wall-clock fields of `date` in `timeZone`
+function zonedParts(date, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }));
+  }
+  const parts = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = parseInt(value);
+  }
+  return parts;
+}
+
+// The instant a wall-clock time in `timeZone` refers to. Date.UTC normalizes
+// overflowing fields (day 32, hour 24), which the callers rely on.
+function zonedTime(timeZone, year, month, day = 1, hour = 0, minute = 0) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  let instant = wallClock;
+  // Two passes settle the offset even when it changes in between (DST)
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(new Date(instant), timeZone);
+    const offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - instant;
+    instant = wallClock - offset;
+  }
+  return new Date(instant);
+}
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const monthlyStart = (timeZone, year, month, anchorDay) =>
+  zonedTime(timeZone, year, month, Math.min(anchorDay, daysInMonth(year, month)));
+
+export function getWindow(settings = DEFAULT_PERIOD, now = new Date()) {
+  const { resetPeriod, anchorDay, timeZone } = periodSettings(settings);
+  const p = zonedParts(now, timeZone);
+
+  switch (resetPeriod) {
+    case 'per-minute': {
+      const start = zonedTime(timeZone, p.year, p.month, p.day, p.hour, p.minute);
+      return { start, end: new Date(start.getTime() + 60 * 1000) };
+    }
+    case 'hourly': {
+      const start = zonedTime(timeZone, p.year, p.month, p.day, p.hour);
+      return { start, end: zonedTime(timeZone, p.year, p.month, p.day, p.hour + 1) };
+    }
+    case 'daily':
+      return {
+        start: zonedTime(timeZone, p.year, p.month, p.day),
+        end: zonedTime(timeZone, p.year, p.month, p.day + 1),
+      };
+    default: {
+      // Before this month's anchor we are still in the window that began last month
+      let year = p.year;
+      let month = p.month;
+      if (p.day < Math.min(anchorDay, daysInMonth(year, month))) {
+        month -= 1;
+        if (month === 0) {
+          month = 12;
+          year -= 1;
+        }
+      }
+      const nextYear = month === 12 ? year + 1 : year;
+      const nextMonth = month === 12 ? 1 : month + 1;
+      return {
+        start: monthlyStart(timeZone, year, month, anchorDay),
+        end: monthlyStart(timeZone, nextYear, nextMonth, anchorDay),
+      };
+    }
+  }
+}
+
+// 273600000 -> "3d 4h"; only the two largest units are shown
+export function formatCountdown(ms) {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  const units = [
+    ['d', Math.floor(seconds / 86400)],
+    ['h', Math.floor(seconds / 3600) % 24],
+    ['m', Math.floor(seconds / 60) % 60],
+    ['s', seconds % 60],
+  ];
+  const first = units.findIndex(([, value]) => value > 0);
+  if (first === -1) return '0s';
+  return units.slice(first, first + 2)
+    .filter(([, value]) => value > 0)
+    .map(([unit, value]) => `${value}${unit}`)
+    .join(' ');
+}
+
+// Short description of when a window resets, e.g. "monthly on the 14th (Europe/Berlin)"
+export function describePeriod(settings) {
+  const { resetPeriod, anchorDay, timeZone } = periodSettings(settings);
+  if (resetPeriod !== 'monthly') return `${RESET_PERIODS.find(p => p.id === resetPeriod).label.toLowerCase()} (${timeZone})`;
+  const suffix = [11, 12, 13].includes(anchorDay % 100) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[anchorDay % 10] || 'th');
+  return `monthly on the ${anchorDay}${suffix} (${timeZone})`;
+}
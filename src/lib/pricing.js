@@ -0,0 +1,75 @@
+// Per-model token prices and cost estimation.
+// Prices are USD per 1M tokens. Users can edit the table in Settings; these
+// defaults are only the starting point and will drift from list prices.
+// Pure module so it can be shared by the browser and Netlify functions.
+
+export const DEFAULT_PRICES = {
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'o3': { input: 2, output: 8 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'sonar': { input: 1, output: 1 },
+  'sonar-pro': { input: 3, output: 15 },
+  'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+  'command-r': { input: 0.15, output: 0.6 },
+  'command-r-plus': { input: 2.5, output: 10 },
+};
+
+// Dated or suffixed model names ("gpt-4o-2024-08-06") fall back to the
+// longest of `names` they start with.
+export function matchModel(model, names) {
+  if (!model) return null;
+  if (names.includes(model)) return model;
+  return names
+    .filter(name => name && model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0] || null;
+}
+
+export function findPrice(model, prices = DEFAULT_PRICES) {
+  const match = matchModel(model, Object.keys(prices));
+  return match ? prices[match] : null;
+}
+
+// Returns the estimated USD cost, or null when the model has no price or
+// there are no token counts to price.
+export function estimateCost({ inputTokens, outputTokens }, model, prices = DEFAULT_PRICES) {
+  const price = findPrice(model, prices);
+  if (!price || (inputTokens == null && outputTokens == null)) return null;
+  return ((inputTokens || 0) * price.input + (outputTokens || 0) * price.output) / 1_000_000;
+}
+
+// Spend for one provider's usage result: the billed amount when the provider
+// reports one, otherwise an estimate - per model when the result has a
+// per-model breakdown, else from total tokens and the provider's pricing model.
+export function getSpend(result, pricingModel, prices = DEFAULT_PRICES) {
+  if (!result || result.status !== 'ok') return null;
+  if (result.cost != null) return { amount: result.cost, estimated: false };
+
+  const modelSpends = Object.entries(result.models || {})
+    .map(([model, figures]) => getModelSpend(figures, model, prices))
+    .filter(Boolean);
+  if (modelSpends.length > 0) {
+    return { amount: modelSpends.reduce((sum, spend) => sum + spend.amount, 0), estimated: true };
+  }
+
+  const amount = estimateCost(result, pricingModel, prices);
+  return amount === null ? null : { amount, estimated: true };
+}
+
+// Spend for one row of a result's per-model breakdown, priced by its own model
+export function getModelSpend(figures, model, prices = DEFAULT_PRICES) {
+  if (!figures) return null;
+  if (figures.cost != null) return { amount: figures.cost, estimated: false };
+  const amount = estimateCost(figures, model, prices);
+  return amount === null ? null : { amount, estimated: true };
+}
+
+export const formatUsd = (amount) =>
+  `$${amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
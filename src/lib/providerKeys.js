@@ -0,0 +1,81 @@
+// Named keys (or projects) tracked separately under one provider card.
+// Pure module so it can be shared by the browser and Netlify functions.
+//
+// `provider.keys` is [{ id, label, limit, keyRef? }], where `limit` is the
+// key's own request limit and `keyRef` its vault entry. Cards from before
+// named keys had a single key (`api_key_${provider.id}` / `provider.keyRef`);
+// that key is the 'default' entry, so its storage and usage id don't change.
+
+export const DEFAULT_KEY_ID = 'default';
+
+export function providerKeys(provider) {
+  if (Array.isArray(provider.keys) && provider.keys.length > 0) return provider.keys;
+  return [{ id: DEFAULT_KEY_ID, label: '', limit: '', keyRef: provider.keyRef || null }];
+}
+
+export const newKey = () => ({ id: Math.random().toString(36).slice(2, 10), label: '', limit: '', keyRef: null });
+
+export const keyLabel = (key, index = 0) => key.label || (key.id === DEFAULT_KEY_ID ? 'Default' : `Key ${index + 1}`);
+
+// Id a key's usage is reported under; the default key keeps the card's id
+export const usageIdFor = (provider, key) =>
+  key.id === DEFAULT_KEY_ID ? provider.id : `${provider.id}:${key.id}`;
+
+// Card a usage id belongs to
+export const cardIdOf = (usageId) => usageId.split(':')[0];
+
+// localStorage item for a key kept in this browser
+export const localKeyItem = (provider, key) => `api_key_${usageIdFor(provider, key)}`;
+
+const FIGURES = ['requests', 'inputTokens', 'outputTokens', 'cachedTokens', 'cost'];
+
+// Sum of one figure, or null when none of the items report it
+const sumFigure = (items, field) =>
+  items.some(item => item?.[field] != null) ? items.reduce((sum, item) => sum + (item?.[field] || 0), 0) : null;
+
+const sumFigures = (items) => Object.fromEntries(FIGURES.map(field => [field, sumFigure(items, field)]));
+
+// One result covering all of a card's keys: figures and per-model rows are
+// summed over the keys that reported. Metering and rate-limit info come from
+// the first such key (the proxy meters the provider as a whole).
+export function combineResults(results) {
+  const present = results.filter(Boolean);
+  if (present.length <= 1) return present[0] || null;
+  const ok = present.filter(result => result.status === 'ok');
+  if (ok.length === 0) return present[0];
+
+  const models = {};
+  for (const result of ok) {
+    for (const [model, figures] of Object.entries(result.models || {})) {
+      models[model] = sumFigures([models[model], figures]);
+    }
+  }
+  return { ...ok[0], ...sumFigures(ok), models };
+}
+
+// A card's usage history from its keys' ({ [usageId]: records }, oldest first,
+// as from usage-history): at each key's sample, the latest record of every
+// key in that sample's period added up, so multi-key cards chart and
+// forecast like single-key ones.
+export function combineHistory(provider, history) {
+  const series = providerKeys(provider)
+    .map(key => history[usageIdFor(provider, key)] || [])
+    .filter(records => records.length > 0);
+  if (series.length <= 1) return series[0] || [];
+
+  const samples = series
+    .flatMap((records, index) => records.map(record => ({ index, record })))
+    .sort((a, b) => a.record.timestamp.localeCompare(b.record.timestamp));
+  const latest = [];
+  return samples.map(({ index, record }) => {
+    latest[index] = record;
+    const current = latest.filter(item => item && item.periodStart === record.periodStart);
+    const models = {};
+    for (const item of current) {
+      for (const [model, figures] of Object.entries(item.models || {})) {
+        models[model] = sumFigures([models[model], figures]);
+      }
+    }
+    return { ...sumFigures(current), models, timestamp: record.timestamp, periodStart: record.periodStart };
+  });
+}
@@ -0,0 +1,76 @@
+// Loading usage figures for the dashboard.
+// Responses look like { [providerId]: requests, details: { [providerId]: result }, last_updated }.
+
+import { apiFetch } from './api';
+
+const ENDPOINT = '/.netlify/functions/get-usage';
+const RUNS_ENDPOINT = '/.netlify/functions/usage-runs';
+const HISTORY_ENDPOINT = '/.netlify/functions/usage-history';
+
+// A key with no usage collector doesn't hide figures the server already has
+// for its card (reported through /api/usage/events)
+export function mergeUsage(base, incoming) {
+  const merged = { ...base, ...incoming, details: { ...(base.details || {}) } };
+  for (const [id, detail] of Object.entries(incoming.details || {})) {
+    if (detail?.status === 'unsupported' && base.details?.[id]?.status === 'ok') {
+      merged[id] = base[id];
+      continue;
+    }
+    merged.details[id] = detail;
+  }
+  return merged;
+}
+
+// Server-side keys (env + vault, sent with the session). Falls back to the
+// snapshot stored by the last scheduled refresh when a live collection fails.
+export async function fetchServerUsage() {
+  try {
+    const response = await apiFetch(ENDPOINT);
+    if (!response.ok) throw new Error('Function not available');
+    return await response.json();
+  } catch (error) {
+    console.log("Falling back to the last scheduled refresh");
+    const { latest } = await fetchUsageRuns();
+    if (!latest) throw error;
+    return latest;
+  }
+}
+
+// Status and recent run log of the scheduled refresh (signed-in users only)
+export async function fetchUsageRuns(limit = 10) {
+  const response = await apiFetch(`${RUNS_ENDPOINT}?limit=${limit}`);
+  if (!response.ok) throw new Error('Run log not available');
+  return response.json();
+}
+
+// Recorded history of the environment keys and the active workspace since
+// `from`, as { [id]: records } (see combineHistory in providerKeys.js)
+export async function fetchUsageHistory(from) {
+  const response = await apiFetch(`${HISTORY_ENDPOINT}?from=${encodeURIComponent(from.toISOString())}`);
+  if (!response.ok) throw new Error('History not available');
+  return (await response.json()).history || {};
+}
+
+// Keys kept in this browser go through the same function so providers that
+// block CORS still work. With a session, the server also records the results
+// into the workspace's history. Every key gets a result - an error one if the
+// proxy itself is unreachable - so nothing is silently left at zero.
+export async function fetchLocalKeyUsage(keys) {
+  try {
+    const response = await apiFetch(ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ keys }),
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || `Usage proxy returned ${response.status}`);
+    return data;
+  } catch (error) {
+    const failed = { details: {} };
+    keys.forEach(({ providerId }) => {
+      failed[providerId] = 0;
+      failed.details[providerId] = { status: 'error', error: error.message || 'Usage proxy unavailable' };
+    });
+    return failed;
+  }
+}
@@ -0,0 +1,187 @@
+// Keeps the provider list in sync with the server for logged-in users, per
+// workspace (see useWorkspaces).
+//
+// localStorage still holds the working copy (so anonymous use is unchanged).
+// Alongside it we remember the server version and a snapshot of the list as
+// it was at the last sync, so "changed locally" is just a comparison. On login:
+//   - nothing on the server yet          -> upload the local list
+//   - local unchanged since last sync    -> take the server copy
+//   - local changed, server unchanged    -> upload the local list
+//   - both changed                       -> report a conflict for the user to resolve
+// Later edits are pushed with the version they were based on; a 409 from the
+// server means another device got there first, which is also a conflict.
+// Switching workspaces just loads the other workspace's list, and viewers
+// always take the server copy and never push; nothing happens until the
+// caller's role in the workspace is known.
+//
+// The working copy belongs to the account it was last synced for: signing
+// out (or finding the session gone) clears it, and a list last synced for
+// another account is never uploaded.
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useAuth } from './auth';
+import { apiFetch } from './api';
+
+const ENDPOINT = '/api/providers';
+const META_KEY = 'api_providers_sync';
+const PUSH_DELAY_MS = 1000;
+
+const EMPTY_META = { userId: null, workspaceId: null, version: 0, snapshot: null };
+
+const loadMeta = () => {
+  try {
+    const meta = JSON.parse(localStorage.getItem(META_KEY)) || EMPTY_META;
+    // Synced before workspaces: the list was the user's, i.e. their personal workspace's
+    return meta.workspaceId || !meta.userId ? meta : { ...meta, workspaceId: meta.userId };
+  } catch (e) {
+    return EMPTY_META;
+  }
+};
+
+// Every provider from both lists; where both have the same id, this device wins
+export const mergeProviders = (local, remote) => {
+  const localIds = new Set(local.map(p => p.id));
+  return [...local, ...remote.filter(p => !localIds.has(p.id))];
+};
+
+// `workspace` is { id, role } of the workspace being shown
+export function useProviderSync(providers, setProviders, workspace) {
+  const { user, isLoading } = useAuth();
+  const workspaceId = user ? workspace?.id : null;
+  const roleKnown = Boolean(workspace?.role);
+  const readOnly = workspace?.role === 'viewer';
+  const [conflict, setConflict] = useState(null); // { remote: { providers, version, updatedAt } }
+  const [status, setStatus] = useState('idle'); // idle | syncing | synced | error
+  const meta = useRef(loadMeta());
+  const ready = useRef(false); // initial reconciliation done for this workspace
+  const reconciled = useRef(null); // { userId, workspaceId } last reconciled
+  const latestProviders = useRef(providers);
+  latestProviders.current = providers;
+
+  const markSynced = (workspaceId, version, list) => {
+    meta.current = { userId: user.id, workspaceId, version, snapshot: JSON.stringify(list) };
+    localStorage.setItem(META_KEY, JSON.stringify(meta.current));
+  };
+
+  // A list last synced by someone else (or never synced) counts as changed
+  const isLocalChanged = (workspaceId, list) => {
+    if (meta.current.workspaceId !== workspaceId) return list.length > 0;
+    return JSON.stringify(list) !== meta.current.snapshot;
+  };
+
+  const push = useCallback(async (list, baseVersion) => {
+    setStatus('syncing');
+    try {
+      const res = await apiFetch(ENDPOINT, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ providers: list, baseVersion }),
+      });
+      const data = await res.json();
+      if (res.status === 409) {
+        setConflict({ remote: data });
+        setStatus('idle');
+        return;
+      }
+      if (!res.ok) throw new Error(data.error || 'Sync failed');
+      markSynced(workspaceId, data.version, list);
+      setStatus('synced');
+    } catch (error) {
+      console.error('Provider sync failed:', error);
+      setStatus('error');
+    }
+  }, [user?.id, workspaceId]);
+
+  const applyRemote = useCallback((remote) => {
+    markSynced(workspaceId, remote.version, remote.providers);
+    setProviders(remote.providers);
+    setStatus('synced');
+  }, [user?.id, workspaceId, setProviders]);
+
+  // Signed out: drop the last account's list from this device
+  useEffect(() => {
+    if (isLoading || user || !meta.current.workspaceId) return;
+    localStorage.removeItem(META_KEY);
+    meta.current = EMPTY_META;
+    setProviders([]);
+  }, [isLoading, user, setProviders]);
+
+  // Reconcile once per login and workspace, once the role is known
+  useEffect(() => {
+    ready.current = false;
+    setConflict(null);
+    if (!user || !workspaceId) {
+      reconciled.current = null;
+      setStatus('idle');
+      return;
+    }
+    if (!roleKnown) return;
+    // The list on screen belongs to the previous workspace, not to this one
+    const switching = reconciled.current?.userId === user.id && reconciled.current.workspaceId !== workspaceId;
+    // ...or to another account, which must never end up in this one
+    const foreign = Boolean(meta.current.userId) && meta.current.userId !== user.id;
+
+    let cancelled = false;
+    setStatus('syncing');
+    apiFetch(ENDPOINT)
+      .then(res => {
+        if (!res.ok) throw new Error('Provider sync not available');
+        return res.json();
+      })
+      .then(remote => {
+        if (cancelled) return;
+        const local = latestProviders.current;
+        const sameVersion = meta.current.workspaceId === workspaceId && remote.version === meta.current.version;
+        reconciled.current = { userId: user.id, workspaceId };
+
+        if (switching || foreign || readOnly) {
+          applyRemote(remote);
+        } else if (remote.version === 0) {
+          push(local, 0);
+        } else if (!isLocalChanged(workspaceId, local)) {
+          applyRemote(remote);
+        } else if (sameVersion) {
+          push(local, remote.version);
+        } else {
+          setConflict({ remote });
+          setStatus('idle');
+        }
+        ready.current = true;
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error(error);
+        setStatus('error');
+      });
+
+    return () => { cancelled = true; };
+  }, [user?.id, workspaceId, roleKnown]);
+
+  // Push local edits once reconciled
+  useEffect(() => {
+    if (!user || readOnly || !ready.current || conflict || !isLocalChanged(workspaceId, providers)) return;
+    const timer = setTimeout(() => push(providers, meta.current.version), PUSH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [providers, user, readOnly, conflict, push]);
+
+  // choice: 'local' (keep this device), 'remote' (use synced copy) or 'merge'
+  const resolveConflict = useCallback((choice) => {
+    if (!conflict) return;
+    const { remote } = conflict;
+    setConflict(null);
+    ready.current = true;
+
+    if (choice === 'remote') {
+      applyRemote(remote);
+      return;
+    }
+
+    const list = choice === 'merge'
+      ? mergeProviders(latestProviders.current, remote.providers)
+      : latestProviders.current;
+    if (choice === 'merge') setProviders(list);
+    push(list, remote.version);
+  }, [conflict, applyRemote, push, setProviders]);
+
+  return { conflict, resolveConflict, status };
+}
@@ -0,0 +1,98 @@
+// The workspaces a logged-in user belongs to and the one the dashboard shows.
+//
+// The active workspace id lives in localStorage so apiFetch can send it with
+// every request; without one (or when logged out) the server falls back to
+// the user's personal workspace, whose id is the user id. An `?invite=` link
+// is accepted here once the user is logged in, then the dashboard switches
+// to the workspace it was for.
+
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from './auth';
+import { getActiveWorkspaceId, setActiveWorkspaceId } from './api';
+import { listWorkspaces, createWorkspace as createWorkspaceRequest, acceptInvite } from './workspaces';
+
+const takeInviteToken = () => {
+  const params = new URLSearchParams(window.location.search);
+  const token = params.get('invite');
+  if (token) {
+    params.delete('invite');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  }
+  return token;
+};
+
+export function useWorkspaces() {
+  const { user, isLoading, setShowAuthModal, setAuthModalMode } = useAuth();
+  const [workspaces, setWorkspaces] = useState([]);
+  const [storedId, setStoredId] = useState(getActiveWorkspaceId);
+  const [inviteToken, setInviteToken] = useState(takeInviteToken);
+  const [notice, setNotice] = useState(null); // { type: 'success' | 'error', message }
+
+  const switchWorkspace = useCallback((id) => {
+    setActiveWorkspaceId(id);
+    setStoredId(id);
+  }, []);
+
+  const reload = useCallback(async () => {
+    const list = await listWorkspaces();
+    setWorkspaces(list);
+    return list;
+  }, []);
+
+  useEffect(() => {
+    if (!user) {
+      setWorkspaces([]);
+      if (!isLoading) switchWorkspace(null);
+      return;
+    }
+    reload()
+      .then(list => {
+        // Dropped from a workspace since last time: back to the personal one
+        const current = getActiveWorkspaceId();
+        if (current && !list.some(w => w.id === current)) switchWorkspace(null);
+      })
+      .catch(err => console.error('Failed to load workspaces', err));
+  }, [user?.id, isLoading]);
+
+  useEffect(() => {
+    if (!inviteToken || isLoading) return;
+    if (!user) {
+      setAuthModalMode('login');
+      setShowAuthModal(true);
+      return;
+    }
+    acceptInvite(inviteToken)
+      .then(async (workspace) => {
+        await reload();
+        switchWorkspace(workspace.id);
+        setNotice({ type: 'success', message: `You joined ${workspace.name} as ${workspace.role}.` });
+      })
+      .catch(error => setNotice({ type: 'error', message: error.message }))
+      .finally(() => setInviteToken(null));
+  }, [inviteToken, user?.id, isLoading]);
+
+  const createWorkspace = useCallback(async (name) => {
+    const workspace = await createWorkspaceRequest(name);
+    await reload();
+    switchWorkspace(workspace.id);
+    return workspace;
+  }, [reload, switchWorkspace]);
+
+  const activeId = user ? (storedId || user.id) : null;
+  const active = workspaces.find(w => w.id === activeId) ||
+    (user && activeId === user.id ? { id: user.id, name: 'Personal', role: 'owner', personal: true } : null);
+
+  return {
+    workspaces,
+    active,
+    // Known before the list loads, so syncing can start right away
+    activeId,
+    role: active?.role || null,
+    switchWorkspace,
+    createWorkspace,
+    reload,
+    notice,
+    dismissNotice: () => setNotice(null),
+  };
+}
@@ -0,0 +1,26 @@
+// Client for the server-side key vault (/api/keys). Keys go up once and
+// only come back masked; everything else refers to them by id.
+
+import { apiFetch } from './api';
+
+const BASE_URL = '/api/keys';
+
+async function request(path, init = {}) {
+  const res = await apiFetch(`${BASE_URL}${path}`, {
+    ...init,
+    headers: { 'Content-Type': 'application/json', ...(init.headers || {}) },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Key vault request failed (${res.status})`);
+  return data;
+}
+
+export const listVaultKeys = async () => (await request('')).keys;
+
+export const saveVaultKey = async ({ providerId, provider, label, apiKey }) =>
+  (await request('', { method: 'POST', body: JSON.stringify({ providerId, provider, label, apiKey }) })).key;
+
+export const rotateVaultKey = async (keyId, apiKey) =>
+  (await request(`/${keyId}/rotate`, { method: 'POST', body: JSON.stringify({ apiKey }) })).key;
+
+export const deleteVaultKey = (keyId) => request(`/${keyId}`, { method: 'DELETE' });
@@ -0,0 +1,44 @@
+// Client for team workspaces (/api/workspaces). Roles, from most to least
+// access: owner (keys and members), editor (providers and limits), viewer.
+
+import { apiFetch } from './api';
+
+const BASE_URL = '/api/workspaces';
+
+export const ROLES = [
+  { id: 'owner', label: 'Owner' },
+  { id: 'editor', label: 'Editor' },
+  { id: 'viewer', label: 'Viewer' },
+];
+
+async function request(path, init = {}) {
+  const res = await apiFetch(`${BASE_URL}${path}`, {
+    ...init,
+    headers: { 'Content-Type': 'application/json', ...(init.headers || {}) },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Workspace request failed (${res.status})`);
+  return data;
+}
+
+export const listWorkspaces = async () => (await request('')).workspaces;
+
+export const createWorkspace = async (name) =>
+  (await request('', { method: 'POST', body: JSON.stringify({ name }) })).workspace;
+
+export const acceptInvite = async (token) =>
+  (await request('/accept', { method: 'POST', body: JSON.stringify({ token }) })).workspace;
+
+export const listMembers = (workspaceId) => request(`/${workspaceId}/members`);
+
+export const inviteMember = async (workspaceId, email, role) =>
+  (await request(`/${workspaceId}/invites`, { method: 'POST', body: JSON.stringify({ email, role }) })).invite;
+
+export const revokeInvite = (workspaceId, token) =>
+  request(`/${workspaceId}/invites/${token}`, { method: 'DELETE' });
+
+export const updateMemberRole = async (workspaceId, userId, role) =>
+  (await request(`/${workspaceId}/members/${userId}`, { method: 'PATCH', body: JSON.stringify({ role }) })).members;
+
+export const removeMember = async (workspaceId, userId) =>
+  (await request(`/${workspaceId}/members/${userId}`, { method: 'DELETE' })).members;
@@ -0,0 +1,112 @@
+// Alert rules: what a PUT may save, and alerts only going to the
+// workspace's own destinations.
+
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { startStub } from './stubServer.js';
+import { saveUser } from '../netlify/lib/authStore.js';
+import {
+  validateAlertRules,
+  saveAlertRules,
+  loadAlertRules,
+  runAlerts,
+  listAlertWorkspaces,
+} from '../netlify/lib/alerts/index.js';
+
+process.env.STORAGE_BACKEND = 'memory';
+const dataDir = mkdtempSync(path.join(tmpdir(), 'alerts-test-'));
+process.env.DATA_DIR = dataDir;
+
+const rule = (alerts = {}) => ({
+  provider: 'card-1',
+  name: 'Card',
+  limit: 100,
+  alerts: { usage: [80, 100], spend: [], channels: ['webhook'], projected: false, ...alerts },
+});
+
+const result = {
+  provider: 'card-1',
+  status: 'ok',
+  requests: 90,
+  periodStart: '2026-03-01T00:00:00.000Z',
+};
+
+let stub;
+
+before(async () => {
+  stub = await startStub({ 'POST /hook': { ok: true } });
+});
+
+after(async () => {
+  await stub.close();
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  delete process.env.COLLECTOR_ALLOW_PRIVATE_HOSTS;
+});
+
+test('accepts the rules the settings dialog sends', () => {
+  assert.equal(validateAlertRules({ providers: [rule()], prices: {} }), null);
+  assert.equal(validateAlertRules({ providers: [{ provider: 'card-1' }] }), null);
+  assert.equal(validateAlertRules({ providers: [], destinations: { webhookUrl: 'https://example.com/hook', slackWebhookUrl: '' } }), null);
+});
+
+test('rejects thresholds, channels and flags the engine cannot use', () => {
+  assert.match(validateAlertRules({}), /providers array required/);
+  assert.match(validateAlertRules({ providers: ['card-1'] }), /must be an object/);
+  assert.match(validateAlertRules({ providers: [rule({ usage: 80 })] }), /alerts.usage must be a list/);
+  assert.match(validateAlertRules({ providers: [rule({ spend: ['80'] })] }), /alerts.spend must be a list/);
+  assert.match(validateAlertRules({ providers: [rule({ usage: [Infinity] })] }), /alerts.usage/);
+  assert.match(validateAlertRules({ providers: [rule({ channels: ['pager'] })] }), /alerts.channels may only list smtp, webhook, slack/);
+  assert.match(validateAlertRules({ providers: [rule({ projected: 'yes' })] }), /alerts.projected must be true or false/);
+  assert.match(validateAlertRules({ providers: [{ provider: 'card-1', modelLimits: {} }] }), /modelLimits/);
+  assert.match(validateAlertRules({ providers: [], prices: [] }), /prices must be an object/);
+});
+
+test('rejects destinations that are not public http(s) URLs', () => {
+  assert.match(validateAlertRules({ providers: [], destinations: { webhookUrl: 'ftp://example.com' } }), /http\(s\) URL/);
+  assert.match(validateAlertRules({ providers: [], destinations: { webhookUrl: 'not a url' } }), /must be a URL/);
+  assert.match(validateAlertRules({ providers: [], destinations: { slackWebhookUrl: 'http://169.254.169.254/' } }), /private address/);
+});
+
+test('keeps saved destinations when a save leaves them out', async () => {
+  await saveAlertRules('ws-keep', { providers: [rule()], prices: null, destinations: { webhookUrl: ' https://example.com/hook ' } });
+  await saveAlertRules('ws-keep', { providers: [rule()], prices: null });
+
+  const { destinations } = await loadAlertRules('ws-keep');
+  assert.deepEqual(destinations, { webhookUrl: 'https://example.com/hook', slackWebhookUrl: '' });
+});
+
+test('skips workspaces with nowhere to send alerts', async () => {
+  await saveAlertRules('ws-none', { providers: [rule()], prices: null });
+
+  assert.deepEqual(await runAlerts('ws-none', { 'card-1': result }), []);
+  assert.ok(!(await listAlertWorkspaces()).includes('ws-none'));
+});
+
+test('counts only verified owner addresses as a destination', async () => {
+  await saveUser({ id: 'user-unverified', email: 'new@example.com', emailVerified: false });
+  await saveAlertRules('user-unverified', { providers: [rule({ channels: ['smtp'] })], prices: null });
+  assert.ok(!(await listAlertWorkspaces()).includes('user-unverified'));
+
+  await saveUser({ id: 'user-verified', email: 'owner@example.com', emailVerified: true });
+  await saveAlertRules('user-verified', { providers: [rule({ channels: ['smtp'] })], prices: null });
+  assert.ok((await listAlertWorkspaces()).includes('user-verified'));
+});
+
+test("posts to the workspace's own webhook", async () => {
+  process.env.COLLECTOR_ALLOW_PRIVATE_HOSTS = 'true';
+  await saveAlertRules('ws-hook', { providers: [rule()], prices: null, destinations: { webhookUrl: `${stub.url}/hook` } });
+
+  const alerts = await runAlerts('ws-hook', { 'card-1': result });
+
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].threshold, 80);
+  const sent = JSON.parse(stub.requests.at(-1).body);
+  assert.equal(sent.type, 'usage_alert');
+  assert.equal(sent.provider, 'card-1');
+});
@@ -0,0 +1,131 @@
+// Custom HTTP collectors against a local stub endpoint, and the guard that
+// keeps them off private addresses.
+
+import { test, after, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStub } from './stubServer.js';
+import { runCollector } from '../netlify/lib/providers/custom.js';
+import { isPrivateAddress, assertPublicHost } from '../netlify/lib/publicHttp.js';
+import { EMPTY_COLLECTOR } from '../src/lib/collectors.js';
+
+const period = {
+  start: new Date('2026-03-01T00:00:00Z'),
+  end: new Date('2026-03-10T00:00:00Z'),
+  resetsAt: new Date('2026-04-01T00:00:00Z'),
+};
+
+let stub;
+
+before(async () => {
+  stub = await startStub({
+    'GET /usage': { data: { used: 420, quota: 1000, reset_at: '2026-04-01T00:00:00Z' } },
+    'POST /usage': (req) => ({ body: { tokens: req.headers['content-type'] === 'application/json' ? 9000 : 0 } }),
+    'GET /echo': (req) => ({ body: { used: 1, auth: req.headers.authorization } }),
+    'GET /moved': () => ({ status: 302, headers: { Location: '/usage' }, body: {} }),
+    'GET /html': () => ({ body: '<html>nope</html>' }),
+    'GET /forbidden': () => ({ status: 403, body: { error: 'no' } }),
+  });
+});
+
+after(() => stub.close());
+
+afterEach(() => {
+  delete process.env.COLLECTOR_ALLOW_PRIVATE_HOSTS;
+});
+
+const collectorFor = (path, fields = {}) => ({
+  ...EMPTY_COLLECTOR,
+  url: `${stub.url}${path}`,
+  usagePath: '$.used',
+  ...fields,
+});
+
+test('reads usage, limit and reset time from the response', async () => {
+  process.env.COLLECTOR_ALLOW_PRIVATE_HOSTS = 'true';
+  const collector = collectorFor('/usage', {
+    usagePath: '$.data.used',
+    limitPath: '$.data.quota',
+    resetPath: '$.data.reset_at',
+  });
+
+  const { result, httpStatus, extracted } = await runCollector(collector, 'key-123', { period, id: 'card-1' });
+
+  assert.equal(httpStatus, 200);
+  assert.deepEqual(extracted, { usage: 420, limit: 1000, resetsAt: '2026-04-01T00:00:00.000Z' });
+  assert.equal(result.status, 'ok');
+  assert.equal(result.provider, 'card-1');
+  assert.equal(result.source, 'collector');
+  assert.equal(result.requests, 420);
+  assert.equal(result.limit, 1000);
+  assert.equal(stub.requests.at(-1).headers.authorization, 'Bearer key-123');
+});
+
+test('POST collectors send their body as JSON and can count tokens', async () => {
+  process.env.COLLECTOR_ALLOW_PRIVATE_HOSTS = 'true';
+  const collector = collectorFor('/usage', { method: 'POST', body: '{"key": "{{key}}"}', usagePath: '$.tokens', metric: 'totalTokens' });
+
+  const { result } = await runCollector(collector, 'key-123', { period });
+
+  assert.equal(result.inputTokens, 9000);
+  assert.equal(result.limitMetric, 'totalTokens');
+  assert.equal(stub.requests.at(-1).body, '{"key": "key-123"}');
+});
+
+test('never echoes the key back in the raw response', async () => {
+  process.env.COLLECTOR_ALLOW_PRIVATE_HOSTS = 'true';
+  const { raw } = await runCollector(collectorFor('/echo'), 'secret-key', { period });
+
+  assert.ok(!raw.includes('secret-key'));
+  assert.match(raw, /Bearer \[key\]/);
+});
+
+test('refuses redirects, non-JSON bodies and error statuses', async () => {
+  process.env.COLLECTOR_ALLOW_PRIVATE_HOSTS = 'true';
+
+  const moved = await runCollector(collectorFor('/moved'), 'k', { period });
+  assert.equal(moved.result.status, 'error');
+  assert.match(moved.result.error, /redirected \(HTTP 302\)/);
+
+  const html = await runCollector(collectorFor('/html'), 'k', { period });
+  assert.match(html.result.error, /did not return JSON/);
+  assert.equal(html.raw, '<html>nope</html>');
+
+  const forbidden = await runCollector(collectorFor('/forbidden'), 'k', { period });
+  assert.equal(forbidden.httpStatus, 403);
+  assert.match(forbidden.result.error, /HTTP 403/);
+});
+
+test('refuses loopback endpoints unless private hosts are allowed', async () => {
+  const before = stub.requests.length;
+
+  const literal = await runCollector(collectorFor('/usage'), 'k', { period });
+  assert.equal(literal.result.status, 'error');
+  assert.match(literal.result.error, /private address/);
+
+  const named = await runCollector({ ...collectorFor('/usage'), url: stub.url.replace('127.0.0.1', 'localhost') + '/usage' }, 'k', { period });
+  assert.equal(named.result.status, 'error');
+  assert.match(named.result.error, /private address/);
+
+  assert.equal(stub.requests.length, before);
+});
+
+test('treats internal and embedded-IPv4 addresses as private', () => {
+  for (const address of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fd00::1', 'fe80::1', 'ff02::1',
+    '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe', '64:ff9b::10.0.0.1', '2002:c0a8:0101::1', '::127.0.0.1',
+    'not-an-address',
+  ]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111', '::ffff:8.8.8.8', '64:ff9b::808:808']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('checks address-literal hosts in URLs, including bracketed IPv6', () => {
+  assert.throws(() => assertPublicHost(new URL('http://[::ffff:127.0.0.1]/')), { code: 'EPRIVATEHOST' });
+  assert.throws(() => assertPublicHost(new URL('http://169.254.169.254/latest/meta-data')), { code: 'EPRIVATEHOST' });
+  assert.doesNotThrow(() => assertPublicHost(new URL('http://8.8.8.8/')));
+  assert.doesNotThrow(() => assertPublicHost(new URL('http://example.com/')));
+});
@@ -0,0 +1,91 @@
+// End-of-period projections: daily increments from period-to-date history,
+// and the run-rate, linear and weekday-seasonal forecasts built on them.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dailyIncrements, forecastPeriod } from '../src/lib/forecast.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MARCH = '2026-03-01T00:00:00.000Z';
+const window = { start: new Date(MARCH), end: new Date('2026-04-01T00:00:00Z') };
+const valueOf = (point) => point.requests;
+const dayOf = (iso) => Math.floor(new Date(iso).getTime() / DAY_MS);
+
+// Period-to-date totals sampled at noon on each of `days` (1 = 1 March)
+const samples = (totals, periodStart = MARCH) => Object.entries(totals).map(([day, requests]) => ({
+  timestamp: `2026-03-${String(day).padStart(2, '0')}T12:00:00.000Z`,
+  periodStart,
+  requests,
+}));
+
+test('turns running totals into what each day added', () => {
+  const increments = dailyIncrements(samples({ 1: 10, 2: 30, 3: 60 }), valueOf, new Date('2026-03-10T00:00:00Z'));
+  assert.deepEqual(increments, { [dayOf('2026-03-01')]: 10, [dayOf('2026-03-02')]: 20, [dayOf('2026-03-03')]: 30 });
+});
+
+test('uses the last sample of each day and leaves out today', () => {
+  const points = [
+    ...samples({ 1: 10 }),
+    { timestamp: '2026-03-01T23:00:00.000Z', periodStart: MARCH, requests: 15 },
+    ...samples({ 2: 25, 3: 99 }),
+  ];
+  const increments = dailyIncrements(points, valueOf, new Date('2026-03-03T18:00:00Z'));
+  assert.deepEqual(increments, { [dayOf('2026-03-01')]: 15, [dayOf('2026-03-02')]: 10 });
+});
+
+test('spreads a gap between samples over the days it covers', () => {
+  const increments = dailyIncrements(samples({ 1: 10, 4: 40 }), valueOf, new Date('2026-03-10T00:00:00Z'));
+  assert.deepEqual(Object.values(increments), [10, 10, 10, 10]);
+});
+
+test('starts over when the period resets', () => {
+  const points = [
+    ...samples({ 1: 50, 2: 80 }, '2026-02-01T00:00:00.000Z'),
+    ...samples({ 3: 5 }, '2026-03-03T00:00:00.000Z'),
+  ];
+  const increments = dailyIncrements(points, valueOf, new Date('2026-03-10T00:00:00Z'));
+  assert.equal(increments[dayOf('2026-03-02')], 30);
+  assert.equal(increments[dayOf('2026-03-03')], 5);
+});
+
+test('falls back to the run rate without enough history', () => {
+  const now = new Date('2026-03-11T00:00:00Z');
+  const forecast = forecastPeriod({ current: 100, limit: 200, window, valueOf, now });
+
+  assert.equal(forecast.method, 'run-rate');
+  assert.ok(Math.abs(forecast.projected - 310) < 1e-6);
+  assert.equal(forecast.exceedsAt.toISOString(), '2026-03-21T00:00:00.000Z');
+});
+
+test('has nothing to say too early, too late or without a figure', () => {
+  assert.equal(forecastPeriod({ current: 5, window, valueOf, now: new Date('2026-03-01T12:00:00Z') }), null);
+  assert.equal(forecastPeriod({ current: 5, window, valueOf, now: new Date('2026-04-01T00:00:00Z') }), null);
+  assert.equal(forecastPeriod({ current: null, window, valueOf, now: new Date('2026-03-11T00:00:00Z') }), null);
+});
+
+test('projects a steady daily increase along a straight line', () => {
+  const totals = Object.fromEntries([1, 2, 3, 4, 5, 6, 7].map(day => [day, day * 10]));
+  const forecast = forecastPeriod({ points: samples(totals), current: 70, limit: 200, window, valueOf, now: new Date('2026-03-08T00:00:00Z') });
+
+  assert.equal(forecast.method, 'linear');
+  assert.ok(Math.abs(forecast.projected - 310) < 1e-6);
+  assert.ok(Math.abs(forecast.exceedsAt - new Date('2026-03-21T00:00:00Z')) < 1000);
+});
+
+test('expects nothing on days of the week that have been quiet', () => {
+  // 1 March 2026 is a Sunday: ten a day on weekdays, nothing at weekends
+  const totals = {};
+  let total = 0;
+  for (let day = 1; day <= 27; day++) {
+    const weekday = new Date(Date.UTC(2026, 2, day)).getUTCDay();
+    if (weekday !== 0 && weekday !== 6) total += 10;
+    totals[day] = total;
+  }
+  // Saturday the 28th, with Sunday to come before Monday's traffic
+  const now = new Date('2026-03-28T00:00:00Z');
+  const forecast = forecastPeriod({ points: samples(totals), current: total, limit: total + 1, window, valueOf, now });
+
+  assert.equal(forecast.method, 'seasonal');
+  assert.ok(forecast.exceedsAt >= new Date('2026-03-30T00:00:00Z'));
+  assert.ok(forecast.projected > total + 10 && forecast.projected < total + 25, String(forecast.projected));
+});
@@ -0,0 +1,65 @@
+// get-usage serves the environment keys' figures from the scheduled job's last
+// run: a page view never calls the providers or records history itself.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { startStub } from './stubServer.js';
+import { handler } from '../netlify/functions/get-usage.js';
+import { runUsageJob } from '../netlify/lib/usageJob.js';
+import { readHistory } from '../netlify/lib/history.js';
+
+process.env.STORAGE_BACKEND = 'memory';
+const dataDir = mkdtempSync(path.join(tmpdir(), 'get-usage-test-'));
+process.env.DATA_DIR = dataDir;
+
+let stub;
+
+before(async () => {
+  stub = await startStub({
+    'GET /v1/organization/usage/completions': { data: [{ results: [{ model: 'gpt-4o', num_model_requests: 3 }] }], has_more: false },
+    'GET /v1/organization/costs': { data: [], has_more: false },
+  });
+  process.env.OPENAI_BASE_URL = stub.url;
+  process.env.OPENAI_ADMIN_KEY = 'sk-admin-test';
+});
+
+after(async () => {
+  delete process.env.OPENAI_BASE_URL;
+  delete process.env.OPENAI_ADMIN_KEY;
+  await stub.close();
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+const get = async () => {
+  const response = await handler({ httpMethod: 'GET', headers: {} });
+  assert.equal(response.statusCode, 200);
+  return JSON.parse(response.body);
+};
+
+test('an anonymous GET before the first run collects nothing', async () => {
+  const usage = await get();
+
+  assert.equal(usage.last_updated, null);
+  assert.deepEqual(usage.details, {});
+  assert.equal(stub.requests.length, 0);
+  assert.deepEqual(await readHistory({ provider: 'openai' }), []);
+});
+
+test("an anonymous GET serves the last run's figures without collecting again", async () => {
+  await runUsageJob('cli');
+  const calls = stub.requests.length;
+  const recorded = (await readHistory({ provider: 'openai' })).length;
+  assert.ok(calls > 0);
+
+  const usage = await get();
+  await get();
+
+  assert.equal(usage.openai, 3);
+  assert.equal(usage.details.openai.status, 'ok');
+  assert.ok(usage.last_updated);
+  assert.equal(stub.requests.length, calls);
+  assert.equal((await readHistory({ provider: 'openai' })).length, recorded);
+});
@@ -0,0 +1,65 @@
+// Usage history: one file per workspace and month, old months pruned, and the
+// single file earlier versions wrote split up on first use.
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, existsSync, readdirSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { appendHistory, readHistory, deleteHistory } from '../netlify/lib/history.js';
+
+const dataDir = mkdtempSync(path.join(tmpdir(), 'history-test-'));
+process.env.DATA_DIR = dataDir;
+
+after(() => {
+  delete process.env.HISTORY_RETENTION_MONTHS;
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+const ok = (requests) => ({ status: 'ok', requests, periodStart: '2026-01-01T00:00:00.000Z' });
+const months = (...parts) => readdirSync(path.join(dataDir, 'usage-history', ...parts)).sort();
+
+test('splits the legacy single file by workspace and month', async () => {
+  const legacy = path.join(dataDir, 'usage-history.jsonl');
+  writeFileSync(legacy, [
+    JSON.stringify({ provider: 'openai', timestamp: '2025-12-31T23:00:00.000Z', requests: 1 }),
+    JSON.stringify({ provider: 'card-1', workspace: 'ws-1', timestamp: '2026-01-02T00:00:00.000Z', requests: 2 }),
+    '{"provider": "openai", "timest',
+  ].join('\n') + '\n');
+
+  const records = await readHistory({ provider: 'openai' });
+
+  assert.deepEqual(records.map(r => r.requests), [1]);
+  assert.equal(existsSync(legacy), false);
+  assert.deepEqual(months('env'), ['2025-12.jsonl']);
+  assert.deepEqual(months('workspaces', 'ws-1'), ['2026-01.jsonl']);
+});
+
+test('keeps workspaces apart and reads only the months asked for', async () => {
+  await appendHistory({ openai: ok(10) }, new Date('2026-01-15T00:00:00Z'));
+  await appendHistory({ 'card-1': ok(20) }, new Date('2026-02-15T00:00:00Z'), 'ws-1');
+  await appendHistory({ 'card-1': ok(30) }, new Date('2026-02-16T00:00:00Z'), 'ws-2');
+  await appendHistory({ openai: { status: 'error', error: 'nope' } }, new Date('2026-02-16T00:00:00Z'));
+
+  const ws1 = await readHistory({ workspace: 'ws-1', from: '2026-02-01T00:00:00Z' });
+  assert.deepEqual(ws1.map(r => r.requests), [20]);
+
+  const env = await readHistory({ from: '2026-01-10T00:00:00Z', to: '2026-01-31T00:00:00Z' });
+  assert.deepEqual(env.map(r => [r.provider, r.requests]), [['openai', 10]]);
+  assert.deepEqual(months('env'), ['2025-12.jsonl', '2026-01.jsonl']);
+});
+
+test('prunes months past the retention window as new ones are written', async () => {
+  process.env.HISTORY_RETENTION_MONTHS = '2';
+  await appendHistory({ openai: ok(40) }, new Date('2026-02-20T00:00:00Z'));
+
+  assert.deepEqual(months('env'), ['2026-01.jsonl', '2026-02.jsonl']);
+  assert.deepEqual((await readHistory()).map(r => r.requests), [10, 40]);
+});
+
+test("deleting a workspace's history leaves the others", async () => {
+  await deleteHistory('ws-1');
+
+  assert.deepEqual(await readHistory({ workspace: 'ws-1' }), []);
+  assert.equal((await readHistory({ workspace: 'ws-2' })).length, 1);
+});
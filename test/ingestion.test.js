@@ -0,0 +1,58 @@
+// Reported usage events: validation, and retries with a known id counted once.
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeEvent, ingestEvents, getIngested, deleteIngestedUsage } from '../netlify/lib/ingestion.js';
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const now = new Date('2026-03-10T12:00:00Z');
+const period = { start: new Date('2026-03-01T00:00:00Z'), end: now };
+
+const ingest = (workspaceId, events) => ingestEvents(workspaceId, events.map(event => normalizeEvent(event, now)), now);
+
+beforeEach(async () => {
+  await deleteIngestedUsage('ws-1');
+  await deleteIngestedUsage('ws-2');
+});
+
+test('an event id is counted once across retries', async () => {
+  const event = { id: 'evt-1', provider: 'card-1', inputTokens: 100, outputTokens: 20, cost: 0.5 };
+
+  assert.deepEqual(await ingest('ws-1', [event]), { accepted: 1, duplicates: 0 });
+  assert.deepEqual(await ingest('ws-1', [event, { ...event, id: 'evt-2' }]), { accepted: 1, duplicates: 1 });
+
+  const totals = await getIngested('ws-1', 'card-1', period);
+  assert.equal(totals.requests, 2);
+  assert.equal(totals.inputTokens, 200);
+  assert.equal(totals.cost, 1);
+});
+
+test('a repeated id within one batch is counted once', async () => {
+  const event = { id: 'evt-1', provider: 'card-1', count: 3 };
+  assert.deepEqual(await ingest('ws-1', [event, event]), { accepted: 1, duplicates: 1 });
+  assert.equal((await getIngested('ws-1', 'card-1', period)).requests, 3);
+});
+
+test('events without an id are all counted', async () => {
+  const event = { provider: 'card-1' };
+  assert.deepEqual(await ingest('ws-1', [event, event]), { accepted: 2, duplicates: 0 });
+  assert.equal((await getIngested('ws-1', 'card-1', period)).requests, 2);
+});
+
+test('ids are remembered per workspace and usage id', async () => {
+  const event = { id: 'evt-1', provider: 'card-1' };
+  await ingest('ws-1', [event]);
+
+  assert.deepEqual(await ingest('ws-2', [event]), { accepted: 1, duplicates: 0 });
+  assert.deepEqual(await ingest('ws-1', [{ ...event, provider: 'card-1:key-a' }]), { accepted: 1, duplicates: 0 });
+  assert.equal((await getIngested('ws-1', 'card-1', period)).requests, 1);
+});
+
+test('rejects malformed events', () => {
+  assert.match(normalizeEvent({ provider: 'a b' }, now).error, /provider must be a card id/);
+  assert.match(normalizeEvent({ provider: 'card-1', inputTokens: -1 }, now).error, /inputTokens must be a non-negative number/);
+  assert.match(normalizeEvent({ provider: 'card-1', timestamp: '2026-03-11T00:00:00Z' }, now).error, /in the future/);
+  assert.match(normalizeEvent({ provider: 'card-1', currency: 'dollars' }, now).error, /three-letter code/);
+  assert.equal(normalizeEvent({ provider: 'card-1', tokens: 50 }, now).figures.inputTokens, 50);
+});
@@ -0,0 +1,71 @@
+// The key vault endpoint: what a key, provider and label must look like.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { saveUser, createSession } from '../netlify/lib/authStore.js';
+import { handler } from '../netlify/functions/keys.js';
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.VAULT_SECRET = 'keys-test-secret';
+const dataDir = mkdtempSync(path.join(tmpdir(), 'keys-test-'));
+process.env.DATA_DIR = dataDir;
+
+let sessionId;
+
+before(async () => {
+  await saveUser({ id: 'owner', email: 'owner@example.com', emailVerified: true });
+  sessionId = (await createSession('owner', 60 * 60 * 1000)).id;
+});
+
+after(() => {
+  delete process.env.VAULT_SECRET;
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+const call = async (method, route, body) => {
+  const response = await handler({
+    httpMethod: method,
+    path: `/api/keys${route}`,
+    headers: { authorization: `Bearer ${sessionId}` },
+    body: body === undefined ? null : JSON.stringify(body),
+  });
+  return { status: response.statusCode, body: JSON.parse(response.body) };
+};
+
+test('stores a key with its fields trimmed', async () => {
+  const { status, body } = await call('POST', '', { providerId: ' openai ', label: ' Prod ', apiKey: ' sk-test-1234567890 ' });
+
+  assert.equal(status, 201);
+  assert.equal(body.key.providerId, 'openai');
+  assert.equal(body.key.provider, 'openai');
+  assert.equal(body.key.label, 'Prod');
+  assert.ok(!body.key.masked.startsWith(' '));
+
+  const long = await call('POST', '', { providerId: 'openai', label: 'x'.repeat(150), apiKey: 'sk-test' });
+  assert.equal(long.body.key.label.length, 100);
+});
+
+test('rejects keys, providers and labels that are not text', async () => {
+  for (const fields of [
+    { providerId: 'openai', apiKey: { toString: 'sk-test' } },
+    { providerId: 'openai', apiKey: ['sk-test'] },
+    { providerId: 'openai', apiKey: '   ' },
+    { providerId: 42, apiKey: 'sk-test' },
+    { providerId: 'openai', apiKey: 'sk-test', label: { text: 'Prod' } },
+    { providerId: 'openai', apiKey: 'sk-test', provider: ['openai'] },
+  ]) {
+    assert.equal((await call('POST', '', fields)).status, 400, JSON.stringify(fields));
+  }
+  assert.equal((await call('POST', '', null)).status, 400);
+});
+
+test('rotating needs the new key as text', async () => {
+  const { body } = await call('POST', '', { providerId: 'openai', apiKey: 'sk-test-old' });
+
+  assert.equal((await call('POST', `/${body.key.id}/rotate`, { apiKey: 123 })).status, 400);
+  assert.equal((await call('POST', `/${body.key.id}/rotate`, { apiKey: '' })).status, 400);
+  assert.equal((await call('POST', `/${body.key.id}/rotate`, { apiKey: ' sk-test-new ' })).status, 200);
+});
@@ -0,0 +1,91 @@
+// Failed-attempt throttling: free attempts, doubling waits and lockouts,
+// and reset requests kept apart from sign-in.
+
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import bcrypt from 'bcryptjs';
+import { checkThrottle, recordFailure, clearFailures, accountKey, resetKey } from '../netlify/lib/loginThrottle.js';
+import { saveUser } from '../netlify/lib/authStore.js';
+import { handler } from '../netlify/functions/auth.js';
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.MAIL_TRANSPORT = 'file';
+process.env.SITE_URL = 'https://tracker.example.com';
+const dataDir = mkdtempSync(path.join(tmpdir(), 'throttle-test-'));
+process.env.DATA_DIR = dataDir;
+
+const now = Date.parse('2026-03-10T12:00:00Z');
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+const fail = async (key, times, at = now) => {
+  for (let i = 0; i < times; i++) await recordFailure([key], at);
+};
+
+beforeEach(() => clearFailures(['account:a@example.com', 'ip:203.0.113.9', 'reset:victim@example.com', 'ip:198.51.100.7']));
+
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+test('an account gets four free attempts, then has to wait', async () => {
+  await fail('account:a@example.com', 4);
+  assert.equal(await checkThrottle(['account:a@example.com'], now), null);
+
+  await fail('account:a@example.com', 1);
+  assert.deepEqual(await checkThrottle(['account:a@example.com'], now), { retryAfterMs: SECOND, locked: false });
+  assert.equal(await checkThrottle(['account:a@example.com'], now + SECOND), null);
+});
+
+test('each further failure doubles the wait until the lockout', async () => {
+  await fail('account:a@example.com', 7);
+  assert.equal((await checkThrottle(['account:a@example.com'], now)).retryAfterMs, 4 * SECOND);
+
+  await fail('account:a@example.com', 3);
+  assert.deepEqual(await checkThrottle(['account:a@example.com'], now), { retryAfterMs: 15 * MINUTE, locked: true });
+  assert.equal(await checkThrottle(['account:a@example.com'], now + 15 * MINUTE), null);
+});
+
+test('an IP gets more room than an account, and the longest wait wins', async () => {
+  await fail('ip:203.0.113.9', 19);
+  assert.equal(await checkThrottle(['ip:203.0.113.9'], now), null);
+
+  await fail('account:a@example.com', 6);
+  assert.equal((await checkThrottle(['ip:203.0.113.9', 'account:a@example.com'], now)).retryAfterMs, 2 * SECOND);
+});
+
+test('failures are forgotten after a quiet day', async () => {
+  await fail('account:a@example.com', 6);
+  assert.equal(await checkThrottle(['account:a@example.com'], now + 25 * 60 * MINUTE), null);
+});
+
+test('reset requests are counted apart from sign-in failures', () => {
+  assert.equal(resetKey(' Victim@Example.com '), 'reset:victim@example.com');
+  assert.notEqual(resetKey('victim@example.com'), accountKey('victim@example.com'));
+});
+
+test('requesting resets for an email does not lock its owner out', async () => {
+  await saveUser({
+    id: 'victim',
+    email: 'victim@example.com',
+    password: await bcrypt.hash('correct horse battery', 4),
+    displayName: 'Victim',
+    emailVerified: true,
+  });
+  const post = (action, body, ip) => handler({
+    httpMethod: 'POST',
+    path: `/.netlify/functions/auth/${action}`,
+    headers: { 'x-nf-client-connection-ip': ip },
+    body: JSON.stringify(body),
+  });
+
+  const statuses = [];
+  for (let i = 0; i < 12; i++) {
+    statuses.push((await post('request-password-reset', { email: 'victim@example.com' }, '198.51.100.7')).statusCode);
+  }
+  assert.ok(statuses.includes(429));
+
+  const login = await post('login', { email: 'victim@example.com', password: 'correct horse battery' }, '203.0.113.9');
+  assert.equal(login.statusCode, 200);
+});
@@ -0,0 +1,23 @@
+// Links in account emails only ever use the configured site URL.
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { siteUrl } from '../netlify/lib/mailer/index.js';
+
+afterEach(() => {
+  delete process.env.SITE_URL;
+  delete process.env.URL;
+});
+
+test('uses SITE_URL, then the Netlify site URL', () => {
+  process.env.URL = 'https://tracker.netlify.app/';
+  assert.equal(siteUrl(), 'https://tracker.netlify.app');
+  process.env.SITE_URL = 'https://usage.example.com';
+  assert.equal(siteUrl(), 'https://usage.example.com');
+});
+
+test('refuses to build links without a configured site URL', () => {
+  assert.throws(() => siteUrl({ headers: { origin: 'https://attacker.example' } }), /SITE_URL is not configured/);
+  process.env.SITE_URL = 'javascript:alert(1)';
+  assert.throws(() => siteUrl(), /SITE_URL is not configured/);
+});
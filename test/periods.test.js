@@ -0,0 +1,50 @@
+// Reset windows: monthly anchor days (including ones a month doesn't have)
+// and boundaries falling on local midnight across time zones and DST.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getWindow, periodSettings } from '../src/lib/periods.js';
+
+const windowAt = (settings, now) => {
+  const { start, end } = getWindow({ resetPeriod: 'monthly', anchorDay: 1, timeZone: 'UTC', ...settings }, new Date(now));
+  return [start.toISOString(), end.toISOString()];
+};
+
+test('a monthly window runs from one anchor day to the next', () => {
+  assert.deepEqual(windowAt({}, '2026-03-10T12:00:00Z'), ['2026-03-01T00:00:00.000Z', '2026-04-01T00:00:00.000Z']);
+  assert.deepEqual(windowAt({ anchorDay: 15 }, '2026-03-10T12:00:00Z'), ['2026-02-15T00:00:00.000Z', '2026-03-15T00:00:00.000Z']);
+  assert.deepEqual(windowAt({ anchorDay: 15 }, '2026-03-15T00:00:00Z'), ['2026-03-15T00:00:00.000Z', '2026-04-15T00:00:00.000Z']);
+  assert.deepEqual(windowAt({ anchorDay: 15 }, '2026-01-05T00:00:00Z'), ['2025-12-15T00:00:00.000Z', '2026-01-15T00:00:00.000Z']);
+});
+
+test('months without the anchor day start on their last day', () => {
+  assert.deepEqual(windowAt({ anchorDay: 31 }, '2026-02-28T12:00:00Z'), ['2026-02-28T00:00:00.000Z', '2026-03-31T00:00:00.000Z']);
+  assert.deepEqual(windowAt({ anchorDay: 31 }, '2026-03-30T12:00:00Z'), ['2026-02-28T00:00:00.000Z', '2026-03-31T00:00:00.000Z']);
+  assert.deepEqual(windowAt({ anchorDay: 31 }, '2026-04-30T00:00:00Z'), ['2026-04-30T00:00:00.000Z', '2026-05-31T00:00:00.000Z']);
+  assert.deepEqual(windowAt({ anchorDay: 30 }, '2028-02-29T06:00:00Z'), ['2028-02-29T00:00:00.000Z', '2028-03-30T00:00:00.000Z']);
+});
+
+test('boundaries fall on midnight in the window time zone', () => {
+  // 00:30 on 1 March in Berlin; the window ends after the switch to summer time
+  assert.deepEqual(windowAt({ timeZone: 'Europe/Berlin' }, '2026-02-28T23:30:00Z'), ['2026-02-28T23:00:00.000Z', '2026-03-31T22:00:00.000Z']);
+  // Still 31 March in Los Angeles
+  assert.deepEqual(windowAt({ timeZone: 'America/Los_Angeles' }, '2026-04-01T03:00:00Z'), ['2026-03-01T08:00:00.000Z', '2026-04-01T07:00:00.000Z']);
+});
+
+test('daily and hourly windows follow the local clock', () => {
+  // New York springs forward on 8 March 2026, so that day is 23 hours long
+  const { start, end } = getWindow({ resetPeriod: 'daily', timeZone: 'America/New_York' }, new Date('2026-03-08T12:00:00Z'));
+  assert.equal(start.toISOString(), '2026-03-08T05:00:00.000Z');
+  assert.equal(end.toISOString(), '2026-03-09T04:00:00.000Z');
+
+  // Kolkata is UTC+5:30, so its hours start on the half hour UTC
+  const hour = getWindow({ resetPeriod: 'hourly', timeZone: 'Asia/Kolkata' }, new Date('2026-03-10T10:15:00Z'));
+  assert.equal(hour.start.toISOString(), '2026-03-10T09:30:00.000Z');
+  assert.equal(hour.end.toISOString(), '2026-03-10T10:30:00.000Z');
+});
+
+test('unusable settings fall back to the defaults', () => {
+  assert.deepEqual(periodSettings({ resetPeriod: 'weekly', anchorDay: '40', timeZone: 'Mars/Olympus' }), { resetPeriod: 'monthly', anchorDay: 31, timeZone: 'UTC' });
+  assert.deepEqual(periodSettings({ anchorDay: 0 }), { resetPeriod: 'monthly', anchorDay: 1, timeZone: 'UTC' });
+  assert.deepEqual(windowAt({ timeZone: 'Mars/Olympus' }, '2026-03-10T12:00:00Z'), ['2026-03-01T00:00:00.000Z', '2026-04-01T00:00:00.000Z']);
+});
@@ -0,0 +1,93 @@
+// Built-in adapters against a local stub of each provider's API, reached
+// through the <ID>_BASE_URL override.
+
+import { test, after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStub } from './stubServer.js';
+import { collectUsage } from '../netlify/lib/providers/index.js';
+
+const period = {
+  start: new Date('2026-03-01T00:00:00Z'),
+  end: new Date('2026-03-10T00:00:00Z'),
+  resetsAt: new Date('2026-04-01T00:00:00Z'),
+};
+
+let stub;
+
+before(async () => {
+  stub = await startStub({
+    'GET /v1/organization/usage/completions': (req, url) => (url.searchParams.get('page') === 'p2'
+      ? { body: { data: [{ results: [{ model: 'gpt-4o', num_model_requests: 2, input_tokens: 20, output_tokens: 4 }] }], has_more: false } }
+      : { body: { data: [{ results: [{ model: 'gpt-4o', num_model_requests: 3, input_tokens: 100, output_tokens: 10, input_cached_tokens: 40 }] }], has_more: true, next_page: 'p2' } }),
+    'GET /v1/organization/costs': {
+      data: [{ results: [{ line_item: 'gpt-4o, input', amount: { value: 1.25, currency: 'usd' } }] }],
+      has_more: false,
+    },
+    'GET /v1/organizations/usage_report/messages': {
+      data: [{ results: [{ model: 'claude-sonnet', uncached_input_tokens: 50, cache_read_input_tokens: 25, output_tokens: 7 }] }],
+      has_more: false,
+    },
+    'GET /v1/organizations/cost_report': {
+      data: [{ results: [{ model: 'claude-sonnet', amount: '250' }] }],
+      has_more: false,
+    },
+  });
+  process.env.OPENAI_BASE_URL = stub.url;
+  process.env.ANTHROPIC_BASE_URL = stub.url;
+});
+
+after(async () => {
+  delete process.env.OPENAI_BASE_URL;
+  delete process.env.ANTHROPIC_BASE_URL;
+  await stub.close();
+});
+
+test('openai sums usage across pages and costs per model', async () => {
+  const result = await collectUsage('openai', 'sk-admin-test', { period });
+
+  assert.equal(result.status, 'ok');
+  assert.equal(result.requests, 5);
+  assert.equal(result.inputTokens, 120);
+  assert.equal(result.outputTokens, 14);
+  assert.equal(result.cachedTokens, 40);
+  assert.equal(result.cost, 1.25);
+  assert.equal(result.models['gpt-4o'].cost, 1.25);
+
+  const usageCall = stub.requests.find(req => req.path === '/v1/organization/usage/completions');
+  assert.equal(usageCall.headers.authorization, 'Bearer sk-admin-test');
+  assert.equal(usageCall.query.get('start_time'), String(period.start.getTime() / 1000));
+});
+
+test('anthropic counts cached input and reads cost in cents', async () => {
+  const result = await collectUsage('claude', 'sk-ant-admin-test', { period });
+
+  assert.equal(result.status, 'ok');
+  assert.equal(result.requests, null);
+  assert.equal(result.inputTokens, 75);
+  assert.equal(result.cachedTokens, 25);
+  assert.equal(result.cost, 2.5);
+
+  const reportCall = stub.requests.find(req => req.path === '/v1/organizations/usage_report/messages');
+  assert.equal(reportCall.headers['x-api-key'], 'sk-ant-admin-test');
+  assert.equal(reportCall.headers['anthropic-version'], '2023-06-01');
+});
+
+test('a rejected key is an error result, not zero usage', async () => {
+  const rejecting = await startStub({
+    'GET /v1/organization/usage/completions': () => ({ status: 401, body: { error: { message: 'Incorrect API key provided' } } }),
+  });
+  try {
+    const result = await collectUsage('openai', 'sk-proj-test', { period, baseUrl: rejecting.url });
+    assert.equal(result.status, 'error');
+    assert.equal(result.requests, null);
+    assert.match(result.error, /Incorrect API key provided \(HTTP 401\)/);
+  } finally {
+    await rejecting.close();
+  }
+});
+
+test('providers without a usage API are unsupported', async () => {
+  const result = await collectUsage('groq', 'gsk-test', { period });
+  assert.equal(result.status, 'unsupported');
+  assert.equal(result.message, 'Groq has no usage API.');
+});
@@ -0,0 +1,30 @@
+// A local HTTP stand-in for a provider or collector endpoint. `routes` maps
+// "METHOD /path" to a handler (req, url) returning { status, headers, body },
+// or to a plain object sent as a 200 JSON body. Every request is recorded in
+// `requests` so tests can check what was sent.
+
+import http from 'http';
+
+export async function startStub(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://stub');
+      requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body });
+      const route = routes[`${req.method} ${url.pathname}`];
+      const reply = typeof route === 'function' ? route(req, url) : route ? { body: route } : { status: 404, body: { error: 'Not found' } };
+      const text = typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body ?? {});
+      res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...(reply.headers || {}) });
+      res.end(text);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
@@ -0,0 +1,107 @@
+// TOTP against the RFC 6238 test vectors, and second-factor codes being
+// single use even when two requests race with the same one.
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import bcrypt from 'bcryptjs';
+import { totpCode, verifyTotp, generateRecoveryCodes } from '../netlify/lib/totp.js';
+import { saveUser, findUserById, createSession, createLoginChallenge } from '../netlify/lib/authStore.js';
+import { handler } from '../netlify/functions/auth.js';
+
+process.env.STORAGE_BACKEND = 'memory';
+const dataDir = mkdtempSync(path.join(tmpdir(), 'totp-test-'));
+process.env.DATA_DIR = dataDir;
+
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+// "12345678901234567890" in base32, the RFC's SHA-1 key
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const at = (seconds) => seconds * 1000;
+const counterAt = (seconds) => Math.floor(seconds / 30);
+
+test('matches the RFC 6238 SHA-1 vectors (last six digits)', () => {
+  for (const [seconds, code] of [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130'],
+  ]) {
+    assert.equal(totpCode(RFC_SECRET, counterAt(seconds)), code, `T=${seconds}`);
+  }
+});
+
+test('accepts a step either side for clock drift, and nothing further', () => {
+  const now = at(1111111111);
+  const counter = counterAt(1111111111);
+  assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, counter - 1), { now }), counter - 1);
+  assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, counter + 1), { now }), counter + 1);
+  assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, counter - 2), { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, '12345', { now }), null);
+});
+
+test('refuses a code from a step at or before the last one used', () => {
+  const now = at(1234567890);
+  const counter = counterAt(1234567890);
+  const code = totpCode(RFC_SECRET, counter);
+  assert.equal(verifyTotp(RFC_SECRET, code, { now, lastCounter: counter - 1 }), counter);
+  assert.equal(verifyTotp(RFC_SECRET, code, { now, lastCounter: counter }), null);
+  assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, counter - 1), { now, lastCounter: counter }), null);
+});
+
+const post = (action, body, headers = {}) => handler({
+  httpMethod: 'POST',
+  path: `/.netlify/functions/auth/${action}`,
+  headers: { 'x-nf-client-connection-ip': '203.0.113.20', ...headers },
+  body: JSON.stringify(body),
+});
+
+async function userWithTwoFactor(id) {
+  const user = {
+    id,
+    email: `${id}@example.com`,
+    password: await bcrypt.hash('correct horse battery', 4),
+    displayName: id,
+    emailVerified: true,
+    twoFactor: { secret: RFC_SECRET, lastCounter: -1, recoveryCodes: generateRecoveryCodes().hashes },
+  };
+  await saveUser(user);
+  return user;
+}
+
+const currentCode = () => totpCode(RFC_SECRET, Math.floor(Date.now() / 30000));
+
+test('one code finishes only one of two racing sign-ins', async () => {
+  const user = await userWithTwoFactor('racer');
+  const [first, second] = await Promise.all([
+    createLoginChallenge(user.id, 60000),
+    createLoginChallenge(user.id, 60000),
+  ]);
+  const code = currentCode();
+
+  const responses = await Promise.all([
+    post('login-2fa', { challenge: first, code }),
+    post('login-2fa', { challenge: second, code }),
+  ]);
+
+  assert.deepEqual(responses.map(res => res.statusCode).sort(), [200, 400]);
+});
+
+test('the code that turns 2FA off cannot also finish a pending sign-in', async () => {
+  const user = await userWithTwoFactor('switcher');
+  const { id: sessionId } = await createSession(user.id, 60000);
+  const challenge = await createLoginChallenge(user.id, 60000);
+  const code = currentCode();
+
+  const [disable, signIn] = await Promise.all([
+    post('2fa-disable', { password: 'correct horse battery', code }, { authorization: `Bearer ${sessionId}` }),
+    post('login-2fa', { challenge, code }),
+  ]);
+
+  assert.deepEqual([disable.statusCode, signIn.statusCode].sort(), [200, 400]);
+  if (disable.statusCode === 200) assert.equal((await findUserById(user.id)).twoFactor, undefined);
+});
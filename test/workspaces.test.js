@@ -0,0 +1,131 @@
+// Team workspaces: who may invite, and join, and what each role may change in
+// the workspaces, keys and provider-config endpoints.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { saveUser, createSession } from '../netlify/lib/authStore.js';
+import { createWorkspace, createInvite, updateMember, getRole } from '../netlify/lib/workspaces.js';
+import { handler as workspaces } from '../netlify/functions/workspaces.js';
+import { handler as keys } from '../netlify/functions/keys.js';
+import { handler as providerConfig } from '../netlify/functions/provider-config.js';
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.VAULT_SECRET = 'workspaces-test-secret';
+process.env.SITE_URL = 'https://tracker.example.com';
+const dataDir = mkdtempSync(path.join(tmpdir(), 'workspaces-test-'));
+process.env.DATA_DIR = dataDir;
+
+const HOUR = 60 * 60 * 1000;
+const sessions = {};
+let team;
+
+const addUser = async (id, fields = {}) => {
+  const user = { id, email: `${id}@example.com`, displayName: id, emailVerified: true, ...fields };
+  await saveUser(user);
+  sessions[id] = (await createSession(id, HOUR)).id;
+  return user;
+};
+
+before(async () => {
+  const owner = await addUser('owner');
+  await Promise.all(['editor', 'viewer', 'outsider'].map(id => addUser(id)));
+  team = await createWorkspace(owner, 'Team');
+  for (const [userId, role] of [['editor', 'editor'], ['viewer', 'viewer']]) {
+    const invite = await createInvite(team.id, { email: `${userId}@example.com`, role, invitedBy: 'owner' }, HOUR);
+    const response = await call(workspaces, userId, 'POST', '/api/workspaces/accept', { token: invite.token });
+    assert.equal(response.status, 200);
+  }
+});
+
+after(() => {
+  delete process.env.VAULT_SECRET;
+  delete process.env.SITE_URL;
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function call(handler, userId, method, route, body) {
+  const response = await handler({
+    httpMethod: method,
+    path: route,
+    headers: { authorization: `Bearer ${sessions[userId]}`, 'x-workspace-id': team.id },
+    body: body === undefined ? null : JSON.stringify(body),
+  });
+  return { status: response.statusCode, body: JSON.parse(response.body) };
+}
+
+const invite = (userId, email, role = 'viewer') =>
+  call(workspaces, userId, 'POST', `/api/workspaces/${team.id}/invites`, { email, role });
+
+test('invitations need a valid address, stored normalized', async () => {
+  for (const email of ['@', 'someone@', 'a b@example.com', 'someone@example', 42]) {
+    assert.equal((await invite('owner', email)).status, 400, String(email));
+  }
+
+  const { status, body } = await invite('owner', '  New.Person@Example.COM ');
+  assert.equal(status, 201);
+  assert.equal(body.invite.email, 'new.person@example.com');
+});
+
+test('an invitation can only be accepted from a verified address', async () => {
+  await addUser('unverified', { emailVerified: false });
+  const { body } = await invite('owner', 'unverified@example.com', 'editor');
+
+  const refused = await call(workspaces, 'unverified', 'POST', '/api/workspaces/accept', { token: body.invite.token });
+  assert.equal(refused.status, 400);
+  assert.match(refused.body.error, /Verify your email address/);
+  assert.equal(await getRole(team.id, 'unverified'), null);
+
+  await saveUser({ id: 'unverified', email: 'unverified@example.com', displayName: 'unverified', emailVerified: true });
+  const joined = await call(workspaces, 'unverified', 'POST', '/api/workspaces/accept', { token: body.invite.token });
+  assert.equal(joined.status, 200);
+  assert.equal(joined.body.workspace.role, 'editor');
+  await updateMember(team.id, 'unverified', null);
+});
+
+test('only owners manage members and invitations', async () => {
+  for (const userId of ['editor', 'viewer']) {
+    assert.equal((await invite(userId, 'someone@example.com')).status, 403, userId);
+    assert.equal((await call(workspaces, userId, 'PATCH', `/api/workspaces/${team.id}/members/viewer`, { role: 'owner' })).status, 403, userId);
+  }
+  assert.equal((await call(workspaces, 'editor', 'DELETE', `/api/workspaces/${team.id}/members/viewer`)).status, 403);
+  assert.deepEqual((await call(workspaces, 'viewer', 'GET', `/api/workspaces/${team.id}/members`)).body.invites, []);
+  assert.equal((await call(workspaces, 'outsider', 'GET', `/api/workspaces/${team.id}/members`)).status, 404);
+
+  const promoted = await call(workspaces, 'owner', 'PATCH', `/api/workspaces/${team.id}/members/viewer`, { role: 'editor' });
+  assert.equal(promoted.status, 200);
+  await updateMember(team.id, 'viewer', 'viewer');
+});
+
+test('members can see the vault but only owners can change it', async () => {
+  const saved = await call(keys, 'owner', 'POST', '/api/keys', { providerId: 'openai', apiKey: 'sk-team-key' });
+  assert.equal(saved.status, 201);
+
+  for (const userId of ['editor', 'viewer']) {
+    assert.equal((await call(keys, userId, 'GET', '/api/keys')).body.keys.length, 1, userId);
+    assert.equal((await call(keys, userId, 'POST', '/api/keys', { providerId: 'openai', apiKey: 'sk-other' })).status, 403, userId);
+    assert.equal((await call(keys, userId, 'POST', `/api/keys/${saved.body.key.id}/rotate`, { apiKey: 'sk-other' })).status, 403, userId);
+    assert.equal((await call(keys, userId, 'DELETE', `/api/keys/${saved.body.key.id}`)).status, 403, userId);
+  }
+  assert.equal((await call(keys, 'outsider', 'GET', '/api/keys')).status, 403);
+});
+
+test('viewers cannot save providers and editors cannot redirect collectors', async () => {
+  const card = { id: 'card-1', name: 'Card' };
+  const collector = { url: 'https://usage.example.com/v1', method: 'GET', usagePath: '$.used' };
+
+  assert.equal((await call(providerConfig, 'viewer', 'PUT', '/api/providers', { providers: [card], baseVersion: 0 })).status, 403);
+  assert.equal((await call(providerConfig, 'outsider', 'GET', '/api/providers')).status, 403);
+
+  const edited = await call(providerConfig, 'editor', 'PUT', '/api/providers', { providers: [card], baseVersion: 0 });
+  assert.equal(edited.status, 200);
+
+  const redirected = await call(providerConfig, 'editor', 'PUT', '/api/providers', { providers: [{ ...card, collector }], baseVersion: 1 });
+  assert.equal(redirected.status, 403);
+
+  const owned = await call(providerConfig, 'owner', 'PUT', '/api/providers', { providers: [{ ...card, collector }], baseVersion: 1 });
+  assert.equal(owned.status, 200);
+  assert.equal((await call(providerConfig, 'viewer', 'GET', '/api/providers')).body.providers[0].collector.url, collector.url);
+});